@@ -0,0 +1,106 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const readline = require("readline");
+
+// Append-only audit trail, one JSON object per line
+class AuditLog {
+    constructor(filePath) {
+        this.filePath = filePath;
+    }
+
+    record({ actor, action, instance = null, details = {}, success = true }) {
+        const entry = {
+            time: new Date().toISOString(),
+            user: actor ? actor.username : "system",
+            role: actor ? actor.role : null,
+            session: actor && actor.sessionId ? AuditLog.sessionTag(actor.sessionId) : null,
+            ip: actor ? actor.ip || null : null,
+            action,
+            instance,
+            success,
+            details
+        };
+
+        try {
+            // Synchronous append keeps entries in the order the actions happened
+            fs.appendFileSync(this.filePath, JSON.stringify(entry) + "\n", { encoding: "utf-8", mode: 0o600 });
+        } catch (e) {
+            console.error("Failed to write audit log:", e);
+        }
+        return entry;
+    }
+
+    matches(entry, { instance, user, action, from, to }) {
+        if (instance && entry.instance !== instance) return false;
+        if (user && entry.user !== user) return false;
+        // "file" matches "file.save", "file.delete", ...
+        if (action && entry.action !== action && !entry.action.startsWith(action + ".")) return false;
+        if (from && entry.time < from) return false;
+        if (to && entry.time > to) return false;
+        return true;
+    }
+
+    // Newest entries first
+    async query(filter = {}) {
+        const limit = Math.min(parseInt(filter.limit, 10) || 100, 1000);
+        const offset = parseInt(filter.offset, 10) || 0;
+        const criteria = {
+            ...filter,
+            from: filter.from ? new Date(filter.from).toISOString() : null,
+            to: filter.to ? new Date(filter.to).toISOString() : null
+        };
+
+        if (!fs.existsSync(this.filePath)) return { total: 0, entries: [] };
+
+        const matched = [];
+        const rl = readline.createInterface({
+            input: fs.createReadStream(this.filePath, { encoding: "utf-8" }),
+            crlfDelay: Infinity
+        });
+        for await (const line of rl) {
+            if (!line.trim()) continue;
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (e) {
+                continue;
+            }
+            if (this.matches(entry, criteria)) matched.push(entry);
+        }
+
+        matched.reverse();
+        return { total: matched.length, entries: matched.slice(offset, offset + limit) };
+    }
+
+    // Short, stable tag for a session id; the id itself is a credential and stays out of the log
+    static sessionTag(sessionId) {
+        return crypto.createHash("sha256").update(sessionId).digest("hex").slice(0, 12);
+    }
+
+    // Rough line diff for file writes: what changed, not the content itself
+    static diffSummary(before, after) {
+        const oldLines = before === null ? [] : before.split(/\r?\n/);
+        const newLines = after.split(/\r?\n/);
+
+        const counts = new Map();
+        for (const line of oldLines) counts.set(line, (counts.get(line) || 0) + 1);
+
+        let added = 0;
+        for (const line of newLines) {
+            const n = counts.get(line);
+            if (n) counts.set(line, n - 1);
+            else added++;
+        }
+        const removed = [...counts.values()].reduce((sum, n) => sum + n, 0);
+
+        return {
+            created: before === null,
+            bytesBefore: before === null ? 0 : Buffer.byteLength(before),
+            bytesAfter: Buffer.byteLength(after),
+            linesAdded: added,
+            linesRemoved: removed
+        };
+    }
+}
+
+module.exports = AuditLog;
@@ -0,0 +1,452 @@
+const fs = require("fs");
+const path = require("path");
+const { spawn } = require("child_process");
+const DedupStore = require("./DedupStore");
+const InstanceName = require("./InstanceName");
+
+const MODES = ["archive", "dedup"];
+
+// Backups of instance directories. Every instance gets a folder in the backup store with
+// "<id>.json" metadata and either a "<id>.tar.gz" archive (mode "archive", made by the
+// system's tar) or a "<id>.manifest.gz" snapshot whose file contents live in the shared
+// chunk store (mode "dedup"). Ids are creation timestamps, so they sort chronologically.
+class BackupManager {
+    constructor(baseDir) {
+        this.baseDir = path.resolve(baseDir);
+        fs.mkdirSync(this.baseDir, { recursive: true });
+        this.chunks = new DedupStore(path.join(this.baseDir, ".chunks"));
+        // Snapshots write chunks before their manifest exists; gc() must not run meanwhile
+        this.activeSnapshots = 0;
+        this.collecting = null;
+    }
+
+    instanceDir(name) {
+        return path.join(this.baseDir, InstanceName.fileName(name));
+    }
+
+    archivePath(name, id) {
+        return path.join(this.instanceDir(name), `${id}.tar.gz`);
+    }
+
+    manifestPath(name, id) {
+        return path.join(this.instanceDir(name), `${id}.manifest.gz`);
+    }
+
+    static backupId(date) {
+        return date.toISOString().replace(/[:.]/g, "-");
+    }
+
+    static isValidId(id) {
+        return /^\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z$/.test(id);
+    }
+
+    // Newest first
+    async list(name) {
+        const dir = this.instanceDir(name);
+        const files = await fs.promises.readdir(dir).catch(() => []);
+        const backups = [];
+        for (const file of files.filter(f => f.endsWith(".json"))) {
+            try {
+                backups.push(JSON.parse(await fs.promises.readFile(path.join(dir, file), "utf-8")));
+            } catch (e) {
+                console.error(`Unreadable backup metadata ${file}:`, e);
+            }
+        }
+        return backups.sort((a, b) => b.id.localeCompare(a.id));
+    }
+
+    async get(name, id) {
+        if (!BackupManager.isValidId(id)) return null;
+        try {
+            return JSON.parse(await fs.promises.readFile(path.join(this.instanceDir(name), `${id}.json`), "utf-8"));
+        } catch (e) {
+            return null;
+        }
+    }
+
+    // Relative paths to archive: `paths` if given (checked to stay inside the directory), else everything
+    static resolvePaths(workingDir, paths) {
+        if (!paths || paths.length === 0) return ["."];
+        const root = path.resolve(workingDir);
+        return paths.map(p => {
+            const abs = path.resolve(root, p);
+            if (abs !== root && !abs.startsWith(root + path.sep)) throw new Error(`Path outside the instance: ${p}`);
+            if (!fs.existsSync(abs)) throw new Error(`Path not found: ${p}`);
+            return path.relative(root, abs) || ".";
+        });
+    }
+
+    // Sizes of all regular files below `paths`, keyed the way tar lists them
+    static async scan(workingDir, paths, exclude) {
+        const files = new Map();
+        let totalBytes = 0;
+
+        const walk = async rel => {
+            const abs = path.join(workingDir, rel);
+            if (exclude.some(e => abs === e || abs.startsWith(e + path.sep))) return;
+            const stat = await fs.promises.lstat(abs);
+            if (stat.isDirectory()) {
+                for (const entry of await fs.promises.readdir(abs)) await walk(path.join(rel, entry));
+            } else if (stat.isFile()) {
+                files.set(path.normalize(rel), stat.size);
+                totalBytes += stat.size;
+            }
+        };
+        for (const p of paths) await walk(p);
+        return { files, totalBytes };
+    }
+
+    // Runs tar, calling onFile(name) for every entry it lists
+    static runTar(args, onFile) {
+        return new Promise((resolve, reject) => {
+            const tar = spawn("tar", args);
+            let pending = "";
+            let stderr = "";
+
+            tar.stdout.on("data", data => {
+                const lines = (pending + data.toString()).split("\n");
+                pending = lines.pop();
+                lines.forEach(line => line && onFile(line));
+            });
+            tar.stderr.on("data", data => {
+                stderr = (stderr + data.toString()).slice(-2000);
+            });
+            tar.on("error", reject);
+            tar.on("close", code => {
+                if (pending) onFile(pending);
+                // 1: some files changed while they were read; the archive is still usable
+                if (code === 0 || code === 1) resolve({ warning: code === 1 ? stderr.trim() : null });
+                else reject(new Error(`tar exited with code ${code}: ${stderr.trim()}`));
+            });
+        });
+    }
+
+    async create(name, workingDir, { paths = [], mode = "archive", trigger = "manual", createdBy = null, onProgress = () => { } } = {}) {
+        if (!MODES.includes(mode)) throw new Error(`Backup mode must be one of: ${MODES.join(", ")}`);
+        const root = path.resolve(workingDir);
+        const relPaths = BackupManager.resolvePaths(root, paths);
+        // The store itself may live inside the instance directory
+        const exclude = [this.baseDir];
+
+        onProgress({ phase: "scanning", percent: 0 });
+        if (mode === "dedup") return this.createSnapshot(name, root, relPaths, exclude, { trigger, createdBy, onProgress });
+
+        const { files, totalBytes } = await BackupManager.scan(root, relPaths, exclude);
+
+        const dir = this.instanceDir(name);
+        await fs.promises.mkdir(dir, { recursive: true });
+        const id = BackupManager.backupId(new Date());
+        const archive = this.archivePath(name, id);
+        const partial = `${archive}.partial`;
+
+        const excludeArgs = exclude
+            .filter(e => e.startsWith(root + path.sep))
+            .map(e => `--exclude=./${path.relative(root, e)}`);
+
+        let doneBytes = 0;
+        let lastPercent = -1;
+        let result;
+        try {
+            result = await BackupManager.runTar(
+                ["-czvf", partial, ...excludeArgs, "-C", root, "--", ...relPaths],
+                entry => {
+                    doneBytes += files.get(path.normalize(entry)) || 0;
+                    const percent = totalBytes ? Math.floor(doneBytes / totalBytes * 100) : 100;
+                    if (percent !== lastPercent) {
+                        lastPercent = percent;
+                        onProgress({ phase: "archiving", percent, file: entry });
+                    }
+                });
+            await fs.promises.rename(partial, archive);
+        } catch (err) {
+            await fs.promises.unlink(partial).catch(() => { });
+            throw err;
+        }
+
+        const meta = {
+            id,
+            mode: "archive",
+            createdAt: new Date().toISOString(),
+            trigger,
+            createdBy,
+            paths: relPaths,
+            fileCount: files.size,
+            sourceBytes: totalBytes,
+            size: (await fs.promises.stat(archive)).size,
+            warning: result.warning
+        };
+        await fs.promises.writeFile(path.join(dir, `${id}.json`), JSON.stringify(meta, null, 2));
+        onProgress({ phase: "done", percent: 100 });
+        return meta;
+    }
+
+    // Files that did not change since the instance's previous snapshot are not read again
+    async createSnapshot(name, root, relPaths, exclude, { trigger, createdBy, onProgress }) {
+        if (this.collecting) await this.collecting;
+        this.activeSnapshots++;
+        try {
+            const dir = this.instanceDir(name);
+            await fs.promises.mkdir(dir, { recursive: true });
+            const id = BackupManager.backupId(new Date());
+            const previous = (await this.list(name)).find(b => b.mode === "dedup");
+            const { manifest, stats } = await this.chunks.snapshot(root, relPaths, {
+                exclude,
+                previous: previous ? await this.manifest(name, previous.id) : null,
+                onProgress
+            });
+
+            const manifestFile = this.manifestPath(name, id);
+            await DedupStore.writeManifest(manifestFile, manifest);
+            const meta = {
+                id,
+                mode: "dedup",
+                createdAt: new Date().toISOString(),
+                trigger,
+                createdBy,
+                paths: relPaths,
+                fileCount: stats.fileCount,
+                sourceBytes: stats.sourceBytes,
+                // What this snapshot added to the store: its manifest and the chunks no earlier snapshot had
+                size: stats.newBytes + (await fs.promises.stat(manifestFile)).size,
+                reusedFiles: stats.reusedFiles,
+                newChunks: stats.newChunks,
+                warning: stats.rereadFiles
+                    ? `${stats.rereadFiles} unchanged file(s) were read again because chunks of the previous snapshot were missing from the store.`
+                    : null
+            };
+            await fs.promises.writeFile(path.join(dir, `${id}.json`), JSON.stringify(meta, null, 2));
+            onProgress({ phase: "done", percent: 100 });
+            return meta;
+        } finally {
+            this.activeSnapshots--;
+        }
+    }
+
+    async manifest(name, id) {
+        if (!BackupManager.isValidId(id)) throw new Error("Backup not found.");
+        return DedupStore.readManifest(this.manifestPath(name, id));
+    }
+
+    // Manifest entry of one file of a snapshot
+    async snapshotFile(name, id, file) {
+        const wanted = path.normalize(String(file)).replace(/^(\.\/)+/, "");
+        const entry = (await this.manifest(name, id)).files.find(f => f.path === wanted);
+        if (!entry) throw new Error(`File not in backup: ${file}`);
+        return entry;
+    }
+
+    // Streams one file of a snapshot, chunk by chunk
+    async readSnapshotFile(name, id, file, output) {
+        const entry = await this.snapshotFile(name, id, file);
+        for (const hash of entry.chunks) {
+            if (!output.write(await this.chunks.getChunk(hash))) {
+                await new Promise(resolve => output.once("drain", resolve));
+            }
+        }
+        output.end();
+    }
+
+    // Puts a single file of a snapshot back in place, leaving everything else alone
+    async restoreFile(name, workingDir, id, file) {
+        const entry = await this.snapshotFile(name, id, file);
+        const root = path.resolve(workingDir);
+        const target = path.resolve(root, entry.path);
+        if (!target.startsWith(root + path.sep)) throw new Error(`Path outside the instance: ${file}`);
+        await this.chunks.writeFile(entry, target);
+        return entry;
+    }
+
+    async verify(name, id) {
+        const meta = await this.get(name, id);
+        if (!meta) throw new Error("Backup not found.");
+        if (meta.mode !== "dedup") throw new Error("Only deduplicated snapshots can be verified.");
+        return this.chunks.verify(await this.manifest(name, id));
+    }
+
+    // Removes chunks no snapshot of any instance references. Skipped (null) while a snapshot is written.
+    async gc() {
+        if (this.activeSnapshots > 0 || this.collecting) return null;
+        const run = async () => {
+            const manifests = [];
+            for (const entry of await fs.promises.readdir(this.baseDir, { withFileTypes: true })) {
+                if (!entry.isDirectory() || entry.name === ".chunks") continue;
+                const dir = path.join(this.baseDir, entry.name);
+                for (const file of (await fs.promises.readdir(dir)).filter(f => f.endsWith(".manifest.gz"))) {
+                    // An unreadable manifest would make its chunks look unused
+                    manifests.push(await DedupStore.readManifest(path.join(dir, file)));
+                }
+            }
+            return this.chunks.gc(manifests);
+        };
+        this.collecting = run();
+        try {
+            return await this.collecting;
+        } finally {
+            this.collecting = null;
+        }
+    }
+
+    // Replaces what the backup covers: its paths, or the whole directory for full backups. Backups
+    // are extracted next to the instance directory first and only swapped in once that worked, so a
+    // truncated archive or a snapshot with missing or corrupt chunks leaves the instance as it was.
+    // The replaced files are moved aside inside the instance directory during the swap and put
+    // back if it fails; should that fail too, both copies are kept and the error names them.
+    async restore(name, workingDir, id, { onProgress = () => { } } = {}) {
+        const meta = await this.get(name, id);
+        if (!meta) throw new Error("Backup not found.");
+        const root = path.resolve(workingDir);
+        const manifest = meta.mode === "dedup" ? await this.manifest(name, id) : null;
+        if (manifest) {
+            onProgress({ phase: "verifying", percent: 0 });
+            const check = await this.chunks.verify(manifest);
+            if (!check.ok) {
+                throw new Error(`Snapshot is damaged (${check.missing.length} missing, ${check.corrupt.length} corrupt chunks); nothing was restored.`);
+            }
+        }
+
+        const staging = path.join(path.dirname(root), `.${path.basename(root)}.restore-${id}`);
+        await fs.promises.rm(staging, { recursive: true, force: true });
+        await fs.promises.mkdir(staging, { recursive: true });
+        let keepStaging = false;
+        try {
+            if (manifest) {
+                await this.chunks.restore(manifest, staging, { onProgress });
+            } else {
+                let count = 0;
+                let lastPercent = -1;
+                await BackupManager.runTar(["-xzvf", this.archivePath(name, id), "-C", staging], entry => {
+                    count++;
+                    const percent = meta.fileCount ? Math.min(99, Math.floor(count / meta.fileCount * 100)) : 99;
+                    if (percent !== lastPercent) {
+                        lastPercent = percent;
+                        onProgress({ phase: "extracting", percent, file: entry });
+                    }
+                });
+            }
+
+            onProgress({ phase: "replacing", percent: 99 });
+            await fs.promises.mkdir(root, { recursive: true });
+            const aside = path.join(root, `.restore-previous-${id}`);
+            await fs.promises.rm(aside, { recursive: true, force: true });
+            const replaced = [];
+            try {
+                for (const rel of await this.targets(root, meta.paths, aside)) {
+                    if (!(await fs.promises.lstat(path.join(root, rel)).catch(() => null))) continue;
+                    await fs.promises.mkdir(path.dirname(path.join(aside, rel)), { recursive: true });
+                    await fs.promises.rename(path.join(root, rel), path.join(aside, rel));
+                    replaced.push(rel);
+                }
+                const restored = meta.paths.includes(".") ? await fs.promises.readdir(staging) : meta.paths;
+                for (const rel of restored) {
+                    const from = path.join(staging, rel);
+                    if (!fs.existsSync(from)) continue;
+                    await fs.promises.mkdir(path.dirname(path.join(root, rel)), { recursive: true });
+                    await BackupManager.moveInto(from, path.join(root, rel));
+                }
+            } catch (err) {
+                try {
+                    for (const rel of await this.targets(root, meta.paths, aside)) {
+                        await fs.promises.rm(path.join(root, rel), { recursive: true, force: true });
+                    }
+                    for (const rel of replaced) await BackupManager.moveInto(path.join(aside, rel), path.join(root, rel));
+                    await fs.promises.rm(aside, { recursive: true, force: true });
+                } catch (rollbackErr) {
+                    keepStaging = true;
+                    throw new Error(`Restore failed (${err.message}) and the previous files could not be put back (${rollbackErr.message}). ` +
+                        `The previous files are in ${aside}, the backup's files in ${staging}.`);
+                }
+                throw err;
+            }
+            await fs.promises.rm(aside, { recursive: true, force: true });
+        } finally {
+            if (!keepStaging) await fs.promises.rm(staging, { recursive: true, force: true });
+        }
+        onProgress({ phase: "done", percent: 100 });
+        return meta;
+    }
+
+    // Paths relative to `root` that a restore of `paths` replaces; the backup store is kept when it
+    // lives inside, and so is `aside`, where the replaced files wait until the restore is done
+    async targets(root, paths, aside) {
+        const entries = paths.includes(".") ? await fs.promises.readdir(root).catch(() => []) : paths;
+        return entries.filter(rel => {
+            const target = path.join(root, rel);
+            return target !== aside && target !== this.baseDir && !this.baseDir.startsWith(target + path.sep);
+        });
+    }
+
+    // Moves `from` to `to`; directories merge into one that is still there (one holding the backup store)
+    static async moveInto(from, to) {
+        const existing = await fs.promises.lstat(to).catch(() => null);
+        if (existing && existing.isDirectory() && (await fs.promises.lstat(from)).isDirectory()) {
+            for (const entry of await fs.promises.readdir(from)) {
+                await BackupManager.moveInto(path.join(from, entry), path.join(to, entry));
+            }
+            return;
+        }
+        if (existing) await fs.promises.rm(to, { recursive: true, force: true });
+        try {
+            await fs.promises.rename(from, to);
+        } catch (err) {
+            // The instance directory may be a mount of its own
+            if (err.code !== "EXDEV") throw err;
+            await fs.promises.cp(from, to, { recursive: true, preserveTimestamps: true, verbatimSymlinks: true });
+            await fs.promises.rm(from, { recursive: true, force: true });
+        }
+    }
+
+    async delete(name, id) {
+        if (!BackupManager.isValidId(id)) throw new Error("Backup not found.");
+        await fs.promises.unlink(this.archivePath(name, id)).catch(() => { });
+        await fs.promises.unlink(this.manifestPath(name, id)).catch(() => { });
+        await fs.promises.unlink(path.join(this.instanceDir(name), `${id}.json`)).catch(() => { });
+    }
+
+    // Ids to keep: the newest `keepLast`, plus the newest backup of each of the last `keepDaily`
+    // days and `keepWeekly` weeks that have one. Without any limit everything is kept.
+    static selectRetained(backups, { keepLast = 0, keepDaily = 0, keepWeekly = 0 } = {}) {
+        const sorted = [...backups].sort((a, b) => b.id.localeCompare(a.id));
+        if (!keepLast && !keepDaily && !keepWeekly) return new Set(sorted.map(b => b.id));
+
+        const keep = new Set(sorted.slice(0, keepLast).map(b => b.id));
+        const newestPer = (keyOf, count) => {
+            const seen = new Set();
+            for (const backup of sorted) {
+                const key = keyOf(new Date(backup.createdAt));
+                if (seen.has(key)) continue;
+                if (seen.size >= count) break;
+                seen.add(key);
+                keep.add(backup.id);
+            }
+        };
+        newestPer(d => d.toDateString(), keepDaily);
+        // Weeks start on Monday
+        newestPer(d => {
+            const monday = new Date(d.getFullYear(), d.getMonth(), d.getDate() - ((d.getDay() + 6) % 7));
+            return monday.toDateString();
+        }, keepWeekly);
+        return keep;
+    }
+
+    async applyRetention(name, policy) {
+        const backups = await this.list(name);
+        const keep = BackupManager.selectRetained(backups, policy);
+        const removed = [];
+        for (const backup of backups) {
+            if (keep.has(backup.id)) continue;
+            await this.delete(name, backup.id);
+            removed.push(backup.id);
+        }
+        return removed;
+    }
+
+    renameInstance(oldName, newName) {
+        const from = this.instanceDir(oldName);
+        const to = this.instanceDir(newName);
+        if (fs.existsSync(from) && !fs.existsSync(to)) fs.renameSync(from, to);
+    }
+}
+
+BackupManager.MODES = MODES;
+
+module.exports = BackupManager;
@@ -0,0 +1,248 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const CONTROLLERS = ["memory", "cpu", "pids"];
+// cpu.max quota per `period` microseconds; 100% is one core
+const CPU_PERIOD_US = 100000;
+// The manager itself moves here: a cgroup with controllers enabled for its children cannot hold processes
+const MANAGER_LEAF = "manager";
+
+// Controller each limit needs
+const LIMIT_CONTROLLERS = { memoryMB: "memory", cpuPercent: "cpu", cpuWeight: "cpu", pidsMax: "pids" };
+
+function readText(file) {
+    try {
+        return fs.readFileSync(file, "utf-8");
+    } catch (e) {
+        return null;
+    }
+}
+
+// "max" -> null, "1234" -> 1234
+function readLimit(file) {
+    const text = readText(file);
+    if (text === null || text.trim() === "max") return null;
+    const value = parseInt(text, 10);
+    return Number.isNaN(value) ? null : value;
+}
+
+// "key value" lines, as in memory.events and cpu.stat
+function readKeyed(file) {
+    const result = {};
+    for (const line of (readText(file) || "").split("\n")) {
+        const [key, value] = line.trim().split(/\s+/);
+        if (key) result[key] = parseInt(value, 10);
+    }
+    return result;
+}
+
+// Optional per-instance resource limits, enforced with cgroups v2. Every instance that has limits
+// runs in its own cgroup below the manager's (or MMM_CGROUP_ROOT, a cgroup delegated to the
+// manager), named after the instance. Where cgroups are not available or not writable, e.g.
+// without systemd delegation (`Delegate=yes`), instances start without limits and `support`
+// says why.
+class CgroupLimits {
+    constructor(root = process.env.MMM_CGROUP_ROOT || null) {
+        this.configuredRoot = root;
+        this.root = null;
+        this.support = null;
+        // cgroup directory -> last { usageUsec, time }, for the CPU usage between two reads
+        this.cpuSamples = new Map();
+    }
+
+    // { memoryMB, cpuPercent, cpuWeight, pidsMax }; null means unlimited
+    static normalize(data = {}) {
+        const limits = {};
+        const ranges = { memoryMB: [16, Infinity], cpuPercent: [1, 100000], cpuWeight: [1, 10000], pidsMax: [1, 4194304] };
+        for (const [key, [min, max]] of Object.entries(ranges)) {
+            const raw = data[key];
+            if (raw === undefined || raw === null || raw === "") {
+                limits[key] = null;
+                continue;
+            }
+            const value = Number(raw);
+            if (!Number.isInteger(value) || value < min || value > max) throw new Error(`Invalid ${key}.`);
+            limits[key] = value;
+        }
+        return limits;
+    }
+
+    static isEmpty(limits) {
+        return !limits || Object.values(limits).every(v => v === null);
+    }
+
+    // Where cgroup2 is mounted, or null
+    static mountPoint() {
+        const mounts = readText("/proc/self/mounts") || "";
+        const line = mounts.split("\n").map(l => l.split(" ")).find(fields => fields[2] === "cgroup2");
+        return line ? line[1] : null;
+    }
+
+    // The cgroup v2 directory of a process, or null
+    static cgroupOf(pid) {
+        const mount = CgroupLimits.mountPoint();
+        const line = (readText(`/proc/${pid}/cgroup`) || "").split("\n").find(l => l.startsWith("0::"));
+        return mount && line ? path.resolve(path.join(mount, line.slice(3))) : null;
+    }
+
+    // Finds where instance cgroups go and which controllers they get, without changing anything.
+    // Until init() ran, `supported` only says that the setup is expected to work.
+    // Returns { supported, reason, root, controllers }.
+    check() {
+        if (this.support) return this.support;
+        let root;
+        if (this.configuredRoot) {
+            root = path.resolve(this.configuredRoot);
+        } else {
+            const own = CgroupLimits.cgroupOf(process.pid);
+            if (!own) return { supported: false, reason: "cgroup v2 is not mounted.", root: null, controllers: [] };
+            // After an earlier init the manager already lives in the leaf
+            root = path.basename(own) === MANAGER_LEAF ? path.dirname(own) : own;
+        }
+
+        const available = (readText(path.join(root, "cgroup.controllers")) || "").trim().split(/\s+/);
+        const controllers = CONTROLLERS.filter(c => available.includes(c));
+        if (!controllers.length) {
+            return { supported: false, reason: `None of the ${CONTROLLERS.join(", ")} controllers is available in ${root}; delegate them to the manager.`, root, controllers };
+        }
+        return { supported: true, reason: null, root, controllers };
+    }
+
+    // Sets up instance cgroups once: moves the manager into a leaf of the root and enables the
+    // controllers for its children. Only called when limits are about to be applied, since the
+    // move affects every process in the manager's cgroup. Returns the same as check().
+    init() {
+        if (this.support) return this.support;
+        const found = this.check();
+        this.root = found.root;
+        if (!found.supported) return (this.support = found);
+        const { controllers } = found;
+        try {
+            const pids = (readText(path.join(this.root, "cgroup.procs")) || "").split("\n").filter(Boolean);
+            // Only the root cgroup may hold processes next to child cgroups with controllers
+            if (pids.length && this.root !== path.resolve(CgroupLimits.mountPoint() || "/")) {
+                const leaf = path.join(this.root, MANAGER_LEAF);
+                fs.mkdirSync(leaf, { recursive: true });
+                // One process per write
+                for (const pid of pids) {
+                    try {
+                        fs.writeFileSync(path.join(leaf, "cgroup.procs"), pid);
+                    } catch (e) {
+                        // Gone meanwhile
+                        if (e.code !== "ESRCH") throw e;
+                    }
+                }
+            }
+            fs.writeFileSync(path.join(this.root, "cgroup.subtree_control"), controllers.map(c => `+${c}`).join(" "));
+        } catch (err) {
+            return (this.support = { supported: false, reason: `Cannot set up cgroups in ${this.root}: ${err.message}`, root: this.root, controllers: [] });
+        }
+        this.support = { supported: true, reason: null, root: this.root, controllers };
+        return this.support;
+    }
+
+    // Name of an instance's cgroup; the hash keeps names that read alike apart
+    static cgroupName(name) {
+        const slug = String(name).replace(/[^A-Za-z0-9_.-]+/g, "_").slice(0, 48);
+        const hash = crypto.createHash("sha1").update(String(name)).digest("hex").slice(0, 8);
+        return `instance-${slug}-${hash}`;
+    }
+
+    // Creates the cgroup of an instance and writes its limits. Returns
+    // { dir, oomKills, warnings }; `oomKills` is the count so far, to tell new OOM kills from old ones.
+    prepare(name, limits) {
+        const support = this.init();
+        if (!support.supported) throw new Error(support.reason);
+        const dir = path.join(this.root, CgroupLimits.cgroupName(name));
+        fs.mkdirSync(dir, { recursive: true });
+        const warnings = this.apply(dir, limits);
+        return { dir, oomKills: CgroupLimits.oomKills(dir), warnings };
+    }
+
+    // Writes the limits of a cgroup; unset ones are lifted. Returns warnings for limits whose
+    // controller is not available.
+    apply(dir, limits) {
+        const warnings = [];
+        const controllers = this.init().controllers;
+        const values = {
+            "memory.max": limits.memoryMB === null ? "max" : String(limits.memoryMB * 1024 * 1024),
+            // Without swap the limit holds for all the server's memory
+            "memory.swap.max": limits.memoryMB === null ? "max" : "0",
+            "cpu.max": limits.cpuPercent === null ? `max ${CPU_PERIOD_US}` : `${Math.round(limits.cpuPercent * CPU_PERIOD_US / 100)} ${CPU_PERIOD_US}`,
+            "cpu.weight": String(limits.cpuWeight === null ? 100 : limits.cpuWeight),
+            "pids.max": limits.pidsMax === null ? "max" : String(limits.pidsMax)
+        };
+        for (const [key, controller] of Object.entries(LIMIT_CONTROLLERS)) {
+            if (limits[key] !== null && !controllers.includes(controller)) {
+                warnings.push(`The ${controller} controller is not available; ${key} is not enforced.`);
+            }
+        }
+        for (const [file, value] of Object.entries(values)) {
+            if (!controllers.includes(file.split(".")[0])) continue;
+            try {
+                fs.writeFileSync(path.join(dir, file), value);
+            } catch (err) {
+                // memory.swap.max is missing when the kernel runs without swap accounting
+                if (file !== "memory.swap.max") throw new Error(`Cannot write ${file}: ${err.message}`);
+            }
+        }
+        return warnings;
+    }
+
+    static oomKills(dir) {
+        return readKeyed(path.join(dir, "memory.events")).oom_kill || 0;
+    }
+
+    // Current use against the limits: { memoryBytes, memoryMaxBytes, cpuPercent, cpuMaxPercent,
+    // cpuWeight, pids, pidsMax, oomKills }, or null when the cgroup does not exist. CPU use is
+    // the average since the previous read, null on the first.
+    usage(dir) {
+        if (!dir || !fs.existsSync(dir)) return null;
+        const cpuMax = (readText(path.join(dir, "cpu.max")) || "max").trim().split(/\s+/);
+        const usageUsec = readKeyed(path.join(dir, "cpu.stat")).usage_usec;
+        const now = Date.now();
+        const previous = this.cpuSamples.get(dir);
+        let cpuPercent = null;
+        if (previous && usageUsec !== undefined && now > previous.time) {
+            cpuPercent = (usageUsec - previous.usageUsec) / 1000 / (now - previous.time) * 100;
+        }
+        if (usageUsec !== undefined) this.cpuSamples.set(dir, { usageUsec, time: now });
+        return {
+            memoryBytes: readLimit(path.join(dir, "memory.current")),
+            memoryMaxBytes: readLimit(path.join(dir, "memory.max")),
+            cpuPercent,
+            cpuMaxPercent: cpuMax[0] === "max" ? null : parseInt(cpuMax[0], 10) / parseInt(cpuMax[1], 10) * 100,
+            cpuWeight: readLimit(path.join(dir, "cpu.weight")),
+            pids: readLimit(path.join(dir, "pids.current")),
+            pidsMax: readLimit(path.join(dir, "pids.max")),
+            oomKills: CgroupLimits.oomKills(dir)
+        };
+    }
+
+    // Kills every process in the cgroup, including ones the manager did not start itself.
+    // False where the kernel has no cgroup.kill (before Linux 5.14).
+    kill(dir) {
+        try {
+            fs.writeFileSync(path.join(dir, "cgroup.kill"), "1");
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    // Removes an instance's cgroup once its processes are gone; false while it still has some
+    release(dir) {
+        this.cpuSamples.delete(dir);
+        try {
+            fs.rmdirSync(dir);
+            return true;
+        } catch (e) {
+            return e.code === "ENOENT";
+        }
+    }
+}
+
+CgroupLimits.CONTROLLERS = CONTROLLERS;
+
+module.exports = CgroupLimits;
@@ -0,0 +1,378 @@
+// Line-based readers/writers for the config formats of Minecraft server software: Java
+// .properties (server.properties), TOML (velocity.toml) and YAML (bukkit.yml, spigot.yml, Paper).
+// They only understand scalar values (and TOML arrays of strings) addressed by dotted paths, and
+// change a file by replacing the value on its line, so comments, ordering and everything they do
+// not understand survive.
+// Values are read and written as plain strings; types are the caller's concern (see ConfigSchema).
+
+class PropertiesFile {
+    constructor(text) {
+        this.lines = text.split(/\r?\n/);
+        if (this.lines[this.lines.length - 1] === "") this.lines.pop();
+    }
+
+    static unescape(value) {
+        return value.replace(/\\(u[0-9a-fA-F]{4}|.)/g, (m, c) => {
+            if (c[0] === "u" && c.length === 5) return String.fromCharCode(parseInt(c.slice(1), 16));
+            return { t: "\t", n: "\n", r: "\r", f: "\f" }[c] || c;
+        });
+    }
+
+    // As java.util.Properties.store() writes it, which is what the server itself produces
+    static escape(value) {
+        return String(value)
+            .replace(/[\\=:#!]/g, c => `\\${c}`)
+            .replace(/\t/g, "\\t").replace(/\n/g, "\\n").replace(/\r/g, "\\r")
+            .replace(/^ /, "\\ ")
+            .replace(/[^\x20-\x7e]/g, c => `\\u${c.charCodeAt(0).toString(16).padStart(4, "0")}`);
+    }
+
+    parseLine(line) {
+        if (/^\s*([#!]|$)/.test(line)) return null;
+        const match = /^\s*((?:\\.|[^=:\s\\])+)\s*[=:]?\s*(.*)$/.exec(line);
+        return match && { key: PropertiesFile.unescape(match[1]), value: PropertiesFile.unescape(match[2]) };
+    }
+
+    entries() {
+        return this.lines.map(line => this.parseLine(line)).filter(Boolean);
+    }
+
+    get(key) {
+        const entry = this.entries().find(e => e.key === key);
+        return entry ? entry.value : undefined;
+    }
+
+    set(key, value) {
+        const line = `${key}=${PropertiesFile.escape(value)}`;
+        const index = this.lines.findIndex(l => {
+            const entry = this.parseLine(l);
+            return entry && entry.key === key;
+        });
+        if (index === -1) this.lines.push(line);
+        else this.lines[index] = line;
+    }
+
+    toString() {
+        return this.lines.join("\n") + "\n";
+    }
+}
+
+// Splits `rest` (what follows "key =" or "key:") into the value and an optional trailing comment
+function splitComment(rest, commentChar = "#") {
+    const trimmed = rest.trimStart();
+    const lead = rest.length - trimmed.length;
+    let end;
+    if (trimmed[0] === '"' || trimmed[0] === "'") {
+        const quote = trimmed[0];
+        end = 1;
+        while (end < trimmed.length) {
+            // TOML basic strings escape with a backslash, YAML single quotes double themselves
+            if (quote === '"' && trimmed[end] === "\\") end++;
+            else if (trimmed[end] === quote) {
+                if (quote !== "'" || trimmed[end + 1] !== "'") break;
+                end++;
+            }
+            end++;
+        }
+        end = Math.min(end + 1, trimmed.length);
+    } else {
+        const comment = trimmed.search(new RegExp(`(^|\\s)${commentChar}`));
+        end = comment === -1 ? trimmed.length : comment;
+    }
+    const value = trimmed.slice(0, end).trimEnd();
+    return { start: lead, end: lead + value.length, value };
+}
+
+class TomlFile {
+    constructor(text) {
+        this.lines = text.split(/\r?\n/);
+        if (this.lines[this.lines.length - 1] === "") this.lines.pop();
+    }
+
+    static unquote(raw) {
+        if (raw.startsWith('"')) {
+            return raw.slice(1, -1).replace(/\\(u[0-9a-fA-F]{4}|.)/g, (m, c) =>
+                c[0] === "u" && c.length === 5 ? String.fromCharCode(parseInt(c.slice(1), 16)) : ({ t: "\t", n: "\n", r: "\r" }[c] || c));
+        }
+        if (raw.startsWith("'")) return raw.slice(1, -1);
+        return raw;
+    }
+
+    static quote(value) {
+        return `"${String(value).replace(/[\\"]/g, c => `\\${c}`).replace(/\n/g, "\\n").replace(/\t/g, "\\t")}"`;
+    }
+
+    // Scalar entries with their line, and arrays with their first and last line; inline tables
+    // and [[array tables]] are skipped
+    scan() {
+        const entries = [];
+        const arrays = [];
+        const tables = [];
+        let table = "";
+        let skipping = false;
+        let depth = 0;
+        let array = null;
+        const brackets = text => (text.match(/\[/g) || []).length - (text.match(/\]/g) || []).length;
+        this.lines.forEach((line, index) => {
+            if (depth > 0) {
+                depth += brackets(line);
+                if (array) {
+                    array.text += "\n" + line;
+                    array.end = index;
+                    if (depth <= 0) array = null;
+                }
+                return;
+            }
+            const header = /^\s*(\[\[?)\s*([^\]]+?)\s*\]\]?\s*(#.*)?$/.exec(line);
+            if (header) {
+                skipping = header[1] === "[[";
+                table = header[2].split(".").map(k => TomlFile.unquote(k.trim())).join(".");
+                if (!skipping) tables.push({ name: table, index });
+                return;
+            }
+            const match = /^(\s*)("(?:[^"\\]|\\.)*"|'[^']*'|[\w-]+)\s*=/.exec(line);
+            if (!match || skipping) return;
+            const rest = line.slice(match[0].length);
+            const value = splitComment(rest);
+            const key = TomlFile.unquote(match[2]);
+            const path = table ? `${table}.${key}` : key;
+            if (value.value.startsWith("[") || value.value.startsWith("{")) {
+                depth = brackets(rest);
+                if (value.value.startsWith("[")) {
+                    array = { key: path, index, end: index, table, text: rest };
+                    arrays.push(array);
+                    if (depth <= 0) array = null;
+                }
+                return;
+            }
+            entries.push({
+                key: path,
+                value: TomlFile.unquote(value.value),
+                index,
+                start: match[0].length + value.start,
+                end: match[0].length + value.end,
+                table
+            });
+        });
+        for (const a of arrays) {
+            const text = a.text.split("\n").map(l => splitComment(l).value).join("\n");
+            a.values = [...text.matchAll(/"(?:[^"\\]|\\.)*"|'[^']*'/g)].map(m => TomlFile.unquote(m[0]));
+            delete a.text;
+        }
+        return { entries, arrays, tables };
+    }
+
+    entries() {
+        return this.scan().entries.map(({ key, value }) => ({ key, value }));
+    }
+
+    get(key) {
+        const entry = this.scan().entries.find(e => e.key === key);
+        return entry ? entry.value : undefined;
+    }
+
+    // `raw` is already in TOML syntax: quoted for strings (see quote()), bare for booleans and numbers
+    set(key, raw) {
+        const { entries, tables } = this.scan();
+        const entry = entries.find(e => e.key === key);
+        if (entry) {
+            const line = this.lines[entry.index];
+            this.lines[entry.index] = line.slice(0, entry.start) + raw + line.slice(entry.end);
+            return;
+        }
+
+        this.insert(key, raw, entries, tables);
+    }
+
+    // A new `key = raw` line after the last scalar of its table, creating the table if needed
+    insert(key, raw, entries, tables) {
+        const dot = key.lastIndexOf(".");
+        const table = dot === -1 ? "" : key.slice(0, dot);
+        const name = key.slice(dot + 1);
+        const lines = `${/^[\w-]+$/.test(name) ? name : TomlFile.quote(name)} = ${raw}`.split("\n");
+        const inTable = entries.filter(e => e.table === table);
+        if (inTable.length) {
+            this.lines.splice(inTable[inTable.length - 1].index + 1, 0, ...lines);
+        } else if (table === "") {
+            const first = tables.length ? tables[0].index : this.lines.length;
+            this.lines.splice(first, 0, ...lines);
+        } else {
+            const header = tables.find(t => t.name === table);
+            if (header) this.lines.splice(header.index + 1, 0, ...lines);
+            else this.lines.push("", `[${table}]`, ...lines);
+        }
+    }
+
+    // The strings of an array, or undefined
+    getArray(key) {
+        const array = this.scan().arrays.find(a => a.key === key);
+        return array ? array.values : undefined;
+    }
+
+    // Writes the array one string per line, replacing all lines of an existing one
+    setArray(key, values) {
+        const { entries, arrays, tables } = this.scan();
+        const raw = values.length ? `[\n${values.map(v => `    ${TomlFile.quote(v)}`).join(",\n")}\n]` : "[]";
+        const array = arrays.find(a => a.key === key);
+        if (!array) return this.insert(key, raw, entries, tables);
+        const line = this.lines[array.index];
+        const lines = (line.slice(0, line.indexOf("=") + 1) + " " + raw).split("\n");
+        this.lines.splice(array.index, array.end - array.index + 1, ...lines);
+    }
+
+    // Returns false if there is no such scalar or array
+    remove(key) {
+        const { entries, arrays } = this.scan();
+        const entry = entries.find(e => e.key === key);
+        const array = arrays.find(a => a.key === key);
+        if (entry) this.lines.splice(entry.index, 1);
+        else if (array) this.lines.splice(array.index, array.end - array.index + 1);
+        return !!(entry || array);
+    }
+
+    toString() {
+        return this.lines.join("\n") + "\n";
+    }
+}
+
+class YamlFile {
+    constructor(text) {
+        this.lines = text.split(/\r?\n/);
+        if (this.lines[this.lines.length - 1] === "") this.lines.pop();
+    }
+
+    static unquote(raw) {
+        if (raw.startsWith("'")) return raw.slice(1, -1).replace(/''/g, "'");
+        if (raw.startsWith('"')) {
+            return raw.slice(1, -1).replace(/\\(u[0-9a-fA-F]{4}|.)/g, (m, c) =>
+                c[0] === "u" && c.length === 5 ? String.fromCharCode(parseInt(c.slice(1), 16)) : ({ t: "\t", n: "\n" }[c] || c));
+        }
+        return raw;
+    }
+
+    // Plain when YAML would read the text back unchanged as a string, single-quoted otherwise
+    static quote(value) {
+        const text = String(value);
+        const plain = text !== "" && !/^[\s\-?:,\[\]{}#&*!|>'"%@`]|[:#]\s|\s$|:$/.test(text)
+            && !/^(true|false|yes|no|on|off|null|~|[-+]?(\d[\d_]*(\.\d*)?|\.\d+)([eE][-+]?\d+)?)$/i.test(text);
+        return plain ? text : `'${text.replace(/'/g, "''")}'`;
+    }
+
+    // Scalar mapping entries (dotted paths) with their line, plus every mapping line for inserting
+    scan() {
+        const entries = [];
+        const mappings = [];
+        const stack = [];
+        let blockIndent = null;
+        this.lines.forEach((line, index) => {
+            const indent = line.length - line.trimStart().length;
+            if (blockIndent !== null) {
+                if (line.trim() === "" || indent > blockIndent) return;
+                blockIndent = null;
+            }
+            if (/^\s*(#|$)/.test(line) || /^(---|\.\.\.)/.test(line)) return;
+            // Sequences (and mappings inside them) are not addressable
+            if (/^\s*-(\s|$)/.test(line)) {
+                blockIndent = indent;
+                return;
+            }
+            const match = /^(\s*)('(?:[^']|'')*'|"(?:[^"\\]|\\.)*"|[^\s'"#][^:#]*?)\s*:(\s|$)/.exec(line);
+            if (!match) return;
+            while (stack.length && stack[stack.length - 1].indent >= indent) stack.pop();
+            const key = YamlFile.unquote(match[2]);
+            const path = [...stack.map(s => s.key), key].join(".");
+            const rest = line.slice(match[0].length - match[3].length);
+            const value = splitComment(rest);
+            if (value.value === "") {
+                stack.push({ indent, key });
+                mappings.push({ path, index, indent });
+                return;
+            }
+            if (/^[|>]/.test(value.value)) {
+                blockIndent = indent;
+                return;
+            }
+            if (/^[\[{&*!]/.test(value.value)) return;
+            const offset = match[0].length - match[3].length;
+            entries.push({ key: path, value: YamlFile.unquote(value.value), index, indent, start: offset + value.start, end: offset + value.end });
+        });
+        return { entries, mappings };
+    }
+
+    entries() {
+        return this.scan().entries.map(({ key, value }) => ({ key, value }));
+    }
+
+    get(key) {
+        const entry = this.scan().entries.find(e => e.key === key);
+        return entry ? entry.value : undefined;
+    }
+
+    // Last line belonging to the block that starts at `index` with `indent`
+    blockEnd(index, indent) {
+        let last = index;
+        for (let i = index + 1; i < this.lines.length; i++) {
+            const line = this.lines[i];
+            if (line.trim() === "" || /^\s*#/.test(line)) continue;
+            if (line.length - line.trimStart().length <= indent) break;
+            last = i;
+        }
+        return last;
+    }
+
+    // `raw` is already in YAML syntax (see quote())
+    set(key, raw) {
+        const { entries, mappings } = this.scan();
+        const entry = entries.find(e => e.key === key);
+        if (entry) {
+            const line = this.lines[entry.index];
+            this.lines[entry.index] = line.slice(0, entry.start) + raw + line.slice(entry.end);
+            return;
+        }
+
+        // Below the deepest existing parent mapping, creating the missing ones
+        const parts = key.split(".");
+        let depth = parts.length - 1;
+        let parent = null;
+        while (depth > 0 && !(parent = mappings.find(m => m.path === parts.slice(0, depth).join(".")))) depth--;
+        let at = parent ? this.blockEnd(parent.index, parent.indent) + 1 : this.lines.length;
+        let indent = 0;
+        if (parent) {
+            const child = this.lines.slice(parent.index + 1, at).find(l => l.trim() && !/^\s*#/.test(l));
+            indent = child ? child.length - child.trimStart().length : parent.indent + 2;
+        }
+        const step = parent ? indent - parent.indent : 2;
+        const added = parts.slice(depth).map((part, i, rest) => " ".repeat(indent + i * step) +
+            `${YamlFile.quote(part)}:${i === rest.length - 1 ? ` ${raw}` : ""}`);
+        this.lines.splice(at, 0, ...added);
+    }
+
+    // Removes a scalar or a whole mapping; returns false if there is no such key
+    remove(key) {
+        const { entries, mappings } = this.scan();
+        const found = entries.find(e => e.key === key) || mappings.find(m => m.path === key);
+        if (!found) return false;
+        this.lines.splice(found.index, this.blockEnd(found.index, found.indent) - found.index + 1);
+        return true;
+    }
+
+    toString() {
+        return this.lines.join("\n") + "\n";
+    }
+}
+
+const FORMATS = { properties: PropertiesFile, toml: TomlFile, yaml: YamlFile };
+
+class ConfigFile {
+    static parse(format, text) {
+        const Format = FORMATS[format];
+        if (!Format) throw new Error(`Unknown config format: ${format}`);
+        return new Format(text || "");
+    }
+}
+
+ConfigFile.PropertiesFile = PropertiesFile;
+ConfigFile.TomlFile = TomlFile;
+ConfigFile.YamlFile = YamlFile;
+
+module.exports = ConfigFile;
@@ -0,0 +1,267 @@
+const fs = require("fs");
+const path = require("path");
+const ConfigFile = require("./ConfigFile");
+
+// Field types: "boolean", "int" (with optional min/max), "enum" (options) and "string".
+// `restart`: the server only reads the value at startup. `secret`: shown as a password field.
+const bool = (key, defaultValue, description, extra = {}) => ({ key, type: "boolean", default: defaultValue, description, restart: true, ...extra });
+const int = (key, defaultValue, min, max, description, extra = {}) => ({ key, type: "int", default: defaultValue, min, max, description, restart: true, ...extra });
+const choice = (key, defaultValue, options, description, extra = {}) => ({ key, type: "enum", default: defaultValue, options, description, restart: true, ...extra });
+const str = (key, defaultValue, description, extra = {}) => ({ key, type: "string", default: defaultValue, description, restart: true, ...extra });
+
+const MAX_INT = 2147483647;
+
+// Config files with a schema, by path relative to the instance's working directory. `reload` is
+// the console command that applies changes without a restart (for fields with restart: false).
+const SCHEMAS = [
+    {
+        file: "server.properties",
+        format: "properties",
+        title: "Server (server.properties)",
+        fields: [
+            str("motd", "A Minecraft Server", "Message shown in the server list. § color codes are allowed."),
+            int("server-port", 25565, 1, 65535, "TCP port players connect to."),
+            str("server-ip", "", "Address to bind to; empty for all interfaces."),
+            int("max-players", 20, 0, MAX_INT, "Maximum number of players online at once."),
+            bool("online-mode", true, "Verify players with Mojang. Turn off only behind a proxy that verifies them."),
+            bool("white-list", false, "Only allow players on the whitelist."),
+            bool("enforce-whitelist", false, "Kick players not on the whitelist when it is reloaded."),
+            choice("gamemode", "survival", ["survival", "creative", "adventure", "spectator"], "Game mode for new players."),
+            bool("force-gamemode", false, "Put players into the default game mode every time they join."),
+            choice("difficulty", "easy", ["peaceful", "easy", "normal", "hard"], "World difficulty."),
+            bool("hardcore", false, "Players are set to spectator mode when they die."),
+            bool("pvp", true, "Players can damage each other."),
+            str("level-name", "world", "Folder of the world to load or create."),
+            str("level-seed", "", "Seed for a newly generated world; empty for a random one."),
+            str("level-type", "minecraft:normal", "World preset for new worlds, e.g. minecraft:flat or minecraft:amplified."),
+            bool("generate-structures", true, "Generate villages, strongholds and other structures."),
+            bool("allow-nether", true, "Allow players to travel to the Nether."),
+            bool("allow-flight", false, "Do not kick players that fly in survival mode (needed by some mods)."),
+            bool("spawn-monsters", true, "Spawn hostile mobs."),
+            int("spawn-protection", 16, 0, MAX_INT, "Radius around spawn that only operators can build in; 0 to turn off."),
+            int("view-distance", 10, 3, 32, "Chunk radius sent to players."),
+            int("simulation-distance", 10, 3, 32, "Chunk radius around players in which entities are updated."),
+            int("max-world-size", 29999984, 1, 29999984, "Radius of the world border in blocks."),
+            int("entity-broadcast-range-percentage", 100, 10, 1000, "How far away entities are sent to players, in percent."),
+            int("player-idle-timeout", 0, 0, MAX_INT, "Minutes after which idle players are kicked; 0 to never kick."),
+            int("op-permission-level", 4, 0, 4, "Permission level given by /op."),
+            bool("enable-command-block", false, "Allow command blocks."),
+            int("network-compression-threshold", 256, -1, MAX_INT, "Packets larger than this many bytes are compressed; -1 to turn off."),
+            bool("prevent-proxy-connections", false, "Kick players whose Mojang login came from a different address."),
+            bool("enable-status", true, "Answer server list pings."),
+            bool("hide-online-players", false, "Do not send the list of online players to server list pings."),
+            bool("sync-chunk-writes", true, "Write chunks synchronously; safer, but slower."),
+            str("resource-pack", "", "URL of a resource pack players are offered."),
+            bool("require-resource-pack", false, "Kick players that decline the resource pack."),
+            bool("enable-rcon", false, "Accept remote console connections (used by the manager for commands and stopping)."),
+            int("rcon.port", 25575, 1, 65535, "Remote console port."),
+            str("rcon.password", "", "Remote console password.", { secret: true }),
+            bool("enable-query", false, "Answer GameSpy4 queries (UDP)."),
+            int("query.port", 25565, 1, 65535, "UDP port for queries.")
+        ]
+    },
+    {
+        file: "velocity.toml",
+        format: "toml",
+        title: "Velocity (velocity.toml)",
+        reload: "velocity reload",
+        fields: [
+            str("bind", "0.0.0.0:25565", "Address and port the proxy listens on."),
+            str("motd", "<#09add3>A Velocity Server", "Server list message in MiniMessage format.", { restart: false }),
+            int("show-max-players", 500, 0, MAX_INT, "Maximum player count shown in the server list.", { restart: false }),
+            bool("online-mode", true, "Verify players with Mojang."),
+            bool("force-key-authentication", true, "Require players to sign chat with their Mojang key.", { restart: false }),
+            choice("player-info-forwarding-mode", "none", ["none", "legacy", "bungeeguard", "modern"],
+                "How player addresses and UUIDs are passed to backend servers. Paper backends use modern."),
+            str("forwarding-secret-file", "forwarding.secret", "File with the secret shared with backends for modern forwarding."),
+            bool("announce-forge", false, "Announce the proxy as Forge/FML compatible.", { restart: false }),
+            bool("kick-existing-players", false, "Kick a player already online when the same account joins again.", { restart: false }),
+            choice("ping-passthrough", "disabled", ["disabled", "mods", "description", "all"],
+                "What server list pings take from the first backend.", { restart: false }),
+            int("advanced.compression-threshold", 256, -1, MAX_INT, "Packets larger than this many bytes are compressed; -1 to turn off."),
+            int("advanced.login-ratelimit", 3000, 0, MAX_INT, "Milliseconds a client has to wait between logins; 0 to turn off."),
+            bool("query.enabled", false, "Answer GameSpy4 queries (UDP)."),
+            int("query.port", 25565, 1, 65535, "UDP port for queries.")
+        ]
+    },
+    {
+        file: "bukkit.yml",
+        format: "yaml",
+        title: "Bukkit (bukkit.yml)",
+        fields: [
+            bool("settings.allow-end", true, "Allow players to travel to the End."),
+            bool("settings.warn-on-overload", true, "Log a warning when the server cannot keep up."),
+            int("settings.connection-throttle", 4000, -1, MAX_INT, "Milliseconds a client has to wait before reconnecting; -1 to turn off."),
+            str("settings.shutdown-message", "Server closed", "Kick message shown to players when the server stops."),
+            int("spawn-limits.monsters", 70, -1, MAX_INT, "Hostile mobs per player."),
+            int("spawn-limits.animals", 10, -1, MAX_INT, "Passive mobs per player."),
+            int("spawn-limits.water-animals", 5, -1, MAX_INT, "Squid and dolphins per player."),
+            int("spawn-limits.ambient", 15, -1, MAX_INT, "Bats per player."),
+            int("ticks-per.autosave", 6000, 0, MAX_INT, "Ticks between world saves (20 ticks per second); 0 to turn off.")
+        ]
+    },
+    {
+        file: "spigot.yml",
+        format: "yaml",
+        title: "Spigot (spigot.yml)",
+        fields: [
+            bool("settings.bungeecord", false, "Accept player information forwarded by a BungeeCord proxy (legacy forwarding)."),
+            bool("settings.restart-on-crash", true, "Run the restart script after a crash. Leave off when the manager's restart policy is used."),
+            int("settings.timeout-time", 60, 1, MAX_INT, "Seconds without a server tick before the watchdog dumps threads and stops the server."),
+            bool("settings.save-user-cache-on-stop-only", false, "Write usercache.json only when the server stops."),
+            str("messages.whitelist", "You are not whitelisted on this server!", "Kick message for players not on the whitelist."),
+            str("messages.unknown-command", "Unknown command. Type \"/help\" for help.", "Reply to unknown commands."),
+            int("world-settings.default.item-despawn-rate", 6000, 0, MAX_INT, "Ticks until dropped items disappear."),
+            int("world-settings.default.mob-spawn-range", 8, 0, MAX_INT, "Chunk radius around players in which mobs spawn.")
+        ]
+    },
+    {
+        file: "config/paper-global.yml",
+        format: "yaml",
+        title: "Paper (config/paper-global.yml)",
+        fields: [
+            bool("proxies.velocity.enabled", false, "Accept player information forwarded by Velocity (modern forwarding)."),
+            bool("proxies.velocity.online-mode", true, "The Velocity proxy verifies players with Mojang."),
+            str("proxies.velocity.secret", "", "Forwarding secret; must match the proxy's forwarding.secret.", { secret: true }),
+            bool("proxies.bungee-cord.online-mode", true, "The BungeeCord proxy verifies players with Mojang."),
+            int("misc.max-joins-per-tick", 5, 1, MAX_INT, "Players that may join in the same tick.")
+        ]
+    }
+];
+
+// Typed, validated settings of the config files above, for editing without a text editor
+class ConfigSchema {
+    static find(file) {
+        return SCHEMAS.find(s => s.file === file) || null;
+    }
+
+    // Schemas whose file exists in the working directory
+    static available(workingDir) {
+        return SCHEMAS.filter(s => fs.existsSync(path.join(workingDir, s.file)))
+            .map(({ file, format, title }) => ({ file, format, title }));
+    }
+
+    // The typed value of `value`, or throws with a message for the user
+    static coerce(field, value) {
+        const text = typeof value === "string" ? value.trim() : value;
+        switch (field.type) {
+            case "boolean":
+                if (text === true || text === "true") return true;
+                if (text === false || text === "false") return false;
+                throw new Error("must be true or false");
+            case "int": {
+                const number = typeof text === "number" ? text : (/^-?\d+$/.test(text) ? Number(text) : NaN);
+                if (!Number.isInteger(number)) throw new Error("must be a whole number");
+                if (field.min !== undefined && number < field.min) throw new Error(`must be at least ${field.min}`);
+                if (field.max !== undefined && number > field.max) throw new Error(`must be at most ${field.max}`);
+                return number;
+            }
+            case "enum": {
+                const option = String(text).toLowerCase();
+                if (!field.options.includes(option)) throw new Error(`must be one of: ${field.options.join(", ")}`);
+                return option;
+            }
+            default:
+                if (typeof value !== "string" && typeof value !== "number") throw new Error("must be text");
+                if (/[\r\n]/.test(String(value))) throw new Error("must be a single line");
+                return String(value);
+        }
+    }
+
+    // Value as written into the file
+    static serialize(schema, field, value) {
+        if (schema.format === "properties" || field.type !== "string") return String(value);
+        return schema.format === "toml" ? ConfigFile.TomlFile.quote(value) : ConfigFile.YamlFile.quote(value);
+    }
+
+    static load(workingDir, schema) {
+        let text;
+        try {
+            text = fs.readFileSync(path.join(workingDir, schema.file), "utf-8");
+        } catch (e) {
+            const err = new Error(`${schema.file} does not exist yet; start the server once to create it.`);
+            err.status = 404;
+            throw err;
+        }
+        return ConfigFile.parse(schema.format, text);
+    }
+
+    // { file, format, title, reload, fields: [{ ...field, value, present, invalid? }], unknown: [{ key, value }] }
+    static read(workingDir, file) {
+        const schema = ConfigSchema.find(file);
+        if (!schema) throw new Error(`No editor for ${file}`);
+        const config = ConfigSchema.load(workingDir, schema);
+        const entries = config.entries();
+        const values = new Map(entries.map(e => [e.key, e.value]));
+
+        const fields = schema.fields.map(field => {
+            const present = values.has(field.key);
+            const result = { ...field, present, value: field.default };
+            if (present) {
+                try {
+                    result.value = ConfigSchema.coerce(field, values.get(field.key));
+                } catch (err) {
+                    result.value = values.get(field.key);
+                    result.invalid = err.message;
+                }
+            }
+            return result;
+        });
+        const known = new Set(schema.fields.map(f => f.key));
+        const unknown = entries.filter(e => !known.has(e.key));
+        return { file: schema.file, format: schema.format, title: schema.title, reload: schema.reload || null, fields, unknown };
+    }
+
+    // Validates all of `values` (key -> value) and writes the ones that changed. Throws with
+    // `errors` (key -> message) if any is invalid. Resolves to { changes: [{ key, from, to, restart }] }.
+    static async write(workingDir, file, values) {
+        const schema = ConfigSchema.find(file);
+        if (!schema) throw new Error(`No editor for ${file}`);
+        const config = ConfigSchema.load(workingDir, schema);
+        const current = new Map(config.entries().map(e => [e.key, e.value]));
+
+        const errors = {};
+        const changes = [];
+        for (const [key, value] of Object.entries(values || {})) {
+            const field = schema.fields.find(f => f.key === key);
+            if (!field) {
+                errors[key] = `${key} is not a known setting`;
+                continue;
+            }
+            let typed;
+            try {
+                typed = ConfigSchema.coerce(field, value);
+            } catch (err) {
+                errors[key] = `${key} ${err.message}`;
+                continue;
+            }
+            const present = current.has(key);
+            let before = present ? current.get(key) : field.default;
+            try {
+                if (present) before = ConfigSchema.coerce(field, before);
+            } catch (e) { }
+            // Missing keys take their default; writing the default would only add noise
+            if (before === typed && (present || typed === field.default)) continue;
+            changes.push({ key, from: before, to: typed, restart: field.restart, field });
+        }
+        if (Object.keys(errors).length) {
+            const err = new Error(Object.values(errors).join("; "));
+            err.errors = errors;
+            err.status = 400;
+            throw err;
+        }
+
+        for (const change of changes) config.set(change.key, ConfigSchema.serialize(schema, change.field, change.to));
+        if (changes.length) {
+            const target = path.join(workingDir, schema.file);
+            const temp = `${target}.${process.pid}.tmp`;
+            await fs.promises.writeFile(temp, config.toString());
+            await fs.promises.rename(temp, target);
+        }
+        return { changes: changes.map(({ field, ...change }) => field.secret ? { ...change, from: "***", to: "***" } : change) };
+    }
+}
+
+ConfigSchema.SCHEMAS = SCHEMAS;
+
+module.exports = ConfigSchema;
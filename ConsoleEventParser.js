@@ -0,0 +1,270 @@
+const LogSearch = require("./LogSearch");
+
+// "[12:00:00 INFO]: ", "[12:00:00] [Server thread/INFO]: ", "[12:00:00] [Server thread/INFO] (Minecraft) "
+// or BungeeCord's "12:00:00 [INFO] "
+const PREFIX_PATTERN = /^(?:\[[^\]]*\](?:\s*\[[^\]]*\])?(?:\s*\([^)]*\))?:?|\d{2}:\d{2}:\d{2} \[[A-Z]+\]:?)\s*/;
+const NAME = "([A-Za-z0-9_]{1,16})";
+const UUID = "([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})";
+const ADDRESS = "\\/?([0-9a-fA-F.:\\[\\]]+?)(?::(\\d+))?";
+
+// Single-line patterns, tried in order; `build` turns the match into event fields
+const RULES = [
+    // Paper/Spigot/Vanilla
+    {
+        type: "player_uuid",
+        pattern: new RegExp(`^UUID of player ${NAME} is ${UUID}$`),
+        build: m => ({ player: m[1], uuid: m[2] })
+    },
+    {
+        type: "player_login",
+        pattern: new RegExp(`^${NAME}\\[${ADDRESS}\\] logged in with entity id (\\d+)`),
+        build: m => ({ player: m[1], ip: m[2], port: m[3] ? +m[3] : null, entityId: +m[4] })
+    },
+    {
+        type: "player_join",
+        pattern: new RegExp(`^${NAME} joined the game$`),
+        build: m => ({ player: m[1] })
+    },
+    {
+        type: "player_leave",
+        pattern: new RegExp(`^${NAME} left the game$`),
+        build: m => ({ player: m[1] })
+    },
+    {
+        type: "player_leave",
+        pattern: new RegExp(`^${NAME} lost connection: (.*)$`),
+        build: m => ({ player: m[1], reason: m[2] })
+    },
+    // Velocity
+    {
+        type: "player_join",
+        pattern: new RegExp(`^\\[connected player\\] ${NAME} \\(${ADDRESS}\\) has connected$`),
+        build: m => ({ player: m[1], ip: m[2], port: m[3] ? +m[3] : null })
+    },
+    {
+        type: "player_leave",
+        pattern: new RegExp(`^\\[connected player\\] ${NAME} \\(${ADDRESS}\\) has disconnected`),
+        build: m => ({ player: m[1], ip: m[2], port: m[3] ? +m[3] : null })
+    },
+    // BungeeCord ("[Name,/address:port]"; older versions used "|")
+    {
+        type: "player_join",
+        pattern: new RegExp(`^\\[${NAME}[,|]?${ADDRESS}\\] <-> InitialHandler has connected$`),
+        build: m => ({ player: m[1], ip: m[2], port: m[3] ? +m[3] : null })
+    },
+    {
+        type: "player_leave",
+        pattern: new RegExp(`^\\[${NAME}\\] -> UpstreamBridge has disconnected$`),
+        build: m => ({ player: m[1] })
+    },
+    {
+        type: "player_leave",
+        pattern: new RegExp(`^\\[${NAME}\\] disconnected with: (.*)$`),
+        build: m => ({ player: m[1], reason: m[2] })
+    },
+    // Chat, with or without the unsigned marker
+    {
+        type: "chat",
+        pattern: new RegExp(`^(?:\\[Not Secure\\] )?<${NAME}> (.*)$`),
+        build: m => ({ player: m[1], message: m[2] })
+    },
+    {
+        type: "advancement",
+        pattern: new RegExp(`^${NAME} has (made the advancement|completed the challenge|reached the goal) \\[(.+)\\]$`),
+        build: m => ({
+            player: m[1],
+            kind: { "made the advancement": "task", "completed the challenge": "challenge", "reached the goal": "goal" }[m[2]],
+            advancement: m[3]
+        })
+    },
+    {
+        type: "lag",
+        pattern: /^Can't keep up! Is the server overloaded\? Running (\d+)ms or (\d+) ticks behind/,
+        build: m => ({ behindMs: +m[1], behindTicks: +m[2] })
+    },
+    {
+        type: "startup_complete",
+        pattern: /^Done \((\d+(?:[.,]\d+)?)s\)!/,
+        build: m => ({ seconds: parseFloat(m[1].replace(",", ".")) })
+    },
+    {
+        type: "world_saved",
+        pattern: /^Saved the game$/,
+        build: () => ({})
+    },
+    // Plugin/mod failures
+    {
+        type: "plugin_error",
+        pattern: /^Error occurred while enabling (\S+) v?(\S+)/,
+        build: m => ({ plugin: m[1], version: m[2], phase: "enable" })
+    },
+    {
+        type: "plugin_error",
+        pattern: /^Could not load '([^']+)' in (?:folder|the folder) '([^']+)'/,
+        build: m => ({ plugin: m[1], folder: m[2], phase: "load" })
+    },
+    {
+        type: "plugin_error",
+        pattern: /^(?:Can't create plugin|Unable to (?:enable|load) plugin) (\S+)/,
+        build: m => ({ plugin: m[1], phase: "load" })
+    },
+    {
+        type: "plugin_error",
+        pattern: /^(?:Incompatible mods? found!|Mod resolution failed)/,
+        build: () => ({ plugin: null, phase: "resolve" })
+    }
+];
+
+// Vanilla death messages start with the victim's name followed by one of these
+const DEATH_PHRASES = [
+    "was ", "fell ", "drowned", "died", "blew up", "burned to death", "hit the ground too hard",
+    "starved to death", "suffocated", "went up in flames", "walked into", "tried to swim in lava",
+    "froze to death", "experienced kinetic energy", "withered away", "discovered the floor was lava",
+    "went off with a bang", "didn't want to live", "left the confines of this world", "fell out of the world",
+    "was killed", "was slain", "was shot", "was blown up", "was pricked to death", "was impaled",
+    "was squashed", "was squished", "was stung to death", "was poked to death", "was fireballed"
+];
+
+// Answer to `list`: "There are 2 of a max of 20 players online: A, B" (1.13+), or
+// "There are 2/20 players online:" / "There are 2 out of maximum 20 players online." with the names on the next line
+const LIST_PATTERN = /^There (?:are|is) (\d+)(?: of a max of |\/| out of maximum )(\d+) players? online[:.]?\s*(.*)$/;
+
+const EXCEPTION_PATTERN = /^(?:Caused by: )?((?:[a-zA-Z_$][\w$]*\.)+[A-Z][\w$]*(?:Exception|Error|Throwable))(?::\s*(.*))?$/;
+const STACK_PATTERN = /^\s+(?:at |\.\.\. \d+ more)|^Caused by: |^\s+Suppressed: /;
+
+// Turns console lines of one instance into typed events. Stateful: it remembers who is
+// online (to tell deaths from other chatter) and collects multi-line stack traces.
+class ConsoleEventParser {
+    constructor() {
+        this.online = new Set();
+        this.pendingException = null;
+        this.pendingList = null;
+        this.lastErrorLine = null;
+    }
+
+    static stripPrefix(line) {
+        return LogSearch.stripAnsi(line).replace(PREFIX_PATTERN, "").trim();
+    }
+
+    // Returns the events completed by this line (usually zero or one)
+    feed(rawLine) {
+        const events = [];
+        const clean = LogSearch.stripAnsi(rawLine);
+        const level = LogSearch.levelOf(clean);
+
+        // Stack traces come without a prefix; keep collecting until a normal line arrives
+        if (this.pendingException) {
+            if (STACK_PATTERN.test(clean)) {
+                this.pendingException.stack.push(clean.trim());
+                return events;
+            }
+            events.push(this.finishException());
+        }
+
+        const message = ConsoleEventParser.stripPrefix(clean);
+        if (this.pendingList) {
+            events.push(this.finishList(message));
+            return events;
+        }
+
+        const list = LIST_PATTERN.exec(message);
+        if (list) {
+            const event = { type: "player_list", online: +list[1], max: +list[2], level };
+            if (list[3] || event.online === 0) {
+                events.push(this.finishList(list[3], event));
+            } else {
+                this.pendingList = event;
+            }
+            return events;
+        }
+
+        const exception = EXCEPTION_PATTERN.exec(message);
+        if (exception && !message.startsWith("Caused by: ")) {
+            this.pendingException = {
+                type: "exception",
+                exception: exception[1],
+                message: exception[2] || null,
+                context: this.lastErrorLine,
+                stack: []
+            };
+            return events;
+        }
+
+        this.lastErrorLine = level === "ERROR" || level === "WARN" ? message : null;
+
+        const event = this.match(message);
+        if (event) {
+            event.level = level;
+            events.push(event);
+        }
+        return events;
+    }
+
+    match(message) {
+        for (const rule of RULES) {
+            const m = rule.pattern.exec(message);
+            if (m) {
+                const event = { type: rule.type, ...rule.build(m) };
+                this.track(event);
+                return event;
+            }
+        }
+
+        const death = this.matchDeath(message);
+        if (death) return death;
+        return null;
+    }
+
+    matchDeath(message) {
+        const space = message.indexOf(" ");
+        if (space === -1) return null;
+        const player = message.slice(0, space);
+        const rest = message.slice(space + 1);
+        if (!this.online.has(player)) return null;
+        if (!DEATH_PHRASES.some(phrase => rest.startsWith(phrase))) return null;
+        return { type: "death", player, message };
+    }
+
+    track(event) {
+        if (event.type === "player_join" || event.type === "player_login") this.online.add(event.player);
+        if (event.type === "player_leave") this.online.delete(event.player);
+        if (event.type === "player_list") this.online = new Set(event.players);
+    }
+
+    // Names may carry a group ("default: A, B") or display prefixes ("[Admin] A"); keep what looks like a name
+    finishList(names, event = this.pendingList) {
+        this.pendingList = null;
+        const players = names.replace(/^[^:]*:\s*/, "").split(",")
+            .map(name => name.trim().split(/\s+/).pop().replace(/^[~*]/, ""))
+            .filter(name => /^[A-Za-z0-9_]{1,16}$/.test(name));
+        const result = { ...event, players };
+        this.track(result);
+        return result;
+    }
+
+    finishException() {
+        const event = this.pendingException;
+        this.pendingException = null;
+        this.lastErrorLine = null;
+        return { ...event, level: "ERROR" };
+    }
+
+    // Output went quiet: a stack trace still being collected is complete
+    finishPending() {
+        return this.pendingException ? [this.finishException()] : [];
+    }
+
+    // End of output (process exited): emit anything still being collected
+    flush() {
+        this.online.clear();
+        this.pendingList = null;
+        return this.finishPending();
+    }
+}
+
+ConsoleEventParser.EVENT_TYPES = [
+    "player_uuid", "player_login", "player_join", "player_leave", "chat", "death", "advancement",
+    "lag", "startup_complete", "exception", "plugin_error", "player_list", "world_saved"
+];
+
+module.exports = ConsoleEventParser;
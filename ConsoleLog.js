@@ -0,0 +1,202 @@
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const { pipeline } = require("stream/promises");
+const InstanceName = require("./InstanceName");
+
+// Persistent per-instance console output.
+// Every instance gets a directory with one file per segment, named after the time the
+// segment was opened (so names sort chronologically). The active segment is plain text,
+// finished segments are gzipped. Each line is "<ISO time> <out|err> <text>".
+class ConsoleLog {
+    constructor(baseDir, options = {}) {
+        this.baseDir = baseDir;
+        this.maxBytes = options.maxBytes || 10 * 1024 * 1024;
+        this.maxFiles = options.maxFiles || 50;
+        this.maxAgeDays = options.maxAgeDays || 30;
+        this.writers = {};
+        this.archiveCache = new Map();
+        this.compressing = new Set();
+
+        fs.mkdirSync(this.baseDir, { recursive: true });
+    }
+
+    instanceDir(name) {
+        return path.join(this.baseDir, InstanceName.fileName(name));
+    }
+
+    static segmentName(date) {
+        return date.toISOString().replace(/[:.]/g, "-");
+    }
+
+    static formatLine(date, stream, text) {
+        return `${date.toISOString()} ${stream} ${text}\n`;
+    }
+
+    static parseLine(raw) {
+        const first = raw.indexOf(" ");
+        const second = raw.indexOf(" ", first + 1);
+        if (first === -1 || second === -1) return { time: null, stream: "out", text: raw };
+        return { time: raw.slice(0, first), stream: raw.slice(first + 1, second), text: raw.slice(second + 1) };
+    }
+
+    append(name, text, stream = "out") {
+        const now = new Date();
+        let writer = this.writers[name];
+
+        if (writer && (writer.size >= this.maxBytes || writer.day !== now.toISOString().slice(0, 10))) {
+            this.rotate(name);
+            writer = null;
+        }
+        if (!writer) writer = this.open(name, now);
+
+        const line = ConsoleLog.formatLine(now, stream, text);
+        writer.stream.write(line);
+        writer.size += Buffer.byteLength(line);
+    }
+
+    open(name, now) {
+        const dir = this.instanceDir(name);
+        fs.mkdirSync(dir, { recursive: true });
+
+        // Segments left uncompressed by a previous run are finished now
+        for (const file of fs.readdirSync(dir)) {
+            if (file.endsWith(".log")) this.compress(path.join(dir, file));
+        }
+
+        const file = path.join(dir, `${ConsoleLog.segmentName(now)}.log`);
+        const writer = {
+            file,
+            stream: fs.createWriteStream(file, { flags: "a" }),
+            size: 0,
+            day: now.toISOString().slice(0, 10)
+        };
+        writer.stream.on("error", err => console.error(`Console log write failed for ${name}:`, err));
+        this.writers[name] = writer;
+        return writer;
+    }
+
+    rotate(name) {
+        const writer = this.writers[name];
+        if (!writer) return;
+        delete this.writers[name];
+        writer.stream.end(() => {
+            this.compress(writer.file).then(() => this.applyRetention(name));
+        });
+    }
+
+    async compress(file) {
+        if (this.compressing.has(file)) return;
+        this.compressing.add(file);
+        try {
+            await pipeline(fs.createReadStream(file), zlib.createGzip(), fs.createWriteStream(`${file}.gz`));
+            await fs.promises.unlink(file);
+        } catch (err) {
+            console.error(`Failed to compress console log ${file}:`, err);
+        } finally {
+            this.compressing.delete(file);
+        }
+    }
+
+    async applyRetention(name) {
+        const segments = await this.segments(name);
+        const archives = segments.filter(s => s.compressed);
+        const cutoff = Date.now() - this.maxAgeDays * 24 * 60 * 60 * 1000;
+
+        for (let i = 0; i < archives.length; i++) {
+            const tooMany = archives.length - i > this.maxFiles;
+            const stat = await fs.promises.stat(archives[i].file).catch(() => null);
+            if (tooMany || (stat && stat.mtimeMs < cutoff)) {
+                await fs.promises.unlink(archives[i].file).catch(() => { });
+                this.archiveCache.delete(archives[i].file);
+            }
+        }
+    }
+
+    // Segments oldest first
+    async segments(name) {
+        const dir = this.instanceDir(name);
+        const files = await fs.promises.readdir(dir).catch(() => []);
+        return files
+            .filter(f => f.endsWith(".log") || f.endsWith(".log.gz"))
+            .map(f => ({
+                id: f.replace(/\.log(\.gz)?$/, ""),
+                file: path.join(dir, f),
+                compressed: f.endsWith(".gz")
+            }))
+            .sort((a, b) => a.id.localeCompare(b.id));
+    }
+
+    async readSegment(segment) {
+        if (!segment.compressed) {
+            const text = await fs.promises.readFile(segment.file, "utf-8").catch(() => "");
+            return text.split("\n").filter(Boolean);
+        }
+
+        // Archives never change, keep the last few around for paging
+        if (this.archiveCache.has(segment.file)) return this.archiveCache.get(segment.file);
+        const data = await fs.promises.readFile(segment.file);
+        const lines = zlib.gunzipSync(data).toString("utf-8").split("\n").filter(Boolean);
+        this.archiveCache.set(segment.file, lines);
+        if (this.archiveCache.size > 4) {
+            this.archiveCache.delete(this.archiveCache.keys().next().value);
+        }
+        return lines;
+    }
+
+    // Lines older than `before` ("<segment>:<line>"), or the newest lines without a cursor.
+    // Returns them oldest first, with a cursor for the next older page (null at the beginning).
+    async page(name, { before = null, limit = 200 } = {}) {
+        const segments = await this.segments(name);
+        let segIndex = segments.length - 1;
+        let lineIndex = null;
+
+        if (before) {
+            const sep = before.lastIndexOf(":");
+            const id = before.slice(0, sep);
+            segIndex = segments.findIndex(s => s.id === id);
+            lineIndex = parseInt(before.slice(sep + 1), 10);
+            if (segIndex === -1 || isNaN(lineIndex)) throw new Error("Invalid cursor");
+        }
+
+        const result = [];
+        let next = null;
+        while (segIndex >= 0 && result.length < limit) {
+            const lines = await this.readSegment(segments[segIndex]);
+            const end = lineIndex === null ? lines.length : Math.min(lineIndex, lines.length);
+            const start = Math.max(0, end - (limit - result.length));
+
+            result.unshift(...lines.slice(start, end).map(ConsoleLog.parseLine));
+            next = start > 0 ? `${segments[segIndex].id}:${start}` : null;
+
+            if (start > 0) break;
+            segIndex--;
+            lineIndex = null;
+            if (segIndex >= 0) next = `${segments[segIndex].id}:${Number.MAX_SAFE_INTEGER}`;
+        }
+
+        return { lines: result, next: segIndex >= 0 ? next : null };
+    }
+
+    // Most recent lines, used to refill the in-memory buffer after a restart
+    async tail(name, count) {
+        const { lines } = await this.page(name, { limit: count });
+        return lines.map(l => l.text);
+    }
+
+    renameInstance(oldName, newName) {
+        this.close(oldName);
+        const from = this.instanceDir(oldName);
+        const to = this.instanceDir(newName);
+        if (fs.existsSync(from) && !fs.existsSync(to)) fs.renameSync(from, to);
+    }
+
+    close(name) {
+        const writer = this.writers[name];
+        if (!writer) return;
+        delete this.writers[name];
+        writer.stream.end();
+    }
+}
+
+module.exports = ConsoleLog;
@@ -0,0 +1,119 @@
+// Five-field cron expressions ("minute hour day-of-month month day-of-week") in server local time.
+// Supports "*", lists, ranges, steps, month/day names and the @hourly/@daily/@weekly/@monthly/@yearly macros.
+const MACROS = {
+    "@yearly": "0 0 1 1 *",
+    "@annually": "0 0 1 1 *",
+    "@monthly": "0 0 1 * *",
+    "@weekly": "0 0 * * 0",
+    "@daily": "0 0 * * *",
+    "@midnight": "0 0 * * *",
+    "@hourly": "0 * * * *"
+};
+
+const FIELDS = [
+    { name: "minute", min: 0, max: 59 },
+    { name: "hour", min: 0, max: 23 },
+    { name: "day of month", min: 1, max: 31 },
+    { name: "month", min: 1, max: 12, names: ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"] },
+    { name: "day of week", min: 0, max: 7, names: ["sun", "mon", "tue", "wed", "thu", "fri", "sat"] }
+];
+
+class CronExpression {
+    constructor(expression) {
+        const source = String(expression || "").trim();
+        const parts = (MACROS[source.toLowerCase()] || source).split(/\s+/);
+        if (parts.length !== 5) throw new Error("Cron expression needs 5 fields: minute hour day month weekday.");
+
+        this.expression = source;
+        [this.minutes, this.hours, this.days, this.months, this.weekdays] =
+            parts.map((part, i) => CronExpression.parseField(part, FIELDS[i]));
+
+        // 7 is Sunday as well
+        if (this.weekdays.has(7)) this.weekdays.add(0);
+
+        // Like cron: if both day fields are restricted, either one matching is enough
+        this.anyDay = parts[2] === "*";
+        this.anyWeekday = parts[4] === "*";
+    }
+
+    static parseField(text, field) {
+        const values = new Set();
+        const value = token => {
+            // Number("") would be 0
+            if (token === "") throw new Error(`Missing value in ${field.name}: ${text}`);
+            const lower = token.toLowerCase();
+            const named = field.names ? field.names.indexOf(lower) : -1;
+            const n = named !== -1 ? named + (field.name === "month" ? 1 : 0) : Number(token);
+            if (!Number.isInteger(n) || n < field.min || n > field.max) {
+                throw new Error(`Invalid ${field.name}: ${token}`);
+            }
+            return n;
+        };
+
+        for (const item of text.split(",")) {
+            const [range, stepText, ...extra] = item.split("/");
+            const step = stepText === undefined ? 1 : Number(stepText);
+            if (stepText === "" || extra.length || !Number.isInteger(step) || step < 1) throw new Error(`Invalid step in ${field.name}: ${item}`);
+
+            let from, to;
+            if (range === "*") {
+                [from, to] = [field.min, field.max];
+            } else if (range.includes("-")) {
+                const [a, b, ...extra] = range.split("-");
+                if (extra.length) throw new Error(`Invalid range in ${field.name}: ${range}`);
+                [from, to] = [value(a), value(b)];
+                if (from > to) throw new Error(`Invalid range in ${field.name}: ${range}`);
+            } else {
+                from = value(range);
+                to = stepText === undefined ? from : field.max;
+            }
+            for (let n = from; n <= to; n += step) values.add(n);
+        }
+        return values;
+    }
+
+    static isValid(expression) {
+        try {
+            new CronExpression(expression);
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    matchesDay(date) {
+        const day = this.days.has(date.getDate());
+        const weekday = this.weekdays.has(date.getDay());
+        if (this.anyDay && this.anyWeekday) return true;
+        if (this.anyDay) return weekday;
+        if (this.anyWeekday) return day;
+        return day || weekday;
+    }
+
+    // First matching minute strictly after `after`, or null if none within five years
+    next(after = new Date()) {
+        const date = new Date(after.getTime());
+        date.setSeconds(0, 0);
+        date.setMinutes(date.getMinutes() + 1);
+        const limit = after.getTime() + 5 * 366 * 24 * 60 * 60 * 1000;
+
+        while (date.getTime() <= limit) {
+            if (!this.months.has(date.getMonth() + 1)) {
+                date.setMonth(date.getMonth() + 1, 1);
+                date.setHours(0, 0, 0, 0);
+            } else if (!this.matchesDay(date)) {
+                date.setDate(date.getDate() + 1);
+                date.setHours(0, 0, 0, 0);
+            } else if (!this.hours.has(date.getHours())) {
+                date.setHours(date.getHours() + 1, 0, 0, 0);
+            } else if (!this.minutes.has(date.getMinutes())) {
+                date.setMinutes(date.getMinutes() + 1, 0, 0);
+            } else {
+                return date;
+            }
+        }
+        return null;
+    }
+}
+
+module.exports = CronExpression;
@@ -0,0 +1,218 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const { promisify } = require("util");
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+// Content-addressed chunk store for incremental backups. Files are cut into fixed-size
+// chunks named by their SHA-256 and stored once (gzipped) in "<dir>/<2 hex>/<hash>", no
+// matter how many snapshots or instances use them. A snapshot is a manifest listing every
+// file with its chunk hashes; chunks no manifest references are removed by gc().
+class DedupStore {
+    constructor(dir, options = {}) {
+        this.dir = dir;
+        this.chunkSize = options.chunkSize || 1024 * 1024;
+        fs.mkdirSync(this.dir, { recursive: true });
+    }
+
+    chunkPath(hash) {
+        return path.join(this.dir, hash.slice(0, 2), hash);
+    }
+
+    // Whether the chunk is in the store; an empty file is what an interrupted write may leave
+    async hasChunk(hash) {
+        const stat = await fs.promises.stat(this.chunkPath(hash)).catch(() => null);
+        return !!stat && stat.isFile() && stat.size > 0;
+    }
+
+    // Returns the number of bytes written to the store (0 if the chunk was already there)
+    async putChunk(hash, data) {
+        const file = this.chunkPath(hash);
+        if (await this.hasChunk(hash)) return 0;
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        const compressed = await gzip(data);
+        const tmp = `${file}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tmp, compressed);
+        await fs.promises.rename(tmp, file);
+        return compressed.length;
+    }
+
+    async getChunk(hash) {
+        return gunzip(await fs.promises.readFile(this.chunkPath(hash)));
+    }
+
+    static async readManifest(file) {
+        return JSON.parse((await gunzip(await fs.promises.readFile(file))).toString("utf-8"));
+    }
+
+    static async writeManifest(file, manifest) {
+        await fs.promises.writeFile(file, await gzip(JSON.stringify(manifest)));
+    }
+
+    // Builds a manifest of `relPaths` below `root`. Files whose size and mtime match the
+    // `previous` manifest reuse its chunk list without being read again, as long as all of those
+    // chunks are still in the store; otherwise the file is read and its chunks are written again.
+    // Chunks that are there but damaged are only found by verify().
+    async snapshot(root, relPaths, { exclude = [], previous = null, onProgress = () => { } } = {}) {
+        const known = new Map((previous ? previous.files : []).map(f => [f.path, f]));
+        const entries = [];
+        const dirs = [];
+        let totalBytes = 0;
+
+        const walk = async rel => {
+            const abs = path.join(root, rel);
+            if (exclude.some(e => abs === e || abs.startsWith(e + path.sep))) return;
+            const stat = await fs.promises.lstat(abs);
+            if (stat.isDirectory()) {
+                if (rel !== ".") dirs.push(path.normalize(rel));
+                for (const entry of await fs.promises.readdir(abs)) await walk(path.join(rel, entry));
+            } else if (stat.isFile()) {
+                entries.push({ path: path.normalize(rel), size: stat.size, mtimeMs: stat.mtimeMs, mode: stat.mode & 0o777 });
+                totalBytes += stat.size;
+            }
+        };
+        for (const p of relPaths) await walk(p);
+
+        const stats = { fileCount: entries.length, sourceBytes: totalBytes, reusedFiles: 0, rereadFiles: 0, newChunks: 0, newBytes: 0 };
+        const present = new Set();
+        const allPresent = async chunks => {
+            for (const hash of chunks) {
+                if (present.has(hash)) continue;
+                if (!await this.hasChunk(hash)) return false;
+                present.add(hash);
+            }
+            return true;
+        };
+        const buffer = Buffer.alloc(this.chunkSize);
+        let doneBytes = 0;
+        let lastPercent = -1;
+        const progress = file => {
+            const percent = totalBytes ? Math.floor(doneBytes / totalBytes * 100) : 100;
+            if (percent !== lastPercent) {
+                lastPercent = percent;
+                onProgress({ phase: "archiving", percent, file });
+            }
+        };
+
+        for (const entry of entries) {
+            const old = known.get(entry.path);
+            if (old && old.size === entry.size && old.mtimeMs === entry.mtimeMs) {
+                if (await allPresent(old.chunks)) {
+                    entry.chunks = old.chunks;
+                    stats.reusedFiles++;
+                    doneBytes += entry.size;
+                    progress(entry.path);
+                    continue;
+                }
+                stats.rereadFiles++;
+            }
+
+            entry.chunks = [];
+            const handle = await fs.promises.open(path.join(root, entry.path), "r");
+            try {
+                while (true) {
+                    const { bytesRead } = await handle.read(buffer, 0, this.chunkSize, null);
+                    if (bytesRead === 0) break;
+                    const data = Buffer.from(buffer.subarray(0, bytesRead));
+                    const hash = crypto.createHash("sha256").update(data).digest("hex");
+                    const written = await this.putChunk(hash, data);
+                    if (written) {
+                        stats.newChunks++;
+                        stats.newBytes += written;
+                    }
+                    entry.chunks.push(hash);
+                    doneBytes += bytesRead;
+                    progress(entry.path);
+                }
+            } finally {
+                await handle.close();
+            }
+        }
+
+        return { manifest: { paths: relPaths, dirs, files: entries }, stats };
+    }
+
+    // Reassembles one manifest entry into `target`
+    async writeFile(entry, target) {
+        await fs.promises.mkdir(path.dirname(target), { recursive: true });
+        const handle = await fs.promises.open(target, "w", entry.mode || 0o644);
+        try {
+            for (const hash of entry.chunks) await handle.write(await this.getChunk(hash));
+        } finally {
+            await handle.close();
+        }
+        const mtime = new Date(entry.mtimeMs);
+        await fs.promises.utimes(target, mtime, mtime);
+    }
+
+    async restore(manifest, root, { onProgress = () => { } } = {}) {
+        for (const dir of manifest.dirs) await fs.promises.mkdir(path.join(root, dir), { recursive: true });
+
+        const totalBytes = manifest.files.reduce((sum, f) => sum + f.size, 0);
+        let doneBytes = 0;
+        let lastPercent = -1;
+        for (const entry of manifest.files) {
+            await this.writeFile(entry, path.join(root, entry.path));
+            doneBytes += entry.size;
+            const percent = totalBytes ? Math.min(99, Math.floor(doneBytes / totalBytes * 100)) : 99;
+            if (percent !== lastPercent) {
+                lastPercent = percent;
+                onProgress({ phase: "extracting", percent, file: entry.path });
+            }
+        }
+    }
+
+    // Checks that every chunk of the manifest exists and still hashes to its name
+    async verify(manifest) {
+        const seen = new Set();
+        const missing = [];
+        const corrupt = [];
+        for (const entry of manifest.files) {
+            for (const hash of entry.chunks) {
+                if (seen.has(hash)) continue;
+                seen.add(hash);
+                let data;
+                try {
+                    data = await this.getChunk(hash);
+                } catch (err) {
+                    (err.code === "ENOENT" ? missing : corrupt).push({ chunk: hash, file: entry.path });
+                    continue;
+                }
+                if (crypto.createHash("sha256").update(data).digest("hex") !== hash) corrupt.push({ chunk: hash, file: entry.path });
+            }
+        }
+        return { files: manifest.files.length, chunks: seen.size, missing, corrupt, ok: missing.length === 0 && corrupt.length === 0 };
+    }
+
+    // Deletes chunks that none of `manifests` reference
+    async gc(manifests) {
+        const referenced = new Set();
+        for (const manifest of manifests) {
+            for (const entry of manifest.files) entry.chunks.forEach(hash => referenced.add(hash));
+        }
+
+        let removed = 0;
+        let freedBytes = 0;
+        let kept = 0;
+        for (const prefix of await fs.promises.readdir(this.dir).catch(() => [])) {
+            const sub = path.join(this.dir, prefix);
+            for (const name of await fs.promises.readdir(sub).catch(() => [])) {
+                if (referenced.has(name)) {
+                    kept++;
+                    continue;
+                }
+                const file = path.join(sub, name);
+                const stat = await fs.promises.stat(file).catch(() => null);
+                await fs.promises.unlink(file).catch(() => { });
+                removed++;
+                freedBytes += stat ? stat.size : 0;
+            }
+        }
+        return { removed, freedBytes, kept };
+    }
+}
+
+module.exports = DedupStore;
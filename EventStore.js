@@ -0,0 +1,79 @@
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+const InstanceName = require("./InstanceName");
+
+// Structured console events, one JSONL file per instance.
+// When a file grows past maxBytes it is moved to "<name>.1.jsonl" (replacing the previous one).
+class EventStore {
+    constructor(baseDir, options = {}) {
+        this.baseDir = baseDir;
+        this.maxBytes = options.maxBytes || 20 * 1024 * 1024;
+        this.sizes = {};
+
+        fs.mkdirSync(this.baseDir, { recursive: true });
+    }
+
+    fileFor(name, generation = 0) {
+        const safeName = InstanceName.fileName(name);
+        return path.join(this.baseDir, generation ? `${safeName}.${generation}.jsonl` : `${safeName}.jsonl`);
+    }
+
+    append(name, event) {
+        const file = this.fileFor(name);
+        if (this.sizes[name] === undefined) {
+            this.sizes[name] = fs.existsSync(file) ? fs.statSync(file).size : 0;
+        }
+        if (this.sizes[name] >= this.maxBytes) {
+            fs.renameSync(file, this.fileFor(name, 1));
+            this.sizes[name] = 0;
+        }
+
+        const line = JSON.stringify(event) + "\n";
+        try {
+            fs.appendFileSync(file, line, "utf-8");
+            this.sizes[name] += Buffer.byteLength(line);
+        } catch (e) {
+            console.error(`Failed to store event for ${name}:`, e);
+        }
+    }
+
+    // Newest first; `type` may be a comma separated list
+    async query(name, { type, from, to, limit } = {}) {
+        const types = type ? String(type).split(",") : null;
+        const max = Math.min(parseInt(limit, 10) || 100, 1000);
+        const fromIso = from ? new Date(from).toISOString() : null;
+        const toIso = to ? new Date(to).toISOString() : null;
+
+        const matched = [];
+        for (const file of [this.fileFor(name, 1), this.fileFor(name)]) {
+            if (!fs.existsSync(file)) continue;
+            const rl = readline.createInterface({ input: fs.createReadStream(file, "utf-8"), crlfDelay: Infinity });
+            for await (const line of rl) {
+                let event;
+                try {
+                    event = JSON.parse(line);
+                } catch (e) {
+                    continue;
+                }
+                if (types && !types.includes(event.type)) continue;
+                if (fromIso && event.time < fromIso) continue;
+                if (toIso && event.time > toIso) continue;
+                matched.push(event);
+                if (matched.length > max) matched.shift();
+            }
+        }
+        return matched.reverse();
+    }
+
+    renameInstance(oldName, newName) {
+        for (const generation of [0, 1]) {
+            const from = this.fileFor(oldName, generation);
+            const to = this.fileFor(newName, generation);
+            if (fs.existsSync(from) && !fs.existsSync(to)) fs.renameSync(from, to);
+        }
+        delete this.sizes[oldName];
+    }
+}
+
+module.exports = EventStore;
@@ -0,0 +1,136 @@
+const fs = require("fs");
+
+// Named groups of instances, kept in a JSON file. `dependencies` maps a member to the members it
+// needs: a proxy depends on its backends, so backends start first and the proxy stops first.
+class InstanceGroups {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.groups = this.loadGroups();
+    }
+
+    loadGroups() {
+        if (!fs.existsSync(this.filePath)) return {};
+        try {
+            return JSON.parse(fs.readFileSync(this.filePath, "utf-8"));
+        } catch (e) {
+            console.error("Error reading groups file:", e);
+            return {};
+        }
+    }
+
+    saveGroups() {
+        fs.writeFileSync(this.filePath, JSON.stringify(this.groups, null, 2));
+    }
+
+    list() {
+        return Object.values(this.groups);
+    }
+
+    get(name) {
+        return this.groups[name] || null;
+    }
+
+    // Checks the group against the existing instances and returns it in stored form
+    static normalize(data, instanceExists) {
+        const name = typeof data.name === "string" ? data.name.trim() : "";
+        if (!name || name.length > 100) throw new Error("Invalid group name.");
+        if (!Array.isArray(data.members) || data.members.length === 0) throw new Error("A group needs at least one instance.");
+        const members = [...new Set(data.members.map(String))];
+        for (const member of members) {
+            if (!instanceExists(member)) throw new Error(`Instance not found: ${member}`);
+        }
+
+        const dependencies = {};
+        for (const [member, deps] of Object.entries(data.dependencies || {})) {
+            if (!members.includes(member)) throw new Error(`${member} is not in the group.`);
+            if (!Array.isArray(deps)) throw new Error(`Dependencies of ${member} must be a list.`);
+            const list = [...new Set(deps.map(String))];
+            for (const dep of list) {
+                if (!members.includes(dep)) throw new Error(`${member} depends on ${dep}, which is not in the group.`);
+                if (dep === member) throw new Error(`${member} cannot depend on itself.`);
+            }
+            if (list.length) dependencies[member] = list;
+        }
+        // Throws on cycles
+        InstanceGroups.layers(members, dependencies);
+
+        const readyTimeoutSeconds = data.readyTimeoutSeconds === undefined ? 180 : Number(data.readyTimeoutSeconds);
+        if (!Number.isInteger(readyTimeoutSeconds) || readyTimeoutSeconds < 1) throw new Error("Invalid ready timeout.");
+        return { name, members, dependencies, readyTimeoutSeconds };
+    }
+
+    // Start order in layers: every instance comes after all of its dependencies, and the
+    // instances of one layer do not depend on each other. Stopping goes through the layers backwards.
+    static layers(names, dependencies) {
+        const remaining = new Set(names);
+        const result = [];
+        while (remaining.size) {
+            const layer = [...remaining].filter(name =>
+                (dependencies[name] || []).every(dep => !remaining.has(dep)));
+            if (layer.length === 0) throw new Error(`Dependency cycle between: ${[...remaining].join(", ")}`);
+            layer.forEach(name => remaining.delete(name));
+            result.push(layer);
+        }
+        return result;
+    }
+
+    // Dependencies among `names` declared in any group, for bulk actions on a free selection
+    dependenciesFor(names) {
+        const result = {};
+        for (const group of this.list()) {
+            for (const [member, deps] of Object.entries(group.dependencies)) {
+                if (!names.includes(member)) continue;
+                const within = deps.filter(dep => names.includes(dep));
+                result[member] = [...new Set([...(result[member] || []), ...within])];
+            }
+        }
+        return result;
+    }
+
+    create(data, instanceExists) {
+        const group = InstanceGroups.normalize(data, instanceExists);
+        if (this.groups[group.name]) throw new Error("A group with this name already exists.");
+        this.groups[group.name] = group;
+        this.saveGroups();
+        return group;
+    }
+
+    update(name, data, instanceExists) {
+        if (!this.groups[name]) throw new Error("Group not found.");
+        const group = InstanceGroups.normalize({ ...this.groups[name], ...data }, instanceExists);
+        if (group.name !== name && this.groups[group.name]) throw new Error("A group with this name already exists.");
+        delete this.groups[name];
+        this.groups[group.name] = group;
+        this.saveGroups();
+        return group;
+    }
+
+    delete(name) {
+        if (!this.groups[name]) throw new Error("Group not found.");
+        delete this.groups[name];
+        this.saveGroups();
+    }
+
+    // Members follow their instance; removing the instance (newName null) drops it from every group,
+    // and a group left without members goes away
+    renameInstance(oldName, newName) {
+        let changed = false;
+        const rename = list => list.flatMap(n => (n === oldName ? (newName === null ? [] : [newName]) : [n]));
+        for (const group of this.list()) {
+            if (!group.members.includes(oldName)) continue;
+            group.members = rename(group.members);
+            const dependencies = {};
+            for (const [member, deps] of Object.entries(group.dependencies)) {
+                if (member === oldName && newName === null) continue;
+                const list = rename(deps);
+                if (list.length) dependencies[member === oldName ? newName : member] = list;
+            }
+            group.dependencies = dependencies;
+            if (group.members.length === 0) delete this.groups[group.name];
+            changed = true;
+        }
+        if (changed) this.saveGroups();
+    }
+}
+
+module.exports = InstanceGroups;
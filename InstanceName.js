@@ -0,0 +1,29 @@
+// Characters that cannot appear in a file name on Linux or Windows
+const FILE_UNSAFE = /[<>:"\/\\|?*\x00-\x1F]/g;
+const MAX_LENGTH = 64;
+
+// Instance names key the per-instance directories and files of the console log, event store,
+// backup store and metrics store, and name socket rooms. New names are checked here; names
+// registered before that are only made safe for the file system.
+class InstanceName {
+    // The trimmed name, or an error explaining why it cannot be used
+    static validate(name) {
+        if (typeof name !== "string" || !name.trim()) throw new Error("Missing instance name");
+        const trimmed = name.trim();
+        if (trimmed.length > MAX_LENGTH) throw new Error(`Instance names are at most ${MAX_LENGTH} characters long.`);
+        if (trimmed === "." || trimmed === "..") throw new Error(`"${trimmed}" cannot be used as an instance name.`);
+        if (new RegExp(FILE_UNSAFE.source).test(trimmed)) {
+            throw new Error('Instance names cannot contain control characters or any of < > : " / \\ | ? *');
+        }
+        return trimmed;
+    }
+
+    // The name as a single path component inside a store's base directory
+    static fileName(name) {
+        const safe = String(name).replace(FILE_UNSAFE, "_");
+        // "", "." and ".." would name the base directory or its parent
+        return safe === "" || safe === "." || safe === ".." ? safe.replace(/\./g, "_") || "_" : safe;
+    }
+}
+
+module.exports = InstanceName;
@@ -0,0 +1,171 @@
+const fs = require("fs-extra");
+const path = require("path");
+const crypto = require("crypto");
+const JarLibrary = require("./JarLibrary");
+const ServerConfig = require("./ServerConfig");
+const ConfigFile = require("./ConfigFile");
+const LaunchSpec = require("./LaunchSpec");
+
+const DEFAULT_MEMORY = { minMB: 1024, maxMB: 2048 };
+
+// JVM flag preset of a new instance by server type
+const DEFAULT_PRESETS = { server: "aikar", velocity: "velocity", bungeecord: "none" };
+
+const DEFAULT_PROPERTIES = { port: 25565, motd: "A Minecraft Server", maxPlayers: 20, onlineMode: true };
+const DEFAULT_RCON_PORT = 25575;
+
+// Not copied from an existing instance: its logs (top-level entries), and the lock in each world
+const COPY_EXCLUDE = ["logs", "crash-reports"];
+const COPY_EXCLUDE_FILES = ["session.lock"];
+
+// Sets up the working directory of a new instance: copies an existing instance and/or a jar
+// from the jar library into it, accepts the EULA, writes server.properties and builds the
+// launch settings. Proxies (Velocity, BungeeCord) get neither eula.txt nor server.properties.
+class InstanceScaffolder {
+    constructor(jarLibrary) {
+        this.jarLibrary = jarLibrary;
+    }
+
+    // Checks a creation request; `source` is the instance to copy from, if any. A copy keeps the
+    // server.properties values that are not given, except for the port (`defaultPort`) and RCON:
+    // it gets the first port from 25575 up that is not in `usedPorts` and a new password.
+    static normalize(data, source, defaultPort = DEFAULT_PROPERTIES.port, usedPorts = []) {
+        const jar = data.jar || null;
+        if (jar !== null && !JarLibrary.isValidName(jar)) throw new Error("Invalid jar.");
+        if (!jar && !source) throw new Error("Choose a server jar or an instance to copy.");
+        if (typeof data.workingDir !== "string" || !path.isAbsolute(data.workingDir)) {
+            throw new Error("The working directory must be an absolute path.");
+        }
+
+        // null: the default for a new jar, unchanged for a copied instance
+        let memory = null;
+        if (data.memory) {
+            memory = { ...DEFAULT_MEMORY, ...data.memory };
+            for (const key of ["minMB", "maxMB"]) {
+                memory[key] = Number(memory[key]);
+                if (!Number.isInteger(memory[key]) || memory[key] < 128) throw new Error(`Invalid memory ${key}.`);
+            }
+            if (memory.minMB > memory.maxMB) throw new Error("The minimum memory cannot exceed the maximum.");
+        }
+
+        const props = { ...(source ? {} : DEFAULT_PROPERTIES), port: defaultPort, ...(data.properties || {}) };
+        const properties = { port: Number(props.port) };
+        if (!Number.isInteger(properties.port) || properties.port < 1 || properties.port > 65535) throw new Error("Invalid port.");
+        if (props.motd !== undefined) properties.motd = String(props.motd).replace(/[\r\n]/g, " ");
+        if (props.maxPlayers !== undefined) {
+            properties.maxPlayers = Number(props.maxPlayers);
+            if (!Number.isInteger(properties.maxPlayers) || properties.maxPlayers < 0) throw new Error("Invalid max players.");
+        }
+        if (props.onlineMode !== undefined) properties.onlineMode = props.onlineMode !== false && props.onlineMode !== "false";
+        if (source) {
+            properties.rconPort = DEFAULT_RCON_PORT;
+            while (usedPorts.includes(properties.rconPort) || properties.rconPort === properties.port) properties.rconPort++;
+        }
+
+        // Launch settings given in full replace the generated ones; a command line is still taken
+        let launch = null;
+        if (data.launch) launch = LaunchSpec.normalize(data.launch);
+        else if (typeof data.command === "string" && data.command.trim()) launch = LaunchSpec.parse(data.command);
+        // null: the default for the server type, unchanged for a copied instance
+        const preset = data.preset || null;
+        if (preset !== null && !LaunchSpec.presets().some(p => p.name === preset)) throw new Error("Unknown JVM flag preset.");
+
+        return {
+            workingDir: path.resolve(data.workingDir),
+            jar,
+            memory,
+            properties,
+            launch,
+            preset,
+            acceptEula: data.acceptEula === true
+        };
+    }
+
+    static launchSpec(jar, memory, type, preset) {
+        return LaunchSpec.normalize({
+            type: "java",
+            jar,
+            minMemoryMB: memory.minMB,
+            maxMemoryMB: memory.maxMB,
+            preset: preset || DEFAULT_PRESETS[type] || "none",
+            args: type === "server" ? ["nogui"] : []
+        });
+    }
+
+    // Resolves to { launch, type, warnings }. The directory must not exist yet or be empty,
+    // and is emptied again if anything fails.
+    async create(spec, source = null) {
+        const dir = spec.workingDir;
+        if ((await fs.readdir(dir).catch(() => [])).length) throw new Error(`${dir} already exists and is not empty.`);
+        const jarPath = spec.jar && this.jarLibrary.path(spec.jar);
+        if (spec.jar && !jarPath) throw new Error(`Jar not found in the library: ${spec.jar}`);
+
+        const existed = await fs.pathExists(dir);
+        try {
+            return await this.populate(spec, source, jarPath);
+        } catch (err) {
+            await (existed ? fs.emptyDir(dir) : fs.remove(dir)).catch(() => { });
+            throw err;
+        }
+    }
+
+    async populate(spec, source, jarPath) {
+        const dir = spec.workingDir;
+        await fs.ensureDir(dir);
+        if (source) {
+            await fs.copy(source.workingDir, dir, {
+                filter: src => !COPY_EXCLUDE.includes(path.relative(source.workingDir, src))
+                    && !COPY_EXCLUDE_FILES.includes(path.basename(src))
+            });
+        }
+        if (jarPath) await fs.copy(jarPath, path.join(dir, spec.jar));
+
+        const type = spec.jar ? JarLibrary.typeOf(spec.jar) : ServerConfig.serverType(dir);
+        const warnings = [];
+        if (type === "server") {
+            const eulaFile = path.join(dir, "eula.txt");
+            if (spec.acceptEula) {
+                await fs.writeFile(eulaFile, "#By changing the setting below to TRUE you are indicating your agreement to our EULA (https://aka.ms/MinecraftEULA).\n" +
+                    `#Accepted in MyMinecraftManager on ${new Date().toISOString()}\neula=true\n`);
+            } else if (!/^\s*eula\s*=\s*true/m.test(await fs.readFile(eulaFile, "utf-8").catch(() => ""))) {
+                warnings.push("The EULA was not accepted; the server will not start until eula.txt says eula=true.");
+            }
+
+            const propsFile = path.join(dir, "server.properties");
+            const properties = ConfigFile.parse("properties", await fs.readFile(propsFile, "utf-8").catch(() => ""));
+            const { port, motd, maxPlayers, onlineMode } = spec.properties;
+            properties.set("server-port", port);
+            properties.set("query.port", port);
+            if (motd !== undefined) properties.set("motd", motd);
+            if (maxPlayers !== undefined) properties.set("max-players", maxPlayers);
+            if (onlineMode !== undefined) properties.set("online-mode", onlineMode);
+            // Two servers must not share the RCON port, and the copy's password would open both
+            if (spec.properties.rconPort !== undefined) {
+                properties.set("rcon.port", spec.properties.rconPort);
+                if ((properties.get("rcon.password") || "").trim()) properties.set("rcon.password", crypto.randomBytes(18).toString("base64url"));
+            }
+            await fs.writeFile(propsFile, properties.toString());
+        } else if (source) {
+            warnings.push(`Copied ${type} configuration unchanged; adjust its bind port before starting both instances.`);
+        }
+
+        let launch = spec.launch;
+        if (!launch && spec.jar) {
+            launch = InstanceScaffolder.launchSpec(spec.jar, spec.memory || DEFAULT_MEMORY, type, spec.preset);
+        } else if (!launch) {
+            launch = { ...source.launch };
+            if (launch.type === "java") {
+                if (spec.memory) Object.assign(launch, { minMemoryMB: spec.memory.minMB, maxMemoryMB: spec.memory.maxMB });
+                if (spec.preset) launch.preset = spec.preset;
+            }
+            launch = LaunchSpec.normalize(launch);
+        }
+        return { launch, type, warnings };
+    }
+}
+
+InstanceScaffolder.DEFAULT_MEMORY = DEFAULT_MEMORY;
+InstanceScaffolder.DEFAULT_PROPERTIES = DEFAULT_PROPERTIES;
+InstanceScaffolder.DEFAULT_PRESETS = DEFAULT_PRESETS;
+
+module.exports = InstanceScaffolder;
@@ -0,0 +1,61 @@
+const fs = require("fs");
+const path = require("path");
+
+// Only plain names: they come from uploads and API calls and are joined to the library and instance
+// directories, so they must not be able to point anywhere else
+const JAR_NAME = /^[\w.+-]+\.jar$/;
+
+// Server jars kept by the manager (Paper, Vanilla, Velocity, ...) to scaffold new instances from
+class JarLibrary {
+    constructor(dir) {
+        this.dir = path.resolve(dir);
+        fs.mkdirSync(this.dir, { recursive: true });
+    }
+
+    static isValidName(file) {
+        return typeof file === "string" && JAR_NAME.test(file);
+    }
+
+    // "velocity", "bungeecord" or "server", guessed from the file name (see ServerConfig.serverType)
+    static typeOf(file) {
+        if (/velocity/i.test(file)) return "velocity";
+        if (/bungee|waterfall|flamecord/i.test(file)) return "bungeecord";
+        return "server";
+    }
+
+    // Sorted by name
+    async list() {
+        const files = await fs.promises.readdir(this.dir).catch(() => []);
+        const jars = [];
+        for (const file of files.filter(JarLibrary.isValidName).sort()) {
+            const stat = await fs.promises.stat(path.join(this.dir, file)).catch(() => null);
+            if (!stat || !stat.isFile()) continue;
+            jars.push({ file, size: stat.size, modifiedAt: stat.mtime.toISOString(), type: JarLibrary.typeOf(file) });
+        }
+        return jars;
+    }
+
+    // Absolute path of a jar in the library, or null
+    path(file) {
+        if (!JarLibrary.isValidName(file)) return null;
+        const full = path.join(this.dir, file);
+        return fs.existsSync(full) ? full : null;
+    }
+
+    // Copies an uploaded file into the library; returns false if a jar with that name exists
+    async add(source, file, overwrite = false) {
+        if (!JarLibrary.isValidName(file)) throw new Error("Jar names may only contain letters, digits, '.', '_', '+' and '-', and must end in .jar.");
+        const target = path.join(this.dir, file);
+        if (!overwrite && fs.existsSync(target)) return false;
+        await fs.promises.copyFile(source, target);
+        return true;
+    }
+
+    async remove(file) {
+        const full = this.path(file);
+        if (!full) throw new Error("Jar not found.");
+        await fs.promises.unlink(full);
+    }
+}
+
+module.exports = JarLibrary;
@@ -0,0 +1,121 @@
+const fs = require("fs");
+const zlib = require("zlib");
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+// End of central directory record, plus the longest possible archive comment
+const EOCD_SEARCH = 22 + 0xffff;
+// Metadata files are small; anything bigger is not read
+const MAX_ENTRY_SIZE = 4 * 1024 * 1024;
+// Far more than the directory of any real plugin or mod jar needs
+const MAX_DIRECTORY_SIZE = 16 * 1024 * 1024;
+
+// Reads single files out of a jar (a zip archive) without unpacking it: the central directory
+// at the end of the file lists every entry, and only the wanted ones are read and inflated.
+// Stored and deflated entries are supported, which is what jar tools write; ZIP64 is not.
+class JarReader {
+    constructor(file) {
+        this.file = file;
+        this.fd = null;
+        this.entries = null;
+    }
+
+    // Resolves to a Buffer per found name: { "plugin.yml": <Buffer> }. Missing names are left out.
+    static async read(file, names) {
+        const reader = new JarReader(file);
+        try {
+            await reader.open();
+            const result = {};
+            for (const name of names) {
+                const data = await reader.entry(name);
+                if (data) result[name] = data;
+            }
+            return result;
+        } finally {
+            await reader.close();
+        }
+    }
+
+    async open() {
+        this.fd = await fs.promises.open(this.file, "r");
+        const { size } = await this.fd.stat();
+        const tailLength = Math.min(size, EOCD_SEARCH);
+        const tail = await this.bytes(size - tailLength, tailLength);
+        let eocd = -1;
+        for (let i = tail.length - 22; i >= 0; i--) {
+            if (tail.readUInt32LE(i) === EOCD_SIGNATURE) {
+                eocd = i;
+                break;
+            }
+        }
+        if (eocd === -1) throw new Error("Not a zip archive");
+
+        const count = tail.readUInt16LE(eocd + 10);
+        const directorySize = tail.readUInt32LE(eocd + 12);
+        const directoryOffset = tail.readUInt32LE(eocd + 16);
+        if (directoryOffset === 0xffffffff) throw new Error("ZIP64 archives are not supported");
+        // Both come from the file itself and are checked before anything is allocated for them
+        if (directoryOffset + directorySize > size) throw new Error("Corrupt zip directory");
+        if (directorySize > MAX_DIRECTORY_SIZE) throw new Error("Zip directory is too large");
+        const directory = await this.bytes(directoryOffset, directorySize);
+
+        this.entries = new Map();
+        let at = 0;
+        for (let i = 0; i < count && at + 46 <= directory.length; i++) {
+            if (directory.readUInt32LE(at) !== CENTRAL_SIGNATURE) throw new Error("Corrupt zip directory");
+            const nameLength = directory.readUInt16LE(at + 28);
+            const extraLength = directory.readUInt16LE(at + 30);
+            const commentLength = directory.readUInt16LE(at + 32);
+            const name = directory.toString("utf-8", at + 46, at + 46 + nameLength);
+            this.entries.set(name, {
+                method: directory.readUInt16LE(at + 10),
+                compressedSize: directory.readUInt32LE(at + 20),
+                size: directory.readUInt32LE(at + 24),
+                offset: directory.readUInt32LE(at + 42)
+            });
+            at += 46 + nameLength + extraLength + commentLength;
+        }
+    }
+
+    async bytes(position, length) {
+        const buffer = Buffer.alloc(length);
+        const { bytesRead } = await this.fd.read(buffer, 0, length, position);
+        return buffer.subarray(0, bytesRead);
+    }
+
+    // Contents of an entry, or null when the jar has no such entry
+    async entry(name) {
+        const entry = this.entries.get(name);
+        if (!entry) return null;
+        if (entry.size > MAX_ENTRY_SIZE || entry.compressedSize > MAX_ENTRY_SIZE) throw new Error(`${name} is too large`);
+
+        const header = await this.bytes(entry.offset, 30);
+        if (header.length < 30 || header.readUInt32LE(0) !== LOCAL_SIGNATURE) throw new Error(`Corrupt zip entry ${name}`);
+        const start = entry.offset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+        const data = await this.bytes(start, entry.compressedSize);
+        let contents;
+        if (entry.method === 0) {
+            contents = data;
+        } else if (entry.method === 8) {
+            // The declared size cannot be trusted: a tiny entry may inflate to gigabytes
+            try {
+                contents = zlib.inflateRawSync(data, { maxOutputLength: MAX_ENTRY_SIZE });
+            } catch (err) {
+                if (err.code === "ERR_BUFFER_TOO_LARGE") throw new Error(`${name} is too large`);
+                throw err;
+            }
+        } else {
+            throw new Error(`Unsupported compression method ${entry.method} for ${name}`);
+        }
+        if (contents.length !== entry.size) throw new Error(`Corrupt zip entry ${name}`);
+        return contents;
+    }
+
+    async close() {
+        if (this.fd) await this.fd.close();
+        this.fd = null;
+    }
+}
+
+module.exports = JarReader;
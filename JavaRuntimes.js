@@ -0,0 +1,192 @@
+const fs = require("fs");
+const path = require("path");
+const { execFile } = require("child_process");
+const JarReader = require("./JarReader");
+
+// Where distributions and package managers install JDKs; every subdirectory is a candidate
+const JVM_DIRS = ["/usr/lib/jvm", "/usr/java", "/usr/local/java", "/opt/java", "/opt/jdks", "/Library/Java/JavaVirtualMachines"];
+// JDKs unpacked straight into /opt (/opt/jdk-21.0.2, /opt/zulu17, ...)
+const OPT_JDK = /^(jdk|jre|java|openjdk|zulu|temurin|graalvm|corretto)/i;
+
+const VERSION_TIMEOUT = 5000;
+
+// The class file format version of Java 8 is 52, and it goes up by one per release
+const CLASS_VERSION_OFFSET = 44;
+
+function exists(file) {
+    try {
+        return fs.statSync(file).isFile();
+    } catch (e) {
+        return false;
+    }
+}
+
+function subdirectories(dir) {
+    try {
+        return fs.readdirSync(dir, { withFileTypes: true })
+            .filter(entry => entry.isDirectory() || entry.isSymbolicLink())
+            .map(entry => path.join(dir, entry.name));
+    } catch (e) {
+        return [];
+    }
+}
+
+// The JDK home itself, or its macOS bundle
+function homeOf(dir) {
+    if (exists(path.join(dir, "bin", "java"))) return dir;
+    const bundle = path.join(dir, "Contents", "Home");
+    if (exists(path.join(bundle, "bin", "java"))) return bundle;
+    return null;
+}
+
+// Installed Java runtimes and the Java version a server jar needs. Runtimes are found in the
+// usual JDK directories, JAVA_HOME, PATH and the extra paths configured in the manager (a JDK
+// home or a directory of them), kept in a JSON file. Versions come from the JDK's `release`
+// file, or from `java -version` where there is none.
+class JavaRuntimes {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.extraPaths = this.loadExtraPaths();
+        this.runtimes = null;
+    }
+
+    loadExtraPaths() {
+        if (!fs.existsSync(this.filePath)) return [];
+        try {
+            const data = JSON.parse(fs.readFileSync(this.filePath, "utf-8"));
+            return Array.isArray(data.extraPaths) ? data.extraPaths : [];
+        } catch (e) {
+            console.error("Error reading Java settings file:", e);
+            return [];
+        }
+    }
+
+    setExtraPaths(paths) {
+        if (!Array.isArray(paths)) throw new Error("Paths must be a list.");
+        const list = [...new Set(paths.map(p => String(p).trim()).filter(Boolean))];
+        for (const p of list) {
+            if (!path.isAbsolute(p)) throw new Error(`Not an absolute path: ${p}`);
+        }
+        this.extraPaths = list;
+        fs.writeFileSync(this.filePath, JSON.stringify({ extraPaths: list }, null, 2));
+    }
+
+    // [{ home, source }] before probing; the first source of a JDK wins
+    candidates() {
+        const result = [];
+        const add = (dir, source) => {
+            const home = dir && homeOf(dir);
+            if (home) result.push({ home, source });
+        };
+        for (const dir of this.extraPaths) {
+            if (homeOf(dir)) add(dir, "configured");
+            else subdirectories(dir).forEach(sub => add(sub, "configured"));
+        }
+        add(process.env.JAVA_HOME, "JAVA_HOME");
+        for (const dir of (process.env.PATH || "").split(path.delimiter).filter(Boolean)) {
+            const java = path.join(dir, "java");
+            if (!exists(java)) continue;
+            try {
+                // /usr/bin/java usually leads through /etc/alternatives into a JDK
+                add(path.dirname(path.dirname(fs.realpathSync(java))), "PATH");
+            } catch (e) { }
+        }
+        for (const dir of JVM_DIRS) subdirectories(dir).forEach(sub => add(sub, "system"));
+        subdirectories("/opt").filter(dir => OPT_JDK.test(path.basename(dir))).forEach(dir => add(dir, "system"));
+        return result;
+    }
+
+    // Probes all candidates again. Resolves to [{ home, java, version, major, vendor, sources }]
+    async scan() {
+        const seen = new Map();
+        for (const { home, source } of this.candidates()) {
+            let real;
+            try {
+                real = fs.realpathSync(path.join(home, "bin", "java"));
+            } catch (e) {
+                continue;
+            }
+            if (seen.has(real)) {
+                const known = seen.get(real);
+                if (known && !known.sources.includes(source)) known.sources.push(source);
+                continue;
+            }
+            seen.set(real, null);
+            const runtime = await JavaRuntimes.probe(home);
+            if (runtime) seen.set(real, { ...runtime, sources: [source] });
+        }
+        this.runtimes = [...seen.values()].filter(Boolean).sort((a, b) => b.major - a.major || a.home.localeCompare(b.home));
+        return this.runtimes;
+    }
+
+    async list() {
+        return this.runtimes || this.scan();
+    }
+
+    // The runtime with this home, from the last scan
+    find(home) {
+        return (this.runtimes || []).find(r => r.home === home) || null;
+    }
+
+    // The runtime a plain `java` in a command runs, from the last scan
+    pathRuntime() {
+        return (this.runtimes || []).find(r => r.sources.includes("PATH")) || null;
+    }
+
+    static async probe(home) {
+        const java = path.join(home, "bin", "java");
+        let version = null;
+        let vendor = null;
+        try {
+            const release = fs.readFileSync(path.join(home, "release"), "utf-8");
+            const field = name => (new RegExp(`^${name}="?([^"\\n]*)"?`, "m").exec(release) || [])[1] || null;
+            version = field("JAVA_VERSION");
+            vendor = field("IMPLEMENTOR");
+        } catch (e) { }
+        if (!version) {
+            version = await new Promise(resolve => {
+                execFile(java, ["-version"], { timeout: VERSION_TIMEOUT }, (err, stdout, stderr) => {
+                    const match = /version "([^"]+)"/.exec(`${stderr}${stdout}`);
+                    resolve(match ? match[1] : null);
+                });
+            });
+        }
+        const major = JavaRuntimes.majorOf(version);
+        return major ? { home, java, version, major, vendor } : null;
+    }
+
+    // "1.8.0_392" -> 8, "17.0.9" -> 17, "21" -> 21
+    static majorOf(version) {
+        const match = /^(?:1\.)?(\d+)/.exec(version || "");
+        return match ? parseInt(match[1], 10) : null;
+    }
+
+    // Lowest Java the server jar (an absolute path) runs on: `java_version` from the version.json
+    // that Vanilla and Paper jars carry, else the class file version of its Main-Class. Resolves
+    // to { major, jar, source } or null when it cannot be told.
+    static async requirement(jar) {
+        if (!jar || !exists(jar)) return null;
+        const reader = new JarReader(jar);
+        try {
+            await reader.open();
+            const versionJson = await reader.entry("version.json");
+            if (versionJson) {
+                const major = parseInt(JSON.parse(versionJson.toString("utf-8")).java_version, 10);
+                if (major) return { major, jar: path.basename(jar), source: "version.json" };
+            }
+            const manifest = await reader.entry("META-INF/MANIFEST.MF");
+            const mainClass = manifest && (/^Main-Class:\s*(\S+)/m.exec(manifest.toString("utf-8")) || [])[1];
+            const classFile = mainClass && await reader.entry(`${mainClass.replace(/\./g, "/")}.class`);
+            if (classFile && classFile.length >= 8 && classFile.readUInt32BE(0) === 0xcafebabe) {
+                return { major: classFile.readUInt16BE(6) - CLASS_VERSION_OFFSET, jar: path.basename(jar), source: "Main-Class" };
+            }
+        } catch (e) {
+            // Not a readable jar; nothing to warn about
+        } finally {
+            await reader.close();
+        }
+        return null;
+    }
+}
+
+module.exports = JavaRuntimes;
@@ -0,0 +1,243 @@
+const path = require("path");
+
+// Aikar's G1GC flags (https://docs.papermc.io/paper/aikars-flags); heaps above 12 GB get larger
+// young generation and region sizes
+const AIKAR_FLAGS = [
+    "-XX:+UseG1GC", "-XX:+ParallelRefProcEnabled", "-XX:MaxGCPauseMillis=200", "-XX:+UnlockExperimentalVMOptions",
+    "-XX:+DisableExplicitGC", "-XX:+AlwaysPreTouch", "-XX:G1NewSizePercent=30", "-XX:G1MaxNewSizePercent=40",
+    "-XX:G1HeapRegionSize=8M", "-XX:G1ReservePercent=20", "-XX:G1HeapWastePercent=5", "-XX:G1MixedGCCountTarget=4",
+    "-XX:InitiatingHeapOccupancyPercent=15", "-XX:G1MixedGCLiveThresholdPercent=90", "-XX:G1RSetUpdatingPauseTimePercent=5",
+    "-XX:SurvivorRatio=32", "-XX:+PerfDisableSharedMem", "-XX:MaxTenuringThreshold=1",
+    "-Dusing.aikars.flags=https://mcflags.emc.gs", "-Daikars.new.flags=true"
+];
+const AIKAR_LARGE_HEAP = {
+    "-XX:G1NewSizePercent=30": "-XX:G1NewSizePercent=40",
+    "-XX:G1MaxNewSizePercent=40": "-XX:G1MaxNewSizePercent=50",
+    "-XX:G1HeapRegionSize=8M": "-XX:G1HeapRegionSize=16M",
+    "-XX:G1ReservePercent=20": "-XX:G1ReservePercent=15",
+    "-XX:InitiatingHeapOccupancyPercent=15": "-XX:InitiatingHeapOccupancyPercent=20"
+};
+const AIKAR_LARGE_FLAGS = AIKAR_FLAGS.map(flag => AIKAR_LARGE_HEAP[flag] || flag);
+
+// Recommended in the Velocity documentation
+const VELOCITY_FLAGS = [
+    "-XX:+UseG1GC", "-XX:G1HeapRegionSize=4M", "-XX:+UnlockExperimentalVMOptions",
+    "-XX:+ParallelRefProcEnabled", "-XX:+AlwaysPreTouch", "-XX:MaxInlineLevel=15"
+];
+
+// JVM flag presets: name -> { label, flags(maxMemoryMB) }
+const PRESETS = {
+    none: { label: "None", flags: () => [] },
+    aikar: { label: "Aikar's flags (Paper, G1GC)", flags: maxMB => (maxMB > 12 * 1024 ? AIKAR_LARGE_FLAGS : AIKAR_FLAGS) },
+    velocity: { label: "Velocity proxy flags", flags: () => VELOCITY_FLAGS }
+};
+
+const TYPES = ["java", "command"];
+const ENV_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// Shell syntax that only means something to a shell: expansions, globs, pipes, redirections, lists
+const SHELL_SYNTAX = /[$`|&;<>()*?[{]/;
+
+// Splits a command line the way a POSIX shell would split words: quotes and backslashes group,
+// nothing is expanded. `shellSyntax` tells whether it uses anything beyond that unquoted, `#`
+// comments included. `assignments` counts the leading `NAME=value` words, which a shell takes
+// as environment variables for the program rather than as the program.
+function split(command) {
+    const tokens = [];
+    let current = null;
+    let quote = null;
+    let shellSyntax = false;
+    let assignments = 0;
+    // Whether the current word is an assignment, and whether anything in it was quoted so far
+    let assignment = false;
+    let quoted = false;
+    const push = () => {
+        if (assignment && tokens.length === assignments) assignments++;
+        tokens.push(current);
+        current = null;
+        assignment = false;
+        quoted = false;
+    };
+    const text = String(command || "");
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (quote === "'") {
+            if (c === "'") quote = null;
+            else current += c;
+        } else if (quote === '"') {
+            if (c === '"') quote = null;
+            else if (c === "\\" && /["\\$`]/.test(text[i + 1] || "")) current += text[++i];
+            else {
+                if (c === "$" || c === "`") shellSyntax = true;
+                current += c;
+            }
+        } else if (/\s/.test(c)) {
+            if (current !== null) push();
+        } else {
+            if (current === null) current = "";
+            if (c === "'" || c === '"') {
+                quote = c;
+                quoted = true;
+            } else if (c === "\\" && i + 1 < text.length) {
+                current += text[++i];
+                quoted = true;
+            } else {
+                if (SHELL_SYNTAX.test(c) || ((c === "~" || c === "#") && current === "")) shellSyntax = true;
+                if (c === "=" && !assignment && !quoted && ENV_NAME.test(current)) assignment = true;
+                current += c;
+            }
+        }
+    }
+    if (quote) throw new Error(`Unterminated ${quote} quote in the command.`);
+    if (current !== null) push();
+    return { tokens, shellSyntax, assignments };
+}
+
+// The word as a shell would need it, for showing a command line; words that would read as
+// assignments are quoted as well
+function quote(word) {
+    return /^[\w@%+=:,./-]+$/.test(word) && !/^[A-Za-z_][A-Za-z0-9_]*=/.test(word) ? word : `'${word.replace(/'/g, "'\\''")}'`;
+}
+
+// "-Xmx2G" -> 2048; null when the size is not a whole number of megabytes
+function megabytes(size) {
+    const match = /^(\d+)([kKmMgGtT]?)$/.exec(size);
+    if (!match) return null;
+    const factor = { "": 1 / (1024 * 1024), k: 1 / 1024, m: 1, g: 1024, t: 1024 * 1024 }[match[2].toLowerCase()];
+    const mb = parseInt(match[1], 10) * factor;
+    return Number.isInteger(mb) ? mb : null;
+}
+
+function strings(value, what) {
+    if (value === undefined || value === null) return [];
+    if (!Array.isArray(value) || value.some(v => typeof v !== "string" || v.includes("\0"))) {
+        throw new Error(`${what} must be a list of strings.`);
+    }
+    return value.filter(v => v !== "");
+}
+
+// How an instance is started, stored on it as `launch` instead of a command line:
+//   { type: "java", java, jar, minMemoryMB, maxMemoryMB, preset, jvmArgs, args, env }
+//   { type: "command", executable, args, env }
+// `java` is null for the `java` on PATH (or the runtime selected for the instance). Both run
+// without a shell, so arguments reach the program exactly as stored.
+class LaunchSpec {
+    static normalize(data) {
+        if (!data || typeof data !== "object") throw new Error("Missing launch settings.");
+        const type = data.type || "java";
+        if (!TYPES.includes(type)) throw new Error(`Launch type must be one of: ${TYPES.join(", ")}`);
+
+        const env = {};
+        for (const [key, value] of Object.entries(data.env || {})) {
+            if (!ENV_NAME.test(key)) throw new Error(`Invalid environment variable name: ${key}`);
+            if (typeof value !== "string" || value.includes("\0")) throw new Error(`Invalid value for ${key}.`);
+            env[key] = value;
+        }
+        const args = strings(data.args, "Arguments");
+
+        if (type === "command") {
+            const executable = typeof data.executable === "string" ? data.executable.trim() : "";
+            if (!executable) throw new Error("Missing the program to run.");
+            return { type, executable, args, env };
+        }
+
+        const jar = typeof data.jar === "string" ? data.jar.trim() : "";
+        if (!jar) throw new Error("Missing the server jar.");
+        const java = typeof data.java === "string" && data.java.trim() ? data.java.trim() : null;
+        const memory = {};
+        for (const key of ["minMemoryMB", "maxMemoryMB"]) {
+            const value = data[key] === undefined || data[key] === null || data[key] === "" ? null : Number(data[key]);
+            if (value !== null && (!Number.isInteger(value) || value < 16)) throw new Error(`Invalid ${key}.`);
+            memory[key] = value;
+        }
+        if (memory.minMemoryMB && memory.maxMemoryMB && memory.minMemoryMB > memory.maxMemoryMB) {
+            throw new Error("The minimum memory cannot exceed the maximum.");
+        }
+        const preset = data.preset || "none";
+        if (!PRESETS[preset]) throw new Error(`JVM flag preset must be one of: ${Object.keys(PRESETS).join(", ")}`);
+        return { type, java, jar, ...memory, preset, jvmArgs: strings(data.jvmArgs, "JVM arguments"), args, env };
+    }
+
+    // A command line. `java ... -jar <jar> ...` becomes a java launch with memory and a matching
+    // flag preset taken out; anything else runs as it is. Leading `NAME=value` words go into the
+    // launch environment. A command that needs a shell (variables, globs, pipes, `&&`, comments,
+    // ...) is refused, unless `allowShell` (only for converting the command lines older versions
+    // stored) has it run in `sh -c` as before.
+    static parse(command, { allowShell = false } = {}) {
+        const { tokens, shellSyntax, assignments } = split(command);
+        const env = {};
+        for (const word of tokens.slice(0, assignments)) env[word.slice(0, word.indexOf("="))] = word.slice(word.indexOf("=") + 1);
+        const [program, ...rest] = tokens.slice(assignments);
+        if (!program) throw new Error("Missing the command to run.");
+        if (shellSyntax) {
+            if (!allowShell) {
+                throw new Error("The command uses shell syntax ($, globs, |, &&, redirections, comments, ...); instances run without a shell. Use the launch settings (program, arguments, environment) or a start script.");
+            }
+            return LaunchSpec.shell(command);
+        }
+        const jarIndex = rest.indexOf("-jar");
+        if (!/^java(\.exe)?$/i.test(path.basename(program)) || jarIndex === -1 || !rest[jarIndex + 1]) {
+            return LaunchSpec.normalize({ type: "command", executable: program, args: rest, env });
+        }
+
+        const spec = { type: "java", java: program === "java" ? null : program, jar: rest[jarIndex + 1], args: rest.slice(jarIndex + 2), env };
+        let jvmArgs = [];
+        for (const arg of rest.slice(0, jarIndex)) {
+            const memory = /^-Xm([sx])(.+)$/.exec(arg);
+            const mb = memory && megabytes(memory[2]);
+            if (mb) spec[memory[1] === "s" ? "minMemoryMB" : "maxMemoryMB"] = mb;
+            else jvmArgs.push(arg);
+        }
+        spec.preset = "none";
+        for (const [preset, flags] of [["aikar", AIKAR_FLAGS], ["aikar", AIKAR_LARGE_FLAGS], ["velocity", VELOCITY_FLAGS]]) {
+            if (flags.every(flag => jvmArgs.includes(flag))) {
+                spec.preset = preset;
+                jvmArgs = jvmArgs.filter(arg => !flags.includes(arg));
+                break;
+            }
+        }
+        spec.jvmArgs = jvmArgs;
+        return LaunchSpec.normalize(spec);
+    }
+
+    static shell(command) {
+        return LaunchSpec.normalize({ type: "command", executable: "/bin/sh", args: ["-c", String(command || "").trim()] });
+    }
+
+    // Launches converted from a command line that needed a shell
+    static usesShell(spec) {
+        return spec.type === "command" && spec.executable === "/bin/sh" && spec.args[0] === "-c";
+    }
+
+    // { program, args } to spawn; `program` is "java", a path to it, or the executable
+    static argv(spec) {
+        if (spec.type === "command") return { program: spec.executable, args: [...spec.args] };
+        return {
+            program: spec.java || "java",
+            args: [
+                ...(spec.minMemoryMB ? [`-Xms${spec.minMemoryMB}M`] : []),
+                ...(spec.maxMemoryMB ? [`-Xmx${spec.maxMemoryMB}M`] : []),
+                ...PRESETS[spec.preset].flags(spec.maxMemoryMB || 0),
+                ...spec.jvmArgs,
+                "-jar", spec.jar,
+                ...spec.args
+            ]
+        };
+    }
+
+    // The equivalent shell command line, for display
+    static toCommand(spec) {
+        const { program, args } = LaunchSpec.argv(spec);
+        const env = Object.entries(spec.env).map(([key, value]) => `${key}=${quote(value)}`);
+        return [...env, ...[program, ...args].map(quote)].join(" ");
+    }
+
+    static presets() {
+        return Object.entries(PRESETS).map(([name, preset]) => ({ name, label: preset.label }));
+    }
+}
+
+LaunchSpec.PRESETS = PRESETS;
+LaunchSpec.split = split;
+
+module.exports = LaunchSpec;
@@ -0,0 +1,326 @@
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const readline = require("readline");
+const { Worker } = require("worker_threads");
+const ConsoleLog = require("./ConsoleLog");
+
+const LEVELS = ["INFO", "WARN", "ERROR"];
+
+// "[12:00:00 INFO]: ..." (Paper/Velocity console), "[12:00:00] [Server thread/WARN]: ..." (log files) or
+// "12:00:00 [INFO] ..." (BungeeCord)
+const LEVEL_PATTERN = /^(?:\[(?:\d{2}:\d{2}:\d{2}\]\s*\[[^\]]*\/|[^\]]*\s)|\d{2}:\d{2}:\d{2} \[)(INFO|WARN|WARNING|ERROR|SEVERE|FATAL)\]/;
+const CLOCK_PATTERN = /^\[(\d{2}):(\d{2}):(\d{2})/;
+
+const MAX_QUERY_LENGTH = 500;
+const MAX_REGEX_LENGTH = 200;
+// Lines matched per round trip to the regex worker, and how long one round trip may take
+const BATCH_LINES = 500;
+const REGEX_TIMEOUT_MS = 2000;
+
+const REGEX_WORKER = `
+const { parentPort, workerData } = require("worker_threads");
+const re = new RegExp(workerData.source, workerData.flags);
+parentPort.on("message", texts => parentPort.postMessage(texts.map(text => re.test(text))));
+`;
+
+class MatchTimeout extends Error {}
+
+// Runs a user's regex in a worker thread. JavaScript regexes can backtrack for minutes on some
+// patterns (e.g. "(a+)+$"); the worker is stopped after REGEX_TIMEOUT_MS instead of the event loop
+// being blocked for everyone.
+class RegexMatcher {
+    constructor(source, flags) {
+        this.source = source;
+        this.flags = flags;
+        this.worker = null;
+    }
+
+    // Resolves to whether each text matches
+    test(texts) {
+        if (!this.worker) {
+            this.worker = new Worker(REGEX_WORKER, { eval: true, workerData: { source: this.source, flags: this.flags } });
+        }
+        const worker = this.worker;
+        return new Promise((resolve, reject) => {
+            const done = () => {
+                clearTimeout(timer);
+                worker.off("message", onMessage);
+                worker.off("error", onError);
+            };
+            const onMessage = result => {
+                done();
+                resolve(result);
+            };
+            const onError = err => {
+                done();
+                this.close();
+                reject(err);
+            };
+            const timer = setTimeout(() => {
+                done();
+                this.close();
+                reject(new MatchTimeout("The regular expression takes too long; simplify it."));
+            }, REGEX_TIMEOUT_MS);
+            worker.on("message", onMessage);
+            worker.on("error", onError);
+            worker.postMessage(texts);
+        });
+    }
+
+    close() {
+        if (this.worker) this.worker.terminate();
+        this.worker = null;
+    }
+}
+
+// Search over an instance's console history: the manager's own console logs and the
+// server's logs/latest.log + logs/*.log.gz in its working directory
+class LogSearch {
+    constructor(consoleLog) {
+        this.consoleLog = consoleLog;
+    }
+
+    static levelOf(text) {
+        const match = LEVEL_PATTERN.exec(text);
+        if (!match) return null;
+        const level = match[1];
+        if (level === "WARNING") return "WARN";
+        if (level === "SEVERE" || level === "FATAL") return "ERROR";
+        return level;
+    }
+
+    // { test(texts) -> Promise<boolean[]>, close() }
+    static buildMatcher(query, { regex = false, caseSensitive = false } = {}) {
+        const plain = test => ({ test: async texts => texts.map(test), close: () => {} });
+        if (!query) return plain(() => true);
+        if (query.length > (regex ? MAX_REGEX_LENGTH : MAX_QUERY_LENGTH)) throw new Error("Query is too long.");
+        if (regex) {
+            const flags = caseSensitive ? "" : "i";
+            try {
+                new RegExp(query, flags);
+            } catch (e) {
+                throw new Error(e.message);
+            }
+            return new RegexMatcher(query, flags);
+        }
+        const needle = caseSensitive ? query : query.toLowerCase();
+        return plain(text => (caseSensitive ? text : text.toLowerCase()).includes(needle));
+    }
+
+    async search(name, workingDir, options = {}) {
+        const opts = {
+            query: options.query || "",
+            regex: !!options.regex,
+            caseSensitive: !!options.caseSensitive,
+            level: options.level ? String(options.level).toUpperCase() : null,
+            from: options.from ? Date.parse(options.from) : null,
+            to: options.to ? Date.parse(options.to) : null,
+            context: Math.min(Math.max(parseInt(options.context, 10) || 0, 0), 20),
+            limit: Math.min(parseInt(options.limit, 10) || 200, 1000),
+            source: options.source || "all"
+        };
+        if (opts.level && !LEVELS.includes(opts.level)) throw new Error(`Unknown level: ${opts.level}`);
+        if (Number.isNaN(opts.from) || Number.isNaN(opts.to)) throw new Error("Invalid time range.");
+
+        const state = {
+            opts,
+            match: LogSearch.buildMatcher(opts.query, opts),
+            results: [],
+            truncated: false,
+            // Files that could not be read, e.g. corrupt archives: [{ source, file, error }]
+            skipped: [],
+            deadline: Date.now() + 15000
+        };
+
+        try {
+            if (opts.source === "all" || opts.source === "manager") {
+                await this.searchManagerLogs(name, state);
+            }
+            if (!state.truncated && workingDir && (opts.source === "all" || opts.source === "server")) {
+                await this.searchServerLogs(workingDir, state);
+            }
+        } finally {
+            state.match.close();
+        }
+
+        return { matches: state.results, truncated: state.truncated, skipped: state.skipped };
+    }
+
+    // Scans one file; one that cannot be read is listed in `skipped` instead of failing the search
+    async scanFile(file, compressed, state, options) {
+        try {
+            await this.scan(LogSearch.openLines(file, compressed), state, options);
+        } catch (err) {
+            if (err instanceof MatchTimeout) throw err;
+            state.skipped.push({ source: options.source, file: options.file, error: err.message });
+        }
+    }
+
+    async searchManagerLogs(name, state) {
+        const { from, to } = state.opts;
+        const segments = await this.consoleLog.segments(name);
+
+        for (let i = 0; i < segments.length && !state.truncated; i++) {
+            // A segment covers the time from its own start to the next segment's start
+            const start = LogSearch.segmentTime(segments[i].id);
+            const end = i + 1 < segments.length ? LogSearch.segmentTime(segments[i + 1].id) : Infinity;
+            if ((to !== null && start > to) || (from !== null && end < from)) continue;
+
+            await this.scanFile(segments[i].file, segments[i].compressed, state, {
+                source: "manager",
+                file: segments[i].id,
+                parse: raw => {
+                    const line = ConsoleLog.parseLine(raw);
+                    return { time: line.time ? Date.parse(line.time) : null, text: LogSearch.stripAnsi(line.text) };
+                },
+                cursor: index => `${segments[i].id}:${index + 1 + state.opts.context}`
+            });
+        }
+    }
+
+    async searchServerLogs(workingDir, state) {
+        const logDir = path.join(workingDir, "logs");
+        const files = await fs.promises.readdir(logDir).catch(() => []);
+
+        // Archives are named "YYYY-MM-DD-N.log.gz", latest.log is the running one
+        const archives = files.filter(f => /^\d{4}-\d{2}-\d{2}-\d+\.log\.gz$/.test(f)).sort((a, b) => {
+            const [da, na] = [a.slice(0, 10), parseInt(a.slice(11), 10)];
+            const [db, nb] = [b.slice(0, 10), parseInt(b.slice(11), 10)];
+            return da === db ? na - nb : da.localeCompare(db);
+        });
+
+        const { from, to } = state.opts;
+        const dayMs = 24 * 60 * 60 * 1000;
+        const targets = archives.map(f => ({ file: f, day: f.slice(0, 10), compressed: true }));
+        if (files.includes("latest.log")) {
+            const stat = await fs.promises.stat(path.join(logDir, "latest.log"));
+            targets.push({ file: "latest.log", day: LogSearch.localDay(stat.mtime), compressed: false });
+        }
+
+        for (const target of targets) {
+            if (state.truncated) break;
+            const dayStart = new Date(`${target.day}T00:00:00`).getTime();
+            if ((to !== null && dayStart > to) || (from !== null && dayStart + dayMs < from)) continue;
+
+            await this.scanFile(path.join(logDir, target.file), target.compressed, state, {
+                source: "server",
+                file: target.file,
+                parse: raw => {
+                    const clock = CLOCK_PATTERN.exec(raw);
+                    const time = clock
+                        ? dayStart + ((+clock[1] * 60 + +clock[2]) * 60 + +clock[3]) * 1000
+                        : null;
+                    return { time, text: raw };
+                },
+                cursor: () => null
+            });
+        }
+    }
+
+    // Walks one file, keeping `context` lines before and collecting lines after each match. Lines
+    // are matched in batches, so a regex can run in its worker.
+    async scan(input, state, { source, file, parse, cursor }) {
+        const { opts } = state;
+        const before = [];
+        const pending = [];
+        let level = null;
+        let lastTime = null;
+        let index = -1;
+        let batch = [];
+
+        // False once the search has what it needs
+        const flush = async () => {
+            const matched = await state.match.test(batch.map(line => line.text));
+            for (const [i, line] of batch.entries()) {
+                const { text, time } = line;
+                for (let j = pending.length - 1; j >= 0; j--) {
+                    pending[j].after.push(text);
+                    if (pending[j].after.length >= opts.context) pending.splice(j, 1);
+                }
+
+                const inRange = time === null
+                    || ((opts.from === null || time >= opts.from) && (opts.to === null || time <= opts.to));
+                if (!state.truncated && inRange && (!opts.level || line.level === opts.level) && matched[i]) {
+                    const result = {
+                        source,
+                        file,
+                        line: line.index,
+                        time: time !== null ? new Date(time).toISOString() : null,
+                        level: line.level,
+                        text,
+                        before: [...before],
+                        after: [],
+                        cursor: cursor(line.index)
+                    };
+                    state.results.push(result);
+                    if (opts.context > 0) pending.push(result);
+                    if (state.results.length >= opts.limit) {
+                        state.truncated = true;
+                    }
+                }
+
+                if (opts.context > 0) {
+                    before.push(text);
+                    if (before.length > opts.context) before.shift();
+                }
+
+                if ((state.truncated && pending.length === 0) || Date.now() > state.deadline) {
+                    state.truncated = true;
+                    return false;
+                }
+            }
+            batch = [];
+            return true;
+        };
+
+        try {
+            for await (const raw of input) {
+                index++;
+                const parsed = parse(raw);
+
+                // Continuation lines (stack traces, multi-line output) share time and level of the line above
+                const time = parsed.time !== null ? parsed.time : lastTime;
+                lastTime = time;
+                level = LogSearch.levelOf(parsed.text) || (parsed.text.startsWith("[") ? null : level);
+
+                batch.push({ index, text: parsed.text, time, level });
+                if (batch.length >= BATCH_LINES && !(await flush())) return;
+            }
+            if (batch.length) await flush();
+        } finally {
+            input.close();
+            input.input.destroy();
+        }
+    }
+
+    static stripAnsi(text) {
+        return text.replace(/\x1b\[[0-9;]*[A-Za-z]/g, "");
+    }
+
+    static openLines(file, compressed) {
+        let stream = fs.createReadStream(file);
+        if (compressed) {
+            const gunzip = zlib.createGunzip();
+            // pipe() does not pass read errors on
+            stream.on("error", err => gunzip.destroy(err));
+            stream = stream.pipe(gunzip);
+        }
+        return readline.createInterface({ input: stream, crlfDelay: Infinity });
+    }
+
+    static segmentTime(id) {
+        // "2026-01-02T03-04-05-678Z" back to an ISO timestamp
+        const iso = id.replace(/T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/, "T$1:$2:$3.$4Z");
+        return Date.parse(iso);
+    }
+
+    static localDay(date) {
+        const pad = n => String(n).padStart(2, "0");
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+}
+
+LogSearch.LEVELS = LEVELS;
+
+module.exports = LogSearch;
@@ -0,0 +1,215 @@
+const fs = require("fs");
+const path = require("path");
+const InstanceName = require("./InstanceName");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+const TIERS = ["raw", "minute"];
+
+function day(time) {
+    return new Date(time).toISOString().slice(0, 10);
+}
+
+// Keeps the numbers short on disk
+function round(value) {
+    return typeof value === "number" && Number.isFinite(value) ? Math.round(value * 100) / 100 : null;
+}
+
+// Time series of samples ({ time, <field>: number | null }), one directory per series: the host
+// ("host") or an instance ("instance:<name>"). Every sample is kept for `rawRetentionMs`, and the
+// averages per minute for `minuteRetentionMs`. Files hold one UTC day of one tier, as JSON lines:
+// a header ({ fields }) and then [time, value, ...] per sample, so fields can change between files.
+class MetricsStore {
+    constructor(baseDir, options = {}) {
+        this.baseDir = baseDir;
+        this.rawRetentionMs = options.rawRetentionMs || DAY_MS;
+        this.minuteRetentionMs = options.minuteRetentionMs || 30 * DAY_MS;
+        // series -> { minute, fields, sums, counts } for the minute being collected
+        this.pending = {};
+        // file -> fields of its header, for the files written to
+        this.headers = {};
+
+        fs.mkdirSync(this.baseDir, { recursive: true });
+    }
+
+    dirFor(series) {
+        if (series.startsWith("instance:")) return path.join(this.baseDir, "instances", InstanceName.fileName(series.slice(9)));
+        return path.join(this.baseDir, InstanceName.fileName(series));
+    }
+
+    fileFor(series, tier, date) {
+        return path.join(this.dirFor(series), `${tier}-${date}.jsonl`);
+    }
+
+    write(series, tier, fields, time, values) {
+        const file = this.fileFor(series, tier, day(time));
+        try {
+            if (this.headers[file] === undefined) {
+                fs.mkdirSync(path.dirname(file), { recursive: true });
+                const text = fs.existsSync(file) ? fs.readFileSync(file, "utf-8") : "";
+                this.headers[file] = text.split("\n").filter(l => l.startsWith("{")).pop() || "";
+            }
+            // A new file, or a sample with other fields, starts with a header
+            let line = JSON.stringify([time, ...values]) + "\n";
+            if (this.headers[file] !== JSON.stringify({ fields })) {
+                this.headers[file] = JSON.stringify({ fields });
+                line = this.headers[file] + "\n" + line;
+            }
+            fs.appendFileSync(file, line, "utf-8");
+        } catch (e) {
+            console.error(`Failed to store metrics for ${series}:`, e);
+        }
+    }
+
+    append(series, sample) {
+        const time = sample.time || Date.now();
+        const fields = Object.keys(sample).filter(key => key !== "time");
+        const values = fields.map(field => round(sample[field]));
+        this.write(series, "raw", fields, time, values);
+
+        // Averages per minute; a minute is written once the next one begins
+        const minute = Math.floor(time / MINUTE_MS) * MINUTE_MS;
+        const pending = this.pending[series];
+        if (pending && (pending.minute !== minute || pending.fields.join() !== fields.join())) {
+            this.flush(series);
+        }
+        if (!this.pending[series]) {
+            this.pending[series] = { minute, fields, sums: fields.map(() => 0), counts: fields.map(() => 0) };
+        }
+        const current = this.pending[series];
+        values.forEach((value, i) => {
+            if (value === null) return;
+            current.sums[i] += value;
+            current.counts[i]++;
+        });
+    }
+
+    flush(series) {
+        const pending = this.pending[series];
+        if (!pending) return;
+        delete this.pending[series];
+        const values = pending.sums.map((sum, i) => (pending.counts[i] ? round(sum / pending.counts[i]) : null));
+        this.write(series, "minute", pending.fields, pending.minute, values);
+    }
+
+    // Reads one file: [{ time, <field>: value }]
+    async readFile(file, from, to) {
+        let text;
+        try {
+            text = await fs.promises.readFile(file, "utf-8");
+        } catch (e) {
+            return [];
+        }
+        const samples = [];
+        let fields = [];
+        for (const line of text.split("\n")) {
+            if (!line) continue;
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (e) {
+                continue;
+            }
+            if (!Array.isArray(entry)) {
+                fields = Array.isArray(entry.fields) ? entry.fields : [];
+                continue;
+            }
+            const [time, ...values] = entry;
+            if (time < from || time > to) continue;
+            const sample = { time };
+            fields.forEach((field, i) => {
+                sample[field] = values[i] === undefined ? null : values[i];
+            });
+            samples.push(sample);
+        }
+        return samples;
+    }
+
+    // Samples between `from` and `to` (ms). Without a `resolution` the raw samples are used while
+    // they are kept for the whole range, else the minute averages. With `step` (ms) samples are
+    // averaged into buckets of that size. Resolves to { resolution, fields, points: [[time, ...values]] }.
+    // Ranges longer than the tier keeps samples are refused; every day in the range is a file read.
+    async query(series, { from, to = Date.now(), resolution, step } = {}) {
+        from = from === undefined ? to - 60 * 60 * 1000 : from;
+        const tier = resolution || (from >= Date.now() - this.rawRetentionMs ? "raw" : "minute");
+        if (!TIERS.includes(tier)) throw new Error(`Resolution must be one of: ${TIERS.join(", ")}`);
+        if (!(from <= to)) throw new Error("Invalid time range.");
+        const retention = tier === "raw" ? this.rawRetentionMs : this.minuteRetentionMs;
+        // A minute of slack for "the last 30 days" with `to` defaulting to a later now
+        if (to - from > retention + MINUTE_MS) {
+            const kept = retention >= 2 * DAY_MS ? `${Math.round(retention / DAY_MS)} days` : `${Math.round(retention / 3600000)} hours`;
+            throw new Error(`The range is longer than the ${kept} kept at ${tier} resolution.`);
+        }
+
+        let samples = [];
+        for (let date = Math.floor(from / DAY_MS) * DAY_MS; date <= to; date += DAY_MS) {
+            samples = samples.concat(await this.readFile(this.fileFor(series, tier, day(date)), from, to));
+        }
+
+        const fields = [];
+        for (const sample of samples) {
+            for (const field of Object.keys(sample)) {
+                if (field !== "time" && !fields.includes(field)) fields.push(field);
+            }
+        }
+        let points = samples.map(sample => [sample.time, ...fields.map(f => (sample[f] === undefined ? null : sample[f]))]);
+
+        if (step > 0) {
+            const buckets = new Map();
+            for (const [time, ...values] of points) {
+                const bucket = Math.floor(time / step) * step;
+                if (!buckets.has(bucket)) buckets.set(bucket, { sums: fields.map(() => 0), counts: fields.map(() => 0) });
+                const b = buckets.get(bucket);
+                values.forEach((value, i) => {
+                    if (value === null) return;
+                    b.sums[i] += value;
+                    b.counts[i]++;
+                });
+            }
+            points = [...buckets.entries()].map(([time, b]) => [time, ...b.sums.map((sum, i) => (b.counts[i] ? round(sum / b.counts[i]) : null))]);
+        }
+        return { resolution: tier, fields, points };
+    }
+
+    // Deletes the days that are past the retention of their tier, in every series
+    prune(now = Date.now()) {
+        const keepFrom = { raw: day(now - this.rawRetentionMs), minute: day(now - this.minuteRetentionMs) };
+        const dirs = [];
+        for (const entry of fs.readdirSync(this.baseDir, { withFileTypes: true })) {
+            if (!entry.isDirectory()) continue;
+            const dir = path.join(this.baseDir, entry.name);
+            if (entry.name === "instances") {
+                for (const sub of fs.readdirSync(dir, { withFileTypes: true })) {
+                    if (sub.isDirectory()) dirs.push(path.join(dir, sub.name));
+                }
+            } else {
+                dirs.push(dir);
+            }
+        }
+        for (const dir of dirs) {
+            for (const file of fs.readdirSync(dir)) {
+                const match = /^(raw|minute)-(\d{4}-\d{2}-\d{2})\.jsonl$/.exec(file);
+                if (!match || match[2] >= keepFrom[match[1]]) continue;
+                fs.unlinkSync(path.join(dir, file));
+                delete this.headers[path.join(dir, file)];
+            }
+        }
+    }
+
+    renameSeries(oldSeries, newSeries) {
+        this.flush(oldSeries);
+        const from = this.dirFor(oldSeries);
+        const to = this.dirFor(newSeries);
+        if (fs.existsSync(from) && !fs.existsSync(to)) {
+            fs.mkdirSync(path.dirname(to), { recursive: true });
+            fs.renameSync(from, to);
+        }
+        for (const file of Object.keys(this.headers)) {
+            if (file.startsWith(from + path.sep)) delete this.headers[file];
+        }
+    }
+}
+
+MetricsStore.TIERS = TIERS;
+
+module.exports = MetricsStore;
@@ -0,0 +1,130 @@
+// Who is online on each instance. Built from join/leave console events and corrected by the
+// answers to periodic `list` commands, which catch joins and leaves the console lines missed.
+class PlayerTracker {
+    constructor(options = {}) {
+        // Stop polling an instance whose console never answers `list` (e.g. a proxy)
+        this.maxUnanswered = options.maxUnanswered || 3;
+        this.instances = {};
+    }
+
+    stateFor(name) {
+        if (!this.instances[name]) {
+            this.instances[name] = {
+                players: new Map(),
+                uuids: {},
+                max: null,
+                ready: false,
+                unanswered: 0,
+                updatedAt: null
+            };
+        }
+        return this.instances[name];
+    }
+
+    // Applies one console event; returns true when the player list changed
+    handleEvent(name, event) {
+        const state = this.stateFor(name);
+        const { players } = state;
+
+        switch (event.type) {
+            case "player_uuid":
+                state.uuids[event.player] = event.uuid;
+                if (players.has(event.player)) players.get(event.player).uuid = event.uuid;
+                return false;
+            case "startup_complete":
+                state.ready = true;
+                return false;
+            case "player_login":
+            case "player_join": {
+                const known = players.get(event.player);
+                if (known) {
+                    if (event.ip && !known.ip) known.ip = event.ip;
+                    return false;
+                }
+                players.set(event.player, {
+                    name: event.player,
+                    uuid: state.uuids[event.player] || null,
+                    ip: event.ip || null,
+                    joinedAt: event.time,
+                    estimated: false
+                });
+                break;
+            }
+            case "player_leave":
+                delete state.uuids[event.player];
+                if (!players.delete(event.player)) return false;
+                break;
+            case "player_list":
+                state.unanswered = 0;
+                state.max = event.max;
+                if (!this.applyList(state, event)) return false;
+                break;
+            default:
+                return false;
+        }
+
+        state.updatedAt = event.time;
+        return true;
+    }
+
+    // Players found by `list` but never seen joining get the time of the list as an estimated join time
+    applyList(state, event) {
+        const listed = new Set(event.players);
+        let changed = false;
+
+        for (const name of [...state.players.keys()]) {
+            if (!listed.has(name)) {
+                state.players.delete(name);
+                changed = true;
+            }
+        }
+        for (const name of listed) {
+            if (state.players.has(name)) continue;
+            state.players.set(name, {
+                name,
+                uuid: state.uuids[name] || null,
+                ip: null,
+                joinedAt: event.time,
+                estimated: true
+            });
+            changed = true;
+        }
+        return changed;
+    }
+
+    shouldPoll(name) {
+        const state = this.instances[name];
+        return !!state && state.ready && state.unanswered < this.maxUnanswered;
+    }
+
+    notePoll(name) {
+        this.stateFor(name).unanswered++;
+    }
+
+    // The server stopped or crashed: nobody is online anymore. Returns true if anyone was
+    reset(name) {
+        const state = this.instances[name];
+        delete this.instances[name];
+        return !!state && state.players.size > 0;
+    }
+
+    count(name) {
+        const state = this.instances[name];
+        return state ? state.players.size : 0;
+    }
+
+    list(name) {
+        const state = this.instances[name];
+        if (!state) return { online: 0, max: null, updatedAt: null, players: [] };
+        const players = [...state.players.values()].sort((a, b) => a.joinedAt.localeCompare(b.joinedAt));
+        return { online: players.length, max: state.max, updatedAt: state.updatedAt, players };
+    }
+
+    renameInstance(oldName, newName) {
+        if (!this.instances[oldName]) return;
+        this.instances[newName] = this.instances[oldName];
+        delete this.instances[oldName];
+    }
+}
+
+module.exports = PlayerTracker;
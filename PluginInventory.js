@@ -0,0 +1,347 @@
+const fs = require("fs");
+const path = require("path");
+const JarReader = require("./JarReader");
+
+// Folders scanned in an instance's working directory; disabled jars are moved one level down,
+// where neither the server nor the mod loaders look for them
+const FOLDERS = ["plugins", "mods"];
+const DISABLED_DIR = "disabled";
+
+const METADATA_FILES = [
+    "paper-plugin.yml", "plugin.yml", "bungee.yml", "velocity-plugin.json",
+    "fabric.mod.json", "META-INF/mods.toml", "META-INF/neoforge.mods.toml", "META-INF/MANIFEST.MF"
+];
+
+// Dependencies provided by the platform rather than by another jar
+const PLATFORM_IDS = {
+    fabric: ["minecraft", "java", "fabricloader", "fabric-loader"],
+    forge: ["minecraft", "forge", "neoforge", "java"]
+};
+
+// Jar files only, under their own name: they are moved around in the instance directory
+function isJarName(file) {
+    return typeof file === "string" && path.basename(file) === file && /\.jar$/i.test(file) && !file.startsWith(".");
+}
+
+// Just enough YAML for plugin.yml: nested mappings, block and flow lists of scalars, quoted
+// strings. Anything fancier reads as a plain string.
+function parseYaml(text) {
+    const root = {};
+    const stack = [{ indent: -1, value: root }];
+    let pending = null;
+    const scalar = raw => {
+        raw = raw.trim();
+        if (/^'.*'$/.test(raw)) return raw.slice(1, -1).replace(/''/g, "'");
+        if (/^".*"$/.test(raw)) return raw.slice(1, -1).replace(/\\"/g, '"');
+        if (raw.startsWith("[") && raw.endsWith("]")) {
+            return raw.slice(1, -1).split(",").map(v => v.trim()).filter(Boolean).map(scalar);
+        }
+        return raw;
+    };
+
+    for (const line of text.split(/\r?\n/)) {
+        if (/^\s*(#|$)/.test(line)) continue;
+        const indent = line.length - line.trimStart().length;
+        const content = line.trim().replace(/\s+#.*$/, "");
+
+        // Items belong to the last key without a value, at its indentation or deeper
+        const item = /^-\s*(.*)$/.exec(content);
+        if (item) {
+            if (pending && indent >= pending.indent) {
+                if (!Array.isArray(pending.parent[pending.key])) pending.parent[pending.key] = [];
+                pending.parent[pending.key].push(scalar(item[1]));
+            }
+            continue;
+        }
+        const match = /^('[^']*'|"[^"]*"|[^:]+?)\s*:(?:\s+(.*))?$/.exec(content);
+        if (!match) continue;
+        if (pending && indent > pending.indent && pending.parent[pending.key] === null) {
+            pending.parent[pending.key] = {};
+            stack.push({ indent: pending.indent, value: pending.parent[pending.key] });
+        }
+        pending = null;
+        while (stack.length > 1 && stack[stack.length - 1].indent >= indent) stack.pop();
+
+        const parent = stack[stack.length - 1].value;
+        const key = scalar(match[1]);
+        if (match[2] === undefined || match[2] === "") {
+            parent[key] = null;
+            pending = { parent, key, indent };
+        } else if (/^[|>]/.test(match[2])) {
+            parent[key] = "";
+        } else {
+            parent[key] = scalar(match[2]);
+        }
+    }
+    return root;
+}
+
+// Forge's mods.toml: top-level keys, [[mods]] and [[dependencies.<modId>]] entries, as
+// { top, mods: [{...}], dependencies: { modId: [{...}] } }
+function parseModsToml(text) {
+    const result = { top: {}, mods: [], dependencies: {} };
+    let current = result.top;
+    let multiline = false;
+    for (const line of text.split(/\r?\n/)) {
+        if (multiline) {
+            if (/'''|"""/.test(line)) multiline = false;
+            continue;
+        }
+        const header = /^\s*\[\[\s*([^\]]+?)\s*\]\]/.exec(line);
+        if (header) {
+            current = {};
+            if (header[1] === "mods") result.mods.push(current);
+            else if (header[1].startsWith("dependencies.")) {
+                const id = header[1].slice("dependencies.".length).replace(/^"|"$/g, "");
+                (result.dependencies[id] = result.dependencies[id] || []).push(current);
+            }
+            continue;
+        }
+        if (/^\s*\[/.test(line)) {
+            current = {};
+            continue;
+        }
+        const match = /^\s*([\w-]+)\s*=\s*(.*)$/.exec(line);
+        if (!match) continue;
+        const raw = match[2].trim();
+        if (/^('''|""")/.test(raw) && !/^('''|""").*('''|""")/.test(raw.slice(3))) {
+            multiline = true;
+            current[match[1]] = "";
+            continue;
+        }
+        const quoted = /^"((?:[^"\\]|\\.)*)"|^'([^']*)'/.exec(raw);
+        current[match[1]] = quoted ? (quoted[1] !== undefined ? quoted[1] : quoted[2]) : raw.replace(/\s+#.*$/, "");
+    }
+    return result;
+}
+
+function list(value) {
+    if (value === undefined || value === null || value === "") return [];
+    return (Array.isArray(value) ? value : [value]).map(v => (v && typeof v === "object" ? v.name : v)).filter(Boolean).map(String);
+}
+
+// Normalized metadata from the files of one jar: { kind, id, name, version, authors,
+// dependencies: [{ id, required }], provides, apiVersion, description }, or null if none is known
+function describe(files) {
+    const text = name => files[name] && files[name].toString("utf-8").replace(/^\uFEFF/, "");
+
+    const velocity = text("velocity-plugin.json");
+    if (velocity) {
+        const meta = JSON.parse(velocity);
+        return {
+            kind: "velocity", id: meta.id, name: meta.name || meta.id, version: meta.version || null,
+            authors: list(meta.authors), description: meta.description || null, apiVersion: null, provides: [],
+            dependencies: (Array.isArray(meta.dependencies) ? meta.dependencies : [])
+                .filter(d => d && typeof d.id === "string" && d.id)
+                .map(d => ({ id: d.id, required: !d.optional }))
+        };
+    }
+
+    const fabric = text("fabric.mod.json");
+    if (fabric) {
+        const meta = JSON.parse(fabric);
+        const depends = meta.depends || {};
+        return {
+            kind: "fabric", id: meta.id, name: meta.name || meta.id, version: meta.version || null,
+            authors: list(meta.authors), description: meta.description || null,
+            apiVersion: depends.minecraft ? list(depends.minecraft).join(" || ") : null,
+            provides: list(meta.provides),
+            dependencies: [
+                ...Object.keys(depends).map(id => ({ id, required: true })),
+                ...Object.keys(meta.recommends || {}).map(id => ({ id, required: false }))
+            ]
+        };
+    }
+
+    const modsToml = text("META-INF/neoforge.mods.toml") || text("META-INF/mods.toml");
+    if (modsToml) {
+        const toml = parseModsToml(modsToml);
+        const mod = toml.mods[0] || {};
+        let version = mod.version || null;
+        // Filled in from the manifest at build time
+        if (version === "${file.jarVersion}") {
+            const manifest = /^Implementation-Version:\s*(.+)$/m.exec(text("META-INF/MANIFEST.MF") || "");
+            version = manifest ? manifest[1].trim() : null;
+        }
+        const dependencies = (toml.dependencies[mod.modId] || []).map(d => ({
+            id: d.modId,
+            required: d.type ? d.type.toLowerCase() === "required" : d.mandatory !== "false"
+        }));
+        const minecraft = (toml.dependencies[mod.modId] || []).find(d => d.modId === "minecraft");
+        return {
+            kind: "forge", id: mod.modId, name: mod.displayName || mod.modId, version,
+            authors: list(mod.authors || toml.top.authors).flatMap(a => a.split(",")).map(a => a.trim()).filter(Boolean),
+            description: (mod.description || "").trim() || null, apiVersion: minecraft ? minecraft.versionRange || null : null, provides: [],
+            dependencies: dependencies.filter(d => d.id)
+        };
+    }
+
+    for (const [file, kind] of [["paper-plugin.yml", "paper"], ["plugin.yml", "bukkit"], ["bungee.yml", "bungee"]]) {
+        const yaml = text(file);
+        if (!yaml) continue;
+        const meta = parseYaml(yaml);
+        let dependencies = [
+            ...list(meta.depend || meta.depends).map(id => ({ id, required: true })),
+            ...list(meta.softdepend || meta.softDepends).map(id => ({ id, required: false }))
+        ];
+        // Paper plugins: dependencies: { server: { Name: { required } } }, older builds a plain list
+        if (kind === "paper" && meta.dependencies) {
+            dependencies = Array.isArray(meta.dependencies)
+                ? meta.dependencies.map(id => ({ id: String(id), required: true }))
+                : Object.entries(meta.dependencies.server || {}).map(([id, options]) => ({
+                    id, required: !options || typeof options !== "object" || options.required !== "false"
+                }));
+        }
+        return {
+            kind, id: meta.name, name: meta.name, version: meta.version !== undefined && meta.version !== null ? String(meta.version) : null,
+            authors: [...list(meta.author), ...list(meta.authors)], description: meta.description || null,
+            apiVersion: meta["api-version"] ? String(meta["api-version"]) : null, provides: list(meta.provides),
+            dependencies
+        };
+    }
+    return null;
+}
+
+// Lists the plugins and mods of an instance with the metadata inside their jars, and flags
+// required dependencies that no enabled jar provides and ids present more than once. Jars are
+// only read again when their size or modification time changed.
+class PluginInventory {
+    constructor() {
+        this.cache = new Map();
+    }
+
+    static isJarName(file) {
+        return isJarName(file);
+    }
+
+    static folderPath(workingDir, folder, enabled = true) {
+        if (!FOLDERS.includes(folder)) throw new Error(`Folder must be one of: ${FOLDERS.join(", ")}`);
+        return enabled ? path.join(workingDir, folder) : path.join(workingDir, folder, DISABLED_DIR);
+    }
+
+    async readJar(file, stat) {
+        const key = `${file}:${stat.size}:${stat.mtimeMs}`;
+        if (this.cache.has(file) && this.cache.get(file).key === key) return this.cache.get(file).meta;
+        let meta;
+        try {
+            meta = describe(await JarReader.read(file, METADATA_FILES)) || { kind: "unknown" };
+        } catch (err) {
+            meta = { kind: "unknown", error: err.message };
+        }
+        this.cache.set(file, { key, meta });
+        return meta;
+    }
+
+    // Resolves to { plugins, issues }. Each plugin: { folder, file, enabled, size, modifiedAt,
+    // kind, id, name, version, authors, dependencies, apiVersion, missing, duplicate }
+    async list(workingDir) {
+        const plugins = [];
+        for (const folder of FOLDERS) {
+            for (const enabled of [true, false]) {
+                const dir = PluginInventory.folderPath(workingDir, folder, enabled);
+                const files = await fs.promises.readdir(dir).catch(() => []);
+                for (const file of files.filter(isJarName).sort((a, b) => a.localeCompare(b))) {
+                    const full = path.join(dir, file);
+                    const stat = await fs.promises.stat(full).catch(() => null);
+                    if (!stat || !stat.isFile()) continue;
+                    const meta = await this.readJar(full, stat);
+                    plugins.push({
+                        folder, file, enabled, size: stat.size, modifiedAt: stat.mtime.toISOString(),
+                        kind: meta.kind, id: meta.id || null, name: String(meta.name || file.replace(/\.jar$/i, "")),
+                        version: meta.version || null, authors: meta.authors || [], description: meta.description || null,
+                        apiVersion: meta.apiVersion || null, dependencies: meta.dependencies || [], provides: meta.provides || [],
+                        error: meta.error || null
+                    });
+                }
+            }
+        }
+        return { plugins, issues: PluginInventory.analyze(plugins) };
+    }
+
+    // Marks `missing` and `duplicate` on the plugins and returns the issues as a list
+    static analyze(plugins) {
+        // Ids come from metadata inside uploaded jars and are not necessarily strings
+        const enabled = plugins.filter(p => p.enabled && typeof p.id === "string" && p.id);
+        const available = new Set(enabled.flatMap(p => [p.id, ...p.provides]).filter(id => typeof id === "string").map(id => id.toLowerCase()));
+        const issues = [];
+
+        const byId = {};
+        for (const plugin of enabled) (byId[plugin.id.toLowerCase()] = byId[plugin.id.toLowerCase()] || []).push(plugin);
+        for (const plugin of plugins) {
+            plugin.missing = [];
+            plugin.duplicate = false;
+            if (!plugin.enabled) continue;
+            const platform = PLATFORM_IDS[plugin.kind] || [];
+            for (const dependency of plugin.dependencies) {
+                if (typeof dependency.id !== "string") continue;
+                const id = dependency.id.toLowerCase();
+                if (!dependency.required || platform.includes(id) || available.has(id)) continue;
+                plugin.missing.push(dependency.id);
+                issues.push({ type: "missing-dependency", plugin: plugin.name, file: plugin.file, dependency: dependency.id });
+            }
+        }
+        for (const group of Object.values(byId).filter(g => g.length > 1)) {
+            group.forEach(p => { p.duplicate = true; });
+            issues.push({ type: "duplicate", id: group[0].id, files: group.map(p => `${p.folder}/${p.file}`) });
+        }
+        return issues;
+    }
+
+    // Plugin sets side by side: one row per id (or file name for jars without metadata) with the
+    // version per instance, null where an instance does not have it enabled. `lists` maps
+    // instance names to list() results.
+    static compare(lists) {
+        const names = Object.keys(lists);
+        const rows = {};
+        for (const [instance, { plugins }] of Object.entries(lists)) {
+            for (const plugin of plugins.filter(p => p.enabled)) {
+                const key = String(plugin.id || plugin.file).toLowerCase();
+                if (!rows[key]) rows[key] = { id: String(plugin.id || plugin.file), name: plugin.name, kind: plugin.kind, versions: {} };
+                rows[key].versions[instance] = plugin.version || "?";
+            }
+        }
+        return Object.values(rows)
+            .map(row => {
+                for (const name of names) if (!(name in row.versions)) row.versions[name] = null;
+                const values = names.map(n => row.versions[n]);
+                return { ...row, same: values.every(v => v === values[0]) };
+            })
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    // Moves a jar between its folder and the disabled folder below it; returns false when it is
+    // already where it should be. A jar of the same name at the target is not overwritten.
+    async setEnabled(workingDir, folder, file, enabled) {
+        if (!isJarName(file)) throw new Error("Invalid jar name.");
+        const from = path.join(PluginInventory.folderPath(workingDir, folder, !enabled), file);
+        const to = path.join(PluginInventory.folderPath(workingDir, folder, enabled), file);
+        if (!fs.existsSync(from)) {
+            if (fs.existsSync(to)) return false;
+            throw new Error(`${folder}/${file} not found.`);
+        }
+        if (fs.existsSync(to)) throw new Error(`${path.relative(workingDir, to)} already exists.`);
+        await fs.promises.mkdir(path.dirname(to), { recursive: true });
+        await fs.promises.rename(from, to);
+        return true;
+    }
+
+    // Copies an uploaded jar into the folder; returns false if a jar with that name exists
+    // (enabled or disabled) and `overwrite` is not set
+    async add(workingDir, folder, source, file, overwrite = false) {
+        if (!isJarName(file)) throw new Error("Only .jar files can be added.");
+        const dir = PluginInventory.folderPath(workingDir, folder);
+        const target = path.join(dir, file);
+        const disabled = path.join(PluginInventory.folderPath(workingDir, folder, false), file);
+        if (!overwrite && (fs.existsSync(target) || fs.existsSync(disabled))) return false;
+        await fs.promises.mkdir(dir, { recursive: true });
+        await fs.promises.copyFile(source, target);
+        if (overwrite) await fs.promises.rm(disabled, { force: true });
+        return true;
+    }
+}
+
+PluginInventory.FOLDERS = FOLDERS;
+PluginInventory.parseYaml = parseYaml;
+PluginInventory.describe = describe;
+
+module.exports = PluginInventory;
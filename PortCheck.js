@@ -0,0 +1,88 @@
+const fs = require("fs");
+
+// Socket states in /proc/net: listening TCP sockets and bound UDP sockets
+const TCP_LISTEN = "0A";
+const UDP_BOUND = "07";
+
+// "0100007F" -> "127.0.0.1"; IPv6 addresses are four little-endian 32-bit words
+function decodeAddress(hex) {
+    if (hex.length === 8) return hex.match(/../g).reverse().map(b => parseInt(b, 16)).join(".");
+    const bytes = hex.match(/.{8}/g).flatMap(word => word.match(/../g).reverse());
+    if (bytes.every(b => b === "00")) return "*";
+    // IPv4-mapped (::ffff:a.b.c.d)
+    if (bytes.slice(0, 10).every(b => b === "00") && bytes[10] === "FF" && bytes[11] === "FF") {
+        return bytes.slice(12).map(b => parseInt(b, 16)).join(".");
+    }
+    return bytes.join("").match(/.{4}/g).map(group => group.replace(/^0+(?=.)/, "").toLowerCase()).join(":");
+}
+
+// Finds instances that would bind the same port as another instance, or as some other program
+// already listening on this host. Two bindings overlap when protocol and port match and the
+// addresses are equal or one of them is "*" (all interfaces).
+class PortCheck {
+    // { protocol, host, port } of every listening socket, read from /proc/net (Linux only)
+    static hostPorts() {
+        const result = [];
+        for (const [file, protocol, state] of [["tcp", "tcp", TCP_LISTEN], ["tcp6", "tcp", TCP_LISTEN], ["udp", "udp", UDP_BOUND], ["udp6", "udp", UDP_BOUND]]) {
+            let text;
+            try {
+                text = fs.readFileSync(`/proc/net/${file}`, "utf-8");
+            } catch (e) {
+                continue;
+            }
+            for (const line of text.split("\n").slice(1)) {
+                const fields = line.trim().split(/\s+/);
+                if (fields.length < 4 || fields[3] !== state) continue;
+                const [address, port] = fields[1].split(":");
+                const host = decodeAddress(address);
+                result.push({ protocol, host: host === "0.0.0.0" ? "*" : host, port: parseInt(port, 16) });
+            }
+        }
+        return result;
+    }
+
+    static overlaps(a, b) {
+        return a.protocol === b.protocol && a.port === b.port && (a.host === "*" || b.host === "*" || a.host === b.host);
+    }
+
+    // Conflicts per instance. `instances` maps names to { ports, running }; a running instance is
+    // assumed to hold its own ports, so only stopped instances are checked against the host.
+    // Each conflict: { purpose, protocol, port, instance, otherPurpose, running, blocking } for a
+    // clash with another instance (or another port of the same one), { ..., host: true, blocking }
+    // for a port some other program listens on. Clashes with stopped instances only warn.
+    static find(instances, hostPorts = PortCheck.hostPorts()) {
+        const result = {};
+        const entries = Object.entries(instances);
+        for (const [name, { ports, running }] of entries) {
+            const conflicts = [];
+            ports.forEach((port, i) => {
+                let claimed = false;
+                for (const [other, info] of entries) {
+                    info.ports.forEach((otherPort, j) => {
+                        if ((other === name && i === j) || !PortCheck.overlaps(port, otherPort)) return;
+                        if (info.running) claimed = true;
+                        conflicts.push({
+                            purpose: port.purpose, protocol: port.protocol, port: port.port,
+                            instance: other, otherPurpose: otherPort.purpose, running: info.running,
+                            blocking: other === name || info.running
+                        });
+                    });
+                }
+                // A managed instance holding the port is already reported above
+                if (!running && !claimed && hostPorts.some(h => PortCheck.overlaps(port, h))) {
+                    conflicts.push({ purpose: port.purpose, protocol: port.protocol, port: port.port, host: true, blocking: true });
+                }
+            });
+            result[name] = conflicts;
+        }
+        return result;
+    }
+
+    static describe(conflict) {
+        const what = `${conflict.purpose} port ${conflict.port}/${conflict.protocol}`;
+        if (conflict.host) return `${what} is already in use on this host`;
+        return `${what} is also the ${conflict.otherPurpose} port of ${conflict.instance}${conflict.running ? " (running)" : ""}`;
+    }
+}
+
+module.exports = PortCheck;
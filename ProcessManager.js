@@ -85,10 +85,16 @@ class ProcessManager {
         }
 
         try {
-            const proc = spawn(command, args, {
+            // With a cgroup, a shell moves itself into the cgroup and then becomes the program,
+            // so the whole process group starts out inside it and no child can slip past
+            const [program, argv] = options.cgroup
+                ? ["/bin/sh", ["-c", 'echo $$ > "$0" && exec "$@"', path.join(options.cgroup, "cgroup.procs"), command, ...args]]
+                : [command, args];
+            const proc = spawn(program, argv, {
                 cwd: options.cwd || undefined,
+                env: options.env || undefined,
                 detached: true,
-                shell: true,
+                shell: false,
                 stdio: ['pipe', 'pipe', 'pipe'] // adjust if you want stdout/stderr
             });
 
@@ -99,6 +105,7 @@ class ProcessManager {
                 args,
                 proc,
                 pid: proc.pid,
+                cgroup: options.cgroup || null,
                 cpu: 0,
                 memory: 0,
                 errors: []
@@ -151,15 +158,61 @@ class ProcessManager {
         }));
     }
 
+    // The processes of the group led by `pid` with their thread counts: [{ pid, threads }], the
+    // leader first. Without /proc only the leader is known and its thread count is null.
+    static groupMembers(pid) {
+        let entries;
+        try {
+            entries = fs.readdirSync("/proc").filter(entry => /^\d+$/.test(entry));
+        } catch (e) {
+            return [{ pid, threads: null }];
+        }
+        const members = [];
+        for (const entry of entries) {
+            let stat;
+            try {
+                stat = fs.readFileSync(`/proc/${entry}/stat`, "utf-8");
+            } catch (e) {
+                continue;
+            }
+            // The fields after the command name, which may itself contain spaces and parentheses
+            const fields = stat.slice(stat.lastIndexOf(")") + 2).split(" ");
+            if (parseInt(fields[2], 10) !== pid) continue;
+            const member = { pid: parseInt(entry, 10), threads: parseInt(fields[17], 10) };
+            if (member.pid === pid) members.unshift(member);
+            else members.push(member);
+        }
+        return members.length ? members : [{ pid, threads: null }];
+    }
+
+    // CPU (percent of one core), memory (RSS bytes) and threads summed over the process group
+    // led by `pid`: { cpu, memory, threads, processes }. Rejects when the leader is gone.
+    static async groupStats(pid) {
+        const members = ProcessManager.groupMembers(pid);
+        const results = await Promise.allSettled(members.map(member => pidusage(member.pid)));
+        if (results[0].status === "rejected") throw results[0].reason;
+        const stats = { cpu: 0, memory: 0, threads: members[0].threads === null ? null : 0, processes: 0 };
+        results.forEach((result, i) => {
+            if (result.status !== "fulfilled") return;
+            stats.cpu += result.value.cpu;
+            stats.memory += result.value.memory;
+            if (stats.threads !== null) stats.threads += members[i].threads || 0;
+            stats.processes++;
+        });
+        return stats;
+    }
+
     async updateStats() {
         const promises = [];
 
         for (const info of this.processes.values()) {
             if (info.pid) {
-                const promise = pidusage(info.pid)
+                const promise = ProcessManager.groupStats(info.pid)
                     .then(stat => {
                         info.cpu = stat.cpu;
                         info.memory = stat.memory;
+                        info.threads = stat.threads;
+                        info.sampledAt = Date.now();
                     })
                     .catch(err => {
                         const msg = `Error fetching stats for PID ${info.pid}: ${err.message}`;
@@ -0,0 +1,245 @@
+const fs = require("fs-extra");
+const path = require("path");
+const crypto = require("crypto");
+const ConfigFile = require("./ConfigFile");
+
+const ROLES = ["none", "proxy", "backend"];
+
+// What a running proxy does after its server list changed
+const APPLY_MODES = ["reload", "restart", "none"];
+
+const RELOAD_COMMANDS = { velocity: "velocity reload", bungeecord: "greload" };
+
+// Velocity and BungeeCord both accept these
+const SERVER_NAME = /^[A-Za-z0-9_-]{1,64}$/;
+
+const CONFIG_FILES = { velocity: "velocity.toml", bungeecord: "config.yml" };
+
+async function readText(file) {
+    return fs.readFile(file, "utf-8").catch(() => null);
+}
+
+// Writes through a temporary file so a proxy reloading meanwhile never sees half a config
+async function writeText(file, text) {
+    const temp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(temp, text);
+    await fs.rename(temp, file);
+}
+
+// The role of an instance in a proxy network, and keeping a proxy's config in step with it:
+// backends are registered in the proxy's server list (Velocity's [servers] table and `try`
+// list, BungeeCord's `servers` and listener `priorities`), and player info forwarding is turned
+// on at both ends (modern forwarding with a shared secret for Velocity, ip_forward/bungeecord
+// for BungeeCord). Servers the manager did not register are left alone.
+class ProxyNetwork {
+    // Settings as stored on the instance:
+    //   { role: "none" }
+    //   { role: "proxy", forwarding, apply, managed }  managed: server names written by the last sync
+    //   { role: "backend", proxy, server, fallback }   server: its name in the proxy config
+    static normalize(data = {}, instanceName = "") {
+        const role = data.role || "none";
+        if (!ROLES.includes(role)) throw new Error(`Role must be one of: ${ROLES.join(", ")}`);
+        if (role === "proxy") {
+            const apply = data.apply || "reload";
+            if (!APPLY_MODES.includes(apply)) throw new Error(`Apply must be one of: ${APPLY_MODES.join(", ")}`);
+            const managed = Array.isArray(data.managed) ? data.managed.filter(n => SERVER_NAME.test(n)) : [];
+            return { role, forwarding: data.forwarding !== false, apply, managed };
+        }
+        if (role === "backend") {
+            if (typeof data.proxy !== "string" || !data.proxy) throw new Error("Choose the proxy of this backend.");
+            const server = data.server || ProxyNetwork.serverName(instanceName);
+            if (!SERVER_NAME.test(server)) throw new Error("Server names may only contain letters, digits, '_' and '-'.");
+            // The key of Velocity's fallback list lives in the same table
+            if (server === "try") throw new Error("\"try\" cannot be used as a server name.");
+            return { role, proxy: data.proxy, server, fallback: data.fallback !== false };
+        }
+        return { role };
+    }
+
+    // Default name of an instance in the proxy's server list
+    static serverName(instanceName) {
+        return String(instanceName).toLowerCase().replace(/[^a-z0-9_-]+/g, "-").replace(/^-+|-+$/g, "").slice(0, 64) || "server";
+    }
+
+    static reloadCommand(type) {
+        return RELOAD_COMMANDS[type] || null;
+    }
+
+    // Velocity: servers are scalars of [servers]; `try` lists the fallbacks in order. Servers
+    // removed from the network are also dropped from `try` and the forced hosts.
+    static updateVelocity(toml, servers, previous) {
+        const names = servers.map(s => s.name);
+        const removed = previous.filter(n => !names.includes(n));
+        for (const name of removed) toml.remove(`servers.${name}`);
+        for (const server of servers) toml.set(`servers.${server.name}`, ConfigFile.TomlFile.quote(server.address));
+
+        const current = toml.getArray("servers.try") || [];
+        const fallbacks = servers.filter(s => s.fallback).map(s => s.name);
+        const tryList = [...fallbacks, ...current.filter(n => !names.includes(n) && !removed.includes(n))];
+        if (tryList.join("\n") !== current.join("\n")) toml.setArray("servers.try", tryList);
+
+        for (const hosts of toml.scan().arrays.filter(a => a.table === "forced-hosts")) {
+            if (hosts.values.some(n => removed.includes(n))) toml.setArray(hosts.key, hosts.values.filter(n => !removed.includes(n)));
+        }
+        return removed;
+    }
+
+    // `priorities:` of the first listener: { index, end, column, values }, or null. The listeners
+    // are a sequence, which YamlFile does not address, so this reads the lines itself.
+    static bungeePriorities(yaml) {
+        const index = yaml.lines.findIndex(l => /^(\s*(-\s+)?)priorities:/.test(l));
+        if (index === -1) return null;
+        const match = /^(\s*(?:-\s+)?)priorities:\s*(\[[^\]]*\])?\s*(#.*)?$/.exec(yaml.lines[index]);
+        if (!match) return null;
+        const column = match[1].length;
+        if (match[2]) {
+            const values = match[2].slice(1, -1).split(",").map(v => v.trim()).filter(Boolean).map(v => ConfigFile.YamlFile.unquote(v));
+            return { index, end: index, column, values };
+        }
+        const values = [];
+        let end = index;
+        for (let i = index + 1; i < yaml.lines.length; i++) {
+            const line = yaml.lines[i];
+            if (line.trim() === "" || /^\s*#/.test(line)) continue;
+            const item = /^(\s*)-\s+(.*?)\s*$/.exec(line);
+            if (!item || item[1].length < column) break;
+            values.push(ConfigFile.YamlFile.unquote(item[2]));
+            end = i;
+        }
+        return { index, end, column, values };
+    }
+
+    // BungeeCord: servers are mappings under `servers`; the first listener's `priorities` lists
+    // the fallbacks in order
+    static updateBungee(yaml, servers, previous) {
+        const names = servers.map(s => s.name);
+        const removed = previous.filter(n => !names.includes(n));
+        for (const name of removed) yaml.remove(`servers.${name}`);
+        for (const server of servers) {
+            const key = `servers.${server.name}`;
+            const added = yaml.get(`${key}.address`) === undefined;
+            yaml.set(`${key}.address`, ConfigFile.YamlFile.quote(server.address));
+            if (added) {
+                yaml.set(`${key}.motd`, ConfigFile.YamlFile.quote(server.name));
+                yaml.set(`${key}.restricted`, "false");
+            }
+        }
+
+        const priorities = ProxyNetwork.bungeePriorities(yaml);
+        if (priorities) {
+            const fallbacks = servers.filter(s => s.fallback).map(s => s.name);
+            const list = [...fallbacks, ...priorities.values.filter(n => !names.includes(n) && !removed.includes(n))];
+            if (list.join("\n") !== priorities.values.join("\n")) {
+                const line = yaml.lines[priorities.index];
+                const key = line.slice(0, line.indexOf("priorities:") + "priorities:".length);
+                const items = list.map(n => `${" ".repeat(priorities.column)}- ${ConfigFile.YamlFile.quote(n)}`);
+                yaml.lines.splice(priorities.index, priorities.end - priorities.index + 1, list.length ? key : `${key} []`, ...items);
+            }
+        }
+        return removed;
+    }
+
+    // Velocity's forwarding secret: inline `forwarding-secret` (before 3.1) or the file named by
+    // `forwarding-secret-file`, which is created with a random secret if missing or empty
+    static async velocitySecret(workingDir, toml) {
+        const inline = toml.get("forwarding-secret");
+        if (inline) return inline;
+        const file = path.resolve(workingDir, toml.get("forwarding-secret-file") || "forwarding.secret");
+        const secret = ((await readText(file)) || "").trim();
+        if (secret) return secret;
+        const created = crypto.randomBytes(18).toString("base64").replace(/[^A-Za-z0-9]/g, "").slice(0, 12);
+        // Whoever knows the secret can log in to the backends as any player
+        await fs.writeFile(file, created, { mode: 0o600 });
+        return created;
+    }
+
+    // Rewrites the proxy config for `servers` ({ name, address, fallback }); `previous` are the
+    // names a former sync wrote. Resolves to { changed, removed, forwarding }, `forwarding`
+    // being what backends need ({ mode: "modern" | "legacy", secret, onlineMode }) or null.
+    static async syncProxy(workingDir, type, servers, previous, { forwarding }) {
+        const fileName = CONFIG_FILES[type];
+        if (!fileName) throw new Error("Not a Velocity or BungeeCord proxy.");
+        const file = path.join(workingDir, fileName);
+        const text = await readText(file);
+        if (text === null) throw new Error(`${fileName} not found; start the proxy once to generate it.`);
+
+        let removed;
+        let result = null;
+        const config = ConfigFile.parse(type === "velocity" ? "toml" : "yaml", text);
+        if (type === "velocity") {
+            removed = ProxyNetwork.updateVelocity(config, servers, previous);
+            if (forwarding) {
+                if (config.get("player-info-forwarding-mode") !== "modern") config.set("player-info-forwarding-mode", '"modern"');
+                result = { mode: "modern", secret: await ProxyNetwork.velocitySecret(workingDir, config), onlineMode: config.get("online-mode") !== "false" };
+            }
+        } else {
+            removed = ProxyNetwork.updateBungee(config, servers, previous);
+            if (forwarding) {
+                if (config.get("ip_forward") !== "true") config.set("ip_forward", "true");
+                result = { mode: "legacy", secret: null, onlineMode: config.get("online_mode") !== "false" };
+            }
+        }
+
+        const updated = config.toString();
+        const changed = updated !== text.replace(/\r\n/g, "\n").replace(/\n?$/, "\n");
+        if (changed) await writeText(file, updated);
+        return { changed, removed, forwarding: result };
+    }
+
+    // Turns on forwarding in a backend's configs (Paper for modern forwarding, Spigot's
+    // `bungeecord` for legacy) and online-mode off, since the proxy authenticates players.
+    // With legacy forwarding a backend that listens beyond the loopback interface gets a warning.
+    // Files that do not exist yet are reported, not created: the server writes them on its
+    // first start. Resolves to { changed: [file], warnings }.
+    static async configureBackend(workingDir, forwarding) {
+        const changed = [];
+        const warnings = [];
+        const edit = async (fileName, format, values) => {
+            const file = path.join(workingDir, fileName);
+            const text = await readText(file);
+            if (text === null) return false;
+            const config = ConfigFile.parse(format, text);
+            let dirty = false;
+            for (const [key, value] of Object.entries(values)) {
+                if (config.get(key) === String(value)) continue;
+                config.set(key, format === "yaml" && typeof value === "string" ? ConfigFile.YamlFile.quote(value) : value);
+                dirty = true;
+            }
+            if (dirty) {
+                await writeText(file, config.toString());
+                changed.push(fileName);
+            }
+            return true;
+        };
+
+        if (!await edit("server.properties", "properties", { "online-mode": "false" })) {
+            warnings.push("server.properties not found; start the server once, then sync again.");
+        }
+        if (forwarding.mode === "modern") {
+            const velocity = { enabled: true, "online-mode": forwarding.onlineMode, secret: forwarding.secret };
+            const prefixed = prefix => Object.fromEntries(Object.entries(velocity).map(([k, v]) => [`${prefix}.${k}`, v]));
+            if (!await edit("config/paper-global.yml", "yaml", prefixed("proxies.velocity"))
+                && !await edit("paper.yml", "yaml", prefixed("settings.velocity-support"))) {
+                warnings.push("No Paper config found; modern forwarding needs Paper (config/paper-global.yml is written on its first start).");
+            }
+        } else {
+            if (!await edit("spigot.yml", "yaml", { "settings.bungeecord": true })) {
+                warnings.push("spigot.yml not found; BungeeCord forwarding needs Spigot or Paper (it is written on the first start).");
+            }
+            // Legacy forwarding is not signed: whoever reaches the backend directly can claim any
+            // player's name and UUID, and online-mode is off
+            const properties = await readText(path.join(workingDir, "server.properties"));
+            const ip = properties === null ? "" : ConfigFile.parse("properties", properties).get("server-ip") || "";
+            if (!/^(127\.\d+\.\d+\.\d+|::1|localhost)$/i.test(ip.trim())) {
+                warnings.push("With BungeeCord forwarding and online-mode off, anyone who can reach this server's port directly can join as any player. " +
+                    "Set server-ip=127.0.0.1 (when the proxy runs on this host) or firewall the port so that only the proxy can connect.");
+            }
+        }
+        return { changed, warnings };
+    }
+}
+
+ProxyNetwork.ROLES = ROLES;
+ProxyNetwork.APPLY_MODES = APPLY_MODES;
+
+module.exports = ProxyNetwork;
@@ -0,0 +1,128 @@
+const dgram = require("dgram");
+
+const MAGIC = [0xfe, 0xfd];
+const TYPE_HANDSHAKE = 9;
+const TYPE_STAT = 0;
+
+// GameSpy4 query protocol (UDP), served by Vanilla/Paper with `enable-query=true`.
+// A handshake returns a challenge token; the full stat request then returns the server's
+// key/value info (including plugins) and the complete player name list.
+class QueryClient {
+    static async query(host, port, { timeout = 5000 } = {}) {
+        const socket = dgram.createSocket(host.includes(":") ? "udp6" : "udp4");
+        try {
+            const sessionId = Math.floor(Math.random() * 0x7fffffff) & 0x0f0f0f0f;
+
+            const handshake = await QueryClient.request(socket, host, port, timeout,
+                QueryClient.packet(TYPE_HANDSHAKE, sessionId), TYPE_HANDSHAKE, sessionId);
+            const token = parseInt(QueryClient.readString(handshake, 0).value, 10);
+            if (Number.isNaN(token)) throw new Error("Invalid challenge token");
+
+            const tokenBuffer = Buffer.alloc(4);
+            tokenBuffer.writeInt32BE(token);
+            // Four padding bytes turn a basic stat request into a full one
+            const stat = await QueryClient.request(socket, host, port, timeout,
+                QueryClient.packet(TYPE_STAT, sessionId, tokenBuffer, Buffer.alloc(4)), TYPE_STAT, sessionId);
+            return QueryClient.parseFullStat(stat);
+        } finally {
+            socket.close();
+        }
+    }
+
+    static packet(type, sessionId, ...payload) {
+        const header = Buffer.alloc(7);
+        header[0] = MAGIC[0];
+        header[1] = MAGIC[1];
+        header[2] = type;
+        header.writeInt32BE(sessionId, 3);
+        return Buffer.concat([header, ...payload]);
+    }
+
+    // Sends `packet` and resolves to the payload of the first answer of the expected type and session
+    static request(socket, host, port, timeout, packet, type, sessionId) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => done(new Error("Query timed out")), timeout);
+            const onMessage = msg => {
+                if (msg.length < 5 || msg[0] !== type || msg.readInt32BE(1) !== sessionId) return;
+                done(null, msg.subarray(5));
+            };
+            const onError = err => done(err);
+            const done = (err, value) => {
+                clearTimeout(timer);
+                socket.off("message", onMessage);
+                socket.off("error", onError);
+                if (err) reject(err);
+                else resolve(value);
+            };
+
+            socket.on("message", onMessage);
+            socket.on("error", onError);
+            socket.send(packet, port, host, err => {
+                if (err) done(err);
+            });
+        });
+    }
+
+    // Null-terminated string; the protocol is ISO-8859-1
+    static readString(buffer, offset) {
+        let end = buffer.indexOf(0, offset);
+        if (end === -1) end = buffer.length;
+        return { value: buffer.toString("latin1", offset, end), next: end + 1 };
+    }
+
+    static parseFullStat(payload) {
+        // "splitnum\0\x80\0" precedes the key/value section
+        let offset = 11;
+        const info = {};
+        while (offset < payload.length) {
+            const key = QueryClient.readString(payload, offset);
+            offset = key.next;
+            if (!key.value) break;
+            const value = QueryClient.readString(payload, offset);
+            offset = value.next;
+            info[key.value] = value.value;
+        }
+
+        // "\x01player_\0\0" precedes the player list, which ends with an empty name
+        offset += 10;
+        const players = [];
+        while (offset < payload.length) {
+            const name = QueryClient.readString(payload, offset);
+            offset = name.next;
+            if (!name.value) break;
+            players.push(name.value);
+        }
+
+        const { software, plugins } = QueryClient.parsePlugins(info.plugins || "");
+        return {
+            motd: (info.hostname || "").replace(/§./g, ""),
+            gameType: info.gametype || null,
+            gameId: info.game_id || null,
+            version: info.version || null,
+            software,
+            plugins,
+            map: info.map || null,
+            online: parseInt(info.numplayers, 10) || 0,
+            max: parseInt(info.maxplayers, 10) || 0,
+            hostPort: parseInt(info.hostport, 10) || null,
+            hostIp: info.hostip || null,
+            players
+        };
+    }
+
+    // "Paper on 1.20.6: LuckPerms 5.4.102; Vault 1.7.3" (Vanilla sends an empty string)
+    static parsePlugins(text) {
+        if (!text) return { software: null, plugins: [] };
+        const colon = text.indexOf(": ");
+        const software = colon === -1 ? text : text.slice(0, colon);
+        const plugins = colon === -1 ? [] : text.slice(colon + 2).split("; ").filter(Boolean).map(entry => {
+            const space = entry.lastIndexOf(" ");
+            return space === -1
+                ? { name: entry, version: null }
+                : { name: entry.slice(0, space), version: entry.slice(space + 1) };
+        });
+        return { software, plugins };
+    }
+}
+
+module.exports = QueryClient;
@@ -0,0 +1,145 @@
+const net = require("net");
+const ServerConfig = require("./ServerConfig");
+
+const TYPE_AUTH = 3;
+const TYPE_COMMAND = 2;
+const TYPE_AUTH_RESPONSE = 2;
+const TYPE_RESPONSE = 0;
+
+// Source RCON protocol client, as spoken by Minecraft servers with `enable-rcon=true`.
+// Commands run one at a time; a long answer may be split over several packets, so every
+// command is followed by an empty packet whose reply marks the end of the answer.
+class RconClient {
+    constructor({ host = "127.0.0.1", port = 25575, password = "", timeout = 5000 } = {}) {
+        this.host = host;
+        this.port = port;
+        this.password = password;
+        this.timeout = timeout;
+        this.socket = null;
+        this.buffer = Buffer.alloc(0);
+        this.nextId = 1;
+        this.current = null;
+        this.queue = Promise.resolve();
+        this.closed = true;
+    }
+
+    // RCON settings from the instance's server.properties, or null when RCON is off
+    static configFor(workingDir) {
+        const props = ServerConfig.readProperties(workingDir);
+        if (!props || props["enable-rcon"] !== "true" || !props["rcon.password"]) return null;
+
+        const serverIp = props["server-ip"];
+        return {
+            host: serverIp && serverIp !== "0.0.0.0" ? serverIp : "127.0.0.1",
+            port: parseInt(props["rcon.port"], 10) || 25575,
+            password: props["rcon.password"]
+        };
+    }
+
+    static encode(id, type, body) {
+        const payload = Buffer.from(body, "utf-8");
+        const packet = Buffer.alloc(14 + payload.length);
+        packet.writeInt32LE(10 + payload.length, 0);
+        packet.writeInt32LE(id, 4);
+        packet.writeInt32LE(type, 8);
+        payload.copy(packet, 12);
+        return packet;
+    }
+
+    sameConfig({ host, port, password }) {
+        return this.host === host && this.port === port && this.password === password;
+    }
+
+    // The auth request is pending from the start, so a refused or timed out connection rejects it too
+    connect() {
+        return new Promise((resolve, reject) => {
+            const id = this.nextId++;
+            this.start({ id, endId: id, auth: true, resolve, reject });
+            const socket = net.createConnection({ host: this.host, port: this.port });
+            this.socket = socket;
+            this.closed = false;
+
+            socket.on("data", data => this.onData(data));
+            socket.on("error", err => this.fail(err));
+            socket.on("close", () => this.fail(new Error("RCON connection closed")));
+            socket.once("connect", () => socket.write(RconClient.encode(id, TYPE_AUTH, this.password)));
+        });
+    }
+
+    // Resolves to the command's output, with Minecraft formatting codes removed
+    command(text) {
+        const run = () => new Promise((resolve, reject) => {
+            if (this.closed) return reject(new Error("RCON is not connected"));
+            const id = this.nextId++;
+            const endId = this.nextId++;
+            this.start({ id, endId, chunks: [], resolve, reject });
+            this.socket.write(RconClient.encode(id, TYPE_COMMAND, text));
+            this.socket.write(RconClient.encode(endId, TYPE_RESPONSE, ""));
+        });
+        const result = this.queue.then(run, run);
+        this.queue = result.catch(() => { });
+        return result;
+    }
+
+    start(request) {
+        request.timer = setTimeout(() => this.fail(new Error("RCON request timed out")), this.timeout);
+        this.current = request;
+    }
+
+    finish(error, value) {
+        const request = this.current;
+        if (!request) return;
+        this.current = null;
+        clearTimeout(request.timer);
+        if (error) request.reject(error);
+        else request.resolve(value);
+    }
+
+    onData(data) {
+        this.buffer = Buffer.concat([this.buffer, data]);
+        while (this.buffer.length >= 4) {
+            const size = this.buffer.readInt32LE(0);
+            if (this.buffer.length < size + 4) break;
+            const id = this.buffer.readInt32LE(4);
+            const type = this.buffer.readInt32LE(8);
+            const body = this.buffer.toString("utf-8", 12, size + 2);
+            this.buffer = this.buffer.subarray(size + 4);
+            this.onPacket(id, type, body);
+        }
+    }
+
+    onPacket(id, type, body) {
+        const request = this.current;
+        if (!request) return;
+
+        if (request.auth) {
+            // Servers may send an empty response before the auth result
+            if (type !== TYPE_AUTH_RESPONSE) return;
+            if (id === -1) {
+                this.finish(new Error("RCON authentication failed"));
+                this.close();
+            } else if (id === request.id) {
+                this.finish(null, this);
+            }
+            return;
+        }
+
+        if (id === request.id) request.chunks.push(body);
+        else if (id === request.endId) this.finish(null, request.chunks.join("").replace(/§./g, ""));
+    }
+
+    // Anything unexpected leaves the connection in an unknown state: drop it
+    fail(err) {
+        this.finish(err);
+        this.close();
+    }
+
+    close() {
+        if (this.closed) return;
+        this.closed = true;
+        if (this.socket) this.socket.destroy();
+        this.finish(new Error("RCON connection closed"));
+    }
+}
+
+module.exports = RconClient;
@@ -0,0 +1,161 @@
+const MODES = ["never", "on-failure", "always"];
+
+// Counts are 0 for "no limit" (crashLoopCount 0 turns the crash-loop detector off)
+const DEFAULT_POLICY = {
+    mode: "never",
+    maxRetries: 5,
+    backoffSeconds: 5,
+    maxBackoffSeconds: 300,
+    // A process that ran this long counts as healthy again and resets the retry counter
+    stableSeconds: 300,
+    crashLoopCount: 5,
+    crashLoopWindowSeconds: 600
+};
+
+// Tells expected stops from crashes and decides, per instance restart policy, whether and when
+// to start a process again: exponential backoff between attempts, giving up after `maxRetries`
+// attempts without a stable run or when `crashLoopCount` crashes fall within the window.
+// Starting the instance is left to the `restart` callback.
+class RestartSupervisor {
+    constructor(restart) {
+        this.restart = restart;
+        this.states = {};
+    }
+
+    static normalize(policy = {}) {
+        const result = { mode: policy.mode || DEFAULT_POLICY.mode };
+        if (!MODES.includes(result.mode)) throw new Error(`Restart mode must be one of: ${MODES.join(", ")}`);
+        for (const key of Object.keys(DEFAULT_POLICY).filter(k => k !== "mode")) {
+            const value = policy[key] === undefined ? DEFAULT_POLICY[key] : Number(policy[key]);
+            if (!Number.isInteger(value) || value < 0) throw new Error(`Invalid ${key}`);
+            result[key] = value;
+        }
+        return result;
+    }
+
+    stateFor(name) {
+        if (!this.states[name]) {
+            this.states[name] = { name, expectStop: false, startedAt: null, attempt: 0, crashes: [], timer: null, nextRestartAt: null };
+        }
+        return this.states[name];
+    }
+
+    // For the UI: pending restart and retry counter
+    state(name) {
+        const state = this.states[name];
+        if (!state) return { attempt: 0, nextRestartAt: null };
+        return { attempt: state.attempt, nextRestartAt: state.nextRestartAt };
+    }
+
+    started(name) {
+        const state = this.stateFor(name);
+        this.cancel(name);
+        state.expectStop = false;
+        state.startedAt = Date.now();
+    }
+
+    // A user started the instance: earlier failures no longer count
+    reset(name) {
+        const state = this.stateFor(name);
+        this.cancel(name);
+        state.attempt = 0;
+        state.crashes = [];
+    }
+
+    // The next exit is a requested stop, not a crash
+    expectStop(name) {
+        this.stateFor(name).expectStop = true;
+        this.cancel(name);
+    }
+
+    // A requested stop failed and the instance keeps running: its next exit is judged as usual
+    clearExpectedStop(name) {
+        if (this.states[name]) this.states[name].expectStop = false;
+    }
+
+    // Returns true if a pending restart was cancelled
+    cancel(name) {
+        const state = this.states[name];
+        if (!state || !state.timer) return false;
+        clearTimeout(state.timer);
+        state.timer = null;
+        state.nextRestartAt = null;
+        return true;
+    }
+
+    // Records an exit and returns { exit, action: "none" | "restart" | "give_up", delayMs, attempt, reason }.
+    // An unknown exit code (null, e.g. for processes adopted from an earlier manager run) counts as a failure.
+    // `cause` is what the manager knows about why it exited, e.g. "oom" for an out-of-memory kill.
+    exited(name, policy, { code = null, signal = null, error = null, cause = null } = {}) {
+        const state = this.stateFor(name);
+        const now = Date.now();
+        const exit = {
+            time: new Date(now).toISOString(),
+            code,
+            signal,
+            error,
+            cause,
+            uptimeMs: state.startedAt ? now - state.startedAt : null,
+            expected: state.expectStop,
+            crashed: !state.expectStop && (code !== 0 || signal !== null || error !== null || cause !== null)
+        };
+        state.expectStop = false;
+        state.startedAt = null;
+        this.cancel(name);
+
+        const result = { exit, action: "none", delayMs: 0, attempt: state.attempt, reason: null };
+        if (exit.expected) {
+            state.attempt = 0;
+            return result;
+        }
+
+        const windowMs = policy.crashLoopWindowSeconds * 1000;
+        if (exit.crashed) state.crashes = [...state.crashes.filter(t => now - t < windowMs), now];
+        if (exit.uptimeMs !== null && exit.uptimeMs >= policy.stableSeconds * 1000) state.attempt = 0;
+
+        if (policy.mode === "never" || (policy.mode === "on-failure" && !exit.crashed)) return result;
+
+        if (policy.crashLoopCount && state.crashes.length >= policy.crashLoopCount) {
+            result.action = "give_up";
+            result.reason = `Crash loop: ${state.crashes.length} crashes within ${policy.crashLoopWindowSeconds}s`;
+        } else if (policy.maxRetries && state.attempt >= policy.maxRetries) {
+            result.action = "give_up";
+            result.reason = `Still failing after ${state.attempt} restart attempts`;
+        }
+        if (result.action === "give_up") {
+            state.attempt = 0;
+            state.crashes = [];
+            return result;
+        }
+
+        result.action = "restart";
+        const backoff = policy.backoffSeconds * 2 ** state.attempt;
+        result.delayMs = (policy.maxBackoffSeconds ? Math.min(backoff, policy.maxBackoffSeconds) : backoff) * 1000;
+        result.attempt = ++state.attempt;
+        state.nextRestartAt = new Date(now + result.delayMs).toISOString();
+        state.timer = setTimeout(() => {
+            state.timer = null;
+            state.nextRestartAt = null;
+            this.restart(state.name);
+        }, result.delayMs);
+        return result;
+    }
+
+    // Restart state follows the instance; removing the instance (newName null) drops it
+    renameInstance(oldName, newName) {
+        const state = this.states[oldName];
+        if (!state) return;
+        delete this.states[oldName];
+        if (newName === null) {
+            clearTimeout(state.timer);
+        } else {
+            state.name = newName;
+            this.states[newName] = state;
+        }
+    }
+}
+
+RestartSupervisor.MODES = MODES;
+RestartSupervisor.DEFAULT_POLICY = DEFAULT_POLICY;
+
+module.exports = RestartSupervisor;
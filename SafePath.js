@@ -0,0 +1,25 @@
+const path = require("path");
+
+// Paths that users send for an instance's files: they must stay inside the instance's
+// directory. A plain prefix check is not enough, "/srv/lobby2" starts with "/srv/lobby".
+class SafePath {
+    // `relPath` resolved below `basePath`; throws a 403-tagged error if it leads outside
+    static resolve(basePath, relPath) {
+        const base = path.resolve(basePath);
+        const abs = path.resolve(base, relPath);
+        if (abs !== base && !abs.startsWith(base + path.sep)) {
+            const err = new Error("Access denied: Path traversal attempt.");
+            err.status = 403;
+            throw err;
+        }
+        return abs;
+    }
+
+    // Whether `name` is a single directory entry name (for renames and uploads), not a path
+    static isEntryName(name) {
+        return typeof name === "string" && name !== "" && name !== "." && name !== ".."
+            && !name.includes("/") && !name.includes("\\") && !name.includes("\0");
+    }
+}
+
+module.exports = SafePath;
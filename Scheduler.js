@@ -0,0 +1,220 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const CronExpression = require("./CronExpression");
+
+const ACTIONS = ["start", "stop", "restart", "command", "broadcast", "backup"];
+const HISTORY_SIZE = 20;
+// setTimeout cannot wait longer than ~24.8 days; longer waits are re-armed in steps
+const MAX_DELAY = 24 * 60 * 60 * 1000;
+
+// Persisted jobs that run an action on one instance (or on every instance, for global jobs)
+// either on a cron schedule or once at a given time. Jobs are kept in a JSON file together
+// with their recent run history; executing an action is left to the `runAction` callback.
+class Scheduler {
+    constructor(filePath, runAction) {
+        this.filePath = filePath;
+        this.runAction = runAction;
+        this.timers = {};
+        this.running = new Set();
+        this.jobs = this.loadJobs();
+    }
+
+    loadJobs() {
+        if (!fs.existsSync(this.filePath)) return {};
+        try {
+            return JSON.parse(fs.readFileSync(this.filePath, "utf-8"));
+        } catch (e) {
+            console.error("Error reading schedules file:", e);
+            return {};
+        }
+    }
+
+    saveJobs() {
+        fs.writeFileSync(this.filePath, JSON.stringify(this.jobs, null, 2));
+    }
+
+    // Arms every enabled job. Runs missed while the manager was down are not caught up;
+    // one-off jobs whose time has passed are recorded as missed and disabled. A job whose stored
+    // schedule cannot be read (edited by hand, or accepted by an older version) is disabled with
+    // the reason in its history instead of keeping the manager from starting.
+    start() {
+        const now = Date.now();
+        for (const job of Object.values(this.jobs)) {
+            try {
+                Scheduler.validate(job);
+                if (job.enabled && job.schedule.type === "once" && Date.parse(job.schedule.at) <= now) {
+                    this.recordRun(job, { time: new Date().toISOString(), success: false, message: "Missed while the manager was not running", durationMs: 0 });
+                    job.enabled = false;
+                }
+                this.arm(job);
+            } catch (err) {
+                console.error(`Scheduled job ${job.id} is invalid and was disabled:`, err.message);
+                if (job.enabled) {
+                    this.recordRun(job, { time: new Date().toISOString(), success: false, message: `Disabled: ${err.message}`, durationMs: 0 });
+                }
+                job.enabled = false;
+            }
+        }
+        this.saveJobs();
+    }
+
+    static validate({ name, instance, schedule, action }) {
+        if (!name || typeof name !== "string" || name.length > 100) throw new Error("Invalid job name.");
+        if (instance !== null && typeof instance !== "string") throw new Error("Invalid instance.");
+        if (!schedule || !["cron", "once"].includes(schedule.type)) throw new Error("Schedule type must be cron or once.");
+        if (schedule.type === "cron") new CronExpression(schedule.expression);
+        if (schedule.type === "once" && Number.isNaN(Date.parse(schedule.at))) throw new Error("Invalid time for one-off job.");
+        if (!action || !ACTIONS.includes(action.type)) throw new Error(`Action must be one of: ${ACTIONS.join(", ")}`);
+        if (action.type === "command" && !action.command) throw new Error("Command action needs a command.");
+        if (action.type === "broadcast" && !action.message) throw new Error("Broadcast action needs a message.");
+    }
+
+    static normalize(data) {
+        const schedule = data.schedule.type === "cron"
+            ? { type: "cron", expression: String(data.schedule.expression).trim() }
+            : { type: "once", at: new Date(data.schedule.at).toISOString() };
+        const action = { type: data.action.type };
+        if (data.action.type === "command") action.command = String(data.action.command);
+        if (data.action.type === "broadcast") action.message = String(data.action.message);
+        return { name: data.name.trim(), instance: data.instance || null, schedule, action };
+    }
+
+    list(filter = () => true) {
+        return Object.values(this.jobs).filter(filter).map(job => this.describe(job));
+    }
+
+    get(id) {
+        return this.jobs[id] ? this.describe(this.jobs[id]) : null;
+    }
+
+    describe(job) {
+        return { ...job, running: this.running.has(job.id), nextRuns: job.enabled ? this.nextRuns(job, 5) : [] };
+    }
+
+    // Upcoming fire times, for the next-fire preview
+    nextRuns(job, count = 5) {
+        if (job.schedule.type === "once") {
+            return Date.parse(job.schedule.at) > Date.now() ? [job.schedule.at] : [];
+        }
+        const cron = new CronExpression(job.schedule.expression);
+        const result = [];
+        let time = new Date();
+        while (result.length < count) {
+            time = cron.next(time);
+            if (!time) break;
+            result.push(time.toISOString());
+        }
+        return result;
+    }
+
+    create(data, actor) {
+        const job = { ...data, instance: data.instance || null };
+        Scheduler.validate(job);
+        const id = crypto.randomBytes(6).toString("hex");
+        this.jobs[id] = {
+            id,
+            ...Scheduler.normalize(job),
+            enabled: job.enabled !== false,
+            createdBy: actor ? actor.username : null,
+            createdAt: new Date().toISOString(),
+            lastRun: null,
+            history: []
+        };
+        this.saveJobs();
+        this.arm(this.jobs[id]);
+        return this.get(id);
+    }
+
+    update(id, data) {
+        const job = this.jobs[id];
+        if (!job) throw new Error("Job not found.");
+        const merged = { ...job, ...data };
+        Scheduler.validate(merged);
+        Object.assign(job, Scheduler.normalize(merged), { enabled: merged.enabled !== false });
+        this.saveJobs();
+        this.arm(job);
+        return this.get(id);
+    }
+
+    delete(id) {
+        if (!this.jobs[id]) throw new Error("Job not found.");
+        this.disarm(id);
+        delete this.jobs[id];
+        this.saveJobs();
+    }
+
+    arm(job) {
+        this.disarm(job.id);
+        if (!job.enabled) return;
+
+        const next = job.schedule.type === "once"
+            ? new Date(job.schedule.at)
+            : new CronExpression(job.schedule.expression).next(new Date());
+        if (!next) return;
+
+        const delay = Math.max(next.getTime() - Date.now(), 0);
+        this.timers[job.id] = setTimeout(() => {
+            delete this.timers[job.id];
+            if (delay > MAX_DELAY) return this.arm(job);
+            this.run(job.id).catch(err => console.error(`Scheduled job ${job.id} failed:`, err));
+        }, Math.min(delay, MAX_DELAY));
+    }
+
+    disarm(id) {
+        clearTimeout(this.timers[id]);
+        delete this.timers[id];
+    }
+
+    // Runs a job now; scheduled runs re-arm the job for its next fire time
+    async run(id) {
+        const job = this.jobs[id];
+        if (!job) throw new Error("Job not found.");
+        if (this.running.has(id)) throw new Error("Job is already running.");
+
+        this.running.add(id);
+        const started = Date.now();
+        const entry = { time: new Date(started).toISOString(), success: true, message: "", durationMs: 0 };
+        try {
+            entry.message = (await this.runAction(job)) || "";
+        } catch (err) {
+            entry.success = false;
+            entry.message = err.message;
+        } finally {
+            this.running.delete(id);
+        }
+        entry.durationMs = Date.now() - started;
+
+        // The job may have been deleted while it ran
+        if (!this.jobs[id]) return entry;
+        this.recordRun(job, entry);
+        if (job.schedule.type === "once" && Date.parse(job.schedule.at) <= Date.now()) job.enabled = false;
+        this.saveJobs();
+        this.arm(job);
+        return entry;
+    }
+
+    recordRun(job, entry) {
+        job.lastRun = entry;
+        job.history = [entry, ...(job.history || [])].slice(0, HISTORY_SIZE);
+    }
+
+    // Per-instance jobs follow their instance; removing the instance (newName null) removes them
+    renameInstance(oldName, newName) {
+        let changed = false;
+        for (const job of Object.values(this.jobs)) {
+            if (job.instance !== oldName) continue;
+            if (newName === null) {
+                this.disarm(job.id);
+                delete this.jobs[job.id];
+            } else {
+                job.instance = newName;
+            }
+            changed = true;
+        }
+        if (changed) this.saveJobs();
+    }
+}
+
+Scheduler.ACTIONS = ACTIONS;
+
+module.exports = Scheduler;
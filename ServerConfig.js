@@ -0,0 +1,96 @@
+const fs = require("fs");
+const path = require("path");
+const ConfigFile = require("./ConfigFile");
+
+// Read-only helpers for the config files of the server software an instance runs
+class ServerConfig {
+    // server.properties as a plain object, or null when the file does not exist
+    static readProperties(workingDir) {
+        let text;
+        try {
+            text = fs.readFileSync(path.join(workingDir, "server.properties"), "utf-8");
+        } catch (e) {
+            return null;
+        }
+
+        const props = {};
+        for (const { key, value } of ConfigFile.parse("properties", text).entries()) props[key] = value.trim();
+        return props;
+    }
+
+    // Where the server accepts players: the "server" port of ports(), with wildcard addresses
+    // reached through localhost. Null when no config file says.
+    static listenAddress(workingDir) {
+        const server = ServerConfig.ports(workingDir).find(p => p.purpose === "server");
+        if (!server) return null;
+        return { host: server.host === "*" ? "127.0.0.1" : server.host, port: server.port };
+    }
+
+    // "velocity", "bungeecord" or "server" (Vanilla/Paper and forks), by the config files present
+    static serverType(workingDir) {
+        if (fs.existsSync(path.join(workingDir, "velocity.toml"))) return "velocity";
+        if (ServerConfig.readProperties(workingDir)) return "server";
+        try {
+            const config = fs.readFileSync(path.join(workingDir, "config.yml"), "utf-8");
+            if (/^listeners:/m.test(config)) return "bungeecord";
+        } catch (e) { }
+        return "server";
+    }
+
+    // Every port the instance binds: { purpose: "server" | "query" | "rcon", protocol, host, port }.
+    // `host` is "*" for all interfaces. Servers with default settings bind 25565.
+    static ports(workingDir) {
+        const ports = [];
+        const add = (purpose, protocol, host, port) => {
+            port = parseInt(port, 10);
+            if (port > 0 && port < 65536) ports.push({ purpose, protocol, host: !host || host === "0.0.0.0" || host === "::" ? "*" : host, port });
+        };
+        const splitBind = bind => {
+            const sep = bind.lastIndexOf(":");
+            return [bind.slice(0, sep).replace(/^\[|\]$/g, ""), bind.slice(sep + 1)];
+        };
+        const read = file => {
+            try {
+                return fs.readFileSync(path.join(workingDir, file), "utf-8");
+            } catch (e) {
+                return null;
+            }
+        };
+
+        const props = ServerConfig.readProperties(workingDir);
+        const velocity = read("velocity.toml");
+        const bungee = read("config.yml");
+        if (velocity !== null) {
+            const toml = ConfigFile.parse("toml", velocity);
+            const [host, port] = splitBind(toml.get("bind") || "0.0.0.0:25565");
+            add("server", "tcp", host, port);
+            if (toml.get("query.enabled") === "true") add("query", "udp", host, toml.get("query.port") || port);
+        } else if (props) {
+            add("server", "tcp", props["server-ip"], props["server-port"] || 25565);
+            if (props["enable-query"] === "true") add("query", "udp", props["server-ip"], props["query.port"] || props["server-port"] || 25565);
+            if (props["enable-rcon"] === "true") add("rcon", "tcp", props["server-ip"], props["rcon.port"] || 25575);
+        } else if (bungee !== null && /^listeners:/m.test(bungee)) {
+            // One entry per listener
+            for (const match of bungee.matchAll(/^\s*-?\s*host:\s*['"]?([^'"\s]+)/gm)) add("server", "tcp", ...splitBind(match[1]));
+            // Any listener key may be the first one, after the "- " ("- query_port: 25577" by default)
+            if (/^\s*-?\s*query_enabled:\s*true/m.test(bungee)) {
+                const port = /^\s*-?\s*query_port:\s*(\d+)/m.exec(bungee);
+                if (port) add("query", "udp", "*", port[1]);
+            }
+        }
+        return ports;
+    }
+
+    // GameSpy4 query endpoint (UDP), or null when `enable-query` is off
+    static queryAddress(workingDir) {
+        const props = ServerConfig.readProperties(workingDir);
+        if (!props || props["enable-query"] !== "true") return null;
+        const host = props["server-ip"];
+        return {
+            host: !host || host === "0.0.0.0" || host === "::" ? "127.0.0.1" : host,
+            port: parseInt(props["query.port"], 10) || parseInt(props["server-port"], 10) || 25565
+        };
+    }
+}
+
+module.exports = ServerConfig;
@@ -0,0 +1,188 @@
+const net = require("net");
+
+// Minecraft Server List Ping: what a client's server list shows (MOTD, version, player
+// counts, latency). Speaks the current handshake/status protocol (1.7+) and falls back to
+// the legacy 0xFE ping for older servers.
+class ServerListPing {
+    static async ping(host, port, { timeout = 5000 } = {}) {
+        try {
+            return await ServerListPing.status(host, port, timeout);
+        } catch (err) {
+            // Connection refused or timed out: a legacy ping would not fare better
+            if (err.code === "ECONNREFUSED" || err.code === "ETIMEDOUT") throw err;
+            return ServerListPing.legacy(host, port, timeout).catch(() => {
+                throw err;
+            });
+        }
+    }
+
+    static writeVarInt(value) {
+        const bytes = [];
+        let v = value >>> 0;
+        do {
+            let byte = v & 0x7f;
+            v >>>= 7;
+            if (v !== 0) byte |= 0x80;
+            bytes.push(byte);
+        } while (v !== 0);
+        return Buffer.from(bytes);
+    }
+
+    // Returns { value, size } or null when the buffer does not hold a complete VarInt yet
+    static readVarInt(buffer, offset = 0) {
+        let value = 0;
+        for (let i = 0; i < 5; i++) {
+            if (offset + i >= buffer.length) return null;
+            const byte = buffer[offset + i];
+            value |= (byte & 0x7f) << (7 * i);
+            if ((byte & 0x80) === 0) return { value, size: i + 1 };
+        }
+        throw new Error("VarInt is too big");
+    }
+
+    static packet(id, ...fields) {
+        const body = Buffer.concat([ServerListPing.writeVarInt(id), ...fields]);
+        return Buffer.concat([ServerListPing.writeVarInt(body.length), body]);
+    }
+
+    static string(text) {
+        const data = Buffer.from(text, "utf-8");
+        return Buffer.concat([ServerListPing.writeVarInt(data.length), data]);
+    }
+
+    // Connects and hands every received chunk to `onData(buffer, socket, finish)` until it calls finish
+    static exchange(host, port, timeout, onConnect, onData) {
+        return new Promise((resolve, reject) => {
+            const socket = net.createConnection({ host, port });
+            let buffer = Buffer.alloc(0);
+            let done = false;
+
+            const finish = (err, value) => {
+                if (done) return;
+                done = true;
+                socket.destroy();
+                if (err) reject(err);
+                else resolve(value);
+            };
+
+            socket.setTimeout(timeout, () => {
+                const err = new Error("Ping timed out");
+                err.code = "ETIMEDOUT";
+                finish(err);
+            });
+            socket.on("error", err => finish(err));
+            socket.on("close", () => finish(new Error("Connection closed before the server answered")));
+            socket.on("connect", () => onConnect(socket));
+            socket.on("data", data => {
+                buffer = Buffer.concat([buffer, data]);
+                try {
+                    onData(buffer, socket, finish);
+                } catch (err) {
+                    finish(err);
+                }
+            });
+        });
+    }
+
+    static status(host, port, timeout) {
+        let result = null;
+        let sentAt = 0;
+
+        return ServerListPing.exchange(host, port, timeout, socket => {
+            const portBuffer = Buffer.alloc(2);
+            portBuffer.writeUInt16BE(port);
+            // Protocol -1: "whatever you speak", next state 1: status
+            socket.write(ServerListPing.packet(0x00, ServerListPing.writeVarInt(-1),
+                ServerListPing.string(host), portBuffer, ServerListPing.writeVarInt(1)));
+            socket.write(ServerListPing.packet(0x00));
+        }, (buffer, socket, finish) => {
+            let offset = 0;
+            while (true) {
+                const length = ServerListPing.readVarInt(buffer, offset);
+                if (!length || buffer.length < offset + length.size + length.value) break;
+                const start = offset + length.size;
+                const id = ServerListPing.readVarInt(buffer, start);
+                offset = start + length.value;
+
+                if (id.value === 0x00 && !result) {
+                    const size = ServerListPing.readVarInt(buffer, start + id.size);
+                    const jsonStart = start + id.size + size.size;
+                    result = ServerListPing.fromStatus(JSON.parse(buffer.toString("utf-8", jsonStart, jsonStart + size.value)));
+
+                    const payload = Buffer.alloc(8);
+                    payload.writeBigInt64BE(BigInt(Date.now()));
+                    sentAt = Date.now();
+                    socket.write(ServerListPing.packet(0x01, payload));
+                } else if (id.value === 0x01 && result) {
+                    return finish(null, { ...result, latency: Date.now() - sentAt });
+                }
+            }
+        }).catch(err => {
+            // Some servers close the connection instead of answering the ping; the status still counts
+            if (result) return { ...result, latency: null };
+            throw err;
+        });
+    }
+
+    // 1.4-1.6 answer "§1\0protocol\0version\0motd\0online\0max", older ones "motd§online§max"
+    static legacy(host, port, timeout) {
+        const sentAt = Date.now();
+        return ServerListPing.exchange(host, port, timeout, socket => {
+            socket.write(Buffer.from([0xfe, 0x01]));
+        }, (buffer, socket, finish) => {
+            if (buffer[0] !== 0xff) throw new Error("Unexpected legacy ping answer");
+            if (buffer.length < 3) return;
+            const length = buffer.readUInt16BE(1);
+            if (buffer.length < 3 + length * 2) return;
+
+            const text = ServerListPing.utf16be(buffer.subarray(3, 3 + length * 2));
+            const latency = Date.now() - sentAt;
+            if (text.startsWith("§1\0")) {
+                const [, protocol, version, motd, online, max] = text.split("\0");
+                finish(null, {
+                    version: version, protocol: +protocol, motd: ServerListPing.stripCodes(motd),
+                    online: +online, max: +max, sample: [], latency, legacy: true
+                });
+            } else {
+                const parts = text.split("§");
+                finish(null, {
+                    version: null, protocol: null, motd: parts.slice(0, -2).join("§"),
+                    online: +parts[parts.length - 2], max: +parts[parts.length - 1], sample: [], latency, legacy: true
+                });
+            }
+        });
+    }
+
+    static utf16be(buffer) {
+        const swapped = Buffer.from(buffer);
+        swapped.swap16();
+        return swapped.toString("utf16le");
+    }
+
+    static fromStatus(status) {
+        const players = status.players || {};
+        return {
+            version: status.version ? status.version.name : null,
+            protocol: status.version ? status.version.protocol : null,
+            motd: ServerListPing.stripCodes(ServerListPing.chatText(status.description)),
+            online: players.online || 0,
+            max: players.max || 0,
+            sample: (players.sample || []).map(p => p.name),
+            legacy: false
+        };
+    }
+
+    // MOTDs are either plain strings or chat components with nested `extra` parts
+    static chatText(component) {
+        if (!component) return "";
+        if (typeof component === "string") return component;
+        if (Array.isArray(component)) return component.map(ServerListPing.chatText).join("");
+        return (component.text || "") + (component.extra || []).map(ServerListPing.chatText).join("");
+    }
+
+    static stripCodes(text) {
+        return (text || "").replace(/§./g, "");
+    }
+}
+
+module.exports = ServerListPing;
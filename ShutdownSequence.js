@@ -0,0 +1,128 @@
+const DEFAULT_SETTINGS = {
+    // Seconds players are warned before the stop; 0 stops right away
+    countdownSeconds: 0,
+    message: "Server shutting down in {time}",
+    saveWorld: true,
+    // Empty: chosen by server software (see COMMANDS)
+    stopCommand: "",
+    gracePeriodSeconds: 120,
+    termTimeoutSeconds: 30
+};
+
+// Countdown steps at which players are warned again
+const WARNING_TIMES = [900, 600, 300, 120, 60, 30, 10, 5, 4, 3, 2, 1];
+
+// Per server software (see ServerConfig.serverType): broadcast and save commands, if it has them
+const COMMANDS = {
+    server: { broadcast: "say", save: "save-all flush", stop: "stop" },
+    bungeecord: { broadcast: "alert", save: null, stop: "end" },
+    velocity: { broadcast: null, save: null, stop: "end" }
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Stops a server the polite way first: countdown warnings, world save and the software's stop
+// command, then SIGTERM and finally SIGKILL if it does not exit in time. Talking to the server
+// and to the process is left to hooks: canSend(), send(command), save(command), isRunning(),
+// signal(name) and onProgress({ phase, ... }).
+class ShutdownSequence {
+    constructor(settings, serverType, hooks) {
+        this.settings = settings;
+        this.commands = COMMANDS[serverType] || COMMANDS.server;
+        this.hooks = hooks;
+    }
+
+    static normalize(settings = {}) {
+        const result = {
+            message: settings.message === undefined ? DEFAULT_SETTINGS.message : String(settings.message),
+            saveWorld: settings.saveWorld === undefined ? DEFAULT_SETTINGS.saveWorld : !!settings.saveWorld,
+            stopCommand: String(settings.stopCommand || "").trim()
+        };
+        for (const key of ["countdownSeconds", "gracePeriodSeconds", "termTimeoutSeconds"]) {
+            const value = settings[key] === undefined ? DEFAULT_SETTINGS[key] : Number(settings[key]);
+            if (!Number.isInteger(value) || value < 0) throw new Error(`Invalid ${key}`);
+            result[key] = value;
+        }
+        if (result.gracePeriodSeconds < 1) throw new Error("The grace period must be at least 1 second.");
+        return result;
+    }
+
+    // Warnings for a countdown of `seconds`, longest first: the full countdown, then every step below it
+    static warningTimes(seconds) {
+        if (seconds <= 0) return [];
+        return [seconds, ...WARNING_TIMES.filter(t => t < seconds)];
+    }
+
+    static formatTime(seconds) {
+        if (seconds >= 60 && seconds % 60 === 0) return `${seconds / 60} minute${seconds === 60 ? "" : "s"}`;
+        return `${seconds} second${seconds === 1 ? "" : "s"}`;
+    }
+
+    stopCommand() {
+        return this.settings.stopCommand || this.commands.stop;
+    }
+
+    // Resolves to { escalation: null | "SIGTERM" | "SIGKILL" }
+    async run() {
+        const { canSend, send, save, isRunning, signal, onProgress } = this.hooks;
+        const settings = this.settings;
+
+        let left = settings.countdownSeconds;
+        for (const time of ShutdownSequence.warningTimes(settings.countdownSeconds)) {
+            await sleep((left - time) * 1000);
+            left = time;
+            if (!isRunning()) return { escalation: null };
+            onProgress({ phase: "countdown", secondsLeft: time });
+            if (this.commands.broadcast && settings.message) {
+                const message = settings.message.replace(/\{time\}/g, ShutdownSequence.formatTime(time)).replace(/\{seconds\}/g, time);
+                await send(`${this.commands.broadcast} ${message}`).catch(() => { });
+            }
+        }
+        await sleep(left * 1000);
+
+        if (settings.saveWorld && this.commands.save && isRunning()) {
+            onProgress({ phase: "saving" });
+            await save(this.commands.save).catch(err => onProgress({ phase: "saving", error: err.message }));
+        }
+
+        if (!isRunning()) return { escalation: null };
+        // Without RCON or a console there is no one to send the stop command to
+        if (canSend()) {
+            const command = this.stopCommand();
+            onProgress({ phase: "stopping", command });
+            // The server may close an RCON connection before it answers
+            await send(command).catch(() => { });
+            if (await this.waitForExit(settings.gracePeriodSeconds, "stopping")) return { escalation: null };
+        }
+
+        onProgress({ phase: "terminating", signal: "SIGTERM" });
+        signal("SIGTERM");
+        if (await this.waitForExit(settings.termTimeoutSeconds, "terminating")) return { escalation: "SIGTERM" };
+
+        onProgress({ phase: "killing", signal: "SIGKILL" });
+        signal("SIGKILL");
+        if (await this.waitForExit(10, "killing")) return { escalation: "SIGKILL" };
+        throw new Error("The process did not exit after SIGKILL.");
+    }
+
+    // True once the process is gone, false when `seconds` passed; reports the time left every second
+    async waitForExit(seconds, phase) {
+        const deadline = Date.now() + seconds * 1000;
+        let reported = null;
+        while (Date.now() < deadline) {
+            if (!this.hooks.isRunning()) return true;
+            const secondsLeft = Math.ceil((deadline - Date.now()) / 1000);
+            if (secondsLeft !== reported) {
+                reported = secondsLeft;
+                this.hooks.onProgress({ phase, secondsLeft, waiting: true });
+            }
+            await sleep(250);
+        }
+        return !this.hooks.isRunning();
+    }
+}
+
+ShutdownSequence.DEFAULT_SETTINGS = DEFAULT_SETTINGS;
+ShutdownSequence.COMMANDS = COMMANDS;
+
+module.exports = ShutdownSequence;
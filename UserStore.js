@@ -0,0 +1,211 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+// Roles in ascending order of privilege
+const ROLES = ["viewer", "operator", "admin"];
+
+// Per-instance permissions, and the most each role can be granted
+const PERMISSIONS = ["view", "command", "control", "files", "settings"];
+const ROLE_PERMISSIONS = {
+    viewer: ["view"],
+    operator: ["view", "command", "control", "files", "settings"],
+    admin: PERMISSIONS
+};
+
+// What a role may do on every instance when it has no access list. Operators only get
+// "settings" where an access list grants it.
+const ROLE_DEFAULTS = {
+    viewer: ["view"],
+    operator: ["view", "command", "control", "files"],
+    admin: PERMISSIONS
+};
+
+class UserStore {
+    constructor(filePath = path.join(__dirname, "users.json")) {
+        this.filePath = filePath;
+        // Only a missing file means first start; a damaged one must not be replaced by a new admin
+        if (fs.existsSync(this.filePath)) {
+            this.users = this.loadUsers();
+        } else {
+            this.users = {};
+            this.createInitialAdmin();
+        }
+    }
+
+    // Refuses to start on a file that cannot be read rather than running without its users
+    loadUsers() {
+        let users;
+        try {
+            users = JSON.parse(fs.readFileSync(this.filePath, "utf-8"));
+        } catch (e) {
+            throw new Error(`Cannot read users file ${this.filePath}: ${e.message}`);
+        }
+        if (!users || typeof users !== "object" || Array.isArray(users)) {
+            throw new Error(`Users file ${this.filePath} does not contain a user object.`);
+        }
+        return users;
+    }
+
+    // Written to a temporary file first so a crash cannot leave a truncated users file behind
+    saveUsers() {
+        const temp = `${this.filePath}.${process.pid}.tmp`;
+        fs.writeFileSync(temp, JSON.stringify(this.users, null, 2), { encoding: "utf-8", mode: 0o600 });
+        fs.renameSync(temp, this.filePath);
+    }
+
+    // First start: create an admin account so the manager is reachable at all
+    createInitialAdmin() {
+        const password = process.env.MMM_ADMIN_PASSWORD || crypto.randomBytes(9).toString("base64url");
+        this.createUser("admin", password, "admin");
+        if (!process.env.MMM_ADMIN_PASSWORD) {
+            console.log(`Created initial user "admin" with password: ${password}`);
+        }
+    }
+
+    hashPassword(password, salt = crypto.randomBytes(16).toString("hex")) {
+        const hash = crypto.scryptSync(password, salt, 64).toString("hex");
+        return `scrypt$${salt}$${hash}`;
+    }
+
+    checkPassword(password, stored) {
+        const [scheme, salt, hash] = (stored || "").split("$");
+        if (scheme !== "scrypt" || !salt || !hash) return false;
+
+        const expected = Buffer.from(hash, "hex");
+        const actual = crypto.scryptSync(password, salt, expected.length);
+        return crypto.timingSafeEqual(expected, actual);
+    }
+
+    static isValidRole(role) {
+        return ROLES.includes(role);
+    }
+
+    // True when `role` is at least as privileged as `required`
+    static hasRole(role, required) {
+        return ROLES.indexOf(role) >= ROLES.indexOf(required) && ROLES.includes(required);
+    }
+
+    get(username) {
+        const user = this.users[username];
+        if (!user) return null;
+        return { username, role: user.role, instances: user.instances || null, createdAt: user.createdAt };
+    }
+
+    list() {
+        return Object.keys(this.users).map(username => this.get(username));
+    }
+
+    verify(username, password) {
+        const user = this.users[username];
+        if (!user || typeof password !== "string") return null;
+        if (!this.checkPassword(password, user.passwordHash)) return null;
+        return this.get(username);
+    }
+
+    createUser(username, password, role = "viewer") {
+        if (!username || !/^[\w.-]{1,32}$/.test(username)) throw new Error("Invalid username.");
+        if (!password || password.length < 8) throw new Error("Password must be at least 8 characters.");
+        if (!UserStore.isValidRole(role)) throw new Error(`Unknown role: ${role}`);
+        if (this.users[username]) throw new Error("User already exists.");
+
+        this.users[username] = {
+            role,
+            passwordHash: this.hashPassword(password),
+            createdAt: new Date().toISOString()
+        };
+        this.saveUsers();
+        return this.get(username);
+    }
+
+    // Instance access list: null means every instance, otherwise { name|"*": [permissions] }.
+    // Permissions above the role's ceiling are rejected rather than stored without effect.
+    static validateInstanceAccess(instances, role) {
+        if (instances === null) return null;
+        if (typeof instances !== "object" || Array.isArray(instances)) {
+            throw new Error("Instance access must be an object or null.");
+        }
+        const result = {};
+        for (const [name, perms] of Object.entries(instances)) {
+            if (!Array.isArray(perms)) throw new Error(`Permissions for ${name} must be a list.`);
+            const unknown = perms.find(p => !PERMISSIONS.includes(p));
+            if (unknown) throw new Error(`Unknown permission: ${unknown}`);
+            const allowed = ROLE_PERMISSIONS[role] || [];
+            const denied = perms.find(p => !allowed.includes(p));
+            if (denied) throw new Error(`The ${role} role cannot be granted ${denied}.`);
+            result[name] = [...new Set(perms)];
+        }
+        return result;
+    }
+
+    // Role sets the ceiling, the instance access list narrows it per instance
+    can(username, instanceName, permission) {
+        const user = this.users[username];
+        if (!user || !(ROLE_PERMISSIONS[user.role] || []).includes(permission)) return false;
+        if (user.role === "admin") return true;
+        if (!user.instances) return (ROLE_DEFAULTS[user.role] || []).includes(permission);
+
+        const granted = user.instances[instanceName] || user.instances["*"] || [];
+        return granted.includes(permission);
+    }
+
+    permissionsFor(username, instanceName) {
+        return PERMISSIONS.filter(p => this.can(username, instanceName, p));
+    }
+
+    // Keep access lists pointing at an instance after it is renamed or removed
+    renameInstance(oldName, newName) {
+        let changed = false;
+        for (const user of Object.values(this.users)) {
+            if (user.instances && user.instances[oldName]) {
+                if (newName) user.instances[newName] = user.instances[oldName];
+                delete user.instances[oldName];
+                changed = true;
+            }
+        }
+        if (changed) this.saveUsers();
+    }
+
+    updateUser(username, { password, role, instances } = {}) {
+        const user = this.users[username];
+        if (!user) throw new Error("User not found.");
+
+        if (role !== undefined) {
+            if (!UserStore.isValidRole(role)) throw new Error(`Unknown role: ${role}`);
+            if (user.role === "admin" && role !== "admin" && this.countAdmins() === 1) {
+                throw new Error("Cannot demote the last admin.");
+            }
+            user.role = role;
+        }
+        if (password !== undefined) {
+            if (!password || password.length < 8) throw new Error("Password must be at least 8 characters.");
+            user.passwordHash = this.hashPassword(password);
+        }
+        if (instances !== undefined) {
+            user.instances = UserStore.validateInstanceAccess(instances, user.role);
+        }
+        this.saveUsers();
+        return this.get(username);
+    }
+
+    deleteUser(username) {
+        const user = this.users[username];
+        if (!user) throw new Error("User not found.");
+        if (user.role === "admin" && this.countAdmins() === 1) {
+            throw new Error("Cannot delete the last admin.");
+        }
+        delete this.users[username];
+        this.saveUsers();
+    }
+
+    countAdmins() {
+        return Object.values(this.users).filter(u => u.role === "admin").length;
+    }
+}
+
+UserStore.ROLES = ROLES;
+UserStore.PERMISSIONS = PERMISSIONS;
+UserStore.ROLE_PERMISSIONS = ROLE_PERMISSIONS;
+UserStore.ROLE_DEFAULTS = ROLE_DEFAULTS;
+
+module.exports = UserStore;
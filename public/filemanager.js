@@ -153,21 +153,26 @@
                 </div>
                 <div class="flex-grow-1"></div>
                 <div class="btn-group btn-group-sm">
-                  <button class="btn btn-success" title="Download" onclick="downloadFile('${pathJoin(currentPath, item.name)}')">
+                  <button class="btn btn-success" title="Download" data-action="downloadFile">
                     <i class="bi bi-download"></i>
                   </button>
-                  <button class="btn btn-primary" title="Edit" onclick="editFile('${pathJoin(currentPath, item.name)}')">
+                  <button class="btn btn-primary" title="Edit" data-action="editFile">
                     <i class="bi bi-pencil"></i>
                   </button>
-                  <button class="btn btn-warning" title="Rename" onclick="renameFile('${pathJoin(currentPath, item.name)}')">
+                  <button class="btn btn-warning" title="Rename" data-action="renameFile">
                     <i class="bi bi-pencil-square"></i>
                   </button>
-                  <button class="btn btn-danger" title="Delete" onclick="deleteFile('${pathJoin(currentPath, item.name)}')">
+                  <button class="btn btn-danger" title="Delete" data-action="deleteFile">
                     <i class="bi bi-trash"></i>
                   </button>
                 </div>
             `;
 
+            // File names can contain quotes; they are passed to the handlers, not written into them
+            li.querySelectorAll('button[data-action]').forEach(button => {
+                button.addEventListener('click', () => window[button.dataset.action](pathJoin(currentPath, item.name)));
+            });
+
             li.querySelector('div.flex-grow-1').appendChild(nameSpan);
             list.appendChild(li);
         });
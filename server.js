@@ -1,14 +1,45 @@
 // server.js
 const express = require('express');
 const session = require('express-session');
+const basicAuth = require('express-basic-auth');
+const crypto = require('crypto');
 const fs = require('fs-extra');
 const { IncomingForm } = require('formidable');
 const os = require('os');
 const path = require('path');
 const pidusage = require('pidusage');
 const http = require('http');
+const EventEmitter = require('events');
 const { Server } = require('socket.io');
 const ProcessManager = require('./ProcessManager');
+const UserStore = require('./UserStore');
+const AuditLog = require('./AuditLog');
+const ConsoleLog = require('./ConsoleLog');
+const LogSearch = require('./LogSearch');
+const ConsoleEventParser = require('./ConsoleEventParser');
+const EventStore = require('./EventStore');
+const PlayerTracker = require('./PlayerTracker');
+const RconClient = require('./RconClient');
+const ServerConfig = require('./ServerConfig');
+const ServerListPing = require('./ServerListPing');
+const QueryClient = require('./QueryClient');
+const Scheduler = require('./Scheduler');
+const BackupManager = require('./BackupManager');
+const RestartSupervisor = require('./RestartSupervisor');
+const ShutdownSequence = require('./ShutdownSequence');
+const InstanceGroups = require('./InstanceGroups');
+const JarLibrary = require('./JarLibrary');
+const InstanceScaffolder = require('./InstanceScaffolder');
+const ConfigSchema = require('./ConfigSchema');
+const PortCheck = require('./PortCheck');
+const ProxyNetwork = require('./ProxyNetwork');
+const PluginInventory = require('./PluginInventory');
+const JavaRuntimes = require('./JavaRuntimes');
+const LaunchSpec = require('./LaunchSpec');
+const InstanceName = require('./InstanceName');
+const SafePath = require('./SafePath');
+const CgroupLimits = require('./CgroupLimits');
+const MetricsStore = require('./MetricsStore');
 
 const app = express();
 const server = http.createServer(app);
@@ -19,13 +50,74 @@ const io = new Server(server, {
 
 const PORT = 3001;
 const INSTANCE_FILE = './instances.json';
+const USERS_FILE = './users.json';
+const AUDIT_FILE = './audit.jsonl';
+const CONSOLE_LOG_DIR = './console-logs';
+const MEMORY_LOG_LINES = 400;
+const EVENTS_DIR = './events';
+const PLAYER_LIST_INTERVAL = 60000;
+const STATUS_PING_INTERVAL = 30000;
+const METRICS_INTERVAL = 10000;
+const SESSION_SECRET_FILE = './.session-secret';
+const SCHEDULES_FILE = './schedules.json';
+const GROUPS_FILE = './groups.json';
+const BACKUP_DIR = process.env.MMM_BACKUP_DIR || './backups';
+const JAR_DIR = process.env.MMM_JAR_DIR || './jars';
+const JAVA_FILE = './java.json';
+const METRICS_DIR = process.env.MMM_METRICS_DIR || './metrics';
 
 // In-memory data
 const SOCKETS = {};
 let instances = {};
 const instanceLogs = {};
+const partialLogLines = {};
+const eventParsers = {};
+const eventFlushTimers = {};
+const rconClients = {};
+const instanceHealth = {};
+// Ports and port conflicts per instance (see checkPorts)
+let portStatus = {};
+const backupJobs = {};
+const stopJobs = {};
+// Instances taking part in a running group or bulk action
+const bulkBusy = new Set();
+// Pending sync per proxy, see syncProxy
+const proxySyncs = {};
+// cgroup of each instance running with resource limits: { dir, oomKills }
+const instanceCgroups = {};
+// Resource use against the limits per instance, read with the status check
+const resourceUsage = {};
+// Latest metrics sample of the host and per running instance, see collectMetrics
+const latestMetrics = { host: null, instances: {} };
 const logs = {};
 const pm = new ProcessManager();
+const users = new UserStore(USERS_FILE);
+const auditLog = new AuditLog(AUDIT_FILE);
+const consoleLog = new ConsoleLog(CONSOLE_LOG_DIR, {
+    maxBytes: 10 * 1024 * 1024,
+    maxFiles: 50,
+    maxAgeDays: 30
+});
+const logSearch = new LogSearch(consoleLog);
+const eventStore = new EventStore(EVENTS_DIR);
+
+// Structured console events (see ConsoleEventParser) for other parts of the manager to listen on
+const consoleEvents = new EventEmitter();
+const playerTracker = new PlayerTracker();
+const scheduler = new Scheduler(SCHEDULES_FILE, runScheduledJob);
+const backupManager = new BackupManager(BACKUP_DIR);
+const supervisor = new RestartSupervisor(restartAfterExit);
+const instanceGroups = new InstanceGroups(GROUPS_FILE);
+const jarLibrary = new JarLibrary(JAR_DIR);
+const scaffolder = new InstanceScaffolder(jarLibrary);
+const pluginInventory = new PluginInventory();
+const javaRuntimes = new JavaRuntimes(JAVA_FILE);
+const cgroups = new CgroupLimits();
+const metricsStore = new MetricsStore(METRICS_DIR);
+
+consoleEvents.on('event', event => {
+    if (playerTracker.handleEvent(event.instance, event)) emitPlayers(event.instance);
+});
 
 // Load instances on startup
 if (fs.existsSync(INSTANCE_FILE)) {
@@ -36,24 +128,20 @@ function saveInstances() {
     fs.writeFileSync(INSTANCE_FILE, JSON.stringify(instances, null, 2), 'utf-8');
 }
 
-function waitUntilStopped(name, timeoutMs = 5000) {
-    return new Promise((resolve, reject) => {
-        const interval = 250;
-        let waited = 0;
-
-        const check = () => {
-            if (!instances[name] || instances[name].status === "stopped") {
-                return resolve();
-            }
-            waited += interval;
-            if (waited >= timeoutMs) {
-                return reject(new Error(`Instance ${name} did not stop in time.`));
-            }
-            setTimeout(check, interval);
-        };
+// Session secret from the environment, or generated once and kept on disk
+function loadSessionSecret() {
+    if (process.env.SESSION_SECRET) return process.env.SESSION_SECRET;
+    if (fs.existsSync(SESSION_SECRET_FILE)) {
+        return fs.readFileSync(SESSION_SECRET_FILE, 'utf-8').trim();
+    }
+    const secret = crypto.randomBytes(32).toString('hex');
+    fs.writeFileSync(SESSION_SECRET_FILE, secret, { encoding: 'utf-8', mode: 0o600 });
+    return secret;
+}
 
-        check();
-    });
+// Record an administrative action; `actor` is the acting user, or null for the manager itself
+function audit(actor, action, instance, details = {}) {
+    auditLog.record({ actor, action, instance, details });
 }
 
 // Check if PID is running
@@ -66,19 +154,35 @@ function isPidRunning(pid) {
     }
 }
 
-function appendInstanceLog(name, text, io) {
+// Whether any process of the group led by `pid` is left; the server may run below a start script
+function isProcessGroupRunning(pid) {
+    try {
+        process.kill(-pid, 0);
+        return true;
+    } catch (e) {
+        return isPidRunning(pid);
+    }
+}
+
+function appendInstanceLog(name, text, io, stream = 'out') {
     if (!instanceLogs[name]) {
         instanceLogs[name] = [];
     }
 
-    const lines = text.split(/\r?\n/);
+    // Chunks don't end on line boundaries, keep the unfinished line for the next chunk
+    const key = `${name}:${stream}`;
+    const lines = ((partialLogLines[key] || '') + text).split(/\r?\n/);
+    partialLogLines[key] = lines.pop();
+
     for (let line of lines) {
         if (line.trim() === "") continue; // skip empty lines
         instanceLogs[name].push(line);
+        consoleLog.append(name, line, stream);
+        parseConsoleLine(name, line);
     }
 
-    // Trim to max 400 lines
-    while (instanceLogs[name].length > 400) {
+    // Trim to the in-memory window, older lines are on disk
+    while (instanceLogs[name].length > MEMORY_LOG_LINES) {
         instanceLogs[name].shift();
     }
 
@@ -86,20 +190,400 @@ function appendInstanceLog(name, text, io) {
     io.to(name).emit("log", { instance: name, text });
 }
 
-function getFileRoot(instanceName) {
+// Write out whatever is left of an unfinished line once the process is gone
+function flushInstanceLog(name) {
+    for (const stream of ['out', 'err']) {
+        const rest = partialLogLines[`${name}:${stream}`];
+        delete partialLogLines[`${name}:${stream}`];
+        if (rest && rest.trim() !== "") {
+            if (!instanceLogs[name]) instanceLogs[name] = [];
+            instanceLogs[name].push(rest);
+            consoleLog.append(name, rest, stream);
+            parseConsoleLine(name, rest);
+        }
+    }
+    if (eventParsers[name]) handleConsoleEvents(name, eventParsers[name].flush());
+}
+
+function parseConsoleLine(name, line) {
+    if (!eventParsers[name]) eventParsers[name] = new ConsoleEventParser();
+    const parser = eventParsers[name];
+    handleConsoleEvents(name, parser.feed(line));
+
+    // A stack trace is complete once the output goes quiet for a moment
+    clearTimeout(eventFlushTimers[name]);
+    if (parser.pendingException) {
+        eventFlushTimers[name] = setTimeout(() => handleConsoleEvents(name, parser.finishPending()), 1000);
+    }
+}
+
+function handleConsoleEvents(name, events) {
+    for (const event of events) {
+        const stamped = { time: new Date().toISOString(), instance: name, ...event };
+        eventStore.append(name, stamped);
+        io.to(name).emit('consoleEvent', stamped);
+        consoleEvents.emit('event', stamped);
+    }
+}
+
+function emitPlayers(name) {
+    io.to(name).emit('playersUpdate', { instance: name, ...playerTracker.list(name) });
+}
+
+// Called whenever an instance stops, crashes or disappears
+function resetPlayers(name) {
+    if (playerTracker.reset(name)) emitPlayers(name);
+}
+
+// The instance's RCON connection, or null when RCON is not enabled in its server.properties
+async function getRcon(name) {
+    const config = RconClient.configFor(instances[name].workingDir);
+    if (!config) return null;
+
+    let client = rconClients[name];
+    if (client && (client.closed || !client.sameConfig(config))) {
+        client.close();
+        client = null;
+    }
+    if (!client) {
+        client = new RconClient(config);
+        try {
+            await client.connect();
+        } catch (err) {
+            client.close();
+            throw err;
+        }
+        rconClients[name] = client;
+    }
+    return client;
+}
+
+function closeRcon(name) {
+    if (!rconClients[name]) return;
+    rconClients[name].close();
+    delete rconClients[name];
+}
+
+// Runs a console command over RCON if the instance has it enabled, otherwise (or when RCON fails)
+// through the process's stdin. Resolves to { transport, output }; output is only known over RCON.
+async function sendCommand(name, command) {
+    const inst = instances[name];
+    if (!inst || !inst.pid) throw new Error(`Instance ${name} is not running.`);
+    if (isStopCommand(command)) supervisor.expectStop(name);
+
+    let rconError = null;
+    try {
+        const rcon = await getRcon(name);
+        if (rcon) return { transport: 'rcon', output: await rcon.command(command) };
+    } catch (err) {
+        rconError = err;
+    }
+
+    const found = [...pm.processes.values()].find(p => p.pid === inst.pid);
+    if (!found || !found.proc || !found.proc.stdin || found.proc.stdin.destroyed) {
+        throw new Error(rconError
+            ? `RCON failed (${rconError.message}) and ${name} has no console attached.`
+            : `Process info not found for ${name}.`);
+    }
+    found.proc.stdin.write(command + '\n');
+    return { transport: 'stdin', output: null };
+}
+
+// "stop" (Vanilla/Paper), "end" (BungeeCord) and "shutdown" (Velocity) typed into the console
+function isStopCommand(command) {
+    return /^\/?(stop|end|shutdown)(\s|$)/i.test(command.trim());
+}
+
+// Server List Ping against the instance's port: a running process is not necessarily accepting players
+async function probeInstance(name) {
+    const inst = instances[name];
+    const previous = instanceHealth[name];
+    const address = ServerConfig.listenAddress(inst.workingDir);
+    let health;
+
+    if (!address) {
+        health = { reachable: null, checkedAt: new Date().toISOString(), address: null, error: 'No server port configured' };
+    } else {
+        const target = `${address.host}:${address.port}`;
+        try {
+            const status = await ServerListPing.ping(address.host, address.port);
+            health = { reachable: true, checkedAt: new Date().toISOString(), address: target, ...status };
+        } catch (err) {
+            health = { reachable: false, checkedAt: new Date().toISOString(), address: target, error: err.message };
+        }
+    }
+
+    // The instance may have been stopped or removed while the ping was running
+    if (!instances[name] || instances[name].status !== 'running') return health;
+    instanceHealth[name] = health;
+    io.to(name).emit('healthUpdate', { instance: name, ...health });
+    if (!previous || previous.reachable !== health.reachable) broadcastInstances('instancesStatus');
+    return health;
+}
+
+// Scheduled jobs run as the manager itself; global jobs (no instance) run on every instance
+async function runScheduledJob(job) {
+    const targets = job.instance ? [job.instance] : Object.keys(instances);
+    if (job.instance && !instances[job.instance]) throw new Error(`Instance ${job.instance} not found.`);
+
+    const results = [];
+    const failures = [];
+    for (const name of targets) {
+        try {
+            results.push(`${name}: ${await runJobAction(name, job.action)}`);
+        } catch (err) {
+            failures.push(`${name}: ${err.message}`);
+        }
+    }
+    audit(null, 'schedule.run', job.instance, { job: job.id, name: job.name, action: job.action.type, failures: failures.length });
+    if (failures.length) throw new Error([...failures, ...results].join('; '));
+    return results.join('; ');
+}
+
+async function runJobAction(name, action) {
+    const running = instances[name].status === 'running' && instances[name].pid;
+    switch (action.type) {
+        case 'start':
+            if (running) return 'already running';
+            await startServer(name, io, null);
+            return 'started';
+        case 'stop':
+            if (!running) return supervisor.cancel(name) ? 'pending restart cancelled' : 'not running';
+            await stopServer(name, null);
+            return 'stopped';
+        case 'restart':
+            if (!running) {
+                await startServer(name, io, null);
+                return 'started (was not running)';
+            }
+            await restartServer(name, io, null);
+            return 'restarted';
+        case 'command': {
+            if (!running) return 'not running, skipped';
+            const { output } = await sendCommand(name, action.command);
+            return output || 'sent';
+        }
+        case 'broadcast':
+            if (!running) return 'not running, skipped';
+            await sendCommand(name, `say ${action.message}`);
+            return 'sent';
+        case 'backup': {
+            const backup = await createBackup(name, null, { trigger: 'scheduled' });
+            const size = `${(backup.size / 1024 / 1024).toFixed(1)} MB${backup.mode === 'dedup' ? ' new' : ''}`;
+            return `backup ${backup.id} (${size})`;
+        }
+        default:
+            throw new Error(`Unknown action: ${action.type}`);
+    }
+}
+
+// Resolves with the next console event of `type` from the instance, rejects after `timeoutMs`
+function waitForConsoleEvent(name, type, timeoutMs) {
+    return new Promise((resolve, reject) => {
+        const listener = event => {
+            if (event.instance !== name || event.type !== type) return;
+            clearTimeout(timer);
+            consoleEvents.off('event', listener);
+            resolve(event);
+        };
+        const timer = setTimeout(() => {
+            consoleEvents.off('event', listener);
+            reject(new Error(`Timed out waiting for ${type}`));
+        }, timeoutMs);
+        consoleEvents.on('event', listener);
+    });
+}
+
+// Sends a save command and resolves once the server reports the worlds saved
+async function saveWorld(name, command) {
+    const saved = waitForConsoleEvent(name, 'world_saved', 60000);
+    let output;
+    try {
+        ({ output } = await sendCommand(name, command));
+    } catch (err) {
+        saved.catch(() => { });
+        throw err;
+    }
+    // Over RCON the answer comes back directly instead of on the console
+    if (output && /Saved the game/.test(output)) saved.catch(() => { });
+    else await saved;
+}
+
+// Per-instance backup settings: mode (tar.gz archive or deduplicated snapshot), default paths
+// (empty = whole directory) and retention limits (0 = no limit)
+function backupSettings(name) {
+    const settings = instances[name].backup || {};
+    return {
+        mode: settings.mode || 'archive',
+        paths: settings.paths || [],
+        retention: { keepLast: 0, keepDaily: 0, keepWeekly: 0, ...(settings.retention || {}) }
+    };
+}
+
+// Running servers stop writing the world (save-off, save-all flush) while it is archived
+async function createBackup(name, actor, { paths = null, mode = null, trigger = 'manual' } = {}) {
+    if (backupJobs[name]) throw new Error(`A ${backupJobs[name]} is already in progress for ${name}.`);
+    backupJobs[name] = 'backup';
+
+    const settings = backupSettings(name);
+    const emit = progress => io.to(name).emit('backupProgress', { instance: name, operation: 'backup', ...progress });
+    let savingOff = false;
+    let backup;
+    try {
+        if (instances[name].status === 'running' && instances[name].pid) {
+            emit({ phase: 'saving', percent: 0 });
+            await sendCommand(name, 'save-off');
+            savingOff = true;
+            await saveWorld(name, 'save-all flush');
+        }
+        backup = await backupManager.create(name, instances[name].workingDir, {
+            paths: paths || settings.paths,
+            mode: mode || settings.mode,
+            trigger,
+            createdBy: actor ? actor.username : null,
+            onProgress: emit
+        });
+    } catch (err) {
+        emit({ phase: 'failed', error: err.message });
+        auditLog.record({ actor, action: 'backup.create', instance: name, details: { trigger, error: err.message }, success: false });
+        throw err;
+    } finally {
+        if (savingOff) await sendCommand(name, 'save-on').catch(err => console.error(`save-on failed for ${name}:`, err));
+        delete backupJobs[name];
+    }
+
+    const pruned = await backupManager.applyRetention(name, settings.retention);
+    if (pruned.length) await collectChunks();
+    audit(actor, 'backup.create', name, { id: backup.id, mode: backup.mode, trigger, paths: backup.paths, size: backup.size, pruned });
+    return backup;
+}
+
+// Frees chunks of deleted snapshots; failures are logged, the next run catches up
+async function collectChunks() {
+    try {
+        const result = await backupManager.gc();
+        if (result && result.removed) console.log(`Backup GC removed ${result.removed} chunks (${result.freedBytes} bytes)`);
+        return result;
+    } catch (err) {
+        console.error('Backup GC failed:', err);
+        return null;
+    }
+}
+
+// Stops the instance first if it is running
+async function restoreBackup(name, id, actor) {
+    if (backupJobs[name]) throw new Error(`A ${backupJobs[name]} is already in progress for ${name}.`);
+    backupJobs[name] = 'restore';
+
+    const emit = progress => io.to(name).emit('backupProgress', { instance: name, operation: 'restore', id, ...progress });
+    try {
+        if (instances[name].status === 'running' && instances[name].pid) {
+            emit({ phase: 'stopping', percent: 0 });
+            await stopServer(name, actor);
+        }
+        await backupManager.restore(name, instances[name].workingDir, id, { onProgress: emit });
+        audit(actor, 'backup.restore', name, { id });
+    } catch (err) {
+        emit({ phase: 'failed', error: err.message });
+        auditLog.record({ actor, action: 'backup.restore', instance: name, details: { id, error: err.message }, success: false });
+        throw err;
+    } finally {
+        delete backupJobs[name];
+    }
+}
+
+// A valid name for a new or renamed instance (see InstanceName) that does not end up in the same
+// files as another instance's name; `except` is the instance being renamed
+function checkInstanceName(name, except = null) {
+    const checked = InstanceName.validate(name);
+    const fileName = InstanceName.fileName(checked);
+    const clash = Object.keys(instances).find(other => other !== except && InstanceName.fileName(other) === fileName);
+    if (clash) throw new Error(`The name is too similar to that of instance ${clash}.`);
+    return checked;
+}
+
+// Why the instance cannot be renamed right now, or null
+function renameBlocker(name) {
+    if (instances[name].pid) return 'it is running';
+    if (stopJobs[name]) return 'it is stopping';
+    if (backupJobs[name]) return 'a backup or restore is running';
+    if (bulkBusy.has(name)) return 'a group action is running';
+    if (proxySyncs[name]) return 'its proxy configuration is being updated';
+    if (supervisor.state(name).nextRestartAt) return 'a restart is pending';
+    return null;
+}
+
+function getFileRoot(instanceName, user, permission = 'view') {
     const inst = instances[instanceName];
     if (!inst) {
         throw new Error(`Instance not found: ${instanceName}`);
     }
+    if (user) assertInstancePermission(user, instanceName, permission);
     return inst.workingDir;
 }
 
-function safePath(basePath, relPath) {
-    const abs = path.resolve(basePath, relPath);
-    if (!abs.startsWith(path.resolve(basePath))) {
-        throw new Error('Access denied: Path traversal attempt.');
+// Throws a 403-tagged error unless the user holds `permission` on the instance
+function assertInstancePermission(user, instanceName, permission) {
+    if (!users.can(user.username, instanceName, permission)) {
+        const err = new Error(`You do not have "${permission}" permission on instance ${instanceName}.`);
+        err.status = 403;
+        throw err;
+    }
+}
+
+// Instances the user may see, each annotated with the user's permissions on it
+function visibleInstances(user) {
+    const result = {};
+    for (const [name, inst] of Object.entries(instances)) {
+        const permissions = users.permissionsFor(user.username, name);
+        if (permissions.includes('view')) {
+            result[name] = {
+                ...inst,
+                permissions,
+                players: playerTracker.count(name),
+                health: instanceHealth[name] || null,
+                restart: supervisor.state(name),
+                ports: visiblePorts(user, name),
+                resources: resourceUsage[name] || null,
+                metrics: latestMetrics.instances[name] || null
+            };
+        }
+    }
+    return result;
+}
+
+// Reads the ports of all instances and finds conflicts; pushes a new status when they changed
+function checkPorts() {
+    const bindings = {};
+    for (const [name, inst] of Object.entries(instances)) {
+        bindings[name] = { ports: ServerConfig.ports(inst.workingDir), running: !!inst.pid };
+    }
+    const conflicts = PortCheck.find(bindings);
+    const status = {};
+    for (const name of Object.keys(bindings)) status[name] = { ports: bindings[name].ports, conflicts: conflicts[name] };
+    const changed = JSON.stringify(status) !== JSON.stringify(portStatus);
+    portStatus = status;
+    if (changed) broadcastInstances('instancesStatus');
+    return status;
+}
+
+// Conflicts with instances the user cannot see do not name them
+function visiblePorts(user, name) {
+    const status = portStatus[name];
+    if (!status) return null;
+    return {
+        ports: status.ports,
+        conflicts: status.conflicts.map(c => (!c.instance || users.can(user.username, c.instance, 'view')
+            ? c : { ...c, instance: 'another instance' }))
+    };
+}
+
+// Like io.emit, but every socket only receives the instances it may see
+function broadcastInstances(event) {
+    for (const socket of Object.values(SOCKETS)) {
+        const user = socketUser(socket);
+        if (user) socket.emit(event, visibleInstances(user));
     }
-    return abs;
 }
 
 
@@ -108,12 +592,44 @@ for (const name in instances) {
     const inst = instances[name];
     if (inst.pid && isPidRunning(inst.pid)) {
         inst.status = "running";
+        // Still in the cgroup an earlier run of the manager put it in
+        const dir = CgroupLimits.cgroupOf(inst.pid);
+        if (dir && path.basename(dir) === CgroupLimits.cgroupName(name)) instanceCgroups[name] = { dir, oomKills: CgroupLimits.oomKills(dir) };
     } else {
         inst.status = "stopped";
         inst.pid = null;
     }
+    // Instances from before launch settings only have a command line
+    if (!inst.launch) {
+        try {
+            inst.launch = LaunchSpec.parse(inst.command, { allowShell: true });
+        } catch (err) {
+            console.error(`Cannot read the command of ${name} (${err.message}).`);
+            inst.launch = LaunchSpec.shell(inst.command);
+        }
+        if (LaunchSpec.usesShell(inst.launch)) {
+            console.warn(`Warning: the command of ${name} needs a shell; it keeps running through /bin/sh -c until its launch settings are edited.`);
+        }
+        const moved = Object.keys(inst.launch.env);
+        if (moved.length) {
+            console.warn(`Warning: the command of ${name} set ${moved.join(', ')} in front of the program; ${moved.length > 1 ? 'they are' : 'it is'} now part of its launch environment.`);
+        }
+    }
+    inst.command = LaunchSpec.toCommand(inst.launch);
 }
 saveInstances();
+scheduler.start();
+checkPorts();
+javaRuntimes.scan().catch(err => console.error('Failed to look for Java runtimes:', err.message));
+
+// Refill the in-memory console window from disk after a manager restart
+for (const name in instances) {
+    consoleLog.tail(name, MEMORY_LOG_LINES)
+        .then(lines => {
+            if (!instanceLogs[name]) instanceLogs[name] = lines;
+        })
+        .catch(err => console.error(`Failed to read console history for ${name}:`, err));
+}
 
 // Update status every 10s
 setInterval(() => {
@@ -121,279 +637,1925 @@ setInterval(() => {
     for (const name in instances) {
         const inst = instances[name];
         const wasRunning = inst.status === "running";
-        const isRunningNow = inst.pid && isPidRunning(inst.pid);
-        if (wasRunning !== isRunningNow) {
-            inst.status = isRunningNow ? "running" : "stopped";
-            if (!isRunningNow) inst.pid = null;
+        const isRunningNow = !!inst.pid && isPidRunning(inst.pid);
+        if (wasRunning && !isRunningNow) {
+            // Processes started by this manager report their exit themselves
+            const owned = [...pm.processes.values()].some(p => p.pid === inst.pid && p.proc);
+            if (!owned) handleInstanceExit(name, inst.pid, {});
+        } else if (!wasRunning && isRunningNow) {
+            inst.status = "running";
             changed = true;
         }
+        updateResourceUsage(name);
     }
     if (changed) {
         saveInstances();
-        io.emit('instancesStatus', instances);
+        broadcastInstances('instancesStatus');
     }
+    checkPorts();
 }, 10000);
 
+// Reads the use of a running instance's cgroup, and removes the cgroup once the instance is gone
+function updateResourceUsage(name) {
+    const cgroup = instanceCgroups[name];
+    if (cgroup && instances[name].pid) {
+        resourceUsage[name] = cgroups.usage(cgroup.dir);
+        return;
+    }
+    delete resourceUsage[name];
+    if (cgroup && cgroups.release(cgroup.dir)) delete instanceCgroups[name];
+}
+
+// Probe running servers; health only describes running ones
+setInterval(() => {
+    for (const name in instances) {
+        if (instances[name].status === 'running') {
+            probeInstance(name).catch(err => console.error(`Status ping for ${name} failed:`, err));
+        } else {
+            delete instanceHealth[name];
+        }
+    }
+}, STATUS_PING_INTERVAL);
+
+// Ask running servers who is online, to correct joins and leaves missed in the console
+setInterval(() => {
+    for (const name in instances) {
+        const inst = instances[name];
+        if (!inst.pid || !playerTracker.shouldPoll(name)) continue;
+        playerTracker.notePoll(name);
+        sendCommand(name, 'list')
+            .then(({ output }) => {
+                // Over RCON the answer comes back here instead of on the console
+                if (!output) return;
+                const parser = new ConsoleEventParser();
+                handleConsoleEvents(name, output.split('\n').flatMap(line => parser.feed(line)));
+            })
+            .catch(() => { });
+    }
+}, PLAYER_LIST_INTERVAL);
+
 const sessionMiddleware = session({
-    secret: 'your-secret-key',
+    secret: loadSessionSecret(),
     resave: false,
-    saveUninitialized: true,
-    cookie: { secure: false }
+    saveUninitialized: false,
+    cookie: { secure: false, httpOnly: true, sameSite: 'lax' }
 });
 const wrap = middleware => (socket, next) => middleware(socket.request, {}, next);
 
 app.use(sessionMiddleware);
 io.use(wrap(sessionMiddleware));
 
+// Only logged in users may open a socket
+io.use((socket, next) => {
+    const session = socket.request.session;
+    if (session && session.user && users.get(session.user)) return next();
+    next(new Error('Not logged in'));
+});
+
+// HTTP basic auth as an alternative to the session, for scripts talking to /api
+const basicAuthMiddleware = basicAuth({
+    authorizer: (username, password) => users.verify(username, password) !== null,
+    unauthorizedResponse: { error: 'Invalid credentials' }
+});
+
+function requireLogin(req, res, next) {
+    const sessionUser = req.session.user && users.get(req.session.user);
+    if (sessionUser) {
+        req.user = { ...sessionUser, sessionId: req.sessionID, ip: req.ip };
+        return next();
+    }
+    if (req.headers.authorization) {
+        return basicAuthMiddleware(req, res, () => {
+            req.user = { ...users.get(req.auth.user), sessionId: null, ip: req.ip };
+            next();
+        });
+    }
+    res.status(401).json({ error: 'Not logged in' });
+}
+
+function requireInstancePermission(permission) {
+    return (req, res, next) => {
+        if (!users.can(req.user.username, req.params.name, permission)) {
+            return res.status(403).json({ error: 'Insufficient permissions' });
+        }
+        next();
+    };
+}
+
+function requireRole(role) {
+    return (req, res, next) => {
+        if (!req.user || !UserStore.hasRole(req.user.role, role)) {
+            return res.status(403).json({ error: 'Insufficient permissions' });
+        }
+        next();
+    };
+}
+
+function socketUser(socket) {
+    const user = users.get(socket.request.session.user);
+    if (!user) return null;
+    return { ...user, sessionId: socket.request.sessionID, ip: socket.handshake.address };
+}
+
+// Role check for socket events, answers with a failed actionResponse
+function socketHasRole(socket, role, action) {
+    const user = socketUser(socket);
+    if (user && UserStore.hasRole(user.role, role)) return true;
+    socket.emit('actionResponse', {
+        success: false,
+        action,
+        message: 'Insufficient permissions'
+    });
+    return false;
+}
+
+// Same as socketHasRole, for a permission on one instance
+function socketCan(socket, instance, permission, action) {
+    const user = socketUser(socket);
+    if (user && users.can(user.username, instance, permission)) return true;
+    socket.emit('actionResponse', {
+        success: false,
+        action,
+        message: `You do not have "${permission}" permission on instance ${instance}.`
+    });
+    return false;
+}
+
 app.use(express.static('public'));
 app.use(express.json());
 const router = express.Router();
 app.use('/api', router);
 
-// Start server with detached process
-async function startServer(name, io) {
-    const instance = instances[name];
-    if (!instance) throw new Error('Instance not found');
+// The Java runtime an instance starts with and whether it is recent enough for the server jar:
+// { home, runtime, required, warning }. Without a selection that is the `java` of the launch
+// settings (on PATH, or a full path); for other commands, e.g. start scripts, it is unknown.
+async function javaStatus(name) {
+    const inst = instances[name];
+    await javaRuntimes.list();
+    const home = inst.java || null;
+    const { program } = LaunchSpec.argv(inst.launch);
+    let runtime = null;
+    if (home) runtime = javaRuntimes.find(home);
+    else if (program === 'java') runtime = javaRuntimes.pathRuntime();
+    else if (path.basename(program) === 'java' && path.isAbsolute(program)) {
+        const programHome = path.dirname(path.dirname(program));
+        runtime = javaRuntimes.find(programHome) || await JavaRuntimes.probe(programHome).catch(() => null);
+    }
+
+    const required = inst.launch.type === 'java' ? await JavaRuntimes.requirement(path.resolve(inst.workingDir, inst.launch.jar)) : null;
+    let warning = null;
+    if (home && !runtime) {
+        warning = `The selected Java runtime ${home} was not found.`;
+    } else if (required && runtime && runtime.major < required.major) {
+        warning = `${required.jar} needs Java ${required.major} or newer, but ${runtime.home} is Java ${runtime.major}.`;
+    } else if (required && !runtime && program === 'java') {
+        warning = `${required.jar} needs Java ${required.major} or newer, and no Java was found on PATH.`;
+    }
+    return { home, runtime, required, warning };
+}
+
+// Start server with detached process. `actor` is the user asking for it, if any; `automatic`
+// starts come from the restart policy and keep its retry state
+// Ports of another running instance or program block the start unless `force` is set;
+// clashes with stopped instances are only logged
+async function startServer(name, io, actor, { automatic = false, force = false } = {}) {
+    const instance = instances[name];
+    if (!instance) throw new Error('Instance not found');
+    if (actor) assertInstancePermission(actor, name, 'control');
+    if (!automatic) {
+        supervisor.reset(name);
+        instance.crashLoop = null;
+    }
+    if (!await fs.pathExists(instance.workingDir)) throw new Error(`Working directory not found: ${instance.workingDir}`);
+    // A proxy starts with the current list of backends
+    if (networkSettings(name).role === 'proxy') {
+        await syncProxy(name, actor, { apply: false }).catch(err =>
+            appendInstanceLog(name, `[Manager] Proxy sync failed: ${err.message}\n`, io, 'err'));
+    }
+
+    const conflicts = checkPorts()[name].conflicts;
+    const blocking = conflicts.filter(c => c.blocking);
+    if (blocking.length && !force) {
+        const err = new Error(`Port conflict: ${blocking.map(PortCheck.describe).join('; ')}`);
+        err.status = 409;
+        err.conflicts = blocking;
+        throw err;
+    }
+    for (const conflict of conflicts) {
+        appendInstanceLog(name, `[Manager] Warning: ${PortCheck.describe(conflict)}\n`, io, 'err');
+    }
+
+    // Run without a shell: the arguments reach the program exactly as configured
+    const { program, args } = LaunchSpec.argv(instance.launch);
+
+    let cmdToRun = program;
+    const fullPath = path.resolve(instance.workingDir, program);
+    const local = await fs.stat(fullPath).then(stat => stat.isFile(), () => false);
+    if (!path.isAbsolute(program) && local) {
+        // Program exists locally in workingDir
+        cmdToRun = fullPath;
+    }
+
+    // The selected Java runtime replaces a plain `java` and is what start scripts find first
+    const env = { ...process.env, ...instance.launch.env };
+    if (instance.java) {
+        const javaPath = path.join(instance.java, 'bin', 'java');
+        if (!await fs.pathExists(javaPath)) throw new Error(`Java runtime not found: ${instance.java}`);
+        if (program === 'java') cmdToRun = javaPath;
+        env.JAVA_HOME = instance.java;
+        env.PATH = `${path.join(instance.java, 'bin')}${path.delimiter}${env.PATH || ''}`;
+    }
+    const { warning: javaWarning } = await javaStatus(name);
+    if (javaWarning) appendInstanceLog(name, `[Manager] Warning: ${javaWarning}\n`, io, 'err');
+    if (LaunchSpec.usesShell(instance.launch)) {
+        appendInstanceLog(name, '[Manager] Warning: this instance still runs its old command line through /bin/sh -c; replace it with launch settings.\n', io, 'err');
+    }
+
+    // With resource limits the process starts in a cgroup of its own; where cgroups cannot be
+    // used it starts without them
+    const limits = resourceLimits(name);
+    let cgroup = null;
+    if (!CgroupLimits.isEmpty(limits)) {
+        try {
+            cgroup = cgroups.prepare(name, limits);
+            for (const warning of cgroup.warnings) appendInstanceLog(name, `[Manager] Warning: ${warning}\n`, io, 'err');
+        } catch (err) {
+            appendInstanceLog(name, `[Manager] Warning: resource limits not applied: ${err.message}\n`, io, 'err');
+        }
+    }
+
+    console.log(`Starting instance ${name} using: ${cmdToRun} ${args.join(' ')}`);
+
+    const id = pm.spawnProcess(cmdToRun, args, {
+        cwd: instance.workingDir,
+        env,
+        cgroup: cgroup && cgroup.dir
+    });
+
+    const procInfo = pm.processes.get(id);
+
+    // Spawn failures are also reported as an 'error' event, which must not go unhandled
+    if (procInfo && procInfo.proc) procInfo.proc.once('error', err => console.error(`Process of ${name} failed:`, err.message));
+    if (!procInfo || !procInfo.pid) {
+        pm.processes.delete(id);
+        if (cgroup) cgroups.release(cgroup.dir);
+        throw new Error(`Failed to start process for ${name}${procInfo && procInfo.errors.length ? `: ${procInfo.errors.join('; ')}` : ''}`);
+    }
+    // Output can still arrive after the exit, when the instance may already have been renamed
+    const currentName = () => Object.keys(instances).find(n => instances[n] === instance) || name;
+    procInfo.proc.stdout.on('data', data => {
+        const text = data.toString();
+        appendInstanceLog(currentName(), text, io);
+    });
+
+    procInfo.proc.stderr.on('data', data => {
+        const text = data.toString();
+        appendInstanceLog(currentName(), text, io, 'err');
+    });
+
+    procInfo.proc.once('exit', (code, signal) => {
+        pm.processes.delete(id);
+        const current = currentName();
+        // An OOM kill in the cgroup, of the server or of a process below its start script
+        const oom = !!cgroup && CgroupLimits.oomKills(cgroup.dir) > cgroup.oomKills;
+        handleInstanceExit(current, procInfo.pid, { code, signal, cause: oom ? 'oom' : null });
+    });
+
+    instance.pid = procInfo.pid;
+    if (cgroup) instanceCgroups[name] = { dir: cgroup.dir, oomKills: cgroup.oomKills };
+    instance.status = "running";
+    supervisor.started(name);
+    saveInstances();
+    const details = automatic ? { pid: procInfo.pid, trigger: 'restart-policy' } : { pid: procInfo.pid };
+    if (blocking.length) details.ignoredPortConflicts = blocking.map(PortCheck.describe);
+    audit(actor, 'instance.start', name, details);
+    io.to(name).emit('statusUpdate', { instance: name, status: 'running' });
+
+
+    return procInfo.pid;
+}
+
+function restartPolicy(name) {
+    return RestartSupervisor.normalize(instances[name].restartPolicy || {});
+}
+
+function resourceLimits(name) {
+    return CgroupLimits.normalize(instances[name].limits || {});
+}
+
+// Every exit of an instance's process ends up here, requested or not: records it, updates the
+// status right away and applies the restart policy
+function handleInstanceExit(name, pid, { code = null, signal = null, error = null, cause = null }) {
+    const inst = instances[name];
+    // Stale exit of a process that was already replaced
+    if (!inst || (inst.pid && pid && inst.pid !== pid)) return;
+
+    const decision = supervisor.exited(name, restartPolicy(name), { code, signal, error, cause });
+    const exit = decision.exit;
+    inst.status = "stopped";
+    inst.pid = null;
+    inst.lastExit = exit;
+    if (decision.action === 'give_up') inst.crashLoop = { detectedAt: exit.time, reason: decision.reason };
+    saveInstances();
+
+    flushInstanceLog(name);
+    resetPlayers(name);
+    closeRcon(name);
+    updateResourceUsage(name);
+
+    if (!exit.expected) {
+        const how = cause === 'oom' ? `was killed for running out of memory (limit ${resourceLimits(name).memoryMB} MB)`
+            : error || (signal ? `killed by ${signal}` : code === null ? 'exited' : `exited with code ${code}`);
+        const next = decision.action === 'restart'
+            ? `restarting in ${decision.delayMs / 1000}s (attempt ${decision.attempt})`
+            : decision.action === 'give_up' ? `not restarting: ${decision.reason}` : 'not restarting';
+        appendInstanceLog(name, `[Manager] Process ${how}; ${next}\n`, io, 'err');
+        audit(null, exit.crashed ? 'instance.crash' : 'instance.exit', name, {
+            pid, code, signal, error, cause, uptimeMs: exit.uptimeMs, action: decision.action, delayMs: decision.delayMs, attempt: decision.attempt, reason: decision.reason
+        });
+    }
+
+    io.to(name).emit('statusUpdate', { instance: name, status: 'stopped', exit });
+    broadcastInstances('instancesStatus');
+    broadcastInstances('instancesList');
+}
+
+async function restartAfterExit(name) {
+    if (!instances[name] || instances[name].pid) return;
+    try {
+        await startServer(name, io, null, { automatic: true });
+    } catch (err) {
+        // Counts as another failed attempt
+        handleInstanceExit(name, null, { error: err.message });
+    }
+}
+// Stop instance sending stop command
+async function stopServer(name, actor, audited = true) {
+    const instance = instances[name];
+    if (instance && actor) assertInstancePermission(actor, name, 'control');
+    // Stopping an instance that waits for its automatic restart cancels the restart
+    if (instance && !instance.pid && supervisor.cancel(name)) {
+        if (audited) audit(actor, 'instance.stop', name, { pendingRestart: true });
+        broadcastInstances('instancesStatus');
+        return;
+    }
+    if (!instance || !instance.pid) throw new Error('Instance not running');
+
+    // A second stop request joins the one in progress
+    if (!stopJobs[name]) {
+        stopJobs[name] = runShutdown(name, actor, audited).finally(() => delete stopJobs[name]);
+    }
+    return stopJobs[name];
+}
+
+// Shutdown settings of the instance, see ShutdownSequence
+function stopSettings(name) {
+    return ShutdownSequence.normalize(instances[name].stopSettings || {});
+}
+
+// Signals the whole process group (instances are started detached, as group leaders)
+function signalProcessGroup(pid, signal) {
+    try {
+        process.kill(-pid, signal);
+    } catch (e) {
+        try {
+            process.kill(pid, signal);
+        } catch (err) { }
+    }
+}
+
+async function runShutdown(name, actor, audited) {
+    const instance = instances[name];
+    const pid = instance.pid;
+    // Processes started by an earlier run of the manager have no console and no exit event
+    const owned = [...pm.processes.values()].find(p => p.pid === pid && p.proc);
+    const leaderRunning = () => owned ? owned.proc.exitCode === null && owned.proc.signalCode === null : isPidRunning(pid);
+    const emit = progress => io.to(name).emit('stopProgress', { instance: name, ...progress });
+
+    supervisor.expectStop(name);
+    if (audited) audit(actor, 'instance.stop', name, { pid });
+
+    const sequence = new ShutdownSequence(stopSettings(name), ServerConfig.serverType(instance.workingDir), {
+        canSend: () => !!owned || !!RconClient.configFor(instance.workingDir),
+        send: command => sendCommand(name, command),
+        save: command => saveWorld(name, command),
+        // Done only when the whole group is gone: a shell may exit before the server below it
+        isRunning: () => leaderRunning() || isProcessGroupRunning(pid),
+        signal: signal => signalProcessGroup(pid, signal),
+        onProgress: emit
+    });
+
+    let result;
+    try {
+        result = await sequence.run();
+    } catch (err) {
+        // Still running: a later exit must not pass for this stop
+        supervisor.clearExpectedStop(name);
+        emit({ phase: 'failed', error: err.message });
+        throw err;
+    }
+    if (!owned) handleInstanceExit(name, pid, {});
+    if (result.escalation) audit(actor, 'instance.kill', name, { pid, signal: result.escalation });
+    emit({ phase: 'stopped', escalation: result.escalation });
+    return result;
+}
+// stopServer resolves once the process is gone, including any escalation
+async function restartServer(name, io, actor, { force = false } = {}) {
+    if (instances[name] && actor) assertInstancePermission(actor, name, 'control');
+    audit(actor, 'instance.restart', name);
+
+    await stopServer(name, actor, false);
+    return await startServer(name, io, actor, { force });
+}
+// First port after the highest one used by an instance, for the creation wizard
+function suggestPort() {
+    const ports = Object.values(instances)
+        .map(inst => ServerConfig.listenAddress(inst.workingDir))
+        .filter(Boolean)
+        .map(address => address.port);
+    return ports.length ? Math.max(...ports) + 1 : InstanceScaffolder.DEFAULT_PROPERTIES.port;
+}
+
+// Registers an instance. With `jar` (from the jar library) or `copyFrom` (an existing instance)
+// its working directory is scaffolded first; otherwise it is an existing server directory and
+// `launch` settings (or a `command` line) are required. Resolves to { instance, warnings }.
+async function createInstance(data, actor) {
+    const fail = (message, status = 400) => {
+        const err = new Error(message);
+        err.status = status;
+        throw err;
+    };
+    let name;
+    try {
+        name = checkInstanceName(data.name);
+    } catch (err) {
+        fail(err.message);
+    }
+    if (instances[name]) fail('Instance already exists');
+
+    let instance;
+    let details;
+    let warnings = [];
+    if (!data.jar && !data.copyFrom) {
+        const { workingDir } = data;
+        if (!workingDir || (!data.launch && !data.command)) fail('Missing fields');
+        let launch;
+        try {
+            launch = data.launch ? LaunchSpec.normalize(data.launch) : LaunchSpec.parse(data.command);
+        } catch (err) {
+            fail(err.message);
+        }
+        instance = { name, workingDir, launch, command: LaunchSpec.toCommand(launch), status: 'stopped', pid: null };
+        details = { workingDir, launch };
+    } else {
+        const source = data.copyFrom ? instances[data.copyFrom] : null;
+        if (data.copyFrom && !source) fail(`Instance not found: ${data.copyFrom}`, 404);
+        // A running server keeps writing its worlds while they are copied
+        if (source && source.pid) fail(`Stop ${data.copyFrom} before copying it.`, 409);
+        const usedPorts = Object.values(instances).flatMap(inst => ServerConfig.ports(inst.workingDir).map(p => p.port));
+        const spec = InstanceScaffolder.normalize(data, source, suggestPort(), usedPorts);
+        if (Object.values(instances).some(inst => path.resolve(inst.workingDir) === spec.workingDir)) {
+            fail(`${spec.workingDir} is already used by another instance.`);
+        }
+        const result = await scaffolder.create(spec, source);
+        // Another request may have taken the name meanwhile
+        if (instances[name]) fail('Instance already exists');
+        instance = { name, workingDir: spec.workingDir, launch: result.launch, command: LaunchSpec.toCommand(result.launch), status: 'stopped', pid: null };
+        warnings = result.warnings;
+        details = {
+            workingDir: spec.workingDir, launch: result.launch, type: result.type, jar: spec.jar,
+            copyFrom: data.copyFrom || null, eulaAccepted: spec.acceptEula, properties: spec.properties
+        };
+    }
+
+    instances[name] = instance;
+    saveInstances();
+    audit(actor, 'instance.create', name, details);
+    broadcastInstances('instancesList');
+    broadcastInstances('instancesStatus');
+    return { instance, warnings };
+}
+
+// Removes a cgroup once its processes have exited; gives up after a while, a cgroup that
+// still has processes then is left for the administrator
+function releaseCgroupWhenEmpty(dir, attempts = 20) {
+    if (cgroups.release(dir) || attempts <= 1) return;
+    setTimeout(() => releaseCgroupWhenEmpty(dir, attempts - 1), 500);
+}
+
+// Kill the process group and remove the instance
+function terminateInstance(name, actor) {
+    const instance = instances[name];
+    if (!instance) return;
+    const network = networkSettings(name);
+
+    const found = instance.pid && [...pm.processes.values()].find(p => p.pid === instance.pid);
+    if (found) {
+        pm.killProcess(found.id);
+        pm.processes.delete(found.id);
+    } else if (instance.pid && isPidRunning(instance.pid)) {
+        // Adopted from an earlier run of the manager
+        signalProcessGroup(instance.pid, 'SIGTERM');
+    }
+    const cgroup = instanceCgroups[name];
+    if (cgroup) {
+        // Also catches processes that left the process group
+        cgroups.kill(cgroup.dir);
+        releaseCgroupWhenEmpty(cgroup.dir);
+    }
+    delete instanceCgroups[name];
+    delete resourceUsage[name];
+
+    delete instances[name];
+    users.renameInstance(name, null);
+    scheduler.renameInstance(name, null);
+    supervisor.renameInstance(name, null);
+    instanceGroups.renameInstance(name, null);
+    renameProxyReferences(name, null);
+    resetPlayers(name);
+    closeRcon(name);
+    saveInstances();
+    audit(actor, 'instance.terminate', name, { pid: instance.pid });
+    // The proxy drops the server
+    if (network.role === 'backend') syncProxyLater(network.proxy, actor);
+
+    broadcastInstances('instancesList');
+    broadcastInstances('instancesStatus');
+}
+
+// ------------------- AUTH ROUTES -----------------------------
+
+router.post('/login', (req, res) => {
+    const { username, password } = req.body || {};
+    const user = users.verify(username, password);
+    if (!user) {
+        auditLog.record({
+            actor: { username: String(username || ''), role: null, sessionId: req.sessionID, ip: req.ip },
+            action: 'auth.login',
+            success: false
+        });
+        return res.status(401).json({ error: 'Invalid username or password' });
+    }
+
+    // New session id on login to avoid session fixation
+    req.session.regenerate(err => {
+        if (err) return res.status(500).json({ error: err.message });
+        req.session.user = user.username;
+        audit({ ...user, sessionId: req.sessionID, ip: req.ip }, 'auth.login', null);
+        res.json({ success: true, user });
+    });
+});
+
+router.post('/logout', (req, res) => {
+    const sessionId = req.sessionID;
+    const user = req.session.user && users.get(req.session.user);
+    if (user) audit({ ...user, sessionId, ip: req.ip }, 'auth.logout', null);
+    req.session.destroy(err => {
+        if (err) return res.status(500).json({ error: err.message });
+
+        // Drop sockets that were opened with this session
+        for (const socket of Object.values(SOCKETS)) {
+            if (socket.request.sessionID === sessionId) socket.disconnect(true);
+        }
+        res.clearCookie('connect.sid');
+        res.json({ success: true });
+    });
+});
+
+// Everything below requires a logged in user
+router.use(requireLogin);
+
+router.get('/me', (req, res) => {
+    res.json(users.get(req.user.username));
+});
+
+// -------------------- USER MANAGEMENT --------------------
+
+router.get('/users', requireRole('admin'), (req, res) => {
+    res.json({
+        roles: UserStore.ROLES,
+        permissions: UserStore.PERMISSIONS,
+        rolePermissions: UserStore.ROLE_PERMISSIONS,
+        users: users.list()
+    });
+});
+
+router.post('/users', requireRole('admin'), (req, res) => {
+    const { username, password, role } = req.body;
+    try {
+        const user = users.createUser(username, password, role);
+        audit(req.user, 'user.create', null, { username: user.username, role: user.role });
+        res.json({ success: true, user });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+router.patch('/users/:username', requireRole('admin'), (req, res) => {
+    const { password, role, instances } = req.body;
+    try {
+        const user = users.updateUser(req.params.username, { password, role, instances });
+        audit(req.user, 'user.update', null, {
+            username: user.username,
+            role,
+            instances,
+            passwordChanged: password !== undefined
+        });
+        res.json({ success: true, user });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// Any user may change their own password
+router.post('/me/password', (req, res) => {
+    const { currentPassword, newPassword } = req.body;
+    if (!users.verify(req.user.username, currentPassword)) {
+        return res.status(400).json({ error: 'Current password is wrong' });
+    }
+    try {
+        users.updateUser(req.user.username, { password: newPassword });
+        audit(req.user, 'user.password', null, { username: req.user.username });
+        res.json({ success: true });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+router.delete('/users/:username', requireRole('admin'), (req, res) => {
+    if (req.params.username === req.user.username) {
+        return res.status(400).json({ error: 'You cannot delete your own account' });
+    }
+    try {
+        users.deleteUser(req.params.username);
+        audit(req.user, 'user.delete', null, { username: req.params.username });
+        res.json({ success: true });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// -------------------- AUDIT LOG --------------------
+
+router.get('/audit', requireRole('admin'), async (req, res) => {
+    const { instance, user, action, from, to, limit, offset } = req.query;
+    if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) {
+        return res.status(400).json({ error: 'Invalid time range' });
+    }
+    try {
+        res.json(await auditLog.query({ instance, user, action, from, to, limit, offset }));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// -------------------- SCHEDULER --------------------
+
+// Jobs that start/stop an instance need `control` on it, command and broadcast jobs `command`; global jobs are admin only
+function assertCanManageJob(user, job) {
+    if (!job.instance) {
+        if (!UserStore.hasRole(user.role, 'admin')) {
+            const err = new Error('Only admins can manage global jobs.');
+            err.status = 403;
+            throw err;
+        }
+        return;
+    }
+    if (!instances[job.instance]) {
+        const err = new Error(`Instance not found: ${job.instance}`);
+        err.status = 404;
+        throw err;
+    }
+    const type = job.action && job.action.type;
+    assertInstancePermission(user, job.instance, type === 'command' || type === 'broadcast' ? 'command' : 'control');
+}
+
+function jobFields(body) {
+    const fields = {};
+    for (const key of ['name', 'instance', 'schedule', 'action', 'enabled']) {
+        if (body[key] !== undefined) fields[key] = body[key];
+    }
+    return fields;
+}
+
+router.get('/schedules', (req, res) => {
+    const { instance } = req.query;
+    res.json(scheduler.list(job =>
+        (!instance || job.instance === instance)
+        && (!job.instance || users.can(req.user.username, job.instance, 'view'))));
+});
+
+// Next fire times of a cron expression, for previews while editing
+router.get('/schedules/preview', (req, res) => {
+    try {
+        res.json({ nextRuns: scheduler.nextRuns({ schedule: { type: 'cron', expression: req.query.expression } }, 5) });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+router.post('/schedules', (req, res) => {
+    const fields = jobFields(req.body || {});
+    try {
+        assertCanManageJob(req.user, { instance: fields.instance || null, action: fields.action });
+        const job = scheduler.create(fields, req.user);
+        audit(req.user, 'schedule.create', job.instance, { job: job.id, name: job.name, schedule: job.schedule, action: job.action });
+        res.json({ success: true, job });
+    } catch (err) {
+        res.status(err.status || 400).json({ error: err.message });
+    }
+});
+
+router.patch('/schedules/:id', (req, res) => {
+    const existing = scheduler.get(req.params.id);
+    if (!existing) return res.status(404).json({ error: 'Job not found' });
+    const fields = jobFields(req.body || {});
+    try {
+        assertCanManageJob(req.user, existing);
+        assertCanManageJob(req.user, { ...existing, ...fields, instance: fields.instance !== undefined ? fields.instance || null : existing.instance });
+        const job = scheduler.update(req.params.id, fields);
+        audit(req.user, 'schedule.update', job.instance, { job: job.id, changes: fields });
+        res.json({ success: true, job });
+    } catch (err) {
+        res.status(err.status || 400).json({ error: err.message });
+    }
+});
+
+router.delete('/schedules/:id', (req, res) => {
+    const existing = scheduler.get(req.params.id);
+    if (!existing) return res.status(404).json({ error: 'Job not found' });
+    try {
+        assertCanManageJob(req.user, existing);
+        scheduler.delete(req.params.id);
+        audit(req.user, 'schedule.delete', existing.instance, { job: existing.id, name: existing.name });
+        res.json({ success: true });
+    } catch (err) {
+        res.status(err.status || 400).json({ error: err.message });
+    }
+});
+
+router.post('/schedules/:id/run', async (req, res) => {
+    const existing = scheduler.get(req.params.id);
+    if (!existing) return res.status(404).json({ error: 'Job not found' });
+    try {
+        assertCanManageJob(req.user, existing);
+        audit(req.user, 'schedule.trigger', existing.instance, { job: existing.id, name: existing.name });
+        res.json(await scheduler.run(req.params.id));
+    } catch (err) {
+        res.status(err.status || 400).json({ error: err.message });
+    }
+});
+
+// ------------------- GROUPS -----------------------------
+
+// Resolves once a (re)started instance accepts players: its startup-complete console line or a
+// successful Server List Ping, whichever comes first. An instance that was already running
+// and cannot be pinged counts as ready.
+function waitUntilReady(name, timeoutMs, fresh) {
+    const address = ServerConfig.listenAddress(instances[name].workingDir);
+    if (!fresh && !address) return Promise.resolve('running');
+
+    return new Promise((resolve, reject) => {
+        let pinging = false;
+        const finish = (err, how) => {
+            clearTimeout(timer);
+            clearInterval(poll);
+            consoleEvents.off('event', listener);
+            if (err) reject(err);
+            else resolve(how);
+        };
+        const listener = event => {
+            if (event.instance === name && event.type === 'startup_complete') finish(null, 'startup complete');
+        };
+        const check = () => {
+            if (!instances[name] || !instances[name].pid) return finish(new Error(`${name} exited before it was ready`));
+            if (!address || pinging) return;
+            pinging = true;
+            ServerListPing.ping(address.host, address.port, { timeout: 1500 })
+                .then(() => finish(null, 'ping'))
+                .catch(() => { })
+                .finally(() => pinging = false);
+        };
+        const timer = setTimeout(() => finish(new Error(`${name} was not ready after ${Math.round(timeoutMs / 1000)}s`)), timeoutMs);
+        const poll = setInterval(check, 2000);
+        consoleEvents.on('event', listener);
+        check();
+    });
+}
+
+// Sent to every socket whose user may see all of `names`
+function emitToViewers(names, event, data) {
+    for (const socket of Object.values(SOCKETS)) {
+        const user = socketUser(socket);
+        if (user && names.every(name => users.can(user.username, name, 'view'))) socket.emit(event, data);
+    }
+}
+
+// Starts, stops or restarts `names` in dependency order, one layer at a time (see InstanceGroups.layers):
+// stopping goes dependents-first, starting waits for each layer to be ready before the next one.
+// A failure skips the remaining layers. Resolves to the outcome per instance.
+async function runBulkAction(action, names, dependencies, actor, { group = null, readyTimeoutMs = 180000 } = {}) {
+    const layers = InstanceGroups.layers(names, dependencies);
+    const busy = names.filter(name => bulkBusy.has(name));
+    if (busy.length) throw new Error(`Already part of a running group action: ${busy.join(', ')}`);
+    names.forEach(name => bulkBusy.add(name));
+
+    const emit = progress => emitToViewers(names, 'bulkProgress', { group, action, ...progress });
+    const results = Object.fromEntries(names.map(name => [name, 'skipped']));
+    const runLayer = async (layer, step) => {
+        const outcomes = await Promise.allSettled(layer.map(async name => {
+            try {
+                results[name] = await step(name);
+                emit({ instance: name, phase: results[name] });
+            } catch (err) {
+                results[name] = `failed: ${err.message}`;
+                emit({ instance: name, phase: 'failed', error: err.message });
+                throw err;
+            }
+        }));
+        const failed = layer.filter((name, i) => outcomes[i].status === 'rejected');
+        if (failed.length) throw new Error(`${failed.join(', ')} failed; the remaining instances were skipped`);
+    };
+
+    emit({ phase: 'started', layers });
+    try {
+        if (action === 'stop' || action === 'restart') {
+            for (const layer of [...layers].reverse()) {
+                await runLayer(layer, async name => {
+                    if (!instances[name].pid) return 'not running';
+                    emit({ instance: name, phase: 'stopping' });
+                    await stopServer(name, actor);
+                    return 'stopped';
+                });
+            }
+        }
+        if (action === 'start' || action === 'restart') {
+            for (const layer of layers) {
+                await runLayer(layer, async name => {
+                    const running = !!instances[name].pid;
+                    if (!running) {
+                        emit({ instance: name, phase: 'starting' });
+                        await startServer(name, io, actor);
+                    }
+                    emit({ instance: name, phase: 'waiting' });
+                    const how = await waitUntilReady(name, readyTimeoutMs, !running);
+                    return running ? 'already running' : `ready (${how})`;
+                });
+            }
+        }
+    } catch (err) {
+        emit({ phase: 'failed', error: err.message, results });
+        auditLog.record({ actor, action: `group.${action}`, instance: null, details: { group, instances: names, results, error: err.message }, success: false });
+        throw err;
+    } finally {
+        names.forEach(name => bulkBusy.delete(name));
+    }
+    emit({ phase: 'done', results });
+    audit(actor, `group.${action}`, null, { group, instances: names, results });
+    return results;
+}
+
+// Every instance needs `permission` for the user to act on the whole set
+function assertAllPermitted(user, names, permission) {
+    for (const name of names) {
+        if (!instances[name]) {
+            const err = new Error(`Instance not found: ${name}`);
+            err.status = 404;
+            throw err;
+        }
+        assertInstancePermission(user, name, permission);
+    }
+}
+
+// Runs in the background unless `wait` is set; progress is pushed as `bulkProgress`
+function startBulkAction(req, res, names, dependencies, options) {
+    const action = req.params.action;
+    if (!['start', 'stop', 'restart'].includes(action)) return res.status(400).json({ error: 'Action must be start, stop or restart' });
+    try {
+        assertAllPermitted(req.user, names, 'control');
+        InstanceGroups.layers(names, dependencies);
+    } catch (err) {
+        return res.status(err.status || 400).json({ error: err.message });
+    }
+    if (names.some(name => bulkBusy.has(name))) return res.status(409).json({ error: 'A group action for these instances is already running.' });
+
+    const run = runBulkAction(action, names, dependencies, req.user, options);
+    if (req.query.wait === 'true') {
+        run.then(results => res.json({ success: true, results }))
+            .catch(err => res.status(500).json({ error: err.message }));
+    } else {
+        run.catch(err => console.error(`Group action ${action} failed:`, err.message));
+        res.status(202).json({ success: true });
+    }
+}
+
+function groupVisible(user, group) {
+    return group.members.every(name => users.can(user.username, name, 'view'));
+}
+
+router.get('/groups', (req, res) => {
+    res.json(instanceGroups.list().filter(group => groupVisible(req.user, group)).map(group => ({
+        ...group,
+        order: InstanceGroups.layers(group.members, group.dependencies),
+        busy: group.members.some(name => bulkBusy.has(name))
+    })));
+});
+
+router.post('/groups', requireRole('admin'), (req, res) => {
+    try {
+        const group = instanceGroups.create(req.body || {}, name => !!instances[name]);
+        audit(req.user, 'group.create', null, group);
+        res.json({ success: true, group });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+router.put('/groups/:name', requireRole('admin'), (req, res) => {
+    const before = instanceGroups.get(req.params.name);
+    if (!before) return res.status(404).json({ error: 'Group not found' });
+    try {
+        const group = instanceGroups.update(req.params.name, req.body || {}, name => !!instances[name]);
+        audit(req.user, 'group.update', null, { before, after: group });
+        res.json({ success: true, group });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+router.delete('/groups/:name', requireRole('admin'), (req, res) => {
+    const group = instanceGroups.get(req.params.name);
+    if (!group) return res.status(404).json({ error: 'Group not found' });
+    instanceGroups.delete(group.name);
+    audit(req.user, 'group.delete', null, { group: group.name });
+    res.json({ success: true });
+});
+
+router.post('/groups/:name/:action', (req, res) => {
+    const group = instanceGroups.get(req.params.name);
+    if (!group || !groupVisible(req.user, group)) return res.status(404).json({ error: 'Group not found' });
+    startBulkAction(req, res, group.members, group.dependencies, { group: group.name, readyTimeoutMs: group.readyTimeoutSeconds * 1000 });
+});
+
+// A free selection of instances, ordered by the dependencies declared in any group
+router.post('/instances/bulk/:action', (req, res) => {
+    const names = Array.isArray((req.body || {}).instances) ? [...new Set(req.body.instances.map(String))] : [];
+    if (!names.length) return res.status(400).json({ error: 'No instances selected' });
+    startBulkAction(req, res, names, instanceGroups.dependenciesFor(names), {});
+});
+
+// ------------------- METRICS -----------------------------
+let lastCpuTimes = null;
+
+// Share of the host's CPU time that was busy since the previous call, in percent; null on the first
+function hostCpuPercent() {
+    const times = os.cpus().map(cpu => cpu.times);
+    const total = t => t.user + t.nice + t.sys + t.idle + t.irq;
+    let percent = null;
+    if (lastCpuTimes && lastCpuTimes.length === times.length) {
+        let all = 0;
+        let idle = 0;
+        times.forEach((t, i) => {
+            all += total(t) - total(lastCpuTimes[i]);
+            idle += t.idle - lastCpuTimes[i].idle;
+        });
+        percent = all > 0 ? (all - idle) / all * 100 : 0;
+    }
+    lastCpuTimes = times;
+    return percent;
+}
+
+// Samples every running instance (CPU, RSS and threads of its whole process group, players) and
+// the host, and stores the samples
+async function collectMetrics() {
+    const time = Date.now();
+    await pm.updateStats();
+    for (const [name, inst] of Object.entries(instances)) {
+        if (!inst.pid) {
+            delete latestMetrics.instances[name];
+            continue;
+        }
+        // Processes started by an earlier run of the manager are not in the process manager
+        const owned = [...pm.processes.values()].find(p => p.pid === inst.pid && p.proc && p.sampledAt >= time);
+        const stats = owned || await ProcessManager.groupStats(inst.pid).catch(() => null);
+        if (!stats) continue;
+        const sample = { time, cpu: stats.cpu, memoryMB: stats.memory / 1024 / 1024, threads: stats.threads, players: playerTracker.count(name) };
+        latestMetrics.instances[name] = sample;
+        metricsStore.append(`instance:${name}`, sample);
+    }
+
+    const totalMB = os.totalmem() / 1024 / 1024;
+    latestMetrics.host = {
+        time,
+        cpu: hostCpuPercent(),
+        load1: os.loadavg()[0],
+        memoryUsedMB: totalMB - os.freemem() / 1024 / 1024,
+        memoryTotalMB: totalMB
+    };
+    metricsStore.append('host', latestMetrics.host);
+}
+
+// Host use for the status display: the latest sample, whose CPU use the collector measured between
+// two samples. Until the first sample the CPU use is unknown (null).
+function systemInfo() {
+    const host = latestMetrics.host;
+    if (host) return { cpu: host.cpu, load1: host.load1, memoryUsedMB: host.memoryUsedMB, memoryTotalMB: host.memoryTotalMB };
+    const totalMB = os.totalmem() / 1024 / 1024;
+    return { cpu: null, load1: os.loadavg()[0], memoryUsedMB: totalMB - os.freemem() / 1024 / 1024, memoryTotalMB: totalMB };
+}
+
+hostCpuPercent();
+setInterval(() => collectMetrics().catch(err => console.error('Collecting metrics failed:', err)), METRICS_INTERVAL);
+metricsStore.prune();
+setInterval(() => metricsStore.prune(), 60 * 60 * 1000);
+
+// `from`/`to` are times (ms since the epoch, or ISO); `step` in seconds averages samples into
+// buckets of that size, `resolution` is raw or minute (default: raw while it covers the range)
+function metricsQuery(query) {
+    const time = value => {
+        if (value === undefined || value === '') return undefined;
+        const parsed = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+        if (Number.isNaN(parsed)) throw new Error(`Invalid time: ${value}`);
+        return parsed;
+    };
+    const step = query.step ? Number(query.step) * 1000 : undefined;
+    if (step !== undefined && !(step > 0)) throw new Error('Invalid step.');
+    return { from: time(query.from), to: time(query.to), resolution: query.resolution || undefined, step };
+}
+
+router.get('/metrics/host', async (req, res) => {
+    try {
+        res.json(await metricsStore.query('host', metricsQuery(req.query)));
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+router.get('/instances/:name/metrics', requireInstancePermission('view'), async (req, res) => {
+    if (!instances[req.params.name]) return res.status(404).json({ error: 'Instance not found' });
+    try {
+        res.json(await metricsStore.query(`instance:${req.params.name}`, metricsQuery(req.query)));
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// ------------------- PROXY NETWORK -----------------------------
+
+function networkSettings(name) {
+    return ProxyNetwork.normalize(instances[name].network || {}, name);
+}
+
+// Backends registered with the proxy, as { instance, name, address, fallback }; those whose
+// address cannot be read yet are left out with a warning
+function proxyBackends(proxyName, warnings) {
+    const backends = [];
+    for (const [name, inst] of Object.entries(instances)) {
+        const settings = inst.network || {};
+        if (settings.role !== 'backend' || settings.proxy !== proxyName) continue;
+        const address = ServerConfig.listenAddress(inst.workingDir);
+        if (!address) {
+            warnings.push(`${name}: no server.properties yet; start it once, then sync again.`);
+            continue;
+        }
+        backends.push({ instance: name, name: settings.server, address: `${address.host}:${address.port}`, fallback: settings.fallback });
+    }
+    return backends;
+}
+
+// Writes the proxy's server list and forwarding settings and those of its backends, then
+// reloads or restarts a running proxy as its settings say (not with `apply: false`, e.g. right
+// before it starts). Runs one at a time per proxy. Backends whose config changed while they run
+// are listed in `restartRequired`.
+function syncProxy(proxyName, actor, { apply = true } = {}) {
+    const run = () => runProxySync(proxyName, actor, apply);
+    const job = (proxySyncs[proxyName] || Promise.resolve()).then(run, run);
+    proxySyncs[proxyName] = job.catch(() => { }).finally(() => {
+        if (proxySyncs[proxyName] === job) delete proxySyncs[proxyName];
+    });
+    return job;
+}
+
+async function runProxySync(proxyName, actor, apply) {
+    const proxy = instances[proxyName];
+    if (!proxy) throw new Error(`Instance not found: ${proxyName}`);
+    const settings = networkSettings(proxyName);
+    if (settings.role !== 'proxy') throw new Error(`${proxyName} is not a proxy.`);
+
+    const warnings = [];
+    const backends = proxyBackends(proxyName, warnings);
+    const taken = new Set();
+    for (const backend of backends) {
+        if (taken.has(backend.name)) throw new Error(`Two backends of ${proxyName} are named ${backend.name}.`);
+        taken.add(backend.name);
+    }
+    const type = ServerConfig.serverType(proxy.workingDir);
+    const result = await ProxyNetwork.syncProxy(proxy.workingDir, type, backends, settings.managed, { forwarding: settings.forwarding });
+
+    // The proxy may have been renamed meanwhile
+    const current = instances[proxyName] === proxy ? proxyName : Object.keys(instances).find(n => instances[n] === proxy);
+    if (current) {
+        proxy.network = { ...settings, managed: backends.map(b => b.name) };
+        saveInstances();
+    }
+
+    const backendFiles = {};
+    const restartRequired = [];
+    if (result.forwarding) {
+        for (const backend of backends) {
+            const inst = instances[backend.instance];
+            if (!inst) continue;
+            const { changed, warnings: backendWarnings } = await ProxyNetwork.configureBackend(inst.workingDir, result.forwarding);
+            warnings.push(...backendWarnings.map(w => `${backend.instance}: ${w}`));
+            if (changed.length) backendFiles[backend.instance] = changed;
+            if (changed.length && inst.pid) restartRequired.push(backend.instance);
+        }
+    }
+
+    let applied = null;
+    if (result.changed && apply && current && proxy.pid) {
+        if (settings.apply === 'reload') {
+            await sendCommand(current, ProxyNetwork.reloadCommand(type));
+            applied = 'reload';
+        } else if (settings.apply === 'restart') {
+            // Not awaited: starting the proxy syncs it again, which waits for this sync
+            restartServer(current, io, actor).catch(err =>
+                appendInstanceLog(current, `[Manager] Restart after proxy sync failed: ${err.message}\n`, io, 'err'));
+            applied = 'restart';
+        }
+    }
+
+    const servers = backends.map(({ instance, name, address, fallback }) => ({ instance, name, address, fallback }));
+    if (result.changed || Object.keys(backendFiles).length) {
+        audit(actor, 'proxy.sync', current || proxyName, { servers, removed: result.removed, backendFiles, applied });
+    }
+    return { proxy: current || proxyName, changed: result.changed, servers, removed: result.removed, backendFiles, restartRequired, applied, warnings };
+}
+
+// Sync in the background, after a change elsewhere (a backend's port, a terminated backend);
+// failures end up in the proxy's console
+function syncProxyLater(proxyName, actor) {
+    if (!instances[proxyName] || networkSettings(proxyName).role !== 'proxy') return;
+    syncProxy(proxyName, actor).catch(err =>
+        appendInstanceLog(proxyName, `[Manager] Proxy sync failed: ${err.message}\n`, io, 'err'));
+}
+
+// Keeps backends pointing at a renamed proxy; backends of a removed proxy (`newName` null) leave the network
+function renameProxyReferences(oldName, newName) {
+    let changed = false;
+    for (const inst of Object.values(instances)) {
+        if (!inst.network || inst.network.role !== 'backend' || inst.network.proxy !== oldName) continue;
+        inst.network = newName ? { ...inst.network, proxy: newName } : { role: 'none' };
+        changed = true;
+    }
+    if (changed) saveInstances();
+}
+
+// A backend must name a proxy instance, and the user must be allowed to change that proxy's settings
+function assertCanJoinProxy(user, backendName, settings) {
+    if (settings.role !== 'backend') return;
+    const fail = message => {
+        const err = new Error(message);
+        err.status = 400;
+        throw err;
+    };
+    if (settings.proxy === backendName) fail('An instance cannot be its own proxy.');
+    if (!instances[settings.proxy] || networkSettings(settings.proxy).role !== 'proxy') fail(`${settings.proxy} is not a proxy.`);
+    assertInstancePermission(user, settings.proxy, 'settings');
+    const clash = Object.entries(instances).find(([name, inst]) => name !== backendName && inst.network
+        && inst.network.role === 'backend' && inst.network.proxy === settings.proxy && inst.network.server === settings.server);
+    if (clash) fail(`${clash[0]} is already registered with ${settings.proxy} as ${settings.server}.`);
+}
+
+router.get('/instances/:name/network', requireInstancePermission('view'), (req, res) => {
+    const name = req.params.name;
+    if (!instances[name]) return res.status(404).json({ error: 'Instance not found' });
+    const settings = networkSettings(name);
+    const result = { settings, serverType: ServerConfig.serverType(instances[name].workingDir) };
+    if (settings.role === 'proxy') {
+        result.backends = Object.keys(instances).filter(n => {
+            const network = instances[n].network || {};
+            return network.role === 'backend' && network.proxy === name && users.can(req.user.username, n, 'view');
+        });
+    }
+    // Proxies this instance could join
+    result.proxies = Object.keys(instances).filter(n => n !== name && networkSettings(n).role === 'proxy'
+        && users.can(req.user.username, n, 'view'));
+    res.json(result);
+});
+
+// Changes the role of an instance and syncs every proxy affected: the proxy itself, or the
+// proxies a backend left and joined. The settings are saved even if a sync fails (`sync[].error`).
+router.put('/instances/:name/network', requireInstancePermission('settings'), async (req, res) => {
+    const name = req.params.name;
+    const inst = instances[name];
+    if (!inst) return res.status(404).json({ error: 'Instance not found' });
+
+    const before = networkSettings(name);
+    let settings;
+    try {
+        settings = ProxyNetwork.normalize({ ...(req.body || {}), managed: before.managed }, name);
+        assertCanJoinProxy(req.user, name, settings);
+        if (settings.role === 'proxy' && !ProxyNetwork.reloadCommand(ServerConfig.serverType(inst.workingDir))) {
+            throw new Error(`${name} is not a Velocity or BungeeCord proxy (no velocity.toml or BungeeCord config.yml).`);
+        }
+    } catch (err) {
+        return res.status(err.status || 400).json({ error: err.message });
+    }
+    inst.network = settings;
+    // A proxy that stops being one no longer has its backends
+    if (before.role === 'proxy' && settings.role !== 'proxy') renameProxyReferences(name, null);
+    saveInstances();
+    audit(req.user, 'instance.network', name, { before, after: settings });
+
+    const proxies = new Set();
+    if (settings.role === 'proxy') proxies.add(name);
+    if (before.role === 'backend') proxies.add(before.proxy);
+    if (settings.role === 'backend') proxies.add(settings.proxy);
+    const sync = [];
+    for (const proxy of proxies) {
+        if (!instances[proxy] || networkSettings(proxy).role !== 'proxy') continue;
+        try {
+            sync.push(await syncProxy(proxy, req.user));
+        } catch (err) {
+            sync.push({ proxy, error: err.message });
+        }
+    }
+    broadcastInstances('instancesList');
+    res.json({ success: true, settings, sync });
+});
+
+router.post('/instances/:name/network/sync', requireInstancePermission('settings'), async (req, res) => {
+    const name = req.params.name;
+    if (!instances[name]) return res.status(404).json({ error: 'Instance not found' });
+    try {
+        res.json(await syncProxy(name, req.user));
+    } catch (err) {
+        res.status(err.status || 400).json({ error: err.message });
+    }
+});
+
+// ------------------- REST ROUTES -----------------------------
+
+router.get('/system', (req, res) => {
+    res.json(systemInfo());
+});
+
+router.get('/instances', async (req, res) => {
+    const info = {};
+    const promises = [];
+
+    for (const [name, inst] of Object.entries(instances)) {
+        if (!users.can(req.user.username, name, 'view')) continue;
+
+        const pid = inst.pid;
+        if (pid) {
+            const promise = pidusage(pid)
+                .then(stats => {
+                    info[name] = {
+                        name,
+                        status: 'Running',
+                        pid,
+                        workingDir: inst.workingDir,
+                        command: inst.command,
+                        cpu: stats.cpu,
+                        memory: stats.memory / 1024 / 1024
+                    };
+                })
+                .catch(() => {
+                    info[name] = {
+                        name,
+                        status: 'Unknown',
+                        pid,
+                        workingDir: inst.workingDir,
+                        command: inst.command,
+                        cpu: 0,
+                        memory: 0
+                    };
+                });
+            promises.push(promise);
+        } else {
+            info[name] = {
+                name,
+                status: 'Stopped',
+                pid: null,
+                workingDir: inst.workingDir,
+                command: inst.command,
+                cpu: 0,
+                memory: 0
+            };
+        }
+    }
+
+    await Promise.all(promises);
+    for (const name of Object.keys(info)) {
+        info[name].lastExit = instances[name].lastExit || null;
+        info[name].crashLoop = instances[name].crashLoop || null;
+        info[name].restart = supervisor.state(name);
+    }
+    res.json(info);
+});
+
+router.post('/instances', requireRole('admin'), async (req, res) => {
+    try {
+        const { instance, warnings } = await createInstance(req.body || {}, req.user);
+        res.json({ success: true, instance, warnings });
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+// Prefilled values for the creation wizard
+router.get('/instances/defaults', requireRole('admin'), (req, res) => {
+    res.json({
+        memory: InstanceScaffolder.DEFAULT_MEMORY,
+        presets: InstanceScaffolder.DEFAULT_PRESETS,
+        properties: { ...InstanceScaffolder.DEFAULT_PROPERTIES, port: suggestPort() }
+    });
+});
+
+// JVM flag presets for the launch settings: [{ name, label, flags }], `flags` for a heap of `maxMemoryMB`
+router.get('/launch/presets', (req, res) => {
+    const maxMemoryMB = parseInt(req.query.maxMemoryMB, 10) || 0;
+    res.json(LaunchSpec.presets().map(preset => ({ ...preset, flags: LaunchSpec.PRESETS[preset.name].flags(maxMemoryMB) })));
+});
+
+// The command line a launch configuration runs, for previewing unsaved settings
+router.post('/launch/preview', (req, res) => {
+    try {
+        const launch = LaunchSpec.normalize(req.body || {});
+        res.json({ launch, command: LaunchSpec.toCommand(launch) });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+router.get('/jars', requireRole('admin'), async (req, res) => {
+    res.json(await jarLibrary.list());
+});
+
+router.post('/jars', requireRole('admin'), (req, res) => {
+    const form = new IncomingForm({ multiples: false, maxFileSize: 1024 * 1024 * 1024 });
+    form.parse(req, async (err, fields, files) => {
+        const file = files && (Array.isArray(files.file) ? files.file[0] : files.file);
+        try {
+            if (err) throw err;
+            if (!file) return res.status(400).json({ error: 'No file uploaded.' });
+            const overwrite = [].concat(fields.overwrite || [])[0] === 'true';
+            if (!await jarLibrary.add(file.filepath, file.originalFilename, overwrite)) {
+                return res.status(409).json({ error: `${file.originalFilename} is already in the library.` });
+            }
+            audit(req.user, 'jar.upload', null, { file: file.originalFilename, size: file.size, overwrite });
+            res.json({ success: true });
+        } catch (e) {
+            res.status(400).json({ error: e.message });
+        } finally {
+            if (file) fs.remove(file.filepath).catch(() => { });
+        }
+    });
+});
+
+router.delete('/jars/:file', requireRole('admin'), async (req, res) => {
+    try {
+        await jarLibrary.remove(req.params.file);
+        audit(req.user, 'jar.delete', null, { file: req.params.file });
+        res.json({ success: true });
+    } catch (err) {
+        res.status(404).json({ error: err.message });
+    }
+});
+
+// `force=true` starts despite port conflicts
+router.post('/instances/:name/start', async (req, res) => {
+    try {
+        const pid = await startServer(req.params.name, io, req.user, { force: req.query.force === 'true' });
+        res.json({ success: true, pid });
+    } catch (err) {
+        res.status(err.status || 400).json({ error: err.message, conflicts: err.conflicts });
+    }
+});
+
+router.post('/instances/:name/stop', async (req, res) => {
+    try {
+        await stopServer(req.params.name, req.user);
+        res.json({ success: true, message: 'Server stopped.' });
+    } catch (err) {
+        res.status(err.status || 400).json({ error: err.message });
+    }
+});
+
+router.post('/instances/:name/restart', async (req, res) => {
+    try {
+        const pid = await restartServer(req.params.name, io, req.user, { force: req.query.force === 'true' });
+        res.json({ success: true, pid, message: 'Server restarted.' });
+    } catch (err) {
+        res.status(err.status || 400).json({ error: err.message, conflicts: err.conflicts });
+    }
+});
+
+router.get('/ports', (req, res) => {
+    checkPorts();
+    const result = {};
+    for (const name of Object.keys(instances)) {
+        if (users.can(req.user.username, name, 'view')) result[name] = visiblePorts(req.user, name);
+    }
+    res.json(result);
+});
+
+router.post('/instances/:name/terminate', requireRole('admin'), (req, res) => {
+    const name = req.params.name;
+    if (!instances[name]) return res.status(404).json({ error: 'Instance not found' });
+
+    terminateInstance(name, req.user);
+    res.json({ success: true });
+});
+
+// Installed Java runtimes; `refresh=true` looks for them again
+router.get('/java', async (req, res) => {
+    const runtimes = req.query.refresh === 'true' ? await javaRuntimes.scan() : await javaRuntimes.list();
+    res.json({ runtimes, extraPaths: javaRuntimes.extraPaths });
+});
+
+// Further places to look for JDKs: a JDK home or a directory containing several
+router.put('/java/paths', requireRole('admin'), async (req, res) => {
+    const before = javaRuntimes.extraPaths;
+    try {
+        javaRuntimes.setExtraPaths((req.body || {}).paths);
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
+    audit(req.user, 'java.paths', null, { before, after: javaRuntimes.extraPaths });
+    res.json({ runtimes: await javaRuntimes.scan(), extraPaths: javaRuntimes.extraPaths });
+});
+
+router.get('/instances/:name/java', requireInstancePermission('view'), async (req, res) => {
+    if (!instances[req.params.name]) return res.status(404).json({ error: 'Instance not found' });
+    res.json(await javaStatus(req.params.name));
+});
+
+// `home` is one of the runtimes found, or null for the java the command names
+router.put('/instances/:name/java', requireInstancePermission('settings'), async (req, res) => {
+    const name = req.params.name;
+    const inst = instances[name];
+    if (!inst) return res.status(404).json({ error: 'Instance not found' });
+
+    const home = (req.body || {}).home || null;
+    if (home !== null) {
+        await javaRuntimes.list();
+        if (!javaRuntimes.find(home) && !(await javaRuntimes.scan()).some(r => r.home === home)) {
+            return res.status(400).json({ error: `Not a known Java runtime: ${home}` });
+        }
+    }
+    const before = inst.java || null;
+    if (home) inst.java = home;
+    else delete inst.java;
+    saveInstances();
+    if (before !== home) audit(req.user, 'instance.java', name, { before, after: home });
+    res.json({ success: true, ...await javaStatus(name) });
+});
+
+// Resource limits (see CgroupLimits) and what the instance uses of them: { limits, support, usage }.
+// Reading them leaves the cgroups alone; `support` comes from CgroupLimits.check().
+// `usage` is null unless the instance runs in a cgroup of its own.
+router.get('/instances/:name/limits', requireInstancePermission('view'), (req, res) => {
+    const name = req.params.name;
+    if (!instances[name]) return res.status(404).json({ error: 'Instance not found' });
+    updateResourceUsage(name);
+    res.json({ limits: resourceLimits(name), support: cgroups.check(), usage: resourceUsage[name] || null });
+});
+
+// A running instance in a cgroup gets the new limits right away, others on their next start.
+// Admins only: the limits protect the host from the instance's own operators.
+router.put('/instances/:name/limits', requireRole('admin'), (req, res) => {
+    const name = req.params.name;
+    const inst = instances[name];
+    if (!inst) return res.status(404).json({ error: 'Instance not found' });
+
+    let limits;
+    try {
+        limits = CgroupLimits.normalize(req.body || {});
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
+    const before = resourceLimits(name);
+    if (CgroupLimits.isEmpty(limits)) delete inst.limits;
+    else inst.limits = limits;
+    saveInstances();
+    if (JSON.stringify(before) !== JSON.stringify(limits)) audit(req.user, 'instance.limits', name, { before, after: limits });
+
+    // The cgroup setup is only done once there are limits to enforce
+    const support = CgroupLimits.isEmpty(limits) ? cgroups.check() : cgroups.init();
+    let warnings = [];
+    let applied = false;
+    if (inst.pid && instanceCgroups[name]) {
+        try {
+            warnings = cgroups.apply(instanceCgroups[name].dir, limits);
+            applied = true;
+        } catch (err) {
+            warnings.push(`Not applied to the running server: ${err.message}`);
+        }
+    } else if (!CgroupLimits.isEmpty(limits) && !support.supported) {
+        warnings.push(`Resource limits are not enforced: ${support.reason}`);
+    } else if (inst.pid && !CgroupLimits.isEmpty(limits)) {
+        warnings.push('The limits apply from the next start.');
+    }
+    updateResourceUsage(name);
+    res.json({ success: true, limits, applied, warnings, support, usage: resourceUsage[name] || null });
+});
+
+router.put('/instances/:name/restart-policy', requireInstancePermission('settings'), (req, res) => {
+    const inst = instances[req.params.name];
+    if (!inst) return res.status(404).json({ error: 'Instance not found' });
 
-    const [command, ...args] = instance.command.split(' ');
+    let policy;
+    try {
+        policy = RestartSupervisor.normalize(req.body || {});
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
+    const before = restartPolicy(req.params.name);
+    inst.restartPolicy = policy;
+    saveInstances();
+    audit(req.user, 'instance.restart_policy', req.params.name, { before, after: policy });
+    res.json({ success: true, policy });
+});
 
-    let cmdToRun;
-    const fullPath = path.join(instance.workingDir, command);
+router.put('/instances/:name/stop-settings', requireInstancePermission('settings'), (req, res) => {
+    const inst = instances[req.params.name];
+    if (!inst) return res.status(404).json({ error: 'Instance not found' });
 
-    if (await fs.pathExists(fullPath)) {
-        // Command exists locally in workingDir
-        cmdToRun = fullPath;
-    } else {
-        // Assume it's in PATH
-        cmdToRun = command;
+    let settings;
+    try {
+        settings = ShutdownSequence.normalize(req.body || {});
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
     }
+    const before = stopSettings(req.params.name);
+    inst.stopSettings = settings;
+    saveInstances();
+    audit(req.user, 'instance.stop_settings', req.params.name, { before, after: settings });
+    res.json({ success: true, settings });
+});
 
-    console.log(`Starting instance ${name} using: ${cmdToRun} ${args.join(' ')}`);
+// Config files of the instance that have a structured editor
+router.get('/instances/:name/config', requireInstancePermission('files'), (req, res) => {
+    const inst = instances[req.params.name];
+    if (!inst) return res.status(404).json({ error: 'Instance not found' });
+    res.json(ConfigSchema.available(inst.workingDir));
+});
 
-    const id = pm.spawnProcess(cmdToRun, args, {
-        cwd: instance.workingDir
-    });
+router.get('/instances/:name/config/settings', requireInstancePermission('files'), (req, res) => {
+    const inst = instances[req.params.name];
+    if (!inst) return res.status(404).json({ error: 'Instance not found' });
+    try {
+        res.json(ConfigSchema.read(inst.workingDir, String(req.query.file || '')));
+    } catch (err) {
+        res.status(err.status || 400).json({ error: err.message });
+    }
+});
 
-    const procInfo = pm.processes.get(id);
+// Writes only valid values, keeping comments and unknown keys. A running server picks up most
+// changes only after a restart (`restartRequired`); `reload` names the command that applies the rest.
+router.put('/instances/:name/config/settings', requireInstancePermission('files'), async (req, res) => {
+    const name = req.params.name;
+    const inst = instances[name];
+    if (!inst) return res.status(404).json({ error: 'Instance not found' });
+    const file = String(req.query.file || '');
+    try {
+        const { changes } = await ConfigSchema.write(inst.workingDir, file, (req.body || {}).values);
+        if (changes.length) audit(req.user, 'file.config', name, { file, changes });
+        // The proxy reaches the backend at its new address
+        const network = networkSettings(name);
+        if (network.role === 'backend' && changes.some(c => c.key === 'server-port' || c.key === 'server-ip')) {
+            syncProxyLater(network.proxy, req.user);
+        }
+        const schema = ConfigSchema.find(file);
+        const running = !!inst.pid;
+        res.json({
+            success: true,
+            changes,
+            restartRequired: running && changes.some(c => c.restart),
+            reload: running && schema.reload && changes.some(c => !c.restart) ? schema.reload : null
+        });
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message, errors: err.errors });
+    }
+});
 
-    if (!procInfo || !procInfo.pid) {
-        throw new Error(`Failed to start process for ${name}`);
+// Plugins and mods of the instance with their metadata, missing dependencies and duplicates
+router.get('/instances/:name/plugins', requireInstancePermission('view'), async (req, res) => {
+    const inst = instances[req.params.name];
+    if (!inst) return res.status(404).json({ error: 'Instance not found' });
+    res.json(await pluginInventory.list(inst.workingDir));
+});
+
+// Enables or disables a jar by moving it out of or into the disabled folder; a running server
+// notices on its next start
+router.put('/instances/:name/plugins/:folder/:file', requireInstancePermission('files'), async (req, res) => {
+    const name = req.params.name;
+    const inst = instances[name];
+    if (!inst) return res.status(404).json({ error: 'Instance not found' });
+    const { folder, file } = req.params;
+    const enabled = (req.body || {}).enabled === true;
+    try {
+        if (await pluginInventory.setEnabled(inst.workingDir, folder, file, enabled)) {
+            audit(req.user, enabled ? 'plugin.enable' : 'plugin.disable', name, { folder, file });
+        }
+        res.json({ success: true, restartRequired: !!inst.pid });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
     }
-    procInfo.proc.stdout.on('data', data => {
-        const text = data.toString();
-        appendInstanceLog(name, text, io);
-    });
+});
 
-    procInfo.proc.stderr.on('data', data => {
-        const text = data.toString();
-        appendInstanceLog(name, text, io);
+router.post('/instances/:name/plugins/:folder', requireInstancePermission('files'), (req, res) => {
+    const name = req.params.name;
+    const inst = instances[name];
+    if (!inst) return res.status(404).json({ error: 'Instance not found' });
+    const folder = req.params.folder;
+    const form = new IncomingForm({ multiples: false, maxFileSize: 512 * 1024 * 1024 });
+    form.parse(req, async (err, fields, files) => {
+        const file = files && (Array.isArray(files.file) ? files.file[0] : files.file);
+        try {
+            if (err) throw err;
+            if (!file) return res.status(400).json({ error: 'No file uploaded.' });
+            const overwrite = [].concat(fields.overwrite || [])[0] === 'true';
+            if (!await pluginInventory.add(inst.workingDir, folder, file.filepath, file.originalFilename, overwrite)) {
+                return res.status(409).json({ error: `${folder}/${file.originalFilename} already exists.` });
+            }
+            audit(req.user, 'plugin.upload', name, { folder, file: file.originalFilename, size: file.size, overwrite });
+            res.json({ success: true, restartRequired: !!inst.pid });
+        } catch (e) {
+            res.status(400).json({ error: e.message });
+        } finally {
+            if (file) fs.remove(file.filepath).catch(() => { });
+        }
     });
+});
 
-    instance.pid = procInfo.pid;
-    instance.status = "running";
-    saveInstances();
-    io.to(name).emit('statusUpdate', { instance: name, status: 'running' });
-
+// ?instances=a,b,c: enabled plugins side by side, with the version each instance has
+router.get('/plugins/compare', async (req, res) => {
+    const names = [...new Set(String(req.query.instances || '').split(',').map(n => n.trim()).filter(Boolean))];
+    if (names.length < 2) return res.status(400).json({ error: 'Choose at least two instances.' });
+    const lists = {};
+    for (const name of names) {
+        if (!instances[name] || !users.can(req.user.username, name, 'view')) {
+            return res.status(404).json({ error: `Instance not found: ${name}` });
+        }
+        lists[name] = await pluginInventory.list(instances[name].workingDir);
+    }
+    res.json({ instances: names, rows: PluginInventory.compare(lists) });
+});
 
-    return procInfo.pid;
-}
-// Stop instance sending stop command
-async function stopServer(name) {
-    const instance = instances[name];
-    if (!instance || !instance.pid) throw new Error('Instance not running');
+// Over RCON the response carries the command's output, over stdin `output` is null
+router.post('/instances/:name/command', requireInstancePermission('command'), async (req, res) => {
+    const inst = instances[req.params.name];
+    const { command } = req.body;
+    if (!inst || !inst.pid) return res.status(404).json({ error: 'Instance not running' });
+    if (typeof command !== 'string' || !command.trim()) return res.status(400).json({ error: 'Missing command' });
 
-    const found = [...pm.processes.values()].find(p => p.pid === instance.pid);
-    if (!found || !found.proc) throw new Error('Process info not found');
+    try {
+        const { transport, output } = await sendCommand(req.params.name, command);
+        audit(req.user, 'instance.command', req.params.name, { command, transport });
+        res.json({ success: true, transport, output });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
 
-    const proc = found.proc;
+router.get('/instances/:name/logs', requireInstancePermission('view'), (req, res) => {
+    const name = req.params.name;
+    res.send(instanceLogs[name] || '');
+});
 
-    return new Promise((resolve, reject) => {
-        let stopped = false;
+// Older console output from disk, page by page: pass the returned `next` as `before`
+router.get('/instances/:name/logs/history', requireInstancePermission('view'), async (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 200, 2000);
+    try {
+        res.json(await consoleLog.page(req.params.name, { before: req.query.before || null, limit }));
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
 
-        try {
-            // Send "stop" to stdin
-            proc.stdin.write('stop\n');
-        } catch (err) {
-            return reject(new Error('Failed to send stop command: ' + err.message));
-        }
+// Pings the instance right away instead of waiting for the next periodic probe
+router.get('/instances/:name/ping', requireInstancePermission('view'), async (req, res) => {
+    const inst = instances[req.params.name];
+    if (!inst) return res.status(404).json({ error: 'Instance not found' });
+    if (inst.status !== 'running') return res.status(409).json({ error: 'Instance not running' });
+    res.json(await probeInstance(req.params.name));
+});
 
-        // Wait up to 5 seconds for clean exit
-        const timeout = setTimeout(() => {
-            if (!stopped) {
-                proc.kill('SIGKILL'); // Force kill if still running
-                cleanup();
-                resolve();
-            }
-        }, 60000 * 5);
+// Full GS4 query: software, plugins, map and every online player's name
+router.get('/instances/:name/query', requireInstancePermission('view'), async (req, res) => {
+    const inst = instances[req.params.name];
+    if (!inst) return res.status(404).json({ error: 'Instance not found' });
+    if (inst.status !== 'running') return res.status(409).json({ error: 'Instance not running' });
 
-        const cleanup = () => {
-            clearTimeout(timeout);
-            instance.status = "stopped";
-            instance.pid = null;
-            pm.processes.delete(found.id);
-            saveInstances();
-            resolve();
-        };
+    const address = ServerConfig.queryAddress(inst.workingDir);
+    if (!address) return res.status(400).json({ error: 'Query is not enabled (enable-query in server.properties)' });
+    try {
+        res.json({ address: `${address.host}:${address.port}`, ...await QueryClient.query(address.host, address.port) });
+    } catch (err) {
+        res.status(502).json({ error: `Query failed: ${err.message}` });
+    }
+});
 
-        proc.once('exit', (code) => {
-            stopped = true;
-            cleanup();
-        });
-    });
-}
-// call stopserver then wait until stopped, then startserver
-async function restartServer(name, io) {
-    await stopServer(name);
+router.get('/instances/:name/players', requireInstancePermission('view'), (req, res) => {
+    if (!instances[req.params.name]) return res.status(404).json({ error: 'Instance not found' });
+    res.json(playerTracker.list(req.params.name));
+});
 
-    // Wait until the instance is fully stopped
-    await waitUntilStopped(name, 5000);
+// Structured events parsed from the console, newest first
+router.get('/instances/:name/events', requireInstancePermission('view'), async (req, res) => {
+    const { type, from, to, limit } = req.query;
+    if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) {
+        return res.status(400).json({ error: 'Invalid time range' });
+    }
+    try {
+        res.json(await eventStore.query(req.params.name, { type, from, to, limit }));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
 
-    return await startServer(name, io);
-}
-// just kill process
-function terminateInstance(name) {
-    const instance = instances[name];
-    if (!instance || !instance.pid) return;
+// Search console history (manager logs and the server's own logs/ folder)
+router.get('/instances/:name/logs/search', requireInstancePermission('view'), async (req, res) => {
+    const inst = instances[req.params.name];
+    if (!inst) return res.status(404).json({ error: 'Instance not found' });
 
-    const found = [...pm.processes.values()].find(p => p.pid === instance.pid);
-    if (found) pm.killProcess(found.id);
+    const { q, regex, caseSensitive, level, from, to, context, limit, source } = req.query;
+    if (source && !['all', 'manager', 'server'].includes(source)) {
+        return res.status(400).json({ error: `Unknown source: ${source}` });
+    }
+    try {
+        res.json(await logSearch.search(req.params.name, inst.workingDir, {
+            query: q,
+            regex: regex === 'true' || regex === '1',
+            caseSensitive: caseSensitive === 'true' || caseSensitive === '1',
+            level,
+            from,
+            to,
+            context,
+            limit,
+            source
+        }));
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
 
-    instance.status = "terminated";
-    instance.pid = null;
-    saveInstances();
-}
+router.post('/set-instance', express.json(), (req, res) => {
+    const instance = req.body.instance;
+    if (!instance) return res.status(400).send('Missing instance name.');
+    if (!users.can(req.user.username, instance, 'view')) return res.status(403).send('Insufficient permissions');
+    req.session.instance = instance;
+    res.send('Instance set.');
+});
 
-// ------------------- REST ROUTES -----------------------------
+// -------------------- BACKUPS --------------------
 
-router.get('/system', (req, res) => {
-    const usage = {
-        cpu: os.loadavg()[0] * 100,
-        memoryUsedMB: (os.totalmem() - os.freemem()) / (1024 * 1024),
-        memoryTotalMB: os.totalmem() / (1024 * 1024)
-    };
-    res.json(usage);
+router.get('/instances/:name/backups', requireInstancePermission('view'), async (req, res) => {
+    if (!instances[req.params.name]) return res.status(404).json({ error: 'Instance not found' });
+    res.json({
+        backups: await backupManager.list(req.params.name),
+        busy: backupJobs[req.params.name] || null,
+        settings: backupSettings(req.params.name)
+    });
 });
 
-router.get('/instances', async (req, res) => {
-    const info = {};
-    const promises = [];
-
-    for (const [name, inst] of Object.entries(instances)) {
-        const proc = processes[name];
-        if (proc) {
-            const pid = proc.pid;
-            const promise = pidusage(pid)
-                .then(stats => {
-                    info[name] = {
-                        name,
-                        status: 'Running',
-                        pid,
-                        workingDir: inst.workingDir,
-                        command: inst.command,
-                        cpu: stats.cpu,
-                        memory: stats.memory / 1024 / 1024
-                    };
-                })
-                .catch(() => {
-                    info[name] = {
-                        name,
-                        status: 'Unknown',
-                        pid,
-                        workingDir: inst.workingDir,
-                        command: inst.command,
-                        cpu: 0,
-                        memory: 0
-                    };
-                });
-            promises.push(promise);
-        } else {
-            info[name] = {
-                name,
-                status: 'Stopped',
-                pid: null,
-                workingDir: inst.workingDir,
-                command: inst.command,
-                cpu: 0,
-                memory: 0
-            };
-        }
+// Runs in the background; progress is pushed as `backupProgress`
+router.post('/instances/:name/backups', requireInstancePermission('files'), (req, res) => {
+    const name = req.params.name;
+    if (!instances[name]) return res.status(404).json({ error: 'Instance not found' });
+    if (backupJobs[name]) return res.status(409).json({ error: `A ${backupJobs[name]} is already in progress.` });
+    const paths = Array.isArray(req.body.paths) && req.body.paths.length ? req.body.paths.map(String) : null;
+    const mode = req.body.mode || null;
+    if (mode && !BackupManager.MODES.includes(mode)) return res.status(400).json({ error: 'Invalid backup mode' });
+    try {
+        if (paths) BackupManager.resolvePaths(instances[name].workingDir, paths);
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
     }
 
-    await Promise.all(promises);
-    res.json(info);
+    createBackup(name, req.user, { paths, mode }).catch(err => console.error(`Backup of ${name} failed:`, err.message));
+    res.status(202).json({ success: true });
 });
 
-router.post('/instances', (req, res) => {
-    const { name, workingDir, command } = req.body;
-    if (!name || !workingDir || !command) return res.status(400).json({ error: "Missing fields" });
-    if (instances[name]) return res.status(400).json({ error: "Instance already exists" });
+router.get('/instances/:name/backups/:id/download', requireInstancePermission('files'), async (req, res) => {
+    const backup = await backupManager.get(req.params.name, req.params.id);
+    if (!backup) return res.status(404).json({ error: 'Backup not found' });
+    if (backup.mode === 'dedup') return res.status(400).json({ error: 'Deduplicated snapshots are downloaded file by file' });
+    audit(req.user, 'backup.download', req.params.name, { id: backup.id });
+    res.download(backupManager.archivePath(req.params.name, backup.id), `${req.params.name}-${backup.id}.tar.gz`);
+});
 
-    instances[name] = { name, workingDir, command, status: 'stopped', pid: null };
-    saveInstances();
-    res.json({ success: true });
+// Files of a deduplicated snapshot
+router.get('/instances/:name/backups/:id/files', requireInstancePermission('files'), async (req, res) => {
+    const backup = await backupManager.get(req.params.name, req.params.id);
+    if (!backup) return res.status(404).json({ error: 'Backup not found' });
+    if (backup.mode !== 'dedup') return res.status(400).json({ error: 'Only deduplicated snapshots can be browsed' });
+    const manifest = await backupManager.manifest(req.params.name, backup.id);
+    res.json(manifest.files.map(f => ({ path: f.path, size: f.size, modified: new Date(f.mtimeMs).toISOString() })));
 });
 
-router.post('/instances/:name/start', async (req, res) => {
+router.get('/instances/:name/backups/:id/file', requireInstancePermission('files'), async (req, res) => {
+    const backup = await backupManager.get(req.params.name, req.params.id);
+    if (!backup || backup.mode !== 'dedup') return res.status(404).json({ error: 'Backup not found' });
+    let entry;
     try {
-        const pid = await startServer(req.params.name, io);
-        res.json({ success: true, pid });
+        entry = await backupManager.snapshotFile(req.params.name, backup.id, req.query.path || '');
     } catch (err) {
-        res.status(400).json({ error: err.message });
+        return res.status(404).json({ error: err.message });
     }
+    audit(req.user, 'backup.download', req.params.name, { id: backup.id, path: entry.path });
+    res.attachment(path.basename(entry.path));
+    res.set('Content-Length', String(entry.size));
+    backupManager.readSnapshotFile(req.params.name, backup.id, entry.path, res).catch(err => {
+        console.error(`Reading ${entry.path} from backup ${backup.id} failed:`, err);
+        res.destroy(err);
+    });
 });
 
-router.post('/instances/:name/stop', async (req, res) => {
+// Restores one file in place; the instance keeps running
+router.post('/instances/:name/backups/:id/restore-file', requireInstancePermission('files'), async (req, res) => {
+    const name = req.params.name;
+    if (!instances[name]) return res.status(404).json({ error: 'Instance not found' });
+    if (backupJobs[name]) return res.status(409).json({ error: `A ${backupJobs[name]} is already in progress.` });
+    const backup = await backupManager.get(name, req.params.id);
+    if (!backup || backup.mode !== 'dedup') return res.status(404).json({ error: 'Backup not found' });
     try {
-        await stopServer(req.params.name);
-        res.json({ success: true, message: 'Server stopped.' });
+        const entry = await backupManager.restoreFile(name, instances[name].workingDir, backup.id, (req.body || {}).path || '');
+        audit(req.user, 'backup.restore', name, { id: backup.id, path: entry.path });
+        res.json({ success: true, path: entry.path });
     } catch (err) {
+        auditLog.record({ actor: req.user, action: 'backup.restore', instance: name, details: { id: backup.id, path: (req.body || {}).path, error: err.message }, success: false });
         res.status(400).json({ error: err.message });
     }
 });
 
-router.post('/instances/:name/restart', async (req, res) => {
+router.post('/instances/:name/backups/:id/verify', requireInstancePermission('files'), async (req, res) => {
+    const backup = await backupManager.get(req.params.name, req.params.id);
+    if (!backup) return res.status(404).json({ error: 'Backup not found' });
     try {
-        const pid = await restartServer(req.params.name, io);
-        res.json({ success: true, pid, message: 'Server restarted.' });
+        const result = await backupManager.verify(req.params.name, backup.id);
+        audit(req.user, 'backup.verify', req.params.name, { id: backup.id, ok: result.ok, missing: result.missing.length, corrupt: result.corrupt.length });
+        res.json(result);
     } catch (err) {
         res.status(400).json({ error: err.message });
     }
 });
 
-router.post('/instances/:name/terminate', (req, res) => {
+router.post('/instances/:name/backups/:id/restore', requireInstancePermission('control'), requireInstancePermission('files'), async (req, res) => {
     const name = req.params.name;
-    const proc = processes[name];
-    if (!proc) return res.status(404).json({ error: 'Instance not running' });
+    if (!instances[name]) return res.status(404).json({ error: 'Instance not found' });
+    if (backupJobs[name]) return res.status(409).json({ error: `A ${backupJobs[name]} is already in progress.` });
+    if (!await backupManager.get(name, req.params.id)) return res.status(404).json({ error: 'Backup not found' });
 
-    proc.kill('SIGKILL');
-    delete processes[name];
-    instances[name].status = "stopped";
-    instances[name].pid = null;
-    delete instances[name];
-    saveInstances();
-    res.json({ success: true });
+    restoreBackup(name, req.params.id, req.user).catch(err => console.error(`Restore of ${name} failed:`, err.message));
+    res.status(202).json({ success: true });
 });
 
-router.post('/instances/:name/command', (req, res) => {
-    const name = req.params.name;
-    const proc = processes[name];
-    const { command } = req.body;
-    if (!proc) return res.status(404).json({ error: 'Instance not running' });
-
-    proc.stdin.write(command + '\n');
+router.delete('/instances/:name/backups/:id', requireInstancePermission('files'), async (req, res) => {
+    const backup = await backupManager.get(req.params.name, req.params.id);
+    if (!backup) return res.status(404).json({ error: 'Backup not found' });
+    await backupManager.delete(req.params.name, backup.id);
+    if (backup.mode === 'dedup') await collectChunks();
+    audit(req.user, 'backup.delete', req.params.name, { id: backup.id });
     res.json({ success: true });
 });
 
-router.get('/instances/:name/logs', (req, res) => {
-    const name = req.params.name;
-    res.send(instanceLogs[name] || '');
+// The chunk store is shared by all instances
+router.post('/backups/gc', requireRole('admin'), async (req, res) => {
+    const result = await backupManager.gc();
+    if (!result) return res.status(409).json({ error: 'A snapshot is being written, try again later.' });
+    audit(req.user, 'backup.gc', null, result);
+    res.json(result);
 });
 
-router.post('/set-instance', express.json(), (req, res) => {
-    const instance = req.body.instance;
-    if (!instance) return res.status(400).send('Missing instance name.');
-    req.session.instance = instance;
-    res.send('Instance set.');
+router.put('/instances/:name/backup-settings', requireInstancePermission('settings'), async (req, res) => {
+    const inst = instances[req.params.name];
+    if (!inst) return res.status(404).json({ error: 'Instance not found' });
+    const { mode = 'archive', paths = [], retention = {} } = req.body || {};
+    if (!BackupManager.MODES.includes(mode)) return res.status(400).json({ error: 'Invalid backup mode' });
+    if (!Array.isArray(paths)) return res.status(400).json({ error: 'paths must be a list' });
+
+    const limits = {};
+    for (const key of ['keepLast', 'keepDaily', 'keepWeekly']) {
+        const value = Number(retention[key] || 0);
+        if (!Number.isInteger(value) || value < 0) return res.status(400).json({ error: `Invalid ${key}` });
+        limits[key] = value;
+    }
+    try {
+        if (paths.length) BackupManager.resolvePaths(inst.workingDir, paths.map(String));
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
+
+    const before = backupSettings(req.params.name);
+    inst.backup = { mode, paths: paths.map(String), retention: limits };
+    saveInstances();
+    audit(req.user, 'backup.settings', req.params.name, { before, after: inst.backup });
+    res.json({ success: true, settings: backupSettings(req.params.name) });
 });
 
 // -------------------- FILE MANAGER --------------------
@@ -403,18 +2565,19 @@ router.get('/files', async (req, res) => {
         const instanceName = req.query.instance;
         const pathQuery = req.query.path || '.';
 
-        const instance = instances[instanceName];
-        if (!instance) {
+        if (!instances[instanceName]) {
             return res.status(404).send("Instance not found");
         }
+        const fileRoot = getFileRoot(instanceName, req.user, 'view');
+        const resolvedPath = SafePath.resolve(fileRoot, pathQuery);
 
-        const workingDir = instance.workingDir;
-        const resolvedPath = path.resolve(workingDir, pathQuery);
-
-        // Ensure workingDir exists
-        await fs.mkdir(resolvedPath, { recursive: true });
-
-        const items = await fs.readdir(resolvedPath, { withFileTypes: true });
+        let items;
+        try {
+            items = await fs.readdir(resolvedPath, { withFileTypes: true });
+        } catch (err) {
+            if (err.code === 'ENOENT' || err.code === 'ENOTDIR') return res.status(404).send('Directory not found');
+            throw err;
+        }
 
         const result = items.map(item => ({
             name: item.name,
@@ -424,7 +2587,7 @@ router.get('/files', async (req, res) => {
         res.json(result);
     } catch (err) {
         console.error('Error reading directory:', err);
-        res.status(500).send(err.message);
+        res.status(err.status || 500).send(err.message);
     }
 });
 
@@ -434,16 +2597,16 @@ router.get('/files/download', (req, res) => {
     try {
         const instance = req.session.instance;
         if (!instance) return res.status(400).send('No instance selected.');
-        const fileRoot = getFileRoot(instance);
+        const fileRoot = getFileRoot(instance, req.user, 'view');
 
         const relPath = req.query.path;
         if (!relPath) return res.status(400).send('Missing path.');
 
-        const absPath = safePath(fileRoot, relPath);
+        const absPath = SafePath.resolve(fileRoot, relPath);
         res.download(absPath, path.basename(absPath));
     } catch (err) {
         console.error(err);
-        res.status(500).send(err.message);
+        res.status(err.status || 500).send(err.message);
     }
 });
 
@@ -451,7 +2614,12 @@ router.get('/files/download', (req, res) => {
 router.post('/files/upload', (req, res) => {
     const instance = req.session.instance;
     if (!instance) return res.status(400).send('No instance selected.');
-    const fileRoot = getFileRoot(instance);
+    let fileRoot;
+    try {
+        fileRoot = getFileRoot(instance, req.user, 'files');
+    } catch (err) {
+        return res.status(err.status || 500).send(err.message);
+    }
 
     const form = new IncomingForm({ multiples: false });
 
@@ -465,7 +2633,7 @@ router.post('/files/upload', (req, res) => {
             console.log('Single uploaded file:', uploadedFile);
 
             const relPath = Array.isArray(fields.path) ? fields.path[0] : (fields.path || '.');
-            const uploadPath = safePath(fileRoot, relPath);
+            const uploadPath = SafePath.resolve(fileRoot, relPath);
             await fs.ensureDir(uploadPath);
 
             const tempFilePath = uploadedFile.filepath || uploadedFile.path;
@@ -474,14 +2642,20 @@ router.post('/files/upload', (req, res) => {
             }
 
             const filename = uploadedFile.originalFilename ?? uploadedFile.name ?? uploadedFile.newFilename ?? 'uploaded-file';
-            const dest = path.join(uploadPath, filename);
+            const dest = SafePath.resolve(fileRoot, path.join(relPath, path.basename(filename)));
 
+            const existed = await fs.pathExists(dest);
             await fs.move(tempFilePath, dest, { overwrite: true });
+            audit(req.user, 'file.upload', instance, {
+                path: path.relative(fileRoot, dest),
+                size: uploadedFile.size,
+                overwritten: existed
+            });
 
             res.send('ok');
         } catch (err) {
             console.error(err);
-            res.status(500).send(err.message);
+            res.status(err.status || 500).send(err.message);
         }
     });
 });
@@ -491,18 +2665,19 @@ router.post('/files/newfile', async (req, res) => {
     try {
         const instance = req.session.instance;
         if (!instance) return res.status(400).send('No instance selected.');
-        const fileRoot = getFileRoot(instance);
+        const fileRoot = getFileRoot(instance, req.user, 'files');
 
         const relPath = req.body.path;
         if (!relPath) return res.status(400).send('Missing path.');
 
-        const absPath = safePath(fileRoot, relPath);
+        const absPath = SafePath.resolve(fileRoot, relPath);
         await fs.ensureDir(path.dirname(absPath));
         await fs.writeFile(absPath, '');
+        audit(req.user, 'file.newfile', instance, { path: relPath });
         res.send('ok');
     } catch (err) {
         console.error(err);
-        res.status(500).send(err.message);
+        res.status(err.status || 500).send(err.message);
     }
 });
 
@@ -510,17 +2685,18 @@ router.post('/files/newfolder', async (req, res) => {
     try {
         const instance = req.session.instance;
         if (!instance) return res.status(400).send('No instance selected.');
-        const fileRoot = getFileRoot(instance);
+        const fileRoot = getFileRoot(instance, req.user, 'files');
 
         const relPath = req.body.path;
         if (!relPath) return res.status(400).send('Missing path.');
 
-        const absPath = safePath(fileRoot, relPath);
+        const absPath = SafePath.resolve(fileRoot, relPath);
         await fs.ensureDir(absPath);
+        audit(req.user, 'file.newfolder', instance, { path: relPath });
         res.send('ok');
     } catch (err) {
         console.error(err);
-        res.status(500).send(err.message);
+        res.status(err.status || 500).send(err.message);
     }
 });
 
@@ -528,24 +2704,23 @@ router.post('/files/rename', async (req, res) => {
     try {
         const instance = req.session.instance;
         if (!instance) return res.status(400).send('No instance selected.');
-        const fileRoot = getFileRoot(instance);
+        const fileRoot = getFileRoot(instance, req.user, 'files');
 
         const relPath = req.body.path;
         const newName = req.body.newName;
         if (!relPath || !newName) return res.status(400).send('Missing path or newName.');
 
-        const absOld = safePath(fileRoot, relPath);
-        const absNew = path.join(path.dirname(absOld), newName);
-
-        if (!absNew.startsWith(fileRoot)) {
-            return res.status(403).send('Access denied.');
-        }
+        // A rename stays in the same directory; moving is not what this route is for
+        if (!SafePath.isEntryName(newName)) return res.status(400).send('Invalid new name.');
+        const absOld = SafePath.resolve(fileRoot, relPath);
+        const absNew = SafePath.resolve(fileRoot, path.join(path.dirname(absOld), newName));
 
         await fs.move(absOld, absNew, { overwrite: false });
+        audit(req.user, 'file.rename', instance, { path: relPath, newName });
         res.send('ok');
     } catch (err) {
         console.error(err);
-        res.status(500).send(err.message);
+        res.status(err.status || 500).send(err.message);
     }
 });
 
@@ -553,17 +2728,23 @@ router.post('/files/delete', async (req, res) => {
     try {
         const instance = req.session.instance;
         if (!instance) return res.status(400).send('No instance selected.');
-        const fileRoot = getFileRoot(instance);
+        const fileRoot = getFileRoot(instance, req.user, 'files');
 
         const relPath = req.body.path;
         if (!relPath) return res.status(400).send('Missing path.');
 
-        const absPath = safePath(fileRoot, relPath);
+        const absPath = SafePath.resolve(fileRoot, relPath);
+        const stat = await fs.stat(absPath).catch(() => null);
         await fs.remove(absPath);
+        audit(req.user, 'file.delete', instance, {
+            path: relPath,
+            type: stat ? (stat.isDirectory() ? 'directory' : 'file') : null,
+            size: stat && stat.isFile() ? stat.size : undefined
+        });
         res.send('ok');
     } catch (err) {
         console.error(err);
-        res.status(500).send(err.message);
+        res.status(err.status || 500).send(err.message);
     }
 });
 
@@ -580,19 +2761,19 @@ router.get('/files/content', async (req, res) => {
             return res.status(400).send('No instance selected.');
         }
 
-        const fileRoot = getFileRoot(instance);
+        const fileRoot = getFileRoot(instance, req.user, 'view');
 
         const relPath = req.query.path;
         if (!relPath) {
             return res.status(400).send('Missing path.');
         }
 
-        const absPath = safePath(fileRoot, relPath);
+        const absPath = SafePath.resolve(fileRoot, relPath);
         const content = await fs.readFile(absPath, 'utf8');
         res.send(content);
     } catch (err) {
         console.error(err);
-        res.status(500).send(err.message);
+        res.status(err.status || 500).send(err.message);
     }
 });
 
@@ -600,19 +2781,21 @@ router.post('/files/content', async (req, res) => {
     try {
         const instance = req.session.instance;
         if (!instance) return res.status(400).send('No instance selected.');
-        const fileRoot = getFileRoot(instance);
+        const fileRoot = getFileRoot(instance, req.user, 'files');
 
         const relPath = req.body.path;
         const content = req.body.content;
         if (!relPath) return res.status(400).send('Missing path.');
 
-        const absPath = safePath(fileRoot, relPath);
+        const absPath = SafePath.resolve(fileRoot, relPath);
+        const before = await fs.readFile(absPath, 'utf8').catch(() => null);
         await fs.writeFile(absPath, content, 'utf8');
+        audit(req.user, 'file.save', instance, { path: relPath, ...AuditLog.diffSummary(before, String(content ?? '')) });
 
         res.send('OK');
     } catch (err) {
         console.error(err);
-        res.status(500).send(err.message);
+        res.status(err.status || 500).send(err.message);
     }
 });
 
@@ -621,15 +2804,17 @@ router.post('/files/save', async (req, res) => {
     try {
         const instance = req.session.instance;
         if (!instance) return res.status(400).send('No instance selected.');
-        const fileRoot = getFileRoot(instance);
+        const fileRoot = getFileRoot(instance, req.user, 'files');
         const { path, content } = req.body;
         if (!path) return res.status(400).send('Missing path.');
-        const absPath = safePath(fileRoot, path);
+        const absPath = SafePath.resolve(fileRoot, path);
+        const before = await fs.readFile(absPath, 'utf8').catch(() => null);
         await fs.writeFile(absPath, content, 'utf8');
+        audit(req.user, 'file.save', instance, { path, ...AuditLog.diffSummary(before, String(content ?? '')) });
         res.send('ok');
     } catch (err) {
         console.error(err);
-        res.status(500).send(err.message);
+        res.status(err.status || 500).send(err.message);
     }
 });
 
@@ -645,6 +2830,7 @@ io.on('connection', (socket) => {
             socket.emit('error', `Instance ${instance} does not exist.`);
             return;
         }
+        if (!socketCan(socket, instance, 'view', 'subscribe')) return;
         socket.join(instance);
         session.instance = instance
         session.save()
@@ -655,6 +2841,7 @@ io.on('connection', (socket) => {
             instance,
             logs: logText
         });
+        socket.emit('playersUpdate', { instance, ...playerTracker.list(instance) });
     });
 
     socket.on('unsubscribe', ({ instance }) => {
@@ -663,57 +2850,125 @@ io.on('connection', (socket) => {
     });
 
     socket.on('getSystemInfo', () => {
-        const cpus = os.cpus();
-        const cpuLoad = cpus.reduce((sum, cpu) => sum + cpu.times.user, 0) / cpus.length;
-        const totalMemMB = os.totalmem() / 1024 / 1024;
-        const freeMemMB = os.freemem() / 1024 / 1024;
-        const usedMemMB = totalMemMB - freeMemMB;
-
-        socket.emit('systemInfo', {
-            cpu: (cpuLoad / 1000),
-            memoryUsedMB: usedMemMB,
-            memoryTotalMB: totalMemMB
-        });
+        socket.emit('systemInfo', systemInfo());
     });
 
     socket.on('getInstancesList', () => {
-        socket.emit('instancesList', instances);
+        socket.emit('instancesList', visibleInstances(socketUser(socket)));
     });
 
     socket.on('getInstancesStatus', () => {
-        socket.emit('instancesStatus', instances);
+        socket.emit('instancesStatus', visibleInstances(socketUser(socket)));
     });
 
     socket.on("getInstanceSettings", ({ instance }) => {
         const inst = instances[instance];
-        if (inst) {
+        if (inst && socketCan(socket, instance, 'view', 'getInstanceSettings')) {
             // Add the name explicitly
             const instWithName = {
                 ...inst,
-                name: instance
+                name: instance,
+                restartPolicy: restartPolicy(instance),
+                stopSettings: stopSettings(instance),
+                serverType: ServerConfig.serverType(inst.workingDir)
             };
             socket.emit("instanceSettings", { instance: instWithName });
         }
     });
 
+    socket.on("createInstance", async (data) => {
+        if (!socketHasRole(socket, 'admin', 'createInstance')) return;
+        try {
+            const { warnings } = await createInstance(data || {}, socketUser(socket));
+            socket.emit("actionResponse", { success: true, action: "createInstance", warnings });
+        } catch (err) {
+            socket.emit("actionResponse", { success: false, action: "createInstance", message: err.message });
+        }
+    });
+
+    // `launch` holds the launch settings; a `command` line is still taken and converted
+    // The launch settings and working directory decide what runs as the manager's user and what the
+    // file manager can reach, so only admins change them; `settings` covers the rest
     socket.on("updateInstanceSettings", (data) => {
-        const { originalName, name, workingDir, command } = data;
+        const { originalName } = data;
+        if (instances[originalName] && !socketCan(socket, originalName, 'settings', 'updateInstanceSettings')) return;
         if (instances[originalName]) {
+            const reject = message => socket.emit("actionResponse", { success: false, action: "updateInstanceSettings", message });
+            const workingDir = typeof data.workingDir === 'string' ? data.workingDir.trim() : '';
+            if (!workingDir) return reject('Name and working directory are required.');
+            let name = typeof data.name === 'string' ? data.name.trim() : '';
+            if (name !== originalName) {
+                if (instances[name]) return reject(`Instance ${name} already exists.`);
+                try {
+                    name = checkInstanceName(name, originalName);
+                } catch (err) {
+                    return reject(err.message);
+                }
+                // Processes, jobs and timers hold on to the name they were started with
+                const busy = renameBlocker(originalName);
+                if (busy) return reject(`Cannot rename ${originalName} while ${busy}.`);
+            }
+
+            let launch;
+            try {
+                launch = data.launch ? LaunchSpec.normalize(data.launch) : data.command ? LaunchSpec.parse(data.command) : instances[originalName].launch;
+            } catch (err) {
+                return reject(err.message);
+            }
+
+            const before = instances[originalName];
+            const launchChanged = JSON.stringify(before.launch) !== JSON.stringify(launch);
+            if ((launchChanged || workingDir !== before.workingDir) && !UserStore.hasRole(socketUser(socket).role, 'admin')) {
+                return reject('Only admins can change the launch settings or the working directory.');
+            }
+            const changes = {};
+            for (const [field, value] of Object.entries({ name, workingDir })) {
+                if (before[field] !== value) changes[field] = { from: before[field], to: value };
+            }
+            if (launchChanged) changes.launch = { from: before.launch, to: launch };
+
             instances[originalName].name = name;
             instances[originalName].workingDir = workingDir;
-            instances[originalName].command = command;
+            instances[originalName].launch = launch;
+            instances[originalName].command = LaunchSpec.toCommand(launch);
 
             if (originalName !== name) {
                 instances[name] = instances[originalName];
                 delete instances[originalName];
+                users.renameInstance(originalName, name);
+                scheduler.renameInstance(originalName, name);
+                supervisor.renameInstance(originalName, name);
+                instanceGroups.renameInstance(originalName, name);
+                renameProxyReferences(originalName, name);
+                consoleLog.renameInstance(originalName, name);
+                eventStore.renameInstance(originalName, name);
+                eventParsers[name] = eventParsers[originalName];
+                delete eventParsers[originalName];
+                clearTimeout(eventFlushTimers[originalName]);
+                delete eventFlushTimers[originalName];
+                for (const stream of ['out', 'err']) delete partialLogLines[`${originalName}:${stream}`];
+                closeRcon(originalName);
+                playerTracker.renameInstance(originalName, name);
+                backupManager.renameInstance(originalName, name);
+                instanceHealth[name] = instanceHealth[originalName];
+                delete instanceHealth[originalName];
+                metricsStore.renameSeries(`instance:${originalName}`, `instance:${name}`);
+                for (const map of [instanceCgroups, resourceUsage, latestMetrics.instances]) {
+                    if (map[originalName]) map[name] = map[originalName];
+                    delete map[originalName];
+                }
+                instanceLogs[name] = instanceLogs[originalName];
+                delete instanceLogs[originalName];
             }
+            saveInstances();
+            audit(socketUser(socket), 'instance.settings', originalName, changes);
 
             socket.emit("actionResponse", {
                 success: true,
                 action: "updateInstanceSettings"
             });
 
-            io.emit("instancesList", instances);
+            broadcastInstances("instancesList");
         } else {
             socket.emit("actionResponse", {
                 success: false,
@@ -724,14 +2979,16 @@ io.on('connection', (socket) => {
     });
 
     socket.on('getInstanceLogs', ({ instance }) => {
+        if (!socketCan(socket, instance, 'view', 'getInstanceLogs')) return;
         socket.emit('instanceLogs', {
             instance,
             logs: logs[instance] || ''
         });
     });
 
-    socket.on('instanceCommand', ({ instance, command }) => {
+    socket.on('instanceCommand', async ({ instance, command }) => {
         const inst = instances[instance];
+        if (inst && !socketCan(socket, instance, 'command', 'instanceCommand')) return;
         if (!inst || !inst.pid) {
             socket.emit('actionResponse', {
                 success: false,
@@ -741,30 +2998,11 @@ io.on('connection', (socket) => {
             return;
         }
 
-        // Find the process object from pm.processes
-        const found = [...pm.processes.values()].find(p => p.pid === inst.pid);
-        if (!found || !found.proc) {
-            socket.emit('actionResponse', {
-                success: false,
-                action: 'instanceCommand',
-                message: `Process info not found for ${instance}.`
-            });
-            return;
-        }
-
-        const proc = found.proc;
-
-        if (!proc.stdin || proc.stdin.destroyed) {
-            socket.emit('actionResponse', {
-                success: false,
-                action: 'instanceCommand',
-                message: `Process stdin is not writable for ${instance}.`
-            });
-            return;
-        }
-
         try {
-            proc.stdin.write(command + "\n");
+            const { transport, output } = await sendCommand(instance, command);
+            audit(socketUser(socket), 'instance.command', instance, { command, transport });
+            // Only RCON answers directly; over stdin the output shows up in the console
+            if (output) socket.emit('commandOutput', { instance, command, output });
             socket.emit('actionResponse', {
                 success: true,
                 action: 'instanceCommand',
@@ -774,13 +3012,15 @@ io.on('connection', (socket) => {
             socket.emit('actionResponse', {
                 success: false,
                 action: 'instanceCommand',
-                message: `Failed to write command: ${err.message}`
+                message: `Failed to send command: ${err.message}`
             });
         }
     });
 
 
-    socket.on('instanceAction', ({ action, instance }) => {
+    socket.on('instanceAction', ({ action, instance, force = false }) => {
+        if (action === 'terminate' && !socketHasRole(socket, 'admin', action)) return;
+        const user = socketUser(socket);
         if (!instances[instance]) {
             socket.emit('actionResponse', {
                 success: false,
@@ -792,25 +3032,27 @@ io.on('connection', (socket) => {
 
         switch (action) {
             case 'start':
-                startServer(instance, io)
+                startServer(instance, io, user, { force })
                     .then(pid => {
                         socket.emit('actionResponse', {
                             success: true,
                             action,
                             pid
                         });
-                        io.emit('instancesStatus', instances);
+                        broadcastInstances('instancesStatus');
                     })
                     .catch(err => {
                         socket.emit('actionResponse', {
                             success: false,
                             action,
-                            message: err.message
+                            instance,
+                            message: err.message,
+                            conflicts: err.conflicts
                         });
                     });
                 break;
             case 'stop':
-                stopServer(instance)
+                stopServer(instance, user)
                     .then(() => {
                         instances[instance].status = "stopped";
                         instances[instance].pid = null;
@@ -819,7 +3061,7 @@ io.on('connection', (socket) => {
                             success: true,
                             action
                         });
-                        io.emit('instancesStatus', instances);
+                        broadcastInstances('instancesStatus');
                     })
                     .catch(err => {
                         socket.emit('actionResponse', {
@@ -830,25 +3072,31 @@ io.on('connection', (socket) => {
                     });
                 break;
             case 'restart':
-                restartServer(instance, io)
+                restartServer(instance, io, user, { force })
                     .then(pid => {
                         socket.emit('actionResponse', {
                             success: true,
                             action,
                             pid
                         });
-                        io.emit('instancesStatus', instances);
+                        broadcastInstances('instancesStatus');
                     })
                     .catch(err => {
                         socket.emit('actionResponse', {
                             success: false,
                             action,
-                            message: err.message
+                            instance,
+                            message: err.message,
+                            conflicts: err.conflicts
                         });
                     });
                 break;
             case 'terminate':
-                terminateInstance(instance, socket);
+                terminateInstance(instance, user);
+                socket.emit('actionResponse', {
+                    success: true,
+                    action
+                });
                 break;
             default:
                 socket.emit('actionResponse', {
@@ -860,6 +3108,13 @@ io.on('connection', (socket) => {
         }
     });
 
+    // The shell terminal is for admins only; the check used to live in the browser
+    socket.on('subscribeTerminal', () => {
+        if (!socketHasRole(socket, 'admin', 'subscribeTerminal')) return;
+        socket.join('terminal');
+        socket.emit('terminalAuth', { success: true });
+    });
+
     socket.on('disconnect', () => {
         console.log(`Socket disconnected: ${socket.id}`);
         delete SOCKETS[socket.id];
@@ -870,25 +3125,3 @@ io.on('connection', (socket) => {
 server.listen(PORT, () => {
     console.log(`Server running on http://localhost:${PORT}`);
 });
-
-// Terminate instance helper
-function terminateInstance(name, socket) {
-    const proc = processes[name];
-    if (proc) {
-        proc.kill();
-        delete processes[name];
-    }
-    if (instances[name]) {
-        instances[name].status = "stopped";
-        instances[name].pid = null;
-        delete instances[name];
-    }
-    saveInstances();
-    socket.emit('actionResponse', {
-        success: true,
-        action: "terminate"
-    });
-
-    io.emit('instancesList', instances);
-    io.emit('instancesStatus', instances);
-}
@@ -0,0 +1,116 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const BackupManager = require("../BackupManager");
+
+// A backup store and an instance directory with a world and a config file in a fresh temp directory
+async function setup() {
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "backups-"));
+    const server = path.join(dir, "server");
+    await fs.promises.mkdir(path.join(server, "world"), { recursive: true });
+    await fs.promises.writeFile(path.join(server, "world", "level.dat"), "original level");
+    await fs.promises.writeFile(path.join(server, "server.properties"), "motd=original\n");
+    return { dir, server, manager: new BackupManager(path.join(dir, "backups")) };
+}
+
+const read = file => fs.promises.readFile(file, "utf-8");
+
+test("restores a full backup in place of the current files", async () => {
+    const { dir, server, manager } = await setup();
+    try {
+        const meta = await manager.create("lobby", server);
+        await fs.promises.writeFile(path.join(server, "world", "level.dat"), "changed level");
+        await fs.promises.writeFile(path.join(server, "new.txt"), "not in the backup");
+
+        await manager.restore("lobby", server, meta.id);
+        assert.strictEqual(await read(path.join(server, "world", "level.dat")), "original level");
+        assert.strictEqual(fs.existsSync(path.join(server, "new.txt")), false);
+        assert.deepStrictEqual((await fs.promises.readdir(dir)).sort(), ["backups", "server"]);
+    } finally {
+        await fs.promises.rm(dir, { recursive: true, force: true });
+    }
+});
+
+test("puts the previous files back when swapping in the backup fails", async t => {
+    const { dir, server, manager } = await setup();
+    try {
+        const meta = await manager.create("lobby", server, { paths: ["world"] });
+        await fs.promises.writeFile(path.join(server, "world", "level.dat"), "changed level");
+
+        const moveInto = BackupManager.moveInto;
+        t.after(() => { BackupManager.moveInto = moveInto; });
+        BackupManager.moveInto = async (from, to) => {
+            if (from.includes(".restore-previous-")) return moveInto(from, to);
+            await fs.promises.mkdir(to, { recursive: true });
+            throw new Error("No space left on device");
+        };
+
+        await assert.rejects(manager.restore("lobby", server, meta.id), /No space left on device/);
+        assert.strictEqual(await read(path.join(server, "world", "level.dat")), "changed level");
+        assert.deepStrictEqual((await fs.promises.readdir(server)).sort(), ["server.properties", "world"]);
+        assert.deepStrictEqual((await fs.promises.readdir(dir)).sort(), ["backups", "server"]);
+    } finally {
+        await fs.promises.rm(dir, { recursive: true, force: true });
+    }
+});
+
+test("keeps both copies and names them when the previous files cannot be put back", async t => {
+    const { dir, server, manager } = await setup();
+    try {
+        const meta = await manager.create("lobby", server, { paths: ["world"] });
+        const moveInto = BackupManager.moveInto;
+        t.after(() => { BackupManager.moveInto = moveInto; });
+        BackupManager.moveInto = async () => { throw new Error("Input/output error"); };
+
+        const err = await manager.restore("lobby", server, meta.id).then(() => null, e => e);
+        assert.match(err.message, /could not be put back/);
+        const aside = path.join(server, `.restore-previous-${meta.id}`);
+        const staging = path.join(dir, `.server.restore-${meta.id}`);
+        assert.ok(err.message.includes(aside) && err.message.includes(staging));
+        assert.strictEqual(await read(path.join(aside, "world", "level.dat")), "original level");
+        assert.strictEqual(await read(path.join(staging, "world", "level.dat")), "original level");
+    } finally {
+        await fs.promises.rm(dir, { recursive: true, force: true });
+    }
+});
+
+test("selectRetained keeps the newest backups and the newest per day and week", () => {
+    const backup = createdAt => ({ id: BackupManager.backupId(new Date(createdAt)), createdAt });
+    const backups = [
+        backup("2026-03-02T08:00:00"), // Monday
+        backup("2026-03-04T08:00:00"),
+        backup("2026-03-09T08:00:00"), // Monday
+        backup("2026-03-10T08:00:00"),
+        backup("2026-03-10T20:00:00")
+    ];
+    const ids = indexes => new Set(indexes.map(i => backups[i].id));
+
+    assert.deepStrictEqual(BackupManager.selectRetained(backups), ids([0, 1, 2, 3, 4]));
+    assert.deepStrictEqual(BackupManager.selectRetained(backups, { keepLast: 2 }), ids([3, 4]));
+    assert.deepStrictEqual(BackupManager.selectRetained(backups, { keepDaily: 2 }), ids([2, 4]));
+    assert.deepStrictEqual(BackupManager.selectRetained(backups, { keepWeekly: 2 }), ids([1, 4]));
+    assert.deepStrictEqual(BackupManager.selectRetained(backups, { keepLast: 1, keepWeekly: 3 }), ids([1, 4]));
+});
+
+test("snapshots read unchanged files again when their chunks are gone from the store", async () => {
+    const { dir, server, manager } = await setup();
+    try {
+        const first = await manager.create("lobby", server, { mode: "dedup" });
+        const manifest = await manager.manifest("lobby", first.id);
+        const level = manifest.files.find(f => f.path === path.join("world", "level.dat"));
+        await fs.promises.unlink(manager.chunks.chunkPath(level.chunks[0]));
+
+        const second = await manager.create("lobby", server, { mode: "dedup" });
+        assert.strictEqual(second.reusedFiles, 1);
+        assert.match(second.warning, /1 unchanged file\(s\) were read again/);
+        assert.strictEqual((await manager.verify("lobby", second.id)).ok, true);
+
+        await fs.promises.writeFile(path.join(server, "world", "level.dat"), "changed level");
+        await manager.restore("lobby", server, second.id);
+        assert.strictEqual(await read(path.join(server, "world", "level.dat")), "original level");
+    } finally {
+        await fs.promises.rm(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,105 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const CgroupLimits = require("../CgroupLimits");
+
+// A temporary directory stands in for the cgroup delegated to the manager
+async function withCgroup(controllers, fn) {
+    const root = await fs.promises.mkdtemp(path.join(os.tmpdir(), "cgroup-"));
+    try {
+        await fs.promises.writeFile(path.join(root, "cgroup.controllers"), `${controllers}\n`);
+        await fs.promises.writeFile(path.join(root, "cgroup.procs"), "");
+        await fn(new CgroupLimits(root), root);
+    } finally {
+        await fs.promises.rm(root, { recursive: true, force: true });
+    }
+}
+
+const read = (dir, file) => fs.readFileSync(path.join(dir, file), "utf-8");
+
+test("normalize accepts limits in range and treats empty values as unlimited", () => {
+    assert.deepStrictEqual(CgroupLimits.normalize({ memoryMB: "2048", cpuPercent: 150, cpuWeight: "", pidsMax: null }),
+        { memoryMB: 2048, cpuPercent: 150, cpuWeight: null, pidsMax: null });
+    assert.strictEqual(CgroupLimits.isEmpty(CgroupLimits.normalize({})), true);
+
+    for (const data of [{ memoryMB: 15 }, { cpuPercent: 0 }, { cpuPercent: 100001 }, { cpuWeight: 10001 },
+        { pidsMax: 4194305 }, { memoryMB: 1.5 }, { pidsMax: "many" }]) {
+        assert.throws(() => CgroupLimits.normalize(data), /Invalid/, JSON.stringify(data));
+    }
+});
+
+test("check reports missing controllers without changing anything", () => withCgroup("io", (cgroups, root) => {
+    const support = cgroups.check();
+    assert.strictEqual(support.supported, false);
+    assert.match(support.reason, /delegate them/);
+    assert.strictEqual(fs.existsSync(path.join(root, "cgroup.subtree_control")), false);
+}));
+
+test("prepare writes the limits and enables the controllers for instance cgroups", () => withCgroup("cpuset cpu io memory pids", (cgroups, root) => {
+    const limits = CgroupLimits.normalize({ memoryMB: 1024, cpuPercent: 150, cpuWeight: 200, pidsMax: 512 });
+    const { dir, oomKills, warnings } = cgroups.prepare("Lobby #1", limits);
+
+    assert.strictEqual(read(root, "cgroup.subtree_control"), "+memory +cpu +pids");
+    assert.strictEqual(path.dirname(dir), root);
+    assert.strictEqual(path.basename(dir), CgroupLimits.cgroupName("Lobby #1"));
+    assert.strictEqual(oomKills, 0);
+    assert.deepStrictEqual(warnings, []);
+
+    assert.strictEqual(read(dir, "memory.max"), String(1024 * 1024 * 1024));
+    assert.strictEqual(read(dir, "memory.swap.max"), "0");
+    // 150% of one core: one and a half periods of quota
+    assert.strictEqual(read(dir, "cpu.max"), "150000 100000");
+    assert.strictEqual(read(dir, "cpu.weight"), "200");
+    assert.strictEqual(read(dir, "pids.max"), "512");
+
+    // Unset limits are lifted again
+    cgroups.apply(dir, CgroupLimits.normalize({}));
+    assert.strictEqual(read(dir, "memory.max"), "max");
+    assert.strictEqual(read(dir, "memory.swap.max"), "max");
+    assert.strictEqual(read(dir, "cpu.max"), "max 100000");
+    assert.strictEqual(read(dir, "cpu.weight"), "100");
+    assert.strictEqual(read(dir, "pids.max"), "max");
+}));
+
+test("limits whose controller is missing are skipped with a warning", () => withCgroup("memory", cgroups => {
+    const { dir, warnings } = cgroups.prepare("lobby", CgroupLimits.normalize({ memoryMB: 512, cpuPercent: 50, pidsMax: 100 }));
+
+    assert.deepStrictEqual(warnings, [
+        "The cpu controller is not available; cpuPercent is not enforced.",
+        "The pids controller is not available; pidsMax is not enforced."
+    ]);
+    assert.deepStrictEqual(fs.readdirSync(dir).sort(), ["memory.max", "memory.swap.max"]);
+}));
+
+test("usage reports the CPU use between two reads", t => withCgroup("memory cpu pids", (cgroups, root) => {
+    const dir = path.join(root, "instance");
+    fs.mkdirSync(dir);
+    fs.writeFileSync(path.join(dir, "cpu.max"), "50000 100000\n");
+    fs.writeFileSync(path.join(dir, "cpu.stat"), "usage_usec 1000000\nuser_usec 800000\n");
+    fs.writeFileSync(path.join(dir, "memory.current"), "268435456\n");
+    fs.writeFileSync(path.join(dir, "memory.max"), "max\n");
+    fs.writeFileSync(path.join(dir, "memory.events"), "oom 2\noom_kill 1\n");
+
+    let now = 10000;
+    t.mock.method(Date, "now", () => now);
+    const first = cgroups.usage(dir);
+    assert.strictEqual(first.cpuPercent, null);
+    assert.strictEqual(first.cpuMaxPercent, 50);
+    assert.strictEqual(first.memoryBytes, 268435456);
+    assert.strictEqual(first.memoryMaxBytes, null);
+    assert.strictEqual(first.pids, null);
+    assert.strictEqual(first.oomKills, 1);
+
+    // 1.5 s of CPU time in 2 s of wall time
+    now += 2000;
+    fs.writeFileSync(path.join(dir, "cpu.stat"), "usage_usec 2500000\n");
+    assert.strictEqual(cgroups.usage(dir).cpuPercent, 75);
+
+    // A released cgroup starts over
+    fs.rmSync(dir, { recursive: true });
+    assert.strictEqual(cgroups.usage(dir), null);
+    assert.strictEqual(cgroups.release(dir), true);
+    assert.strictEqual(cgroups.cpuSamples.size, 0);
+}));
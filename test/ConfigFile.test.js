@@ -0,0 +1,119 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const ConfigFile = require("../ConfigFile");
+
+test("properties: reads escapes and changes one line, keeping comments and order", () => {
+    const text = [
+        "#Minecraft server properties",
+        "#Sat Oct 17 12:00:00 UTC 2026",
+        "motd=A \\u00A7bMinecraft\\: Server",
+        "server-port = 25565",
+        "level-name:world",
+        ""
+    ].join("\n");
+    const file = ConfigFile.parse("properties", text);
+    assert.strictEqual(file.get("motd"), "A §bMinecraft: Server");
+    assert.strictEqual(file.get("server-port"), "25565");
+    assert.strictEqual(file.get("level-name"), "world");
+    assert.strictEqual(file.toString(), text);
+
+    file.set("motd", "Hi: #1 ä");
+    file.set("pvp", "false");
+    assert.strictEqual(file.toString(), [
+        "#Minecraft server properties",
+        "#Sat Oct 17 12:00:00 UTC 2026",
+        "motd=Hi\\: \\#1 \\u00e4",
+        "server-port = 25565",
+        "level-name:world",
+        "pvp=false",
+        ""
+    ].join("\n"));
+    assert.strictEqual(ConfigFile.parse("properties", file.toString()).get("motd"), "Hi: #1 ä");
+});
+
+test("toml: changes scalars in place and rewrites string arrays", () => {
+    const text = [
+        "# Velocity config",
+        "bind = \"0.0.0.0:25577\" # where to listen",
+        "online-mode = true",
+        "",
+        "[servers]",
+        "lobby = \"127.0.0.1:30066\"",
+        "try = [",
+        "    \"lobby\" # first",
+        "]",
+        "",
+        "[[skipped]]",
+        "bind = \"not this one\"",
+        ""
+    ].join("\n");
+    const file = ConfigFile.parse("toml", text);
+    assert.strictEqual(file.get("bind"), "0.0.0.0:25577");
+    assert.strictEqual(file.get("servers.lobby"), "127.0.0.1:30066");
+    assert.deepStrictEqual(file.getArray("servers.try"), ["lobby"]);
+    assert.strictEqual(file.toString(), text);
+
+    file.set("bind", ConfigFile.TomlFile.quote("0.0.0.0:25565"));
+    file.set("servers.survival", ConfigFile.TomlFile.quote("127.0.0.1:30067"));
+    file.setArray("servers.try", ["lobby", "survival"]);
+    file.set("forced-hosts.example", ConfigFile.TomlFile.quote("a \"b\""));
+    const changed = ConfigFile.parse("toml", file.toString());
+    assert.strictEqual(changed.get("bind"), "0.0.0.0:25565");
+    assert.strictEqual(changed.get("servers.survival"), "127.0.0.1:30067");
+    assert.deepStrictEqual(changed.getArray("servers.try"), ["lobby", "survival"]);
+    assert.strictEqual(changed.get("forced-hosts.example"), "a \"b\"");
+    assert.match(file.toString(), /^bind = "0\.0\.0\.0:25565" # where to listen$/m);
+
+    assert.strictEqual(changed.remove("servers.try"), true);
+    assert.strictEqual(changed.getArray("servers.try"), undefined);
+    assert.strictEqual(changed.remove("nope"), false);
+});
+
+test("yaml: addresses nested keys by dotted path and creates missing mappings", () => {
+    const text = [
+        "# spigot.yml",
+        "settings:",
+        "  bungeecord: false # set by the proxy sync",
+        "  restart-script: ./start.sh",
+        "  worlds:",
+        "    - world",
+        "messages:",
+        "  whitelist: 'You are not whitelisted on this server!'",
+        "  motd: |",
+        "    multi",
+        "    line",
+        ""
+    ].join("\n");
+    const file = ConfigFile.parse("yaml", text);
+    assert.strictEqual(file.get("settings.bungeecord"), "false");
+    assert.strictEqual(file.get("messages.whitelist"), "You are not whitelisted on this server!");
+    assert.strictEqual(file.get("settings.worlds"), undefined);
+    assert.strictEqual(file.get("messages.motd"), undefined);
+    assert.strictEqual(file.toString(), text);
+
+    file.set("settings.bungeecord", "true");
+    file.set("messages.whitelist", ConfigFile.YamlFile.quote("It's: closed"));
+    file.set("proxies.velocity.secret", ConfigFile.YamlFile.quote("yes"));
+    file.set("settings.timeout-time", "60");
+    const changed = ConfigFile.parse("yaml", file.toString());
+    assert.strictEqual(changed.get("settings.bungeecord"), "true");
+    assert.strictEqual(changed.get("messages.whitelist"), "It's: closed");
+    assert.strictEqual(changed.get("proxies.velocity.secret"), "yes");
+    assert.strictEqual(changed.get("settings.timeout-time"), "60");
+    assert.match(file.toString(), /^ {2}bungeecord: true # set by the proxy sync$/m);
+    assert.match(file.toString(), /^ {2}timeout-time: 60$/m);
+
+    assert.strictEqual(changed.remove("messages"), true);
+    assert.strictEqual(changed.get("messages.whitelist"), undefined);
+    assert.strictEqual(changed.get("settings.restart-script"), "./start.sh");
+});
+
+test("yaml: quote leaves plain strings alone and quotes what YAML would read differently", () => {
+    assert.strictEqual(ConfigFile.YamlFile.quote("world"), "world");
+    for (const value of ["", "true", "no", "~", "1.5", "-3", "a: b", "#x", "'q'", "trailing ", "- item"]) {
+        const quoted = ConfigFile.YamlFile.quote(value);
+        assert.ok(quoted.startsWith("'"), value);
+        assert.strictEqual(ConfigFile.YamlFile.unquote(quoted), value);
+    }
+    assert.throws(() => ConfigFile.parse("ini", ""), /Unknown config format/);
+});
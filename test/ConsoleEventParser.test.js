@@ -0,0 +1,129 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const ConsoleEventParser = require("../ConsoleEventParser");
+
+// Feeds lines and returns all events, without `level` unless asked for
+function feedAll(parser, lines, { withLevel = false } = {}) {
+    return lines.flatMap(line => parser.feed(line)).map(event => {
+        if (withLevel) return event;
+        const { level, ...rest } = event;
+        return rest;
+    });
+}
+
+test("Vanilla: login, join, chat, death and leave", () => {
+    const parser = new ConsoleEventParser();
+    const events = feedAll(parser, [
+        "[12:34:55] [User Authenticator #1/INFO]: UUID of player Steve is 069a79f4-44e9-4726-a5be-fca90e38aaf5",
+        "[12:34:56] [Server thread/INFO]: Steve[/127.0.0.1:51234] logged in with entity id 123 at (0.5, 64.0, 0.5)",
+        "[12:34:56] [Server thread/INFO]: Steve joined the game",
+        "[12:35:00] [Server thread/INFO]: <Steve> was slain by a creeper, send help",
+        "[12:35:10] [Server thread/INFO]: Steve was slain by Zombie",
+        "[12:36:00] [Server thread/INFO]: Steve lost connection: Disconnected",
+        "[12:36:00] [Server thread/INFO]: Steve left the game"
+    ]);
+
+    assert.deepStrictEqual(events, [
+        { type: "player_uuid", player: "Steve", uuid: "069a79f4-44e9-4726-a5be-fca90e38aaf5" },
+        { type: "player_login", player: "Steve", ip: "127.0.0.1", port: 51234, entityId: 123 },
+        { type: "player_join", player: "Steve" },
+        { type: "chat", player: "Steve", message: "was slain by a creeper, send help" },
+        { type: "death", player: "Steve", message: "Steve was slain by Zombie" },
+        { type: "player_leave", player: "Steve", reason: "Disconnected" },
+        { type: "player_leave", player: "Steve" }
+    ]);
+    assert.deepStrictEqual([...parser.online], []);
+});
+
+test("Paper: unsigned chat and deaths of online players only", () => {
+    const parser = new ConsoleEventParser();
+    const events = feedAll(parser, [
+        "[12:34:56 INFO]: Alex fell from a high place",
+        "[12:34:56 INFO]: Notch joined the game",
+        "[12:34:57 INFO]: [Not Secure] <Notch> hi",
+        "[12:34:58 INFO]: Notch fell from a high place",
+        "[12:34:59 INFO]: Notch left the game",
+        "[12:35:00 INFO]: Notch drowned"
+    ], { withLevel: true });
+
+    assert.deepStrictEqual(events, [
+        { type: "player_join", player: "Notch", level: "INFO" },
+        { type: "chat", player: "Notch", message: "hi", level: "INFO" },
+        { type: "death", player: "Notch", message: "Notch fell from a high place", level: "INFO" },
+        { type: "player_leave", player: "Notch", level: "INFO" }
+    ]);
+});
+
+test("a player listed by `list` counts as online for deaths", () => {
+    const parser = new ConsoleEventParser();
+    const events = feedAll(parser, [
+        "[12:00:00 INFO]: There are 2 of a max of 20 players online: Notch, Steve",
+        "[12:00:05 INFO]: Steve was shot by Skeleton"
+    ]);
+
+    assert.deepStrictEqual(events, [
+        { type: "player_list", online: 2, max: 20, players: ["Notch", "Steve"] },
+        { type: "death", player: "Steve", message: "Steve was shot by Skeleton" }
+    ]);
+});
+
+test("Velocity: connect and disconnect", () => {
+    const parser = new ConsoleEventParser();
+    const events = feedAll(parser, [
+        "[12:34:56 INFO]: [connected player] Notch (/127.0.0.1:51234) has connected",
+        "[12:34:57 INFO]: [server connection] Notch -> lobby has connected",
+        "[12:35:56 INFO]: [connected player] Notch (/127.0.0.1:51234) has disconnected"
+    ]);
+
+    assert.deepStrictEqual(events, [
+        { type: "player_join", player: "Notch", ip: "127.0.0.1", port: 51234 },
+        { type: "player_leave", player: "Notch", ip: "127.0.0.1", port: 51234 }
+    ]);
+});
+
+test("BungeeCord: connect, kick and disconnect", () => {
+    const parser = new ConsoleEventParser();
+    const events = feedAll(parser, [
+        "17:43:21 [INFO] [/127.0.0.1:54982] <-> InitialHandler has pinged",
+        "17:43:22 [INFO] [Notch,/127.0.0.1:54982] <-> InitialHandler has connected",
+        "17:43:23 [INFO] [Notch] <-> ServerConnector [lobby] has connected",
+        "17:43:30 [INFO] [Notch] disconnected with: Kicked by an operator.",
+        "17:43:30 [INFO] [Notch] -> UpstreamBridge has disconnected"
+    ], { withLevel: true });
+
+    assert.deepStrictEqual(events, [
+        { type: "player_join", player: "Notch", ip: "127.0.0.1", port: 54982, level: "INFO" },
+        { type: "player_leave", player: "Notch", reason: "Kicked by an operator.", level: "INFO" },
+        { type: "player_leave", player: "Notch", level: "INFO" }
+    ]);
+});
+
+test("a stack trace is collected into one exception event", () => {
+    const parser = new ConsoleEventParser();
+    const events = feedAll(parser, [
+        "[12:00:00 ERROR]: Could not pass event PlayerJoinEvent to Greeter v1.0",
+        "java.lang.NullPointerException: name is null",
+        "\tat com.example.Greeter.onJoin(Greeter.java:12)",
+        "\t... 12 more",
+        "[12:00:01 INFO]: Saved the game"
+    ], { withLevel: true });
+
+    assert.deepStrictEqual(events, [
+        {
+            type: "exception",
+            exception: "java.lang.NullPointerException",
+            message: "name is null",
+            context: "Could not pass event PlayerJoinEvent to Greeter v1.0",
+            stack: ["at com.example.Greeter.onJoin(Greeter.java:12)", "... 12 more"],
+            level: "ERROR"
+        },
+        { type: "world_saved", level: "INFO" }
+    ]);
+});
+
+test("flush forgets who was online", () => {
+    const parser = new ConsoleEventParser();
+    feedAll(parser, ["[12:34:56 INFO]: Notch joined the game"]);
+    assert.deepStrictEqual(parser.flush(), []);
+    assert.deepStrictEqual(feedAll(parser, ["[12:34:58 INFO]: Notch drowned"]), []);
+});
@@ -0,0 +1,37 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const CronExpression = require("../CronExpression");
+
+test("parses lists, ranges, steps, names and macros", () => {
+    const cron = new CronExpression("0,30 9-17/4 * jan-mar mon-fri");
+    assert.deepStrictEqual([...cron.minutes], [0, 30]);
+    assert.deepStrictEqual([...cron.hours], [9, 13, 17]);
+    assert.deepStrictEqual([...cron.months], [1, 2, 3]);
+    assert.deepStrictEqual([...cron.weekdays], [1, 2, 3, 4, 5]);
+    assert.deepStrictEqual([...new CronExpression("5/20 * * * *").minutes], [5, 25, 45]);
+    assert.deepStrictEqual([...new CronExpression("* * * * 7").weekdays].sort(), [0, 7]);
+    assert.strictEqual(new CronExpression("@daily").hours.size, 1);
+});
+
+test("rejects empty values, empty steps and malformed fields", () => {
+    for (const expression of ["1,,2 * * * *", "1- * * * *", "-5 * * * *", "*/ * * * *", "1/ * * * *", "*/0 * * * *",
+        "*/2/3 * * * *", "1-2-3 * * * *", ", * * * *", "60 * * * *", "* 24 * * *", "* * 0 * *", "* * * 13 *", "* * * * 8",
+        "5-1 * * * *", "* * * *", "* * * * * *", "", "@never"]) {
+        assert.strictEqual(CronExpression.isValid(expression), false, expression);
+    }
+});
+
+test("next finds the following matching minute", () => {
+    const cron = new CronExpression("30 4 * * *");
+    assert.deepStrictEqual(cron.next(new Date(2026, 0, 1, 4, 29, 59)), new Date(2026, 0, 1, 4, 30));
+    assert.deepStrictEqual(cron.next(new Date(2026, 0, 1, 4, 30)), new Date(2026, 0, 2, 4, 30));
+    assert.deepStrictEqual(new CronExpression("0 0 29 2 *").next(new Date(2026, 0, 1)), new Date(2028, 1, 29));
+    assert.strictEqual(new CronExpression("0 0 31 2 *").next(new Date(2026, 0, 1)), null);
+});
+
+test("either day field matches when both are restricted", () => {
+    // The 13th, and every Friday
+    const cron = new CronExpression("0 0 13 * 5");
+    assert.deepStrictEqual(cron.next(new Date(2026, 2, 1)), new Date(2026, 2, 6));
+    assert.deepStrictEqual(cron.next(new Date(2026, 2, 12)), new Date(2026, 2, 13));
+});
@@ -0,0 +1,82 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const InstanceGroups = require("../InstanceGroups");
+
+const existing = new Set(["proxy", "lobby", "survival", "creative", "auth"]);
+const exists = name => existing.has(name);
+
+async function withGroups(fn) {
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "groups-"));
+    try {
+        await fn(new InstanceGroups(path.join(dir, "groups.json")), path.join(dir, "groups.json"));
+    } finally {
+        await fs.promises.rm(dir, { recursive: true, force: true });
+    }
+}
+
+test("layers start dependencies first and keep independent instances together", () => {
+    const dependencies = { proxy: ["lobby", "survival"], lobby: ["auth"], survival: ["auth"] };
+    assert.deepStrictEqual(InstanceGroups.layers(["proxy", "lobby", "survival", "auth", "creative"], dependencies),
+        [["auth", "creative"], ["lobby", "survival"], ["proxy"]]);
+});
+
+test("normalize rejects cycles, self and outside dependencies", () => {
+    const group = (dependencies, members = ["proxy", "lobby", "survival"]) => ({ name: "network", members, dependencies });
+
+    assert.throws(() => InstanceGroups.normalize(group({ proxy: ["lobby"], lobby: ["survival"], survival: ["proxy"] }), exists),
+        /Dependency cycle between: proxy, lobby, survival/);
+    assert.throws(() => InstanceGroups.normalize(group({ lobby: ["lobby"] }), exists), /cannot depend on itself/);
+    assert.throws(() => InstanceGroups.normalize(group({ proxy: ["creative"] }), exists), /creative, which is not in the group/);
+    assert.throws(() => InstanceGroups.normalize(group({ creative: ["lobby"] }), exists), /creative is not in the group/);
+    assert.throws(() => InstanceGroups.normalize(group({}, ["proxy", "missing"]), exists), /Instance not found: missing/);
+    assert.throws(() => InstanceGroups.normalize(group({}, []), exists), /at least one instance/);
+
+    assert.deepStrictEqual(InstanceGroups.normalize({ ...group({ proxy: ["lobby", "lobby"], lobby: [] }), name: " network " }, exists), {
+        name: "network",
+        members: ["proxy", "lobby", "survival"],
+        dependencies: { proxy: ["lobby"] },
+        readyTimeoutSeconds: 180
+    });
+});
+
+test("groups are stored, renamed and deleted", () => withGroups((groups, file) => {
+    groups.create({ name: "network", members: ["proxy", "lobby"], dependencies: { proxy: ["lobby"] } }, exists);
+    assert.throws(() => groups.create({ name: "network", members: ["lobby"] }, exists), /already exists/);
+
+    const renamed = groups.update("network", { name: "main", readyTimeoutSeconds: 60 }, exists);
+    assert.deepStrictEqual(renamed.dependencies, { proxy: ["lobby"] });
+    assert.deepStrictEqual(Object.keys(new InstanceGroups(file).groups), ["main"]);
+    assert.strictEqual(new InstanceGroups(file).get("main").readyTimeoutSeconds, 60);
+
+    groups.delete("main");
+    assert.throws(() => groups.delete("main"), /Group not found/);
+    assert.deepStrictEqual(new InstanceGroups(file).list(), []);
+}));
+
+test("members and dependencies follow instance renames and removals", () => withGroups((groups, file) => {
+    groups.create({ name: "network", members: ["proxy", "lobby", "survival"], dependencies: { proxy: ["lobby", "survival"], lobby: ["survival"] } }, exists);
+    groups.create({ name: "solo", members: ["creative"] }, exists);
+
+    groups.renameInstance("lobby", "hub");
+    assert.deepStrictEqual(groups.get("network").members, ["proxy", "hub", "survival"]);
+    assert.deepStrictEqual(groups.get("network").dependencies, { proxy: ["hub", "survival"], hub: ["survival"] });
+
+    groups.renameInstance("survival", null);
+    assert.deepStrictEqual(groups.get("network").members, ["proxy", "hub"]);
+    assert.deepStrictEqual(groups.get("network").dependencies, { proxy: ["hub"] });
+
+    // A group without members goes away
+    groups.renameInstance("creative", null);
+    assert.strictEqual(groups.get("solo"), null);
+    assert.deepStrictEqual(Object.keys(new InstanceGroups(file).groups), ["network"]);
+}));
+
+test("dependenciesFor collects the dependencies within a selection from every group", () => withGroups(groups => {
+    groups.create({ name: "a", members: ["proxy", "lobby", "auth"], dependencies: { proxy: ["lobby"], lobby: ["auth"] } }, exists);
+    groups.create({ name: "b", members: ["proxy", "survival"], dependencies: { proxy: ["survival"] } }, exists);
+
+    assert.deepStrictEqual(groups.dependenciesFor(["proxy", "lobby", "survival"]), { proxy: ["lobby", "survival"], lobby: [] });
+}));
@@ -0,0 +1,21 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const path = require("path");
+const InstanceName = require("../InstanceName");
+
+test("validate trims names and rejects ones that are unusable as file names", () => {
+    assert.strictEqual(InstanceName.validate("  Survival 1.21 "), "Survival 1.21");
+    for (const name of ["", "   ", undefined, 42, ".", "..", " .. ", "a/b", "a\\b", "lobby:2", "tab\there", "x".repeat(65)]) {
+        assert.throws(() => InstanceName.validate(name), Error, JSON.stringify(name));
+    }
+});
+
+test("fileName keeps every name inside the base directory", () => {
+    const base = path.resolve("/srv/mmm/logs");
+    for (const name of ["..", ".", "", "../etc", "a/../../b", "C:\\Windows"]) {
+        const file = path.join(base, InstanceName.fileName(name));
+        assert.strictEqual(path.dirname(file), base, JSON.stringify(name));
+    }
+    assert.strictEqual(InstanceName.fileName("lobby"), "lobby");
+    assert.strictEqual(InstanceName.fileName("..."), "...");
+});
@@ -0,0 +1,53 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const ConfigFile = require("../ConfigFile");
+const InstanceScaffolder = require("../InstanceScaffolder");
+const LaunchSpec = require("../LaunchSpec");
+
+test("a copy gets an RCON port that no instance uses", () => {
+    const source = { workingDir: "/srv/lobby" };
+    const spec = InstanceScaffolder.normalize({ copyFrom: "lobby", workingDir: "/srv/copy" }, source, 25575, [25565, 25575, 25577]);
+    assert.strictEqual(spec.properties.port, 25575);
+    assert.strictEqual(spec.properties.rconPort, 25576);
+
+    // A new server from a jar keeps the default RCON settings
+    const fresh = InstanceScaffolder.normalize({ jar: "paper-1.21.jar", workingDir: "/srv/new" }, null, 25566, [25575]);
+    assert.strictEqual(fresh.properties.rconPort, undefined);
+});
+
+test("copying leaves out top-level logs and world locks, and replaces the RCON password", async () => {
+    const base = await fs.promises.mkdtemp(path.join(os.tmpdir(), "scaffold-"));
+    try {
+        const from = path.join(base, "lobby");
+        const files = {
+            "server.properties": "server-port=25565\nenable-rcon=true\nrcon.port=25575\nrcon.password=hunter2\n",
+            "logs/latest.log": "",
+            "crash-reports/crash.txt": "",
+            "world/session.lock": "",
+            "world/level.dat": "",
+            "plugins/Essentials/logs/chat.log": ""
+        };
+        for (const [file, text] of Object.entries(files)) {
+            fs.mkdirSync(path.dirname(path.join(from, file)), { recursive: true });
+            fs.writeFileSync(path.join(from, file), text);
+        }
+        const source = { workingDir: from, launch: LaunchSpec.parse("java -jar server.jar nogui") };
+        const spec = InstanceScaffolder.normalize({ copyFrom: "lobby", workingDir: path.join(base, "copy") }, source, 25566, [25565, 25575]);
+
+        const result = await new InstanceScaffolder(null).create(spec, source);
+        assert.strictEqual(result.type, "server");
+        const copied = file => fs.existsSync(path.join(spec.workingDir, file));
+        assert.deepStrictEqual(Object.keys(files).filter(copied), ["server.properties", "world/level.dat", "plugins/Essentials/logs/chat.log"]);
+
+        const properties = ConfigFile.parse("properties", fs.readFileSync(path.join(spec.workingDir, "server.properties"), "utf-8"));
+        assert.strictEqual(properties.get("server-port"), "25566");
+        assert.strictEqual(properties.get("rcon.port"), "25576");
+        assert.notStrictEqual(properties.get("rcon.password"), "hunter2");
+        assert.ok(properties.get("rcon.password").length >= 16);
+    } finally {
+        await fs.promises.rm(base, { recursive: true, force: true });
+    }
+});
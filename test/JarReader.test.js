@@ -0,0 +1,95 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const zlib = require("zlib");
+const JarReader = require("../JarReader");
+
+// A minimal zip archive: { name: { data, method, size } } with method 0 (stored) or 8 (deflated).
+// `size` overrides the declared uncompressed size. CRCs are left at 0; JarReader does not check them.
+function zip(entries) {
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+    for (const [name, { data, method = 0, size }] of Object.entries(entries)) {
+        const raw = Buffer.from(data);
+        const body = method === 8 ? zlib.deflateRawSync(raw) : raw;
+        const nameBytes = Buffer.from(name);
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(method, 8);
+        local.writeUInt32LE(body.length, 18);
+        local.writeUInt32LE(size === undefined ? raw.length : size, 22);
+        local.writeUInt16LE(nameBytes.length, 26);
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(method, 10);
+        central.writeUInt32LE(body.length, 20);
+        central.writeUInt32LE(size === undefined ? raw.length : size, 24);
+        central.writeUInt16LE(nameBytes.length, 28);
+        central.writeUInt32LE(offset, 42);
+        locals.push(local, nameBytes, body);
+        centrals.push(central, nameBytes);
+        offset += 30 + nameBytes.length + body.length;
+    }
+    const directory = Buffer.concat(centrals);
+    const eocd = Buffer.alloc(22);
+    eocd.writeUInt32LE(0x06054b50, 0);
+    eocd.writeUInt16LE(Object.keys(entries).length, 8);
+    eocd.writeUInt16LE(Object.keys(entries).length, 10);
+    eocd.writeUInt32LE(directory.length, 12);
+    eocd.writeUInt32LE(offset, 16);
+    return Buffer.concat([...locals, directory, eocd]);
+}
+
+function withJar(contents, fn) {
+    return async () => {
+        const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "jarreader-"));
+        const file = path.join(dir, "test.jar");
+        try {
+            await fs.promises.writeFile(file, contents);
+            await fn(file);
+        } finally {
+            await fs.promises.rm(dir, { recursive: true, force: true });
+        }
+    };
+}
+
+test("reads stored and deflated entries and leaves out missing ones", withJar(zip({
+    "plugin.yml": { data: "name: Stored\n" },
+    "fabric.mod.json": { data: '{"id":"deflated"}', method: 8 }
+}), async file => {
+    const files = await JarReader.read(file, ["plugin.yml", "fabric.mod.json", "bungee.yml"]);
+    assert.deepStrictEqual(Object.keys(files).sort(), ["fabric.mod.json", "plugin.yml"]);
+    assert.strictEqual(files["plugin.yml"].toString(), "name: Stored\n");
+    assert.strictEqual(files["fabric.mod.json"].toString(), '{"id":"deflated"}');
+}));
+
+test("rejects files without an end of central directory record", withJar(Buffer.from("not a zip at all"), async file => {
+    await assert.rejects(JarReader.read(file, ["plugin.yml"]), /Not a zip archive/);
+}));
+
+test("rejects a central directory that extends past the end of the file", async () => {
+    const jar = zip({ "plugin.yml": { data: "name: A\n" } });
+    // Declares a directory of almost 4 GB
+    jar.writeUInt32LE(0xfffffff0, jar.length - 22 + 12);
+    await withJar(jar, async file => {
+        await assert.rejects(JarReader.read(file, ["plugin.yml"]), /Corrupt zip directory/);
+    })();
+
+    const moved = zip({ "plugin.yml": { data: "name: A\n" } });
+    moved.writeUInt32LE(moved.length, moved.length - 22 + 16);
+    await withJar(moved, async file => {
+        await assert.rejects(JarReader.read(file, ["plugin.yml"]), /Corrupt zip directory/);
+    })();
+});
+
+test("rejects entries that inflate past their declared size or the size limit", async () => {
+    await withJar(zip({ "plugin.yml": { data: "name: A\n", method: 8, size: 3 } }), async file => {
+        await assert.rejects(JarReader.read(file, ["plugin.yml"]), /Corrupt zip entry plugin.yml/);
+    })();
+    await withJar(zip({ "plugin.yml": { data: Buffer.alloc(5 * 1024 * 1024), method: 8, size: 10 } }), async file => {
+        await assert.rejects(JarReader.read(file, ["plugin.yml"]), /plugin.yml is too large/);
+    })();
+});
@@ -0,0 +1,66 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const LaunchSpec = require("../LaunchSpec");
+
+test("split groups quoted words and flags unquoted shell syntax", () => {
+    assert.deepStrictEqual(LaunchSpec.split(`java -jar "my server.jar" 'a b' c\\ d`), {
+        tokens: ["java", "-jar", "my server.jar", "a b", "c d"], shellSyntax: false, assignments: 0
+    });
+    for (const command of ["java -jar server.jar | tee log", "echo $HOME", "a && b", "java -jar *.jar", "java -jar s?.jar",
+        "java -jar s[12].jar", "java -jar server-{a,b}.jar", "java -jar server.jar # note", "cd ~/server", "a > out"]) {
+        assert.strictEqual(LaunchSpec.split(command).shellSyntax, true, command);
+    }
+    for (const command of [`echo '$HOME'`, `echo "*"`, "echo a#b", `echo \\#`, "java -Dlog4j2.formatMsgNoLookups=true -jar server.jar"]) {
+        assert.strictEqual(LaunchSpec.split(command).shellSyntax, false, command);
+    }
+    assert.throws(() => LaunchSpec.split(`java -jar "server.jar`), /Unterminated " quote/);
+});
+
+test("split counts only leading unquoted assignments", () => {
+    assert.strictEqual(LaunchSpec.split("A=1 B='x y' java k=v").assignments, 2);
+    assert.strictEqual(LaunchSpec.split(`"A=1" prog`).assignments, 0);
+    assert.strictEqual(LaunchSpec.split("A\\=1 prog").assignments, 0);
+    assert.strictEqual(LaunchSpec.split("1A=1 prog").assignments, 0);
+});
+
+test("parse turns java command lines into java launches", () => {
+    const spec = LaunchSpec.parse("java -Xms1G -Xmx4G -XX:+UseG1GC -jar paper.jar --nogui");
+    assert.deepStrictEqual(spec, {
+        type: "java", java: null, jar: "paper.jar", minMemoryMB: 1024, maxMemoryMB: 4096, preset: "none",
+        jvmArgs: ["-XX:+UseG1GC"], args: ["--nogui"], env: {}
+    });
+    assert.deepStrictEqual(LaunchSpec.argv(spec), {
+        program: "java", args: ["-Xms1024M", "-Xmx4096M", "-XX:+UseG1GC", "-jar", "paper.jar", "--nogui"]
+    });
+
+    const aikar = LaunchSpec.parse(`java -Xmx8G ${LaunchSpec.PRESETS.aikar.flags(8192).join(" ")} -jar paper.jar`);
+    assert.strictEqual(aikar.preset, "aikar");
+    assert.deepStrictEqual(aikar.jvmArgs, []);
+});
+
+test("parse moves leading assignments into the environment", () => {
+    const spec = LaunchSpec.parse("JAVA_OPTS=-Xmx2G java -jar server.jar");
+    assert.strictEqual(spec.type, "java");
+    assert.deepStrictEqual(spec.env, { JAVA_OPTS: "-Xmx2G" });
+    assert.strictEqual(LaunchSpec.toCommand(spec), "JAVA_OPTS=-Xmx2G java -jar server.jar");
+
+    const script = LaunchSpec.parse(`TZ=UTC LANG="en_US.UTF-8" ./start.sh run`);
+    assert.deepStrictEqual(script, { type: "command", executable: "./start.sh", args: ["run"], env: { TZ: "UTC", LANG: "en_US.UTF-8" } });
+    assert.throws(() => LaunchSpec.parse("A=1"), /Missing the command/);
+    assert.strictEqual(LaunchSpec.toCommand(LaunchSpec.parse(`"A=1" prog`)), "'A=1' prog");
+});
+
+test("parse refuses shell syntax unless converting an old command", () => {
+    assert.throws(() => LaunchSpec.parse("java -jar server.jar # comment"), /shell syntax/);
+    assert.throws(() => LaunchSpec.parse("java -jar *.jar"), /shell syntax/);
+    const spec = LaunchSpec.parse("cd world && java -jar ../server.jar", { allowShell: true });
+    assert.strictEqual(LaunchSpec.usesShell(spec), true);
+    assert.deepStrictEqual(spec.args, ["-c", "cd world && java -jar ../server.jar"]);
+});
+
+test("normalize checks the launch settings", () => {
+    assert.throws(() => LaunchSpec.normalize({ type: "java" }), /Missing the server jar/);
+    assert.throws(() => LaunchSpec.normalize({ type: "java", jar: "a.jar", minMemoryMB: 2048, maxMemoryMB: 1024 }), /cannot exceed/);
+    assert.throws(() => LaunchSpec.normalize({ type: "command", executable: "x", env: { "BAD-NAME": "1" } }), /Invalid environment variable/);
+    assert.throws(() => LaunchSpec.normalize({ type: "command", executable: "x", args: ["a\0b"] }), /list of strings/);
+});
@@ -0,0 +1,95 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const MetricsStore = require("../MetricsStore");
+
+const NOW = Date.UTC(2026, 0, 10, 12, 0, 0);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+async function withStore(t, fn) {
+    t.mock.method(Date, "now", () => NOW);
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "metrics-"));
+    try {
+        await fn(new MetricsStore(dir), dir);
+    } finally {
+        await fs.promises.rm(dir, { recursive: true, force: true });
+    }
+}
+
+test("samples are kept raw and averaged per minute once the next minute begins", t => withStore(t, async (store, dir) => {
+    const start = NOW - 10 * 60 * 1000;
+    store.append("host", { time: start, cpu: 10, memoryMB: 100.123 });
+    store.append("host", { time: start + 20000, cpu: 20, memoryMB: null });
+    store.append("host", { time: start + 40000, cpu: 30.5, memoryMB: 200 });
+    assert.deepStrictEqual((await store.query("host", { from: start, resolution: "minute" })).points, []);
+
+    store.append("host", { time: start + 60000, cpu: 50, memoryMB: 300 });
+    const minute = await store.query("host", { from: start, resolution: "minute" });
+    assert.deepStrictEqual(minute.fields, ["cpu", "memoryMB"]);
+    // Missing values do not count towards the average
+    assert.deepStrictEqual(minute.points, [[start, 20.17, 150.06]]);
+
+    const raw = await store.query("host", { from: start });
+    assert.strictEqual(raw.resolution, "raw");
+    assert.deepStrictEqual(raw.points.map(p => p.slice(1)), [[10, 100.12], [20, null], [30.5, 200], [50, 300]]);
+
+    store.flush("host");
+    const lines = fs.readFileSync(path.join(dir, "host", "minute-2026-01-10.jsonl"), "utf-8").trim().split("\n");
+    assert.deepStrictEqual(lines, ['{"fields":["cpu","memoryMB"]}', `[${start},20.17,150.06]`, `[${start + 60000},50,300]`]);
+}));
+
+test("a change of fields starts a new header and minute", t => withStore(t, async (store, dir) => {
+    const start = NOW - 5 * 60 * 1000;
+    store.append("instance:lobby", { time: start, cpu: 10 });
+    store.append("instance:lobby", { time: start + 10000, cpu: 20, players: 3 });
+    store.flush("instance:lobby");
+
+    const { fields, points } = await store.query("instance:lobby", { from: start, resolution: "minute" });
+    assert.deepStrictEqual(fields, ["cpu", "players"]);
+    assert.deepStrictEqual(points, [[start, 10, null], [start, 20, 3]]);
+    const raw = fs.readFileSync(path.join(dir, "instances", "lobby", "raw-2026-01-10.jsonl"), "utf-8");
+    assert.strictEqual(raw.split("\n").filter(l => l.startsWith("{")).length, 2);
+}));
+
+test("the tier follows the range unless one is asked for, and ranges beyond retention are refused", t => withStore(t, async store => {
+    assert.strictEqual((await store.query("host", { from: NOW - 60 * 60 * 1000 })).resolution, "raw");
+    assert.strictEqual((await store.query("host", {})).resolution, "raw");
+    assert.strictEqual((await store.query("host", { from: NOW - 2 * DAY_MS })).resolution, "minute");
+    assert.strictEqual((await store.query("host", { from: NOW - 60000, resolution: "minute" })).resolution, "minute");
+
+    await assert.rejects(store.query("host", { from: NOW - 2 * DAY_MS, resolution: "raw" }), /longer than the 24 hours kept at raw/);
+    await assert.rejects(store.query("host", { from: NOW - 31 * DAY_MS }), /longer than the 30 days kept at minute/);
+    await assert.rejects(store.query("host", { resolution: "hour" }), /Resolution must be one of/);
+    await assert.rejects(store.query("host", { from: NOW, to: NOW - 1 }), /Invalid time range/);
+}));
+
+test("step averages samples into buckets, across days", t => withStore(t, async store => {
+    const midnight = Date.UTC(2026, 0, 10);
+    for (let i = -3; i < 3; i++) store.append("host", { time: midnight + i * 20000, cpu: i + 3 });
+
+    const { points } = await store.query("host", { from: midnight - 60000, to: midnight + 60000, step: 60000 });
+    assert.deepStrictEqual(points, [[midnight - 60000, 1], [midnight, 4]]);
+}));
+
+test("prune deletes the days past the retention of their tier", t => withStore(t, async (store, dir) => {
+    const files = {
+        "host/raw-2026-01-08.jsonl": false,
+        "host/raw-2026-01-09.jsonl": true,
+        "host/minute-2025-12-11.jsonl": true,
+        "host/minute-2025-12-10.jsonl": false,
+        "instances/lobby/raw-2026-01-01.jsonl": false,
+        "instances/lobby/minute-2026-01-01.jsonl": true,
+        "instances/lobby/notes.txt": true
+    };
+    for (const file of Object.keys(files)) {
+        fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+        fs.writeFileSync(path.join(dir, file), "");
+    }
+
+    store.prune(NOW);
+    for (const [file, kept] of Object.entries(files)) {
+        assert.strictEqual(fs.existsSync(path.join(dir, file)), kept, file);
+    }
+}));
@@ -0,0 +1,88 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const ConsoleEventParser = require("../ConsoleEventParser");
+const PlayerTracker = require("../PlayerTracker");
+
+// Parses console lines the way the manager does and hands the events to the tracker
+function feed(tracker, name, lines, time = "2026-01-01T12:00:00.000Z") {
+    const parser = new ConsoleEventParser();
+    return lines.flatMap(line => parser.feed(line))
+        .map(event => tracker.handleEvent(name, { ...event, time }));
+}
+
+test("joins and leaves from the console keep the player list", () => {
+    const tracker = new PlayerTracker();
+    const changed = feed(tracker, "lobby", [
+        "[12:34:55] [User Authenticator #1/INFO]: UUID of player Steve is 069a79f4-44e9-4726-a5be-fca90e38aaf5",
+        "[12:34:56] [Server thread/INFO]: Steve[/127.0.0.1:51234] logged in with entity id 123 at (0.5, 64.0, 0.5)",
+        "[12:34:56] [Server thread/INFO]: Steve joined the game",
+        "[12:34:57 INFO]: Alex joined the game"
+    ]);
+
+    assert.deepStrictEqual(changed, [false, true, false, true]);
+    assert.deepStrictEqual(tracker.list("lobby").players.map(p => [p.name, p.uuid, p.ip, p.estimated]), [
+        ["Steve", "069a79f4-44e9-4726-a5be-fca90e38aaf5", "127.0.0.1", false],
+        ["Alex", null, null, false]
+    ]);
+
+    // "lost connection" and "left the game" both follow a disconnect
+    assert.deepStrictEqual(feed(tracker, "lobby", [
+        "[12:36:00] [Server thread/INFO]: Steve lost connection: Disconnected",
+        "[12:36:00] [Server thread/INFO]: Steve left the game"
+    ]), [true, false]);
+    assert.strictEqual(tracker.count("lobby"), 1);
+    assert.strictEqual(tracker.count("survival"), 0);
+});
+
+test("answers to `list` correct missed joins and leaves", () => {
+    const tracker = new PlayerTracker();
+    feed(tracker, "lobby", ["[12:00:00 INFO]: Alex joined the game"], "2026-01-01T12:00:00.000Z");
+    tracker.notePoll("lobby");
+
+    feed(tracker, "lobby", ["[12:05:00 INFO]: There are 2 of a max of 20 players online: Notch, Steve"], "2026-01-01T12:05:00.000Z");
+    const list = tracker.list("lobby");
+    assert.strictEqual(list.max, 20);
+    assert.strictEqual(list.updatedAt, "2026-01-01T12:05:00.000Z");
+    assert.deepStrictEqual(list.players.map(p => [p.name, p.joinedAt, p.estimated]), [
+        ["Notch", "2026-01-01T12:05:00.000Z", true],
+        ["Steve", "2026-01-01T12:05:00.000Z", true]
+    ]);
+    assert.strictEqual(tracker.instances.lobby.unanswered, 0);
+
+    // The same answer again changes nothing
+    assert.deepStrictEqual(feed(tracker, "lobby", ["[12:06:00 INFO]: There are 2 of a max of 20 players online: Notch, Steve"]), [false]);
+});
+
+test("polling starts after startup and stops when `list` is never answered", () => {
+    const tracker = new PlayerTracker({ maxUnanswered: 2 });
+    assert.strictEqual(tracker.shouldPoll("proxy"), false);
+
+    feed(tracker, "proxy", ["[12:00:00 INFO]: Done (3.2s)! For help, type \"help\""]);
+    assert.strictEqual(tracker.shouldPoll("proxy"), true);
+    tracker.notePoll("proxy");
+    tracker.notePoll("proxy");
+    assert.strictEqual(tracker.shouldPoll("proxy"), false);
+});
+
+test("a renamed instance keeps its players", () => {
+    const tracker = new PlayerTracker();
+    feed(tracker, "lobby", ["[12:00:00 INFO]: Notch joined the game"]);
+
+    tracker.renameInstance("lobby", "hub");
+    assert.strictEqual(tracker.count("lobby"), 0);
+    assert.deepStrictEqual(tracker.list("hub").players.map(p => p.name), ["Notch"]);
+    tracker.renameInstance("missing", "other");
+    assert.strictEqual(tracker.instances.other, undefined);
+});
+
+test("reset empties the list and tells whether anyone was online", () => {
+    const tracker = new PlayerTracker();
+    feed(tracker, "lobby", ["[12:00:00 INFO]: Notch joined the game"]);
+    feed(tracker, "survival", ["[12:00:00 INFO]: Done (3.2s)! For help, type \"help\""]);
+
+    assert.strictEqual(tracker.reset("lobby"), true);
+    assert.deepStrictEqual(tracker.list("lobby"), { online: 0, max: null, updatedAt: null, players: [] });
+    assert.strictEqual(tracker.reset("survival"), false);
+    assert.strictEqual(tracker.shouldPoll("survival"), false);
+    assert.strictEqual(tracker.reset("missing"), false);
+});
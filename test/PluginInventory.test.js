@@ -0,0 +1,81 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const PluginInventory = require("../PluginInventory");
+
+function plugin(fields) {
+    return { folder: "plugins", file: `${fields.id}.jar`, enabled: true, name: String(fields.id), dependencies: [], provides: [], ...fields };
+}
+
+test("parseYaml reads nested mappings, block and flow lists and quoted strings", () => {
+    const yaml = [
+        "name: Example",
+        "version: '1.2'",
+        "description: \"Says \\\"hi\\\"\" # trailing comment",
+        "depend: [Vault, 'ProtocolLib']",
+        "softdepend:",
+        "  - LuckPerms",
+        "  - PlaceholderAPI",
+        "dependencies:",
+        "  server:",
+        "    Vault:",
+        "      required: false",
+        "commands:",
+        "  hello:",
+        "    usage: |",
+        "      /hello"
+    ].join("\n");
+    assert.deepStrictEqual(PluginInventory.parseYaml(yaml), {
+        name: "Example",
+        version: "1.2",
+        description: 'Says "hi"',
+        depend: ["Vault", "ProtocolLib"],
+        softdepend: ["LuckPerms", "PlaceholderAPI"],
+        dependencies: { server: { Vault: { required: "false" } } },
+        commands: { hello: { usage: "" } }
+    });
+});
+
+test("describe skips Velocity dependencies without a string id", () => {
+    const meta = PluginInventory.describe({
+        "velocity-plugin.json": Buffer.from(JSON.stringify({
+            id: "proxyplugin",
+            dependencies: [{ id: "luckperms" }, { optional: true }, { id: 7 }, null, { id: "papiproxybridge", optional: true }]
+        }))
+    });
+    assert.deepStrictEqual(meta.dependencies, [
+        { id: "luckperms", required: true },
+        { id: "papiproxybridge", required: false }
+    ]);
+});
+
+test("analyze flags missing required dependencies and duplicate ids", () => {
+    const plugins = [
+        plugin({ id: "Essentials", dependencies: [{ id: "Vault", required: true }, { id: "Dynmap", required: false }] }),
+        plugin({ id: "essentials", file: "EssentialsX-2.jar" }),
+        plugin({ id: "fabric-api", kind: "fabric", dependencies: [{ id: "minecraft", required: true }] }),
+        plugin({ id: "Vault", enabled: false })
+    ];
+    const issues = PluginInventory.analyze(plugins);
+    assert.deepStrictEqual(plugins[0].missing, ["Vault"]);
+    assert.deepStrictEqual(plugins[2].missing, []);
+    assert.strictEqual(plugins[0].duplicate, true);
+    assert.strictEqual(plugins[1].duplicate, true);
+    assert.strictEqual(plugins[3].duplicate, false);
+    assert.deepStrictEqual(issues, [
+        { type: "missing-dependency", plugin: "Essentials", file: "Essentials.jar", dependency: "Vault" },
+        { type: "duplicate", id: "Essentials", files: ["plugins/Essentials.jar", "plugins/EssentialsX-2.jar"] }
+    ]);
+});
+
+test("analyze and compare tolerate ids that are not strings", () => {
+    const plugins = [
+        plugin({ id: 42, file: "numeric.jar", dependencies: [{ id: undefined, required: true }] }),
+        plugin({ id: "Other", provides: [5], dependencies: [{ id: 42, required: true }] })
+    ];
+    assert.deepStrictEqual(PluginInventory.analyze(plugins), []);
+    const rows = PluginInventory.compare({ lobby: { plugins }, survival: { plugins: [plugins[1]] } });
+    assert.deepStrictEqual(rows.map(r => [r.id, r.versions]), [
+        ["42", { lobby: "?", survival: null }],
+        ["Other", { lobby: "?", survival: "?" }]
+    ]);
+});
@@ -0,0 +1,55 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const PortCheck = require("../PortCheck");
+
+const tcp = (host, port, purpose = "server") => ({ purpose, protocol: "tcp", host, port });
+const udp = (host, port, purpose = "query") => ({ purpose, protocol: "udp", host, port });
+
+test("bindings overlap on the same protocol and port when an address is shared or a wildcard", () => {
+    assert.strictEqual(PortCheck.overlaps(tcp("*", 25565), tcp("127.0.0.1", 25565)), true);
+    assert.strictEqual(PortCheck.overlaps(tcp("10.0.0.5", 25565), tcp("*", 25565)), true);
+    assert.strictEqual(PortCheck.overlaps(tcp("10.0.0.5", 25565), tcp("10.0.0.5", 25565)), true);
+    assert.strictEqual(PortCheck.overlaps(tcp("10.0.0.5", 25565), tcp("127.0.0.1", 25565)), false);
+    assert.strictEqual(PortCheck.overlaps(tcp("*", 25565), udp("*", 25565)), false);
+    assert.strictEqual(PortCheck.overlaps(tcp("*", 25565), tcp("*", 25566)), false);
+});
+
+test("find reports clashes between instances; only running ones block", () => {
+    const conflicts = PortCheck.find({
+        lobby: { ports: [tcp("*", 25565), udp("*", 25565)], running: true },
+        survival: { ports: [tcp("127.0.0.1", 25565), udp("*", 25566)], running: false },
+        creative: { ports: [tcp("10.0.0.5", 25566)], running: false }
+    }, []);
+
+    assert.deepStrictEqual(conflicts.lobby, [
+        { purpose: "server", protocol: "tcp", port: 25565, instance: "survival", otherPurpose: "server", running: false, blocking: false }
+    ]);
+    assert.deepStrictEqual(conflicts.survival, [
+        { purpose: "server", protocol: "tcp", port: 25565, instance: "lobby", otherPurpose: "server", running: true, blocking: true }
+    ]);
+    // Same port number, other protocol
+    assert.deepStrictEqual(conflicts.creative, []);
+    assert.strictEqual(PortCheck.describe(conflicts.survival[0]), "server port 25565/tcp is also the server port of lobby (running)");
+});
+
+test("two ports of one instance on the same binding always block", () => {
+    const conflicts = PortCheck.find({ lobby: { ports: [tcp("*", 25565), tcp("*", 25565, "rcon")], running: false } }, []);
+    assert.deepStrictEqual(conflicts.lobby.map(c => [c.purpose, c.otherPurpose, c.blocking]), [["server", "rcon", true], ["rcon", "server", true]]);
+});
+
+test("stopped instances are checked against the host's listening sockets", () => {
+    const host = [tcp("*", 25565), udp("127.0.0.1", 25566)];
+    const conflicts = PortCheck.find({
+        lobby: { ports: [tcp("10.0.0.5", 25565)], running: false },
+        survival: { ports: [udp("*", 25566), tcp("*", 25566)], running: false },
+        // A running instance holds its own port
+        creative: { ports: [tcp("*", 25565)], running: true }
+    }, host);
+
+    assert.deepStrictEqual(conflicts.lobby, [
+        { purpose: "server", protocol: "tcp", port: 25565, instance: "creative", otherPurpose: "server", running: true, blocking: true }
+    ]);
+    assert.deepStrictEqual(conflicts.survival, [{ purpose: "query", protocol: "udp", port: 25566, host: true, blocking: true }]);
+    assert.strictEqual(PortCheck.describe(conflicts.survival[0]), "query port 25566/udp is already in use on this host");
+    assert.deepStrictEqual(conflicts.creative.map(c => c.instance), ["lobby"]);
+});
@@ -0,0 +1,132 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const ConfigFile = require("../ConfigFile");
+const ProxyNetwork = require("../ProxyNetwork");
+
+// Excerpt of Velocity's default velocity.toml
+const VELOCITY = [
+    'bind = "0.0.0.0:25577"',
+    'online-mode = true',
+    'player-info-forwarding-mode = "none"',
+    'forwarding-secret-file = "forwarding.secret"',
+    "",
+    "[servers]",
+    'lobby = "127.0.0.1:30066"',
+    'factions = "127.0.0.1:30067"',
+    "",
+    "# In what order we should try servers when a player logs in or is kicked from a server.",
+    "try = [",
+    '    "lobby"',
+    "]",
+    "",
+    "[forced-hosts]",
+    '"lobby.example.com" = [',
+    '    "lobby"',
+    "]",
+    '"factions.example.com" = [',
+    '    "factions"',
+    "]",
+    ""
+].join("\n");
+
+// Excerpt of BungeeCord's default config.yml
+const BUNGEE = [
+    "servers:",
+    "  lobby:",
+    "    motd: '&1Just another BungeeCord - Forced Host'",
+    "    address: localhost:25565",
+    "    restricted: false",
+    "listeners:",
+    "- query_port: 25577",
+    "  motd: '&1Another Bungee server'",
+    "  priorities:",
+    "  - lobby",
+    "  bind_local_address: true",
+    "  host: 0.0.0.0:25577",
+    "ip_forward: false",
+    ""
+].join("\n");
+
+test("updateVelocity registers servers, fallbacks and removes what an earlier sync wrote", () => {
+    const toml = ConfigFile.parse("toml", VELOCITY);
+    const removed = ProxyNetwork.updateVelocity(toml, [
+        { name: "survival", address: "127.0.0.1:25566", fallback: true },
+        { name: "creative", address: "127.0.0.1:25567", fallback: false }
+    ], ["factions", "old"]);
+
+    assert.deepStrictEqual(removed, ["factions", "old"]);
+    const parsed = ConfigFile.parse("toml", toml.toString());
+    assert.strictEqual(parsed.get("servers.lobby"), "127.0.0.1:30066");
+    assert.strictEqual(parsed.get("servers.survival"), "127.0.0.1:25566");
+    assert.strictEqual(parsed.get("servers.creative"), "127.0.0.1:25567");
+    assert.strictEqual(parsed.get("servers.factions"), undefined);
+    // Fallbacks first, servers the manager does not know keep their place after them
+    assert.deepStrictEqual(parsed.getArray("servers.try"), ["survival", "lobby"]);
+    const forced = parsed.scan().arrays.filter(a => a.table === "forced-hosts").map(a => [a.key, a.values]);
+    assert.deepStrictEqual(forced, [["forced-hosts.lobby.example.com", ["lobby"]], ["forced-hosts.factions.example.com", []]]);
+
+    // A second sync with the same servers changes nothing
+    const again = ConfigFile.parse("toml", toml.toString());
+    ProxyNetwork.updateVelocity(again, [
+        { name: "survival", address: "127.0.0.1:25566", fallback: true },
+        { name: "creative", address: "127.0.0.1:25567", fallback: false }
+    ], ["survival", "creative"]);
+    assert.strictEqual(again.toString(), toml.toString());
+});
+
+test("updateBungee registers servers and rewrites the first listener's priorities", () => {
+    const yaml = ConfigFile.parse("yaml", BUNGEE);
+    ProxyNetwork.updateBungee(yaml, [
+        { name: "survival", address: "127.0.0.1:25566", fallback: true },
+        { name: "lobby", address: "127.0.0.1:25570", fallback: false }
+    ], []);
+
+    const parsed = ConfigFile.parse("yaml", yaml.toString());
+    assert.strictEqual(parsed.get("servers.survival.address"), "127.0.0.1:25566");
+    assert.strictEqual(parsed.get("servers.survival.motd"), "survival");
+    assert.strictEqual(parsed.get("servers.survival.restricted"), "false");
+    // An existing server only gets its address updated
+    assert.strictEqual(parsed.get("servers.lobby.address"), "127.0.0.1:25570");
+    assert.strictEqual(parsed.get("servers.lobby.motd"), "&1Just another BungeeCord - Forced Host");
+    assert.deepStrictEqual(ProxyNetwork.bungeePriorities(parsed).values, ["survival"]);
+    assert.match(yaml.toString(), /^ {2}priorities:\n {2}- survival\n {2}bind_local_address: true$/m);
+
+    const removed = ProxyNetwork.updateBungee(parsed, [], ["survival", "lobby"]);
+    assert.deepStrictEqual(removed, ["survival", "lobby"]);
+    assert.strictEqual(parsed.get("servers.survival.address"), undefined);
+    assert.match(parsed.toString(), /^ {2}priorities: \[\]$/m);
+    assert.deepStrictEqual(ProxyNetwork.bungeePriorities(ConfigFile.parse("yaml", parsed.toString())).values, []);
+});
+
+test("bungeePriorities reads block and flow lists", () => {
+    const block = ProxyNetwork.bungeePriorities(ConfigFile.parse("yaml", BUNGEE));
+    assert.deepStrictEqual(block, { index: 8, end: 9, column: 2, values: ["lobby"] });
+
+    const flow = ProxyNetwork.bungeePriorities(ConfigFile.parse("yaml", "listeners:\n- priorities: [lobby, 'hub'] # fallbacks\n  host: 0.0.0.0:25577\n"));
+    assert.deepStrictEqual(flow, { index: 1, end: 1, column: 2, values: ["lobby", "hub"] });
+
+    assert.strictEqual(ProxyNetwork.bungeePriorities(ConfigFile.parse("yaml", "servers: {}\n")), null);
+});
+
+test("velocitySecret creates a secret file only its owner can read", async () => {
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "proxy-"));
+    try {
+        const toml = ConfigFile.parse("toml", VELOCITY);
+        const secret = await ProxyNetwork.velocitySecret(dir, toml);
+        const file = path.join(dir, "forwarding.secret");
+
+        assert.match(secret, /^[A-Za-z0-9]{1,12}$/);
+        assert.strictEqual(await fs.promises.readFile(file, "utf-8"), secret);
+        assert.strictEqual((await fs.promises.stat(file)).mode & 0o777, 0o600);
+        assert.strictEqual(await ProxyNetwork.velocitySecret(dir, toml), secret);
+
+        // Velocity before 3.1 kept the secret in velocity.toml
+        const inline = ConfigFile.parse("toml", 'forwarding-secret = "abc123"\n');
+        assert.strictEqual(await ProxyNetwork.velocitySecret(dir, inline), "abc123");
+    } finally {
+        await fs.promises.rm(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,97 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const dgram = require("dgram");
+const QueryClient = require("../QueryClient");
+
+const TOKEN = 9513307;
+
+// A local GS4 query server; full stats are only answered with the token from the handshake
+function stubServer(info, players) {
+    const server = dgram.createSocket("udp4");
+    server.on("message", (msg, peer) => {
+        if (msg[0] !== 0xfe || msg[1] !== 0xfd) return;
+        const type = msg[2];
+        const session = msg.subarray(3, 7);
+        if (type === 9) {
+            server.send(Buffer.concat([Buffer.from([9]), session, Buffer.from(`${TOKEN}\0`, "latin1")]), peer.port, peer.address);
+        } else if (type === 0 && msg.length === 15 && msg.readInt32BE(7) === TOKEN) {
+            const kv = Object.entries(info).map(([key, value]) => `${key}\0${value}\0`).join("");
+            const body = "splitnum\0\x80\0" + kv + "\0" + "\x01player_\0\0" + players.map(p => `${p}\0`).join("") + "\0";
+            server.send(Buffer.concat([Buffer.from([0]), session, Buffer.from(body, "latin1")]), peer.port, peer.address);
+        }
+    });
+    return new Promise(resolve => server.bind(0, "127.0.0.1", () => resolve(server)));
+}
+
+test("handshakes and parses the full stat", async () => {
+    const server = await stubServer({
+        hostname: "§bA Paper server",
+        gametype: "SMP",
+        game_id: "MINECRAFT",
+        version: "1.20.6",
+        plugins: "Paper on 1.20.6: LuckPerms 5.4.102; Vault 1.7.3",
+        map: "world",
+        numplayers: "2",
+        maxplayers: "20",
+        hostport: "25565",
+        hostip: "127.0.0.1"
+    }, ["Alex", "Steve"]);
+    try {
+        const result = await QueryClient.query("127.0.0.1", server.address().port, { timeout: 2000 });
+        assert.deepStrictEqual(result, {
+            motd: "A Paper server",
+            gameType: "SMP",
+            gameId: "MINECRAFT",
+            version: "1.20.6",
+            software: "Paper on 1.20.6",
+            plugins: [{ name: "LuckPerms", version: "5.4.102" }, { name: "Vault", version: "1.7.3" }],
+            map: "world",
+            online: 2,
+            max: 20,
+            hostPort: 25565,
+            hostIp: "127.0.0.1",
+            players: ["Alex", "Steve"]
+        });
+    } finally {
+        server.close();
+    }
+});
+
+test("handles a server without plugins or players", async () => {
+    const server = await stubServer({ hostname: "Vanilla", plugins: "", numplayers: "0", maxplayers: "10" }, []);
+    try {
+        const result = await QueryClient.query("127.0.0.1", server.address().port, { timeout: 2000 });
+        assert.strictEqual(result.software, null);
+        assert.deepStrictEqual(result.plugins, []);
+        assert.deepStrictEqual(result.players, []);
+        assert.strictEqual(result.max, 10);
+    } finally {
+        server.close();
+    }
+});
+
+test("times out when nobody answers", async () => {
+    const server = dgram.createSocket("udp4");
+    await new Promise(resolve => server.bind(0, "127.0.0.1", resolve));
+    try {
+        await assert.rejects(QueryClient.query("127.0.0.1", server.address().port, { timeout: 200 }), /timed out/);
+    } finally {
+        server.close();
+    }
+});
+
+test("parsePlugins splits software, names and versions", () => {
+    assert.deepStrictEqual(QueryClient.parsePlugins(""), { software: null, plugins: [] });
+    assert.deepStrictEqual(QueryClient.parsePlugins("CraftBukkit on Bukkit 1.2.5-R4.0"), {
+        software: "CraftBukkit on Bukkit 1.2.5-R4.0",
+        plugins: []
+    });
+    assert.deepStrictEqual(QueryClient.parsePlugins("Paper on 1.21: EssentialsX Chat 2.20.1; WorldEdit 7.3.0"), {
+        software: "Paper on 1.21",
+        plugins: [{ name: "EssentialsX Chat", version: "2.20.1" }, { name: "WorldEdit", version: "7.3.0" }]
+    });
+    assert.deepStrictEqual(QueryClient.parsePlugins("Paper on 1.21: Unversioned"), {
+        software: "Paper on 1.21",
+        plugins: [{ name: "Unversioned", version: null }]
+    });
+});
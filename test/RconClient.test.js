@@ -0,0 +1,78 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const net = require("net");
+const RconClient = require("../RconClient");
+
+// A local RCON server: password "secret"; "list" answers in three packets
+function fakeServer() {
+    const server = net.createServer(socket => {
+        let buffer = Buffer.alloc(0);
+        socket.on("data", data => {
+            buffer = Buffer.concat([buffer, data]);
+            while (buffer.length >= 4 && buffer.length >= buffer.readInt32LE(0) + 4) {
+                const size = buffer.readInt32LE(0);
+                const id = buffer.readInt32LE(4);
+                const type = buffer.readInt32LE(8);
+                const body = buffer.toString("utf-8", 12, size + 2);
+                buffer = buffer.subarray(size + 4);
+                if (type === 3) {
+                    // Like Minecraft: an empty response first, then the auth result
+                    socket.write(RconClient.encode(id, 0, ""));
+                    socket.write(RconClient.encode(body === "secret" ? id : -1, 2, ""));
+                } else if (type === 2) {
+                    const answer = body === "list" ? ["There are 2 players: ", "§aAlex§r, ", "Steve"] : [`Unknown command: ${body}`];
+                    for (const part of answer) socket.write(RconClient.encode(id, 0, part));
+                } else {
+                    socket.write(RconClient.encode(id, 0, ""));
+                }
+            }
+        });
+    });
+    return new Promise(resolve => server.listen(0, "127.0.0.1", () => resolve(server)));
+}
+
+test("runs commands and joins replies split over several packets", async () => {
+    const server = await fakeServer();
+    const client = new RconClient({ port: server.address().port, password: "secret" });
+    try {
+        assert.strictEqual(await client.connect(), client);
+        assert.strictEqual(await client.command("list"), "There are 2 players: Alex, Steve");
+        assert.strictEqual(await client.command("foo"), "Unknown command: foo");
+    } finally {
+        client.close();
+        server.close();
+    }
+});
+
+test("rejects a wrong password and closes the connection", async () => {
+    const server = await fakeServer();
+    const client = new RconClient({ port: server.address().port, password: "wrong" });
+    try {
+        await assert.rejects(client.connect(), /authentication failed/);
+        assert.strictEqual(client.closed, true);
+        await assert.rejects(client.command("list"), /not connected/);
+    } finally {
+        server.close();
+    }
+});
+
+test("rejects when the connection is refused", async () => {
+    const server = await fakeServer();
+    const port = server.address().port;
+    await new Promise(resolve => server.close(resolve));
+
+    const client = new RconClient({ port, password: "secret", timeout: 1000 });
+    await assert.rejects(client.connect(), err => err.code === "ECONNREFUSED");
+    assert.strictEqual(client.closed, true);
+});
+
+test("rejects when the server never answers", async () => {
+    const server = net.createServer(() => {});
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+    const client = new RconClient({ port: server.address().port, password: "secret", timeout: 200 });
+    try {
+        await assert.rejects(client.connect(), /timed out/);
+    } finally {
+        server.close();
+    }
+});
@@ -0,0 +1,101 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const RestartSupervisor = require("../RestartSupervisor");
+
+const policy = overrides => RestartSupervisor.normalize({ mode: "on-failure", backoffSeconds: 5, maxBackoffSeconds: 12, maxRetries: 3, ...overrides });
+
+test("normalize fills in defaults and rejects invalid values", () => {
+    assert.deepStrictEqual(RestartSupervisor.normalize({}), RestartSupervisor.DEFAULT_POLICY);
+    assert.strictEqual(RestartSupervisor.normalize({ maxRetries: "2" }).maxRetries, 2);
+    assert.throws(() => RestartSupervisor.normalize({ mode: "sometimes" }), /Restart mode/);
+    assert.throws(() => RestartSupervisor.normalize({ backoffSeconds: -1 }), /Invalid backoffSeconds/);
+    assert.throws(() => RestartSupervisor.normalize({ stableSeconds: 1.5 }), /Invalid stableSeconds/);
+});
+
+test("restarts crashes with exponential backoff and gives up after maxRetries", t => {
+    t.mock.timers.enable({ apis: ["setTimeout"] });
+    const restarted = [];
+    const supervisor = new RestartSupervisor(name => restarted.push(name));
+
+    const delays = [];
+    for (let i = 0; i < 3; i++) {
+        supervisor.started("lobby");
+        const decision = supervisor.exited("lobby", policy(), { code: 1 });
+        assert.strictEqual(decision.exit.crashed, true);
+        assert.strictEqual(decision.action, "restart");
+        assert.strictEqual(decision.attempt, i + 1);
+        delays.push(decision.delayMs);
+        assert.ok(supervisor.state("lobby").nextRestartAt);
+        t.mock.timers.tick(decision.delayMs);
+    }
+    assert.deepStrictEqual(delays, [5000, 10000, 12000]);
+    assert.deepStrictEqual(restarted, ["lobby", "lobby", "lobby"]);
+
+    supervisor.started("lobby");
+    const decision = supervisor.exited("lobby", policy(), { code: 1 });
+    assert.strictEqual(decision.action, "give_up");
+    assert.match(decision.reason, /after 3 restart attempts/);
+    assert.deepStrictEqual(supervisor.state("lobby"), { attempt: 0, nextRestartAt: null });
+});
+
+test("tells requested stops and clean exits from crashes", t => {
+    t.mock.timers.enable({ apis: ["setTimeout"] });
+    const supervisor = new RestartSupervisor(() => { });
+
+    supervisor.started("lobby");
+    supervisor.expectStop("lobby");
+    const stopped = supervisor.exited("lobby", policy({ mode: "always" }), { signal: "SIGTERM" });
+    assert.deepStrictEqual([stopped.exit.expected, stopped.exit.crashed, stopped.action], [true, false, "none"]);
+
+    supervisor.started("lobby");
+    const clean = supervisor.exited("lobby", policy(), { code: 0 });
+    assert.deepStrictEqual([clean.exit.crashed, clean.action], [false, "none"]);
+
+    supervisor.started("lobby");
+    const always = supervisor.exited("lobby", policy({ mode: "always" }), { code: 0 });
+    assert.strictEqual(always.action, "restart");
+    assert.strictEqual(supervisor.cancel("lobby"), true);
+
+    supervisor.started("lobby");
+    assert.strictEqual(supervisor.exited("lobby", policy(), { code: 0, cause: "oom" }).exit.crashed, true);
+    supervisor.cancel("lobby");
+    assert.strictEqual(supervisor.exited("lobby", policy({ mode: "never" }), { code: 1 }).action, "none");
+});
+
+test("a failed stop no longer hides the next crash", t => {
+    t.mock.timers.enable({ apis: ["setTimeout"] });
+    const supervisor = new RestartSupervisor(() => { });
+
+    supervisor.started("lobby");
+    supervisor.expectStop("lobby");
+    supervisor.clearExpectedStop("lobby");
+    const decision = supervisor.exited("lobby", policy(), { code: 1 });
+    assert.deepStrictEqual([decision.exit.expected, decision.exit.crashed, decision.action], [false, true, "restart"]);
+    supervisor.cancel("lobby");
+    supervisor.clearExpectedStop("missing");
+    assert.deepStrictEqual(supervisor.state("missing"), { attempt: 0, nextRestartAt: null });
+});
+
+test("detects crash loops and resets the counter after a stable run", t => {
+    t.mock.timers.enable({ apis: ["setTimeout"] });
+    const supervisor = new RestartSupervisor(() => { });
+    const loop = policy({ maxRetries: 0, crashLoopCount: 3, crashLoopWindowSeconds: 600 });
+    for (let i = 0; i < 2; i++) {
+        supervisor.started("lobby");
+        assert.strictEqual(supervisor.exited("lobby", loop, { code: 1 }).action, "restart");
+    }
+    supervisor.started("lobby");
+    const decision = supervisor.exited("lobby", loop, { code: 1 });
+    assert.strictEqual(decision.action, "give_up");
+    assert.match(decision.reason, /Crash loop: 3 crashes within 600s/);
+
+    supervisor.started("lobby");
+    supervisor.exited("lobby", policy(), { code: 1 });
+    supervisor.started("lobby");
+    // Ran longer than stableSeconds
+    supervisor.states.lobby.startedAt -= 301 * 1000;
+    const stable = supervisor.exited("lobby", policy(), { code: 1 });
+    assert.strictEqual(stable.attempt, 1);
+    assert.strictEqual(stable.delayMs, 5000);
+    supervisor.renameInstance("lobby", null);
+});
@@ -0,0 +1,29 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const path = require("path");
+const SafePath = require("../SafePath");
+
+const root = path.resolve("/srv/lobby");
+
+test("resolve keeps paths inside the base directory", () => {
+    assert.strictEqual(SafePath.resolve(root, "."), root);
+    assert.strictEqual(SafePath.resolve(root, "plugins/../world/level.dat"), path.join(root, "world", "level.dat"));
+    for (const rel of ["..", "../lobby2", "../../etc/passwd", "/etc/passwd"]) {
+        assert.throws(() => SafePath.resolve(root, rel), err => err.status === 403, rel);
+    }
+});
+
+test("a sibling directory that shares the prefix is outside", () => {
+    // What a rename to "../../lobby2/plugins/evil.jar" from plugins/a.jar resolves to
+    const target = path.join("plugins", "../../lobby2/plugins/evil.jar");
+    assert.ok(path.resolve(root, target).startsWith(root));
+    assert.throws(() => SafePath.resolve(root, target), /Path traversal/);
+});
+
+test("isEntryName only accepts single directory entry names", () => {
+    assert.strictEqual(SafePath.isEntryName("evil.jar"), true);
+    assert.strictEqual(SafePath.isEntryName("..hidden"), true);
+    for (const name of ["", ".", "..", "a/b", "../lobby2/x", "a\\b", "a\0b", null, 5]) {
+        assert.strictEqual(SafePath.isEntryName(name), false, String(name));
+    }
+});
@@ -0,0 +1,43 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const Scheduler = require("../Scheduler");
+
+function job(id, schedule) {
+    return { id, name: id, instance: null, schedule, action: { type: "restart" }, enabled: true, lastRun: null, history: [] };
+}
+
+test("start disables stored jobs with invalid schedules instead of throwing", async t => {
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "scheduler-"));
+    const file = path.join(dir, "schedules.json");
+    const scheduler = new Scheduler(file, async () => "ran");
+    t.after(async () => {
+        for (const id of Object.keys(scheduler.jobs)) scheduler.disarm(id);
+        await fs.promises.rm(dir, { recursive: true, force: true });
+    });
+    await fs.promises.writeFile(file, JSON.stringify({
+        good: job("good", { type: "cron", expression: "0 4 * * *" }),
+        empty: job("empty", { type: "cron", expression: "1,,2 * * * *" }),
+        broken: job("broken", null)
+    }));
+    scheduler.jobs = scheduler.loadJobs();
+    t.mock.method(console, "error", () => { });
+
+    scheduler.start();
+    assert.strictEqual(scheduler.jobs.good.enabled, true);
+    assert.ok(scheduler.timers.good);
+    for (const id of ["empty", "broken"]) {
+        assert.strictEqual(scheduler.jobs[id].enabled, false, id);
+        assert.strictEqual(scheduler.timers[id], undefined, id);
+        assert.match(scheduler.jobs[id].lastRun.message, /^Disabled: /);
+    }
+    assert.strictEqual(scheduler.list().length, 3);
+    assert.strictEqual(JSON.parse(await fs.promises.readFile(file, "utf-8")).empty.enabled, false);
+});
+
+test("validate refuses cron expressions with empty fields", () => {
+    assert.throws(() => Scheduler.validate({ name: "x", instance: null, schedule: { type: "cron", expression: "*/ * * * *" }, action: { type: "restart" } }), /Invalid step/);
+    assert.throws(() => Scheduler.validate({ name: "x", instance: null, schedule: { type: "cron", expression: "1- * * * *" }, action: { type: "restart" } }), /Missing value/);
+});
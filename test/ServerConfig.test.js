@@ -0,0 +1,50 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const ServerConfig = require("../ServerConfig");
+
+async function withDir(files, fn) {
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "server-config-"));
+    try {
+        for (const [file, text] of Object.entries(files)) await fs.promises.writeFile(path.join(dir, file), text);
+        await fn(dir);
+    } finally {
+        await fs.promises.rm(dir, { recursive: true, force: true });
+    }
+}
+
+test("server.properties: server, query and RCON ports", () => withDir({
+    "server.properties": "server-ip=\nserver-port=25566\nenable-query=true\nquery.port=25567\nenable-rcon=true\n"
+}, dir => {
+    assert.deepStrictEqual(ServerConfig.ports(dir), [
+        { purpose: "server", protocol: "tcp", host: "*", port: 25566 },
+        { purpose: "query", protocol: "udp", host: "*", port: 25567 },
+        { purpose: "rcon", protocol: "tcp", host: "*", port: 25575 }
+    ]);
+    assert.deepStrictEqual(ServerConfig.listenAddress(dir), { host: "127.0.0.1", port: 25566 });
+}));
+
+test("velocity.toml wins over a server.properties next to it", () => withDir({
+    "velocity.toml": 'bind = "10.0.0.5:25577"\n\n[query]\nenabled = false\n',
+    "server.properties": "server-port=25565\n"
+}, dir => {
+    assert.strictEqual(ServerConfig.serverType(dir), "velocity");
+    assert.deepStrictEqual(ServerConfig.ports(dir), [{ purpose: "server", protocol: "tcp", host: "10.0.0.5", port: 25577 }]);
+    assert.deepStrictEqual(ServerConfig.listenAddress(dir), { host: "10.0.0.5", port: 25577 });
+}));
+
+test("BungeeCord listeners, and directories without a config", async () => {
+    await withDir({ "config.yml": "listeners:\n- query_port: 25577\n  host: 0.0.0.0:25577\n  query_enabled: true\n" }, dir => {
+        assert.deepStrictEqual(ServerConfig.ports(dir), [
+            { purpose: "server", protocol: "tcp", host: "*", port: 25577 },
+            { purpose: "query", protocol: "udp", host: "*", port: 25577 }
+        ]);
+        assert.deepStrictEqual(ServerConfig.listenAddress(dir), { host: "127.0.0.1", port: 25577 });
+    });
+    await withDir({ "config.yml": "settings: {}\n" }, dir => {
+        assert.deepStrictEqual(ServerConfig.ports(dir), []);
+        assert.strictEqual(ServerConfig.listenAddress(dir), null);
+    });
+});
@@ -0,0 +1,85 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const net = require("net");
+const ServerListPing = require("../ServerListPing");
+
+const STATUS = {
+    version: { name: "Paper 1.21.1", protocol: 767 },
+    players: { online: 2, max: 20, sample: [{ name: "Alex", id: "0" }, { name: "Steve", id: "1" }] },
+    description: { text: "§aHello ", extra: [{ text: "world" }, "!"] }
+};
+
+// A local server; `mode` is "modern" (status and pong), "no-pong" (closes after the status)
+// or "legacy" (drops the modern handshake, answers the 0xFE ping)
+function stubServer(mode) {
+    const server = net.createServer(socket => {
+        let buffer = Buffer.alloc(0);
+        socket.on("error", () => {});
+        socket.on("data", data => {
+            buffer = Buffer.concat([buffer, data]);
+            if (buffer[0] === 0xfe) {
+                const text = ["§1", "127", "1.6.4", "A §cclassic§r server", "5", "50"].join("\0");
+                const body = Buffer.from(text, "utf16le").swap16();
+                const header = Buffer.from([0xff, 0, 0]);
+                header.writeUInt16BE(text.length, 1);
+                return socket.end(Buffer.concat([header, body]));
+            }
+            if (mode === "legacy") return socket.destroy();
+
+            while (true) {
+                const length = ServerListPing.readVarInt(buffer);
+                if (!length || buffer.length < length.size + length.value) return;
+                const packet = buffer.subarray(length.size, length.size + length.value);
+                buffer = buffer.subarray(length.size + length.value);
+                const id = ServerListPing.readVarInt(packet).value;
+                // The handshake (id 0 with fields) needs no answer; the empty request does
+                if (id === 0x00 && packet.length === 1) {
+                    socket.write(ServerListPing.packet(0x00, ServerListPing.string(JSON.stringify(STATUS))));
+                    if (mode === "no-pong") socket.end();
+                } else if (id === 0x01) {
+                    socket.write(ServerListPing.packet(0x01, packet.subarray(1)));
+                }
+            }
+        });
+    });
+    return new Promise(resolve => server.listen(0, "127.0.0.1", () => resolve(server)));
+}
+
+async function withServer(mode, run) {
+    const server = await stubServer(mode);
+    try {
+        return await run(server.address().port);
+    } finally {
+        server.close();
+    }
+}
+
+test("reads the status and measures the pong", () => withServer("modern", async port => {
+    const result = await ServerListPing.ping("127.0.0.1", port, { timeout: 2000 });
+    assert.deepStrictEqual({ ...result, latency: undefined }, {
+        version: "Paper 1.21.1", protocol: 767, motd: "Hello world!", online: 2, max: 20,
+        sample: ["Alex", "Steve"], legacy: false, latency: undefined
+    });
+    assert.ok(Number.isInteger(result.latency) && result.latency >= 0);
+}));
+
+test("keeps the status when the server closes before the pong", () => withServer("no-pong", async port => {
+    const result = await ServerListPing.ping("127.0.0.1", port, { timeout: 2000 });
+    assert.strictEqual(result.motd, "Hello world!");
+    assert.strictEqual(result.latency, null);
+}));
+
+test("falls back to the legacy 0xFE ping", () => withServer("legacy", async port => {
+    const result = await ServerListPing.ping("127.0.0.1", port, { timeout: 2000 });
+    assert.strictEqual(result.legacy, true);
+    assert.strictEqual(result.version, "1.6.4");
+    assert.strictEqual(result.protocol, 127);
+    assert.strictEqual(result.motd, "A classic server");
+    assert.strictEqual(result.online, 5);
+    assert.strictEqual(result.max, 50);
+}));
+
+test("does not retry a refused connection", async () => {
+    const port = await withServer("modern", async p => p);
+    await assert.rejects(ServerListPing.ping("127.0.0.1", port, { timeout: 2000 }), err => err.code === "ECONNREFUSED");
+});
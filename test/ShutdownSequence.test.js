@@ -0,0 +1,109 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const ShutdownSequence = require("../ShutdownSequence");
+
+// A server that exits on `exitOn` (a command or a signal) and records what it was sent
+function fakeServer({ exitOn, canSend = true }) {
+    const server = { running: true, log: [], progress: [] };
+    const handle = what => {
+        server.log.push(what);
+        if (what === exitOn) server.running = false;
+    };
+    server.hooks = {
+        canSend: () => canSend,
+        send: async command => handle(command),
+        save: async command => handle(`save: ${command}`),
+        isRunning: () => server.running,
+        signal: signal => handle(signal),
+        onProgress: progress => server.progress.push(progress)
+    };
+    return server;
+}
+
+// Advances the mocked clock in steps until the sequence settles
+async function drive(t, promise) {
+    let settled = false;
+    promise.then(() => (settled = true), () => (settled = true));
+    while (!settled) {
+        await new Promise(resolve => setImmediate(resolve));
+        t.mock.timers.tick(250);
+    }
+    return promise;
+}
+
+const settings = overrides => ShutdownSequence.normalize({ gracePeriodSeconds: 5, termTimeoutSeconds: 3, ...overrides });
+
+test("normalize, warning times and time formatting", () => {
+    assert.deepStrictEqual(ShutdownSequence.normalize({}), { ...ShutdownSequence.DEFAULT_SETTINGS });
+    assert.throws(() => ShutdownSequence.normalize({ countdownSeconds: -1 }), /Invalid countdownSeconds/);
+    assert.throws(() => ShutdownSequence.normalize({ gracePeriodSeconds: 0 }), /at least 1 second/);
+
+    assert.deepStrictEqual(ShutdownSequence.warningTimes(0), []);
+    assert.deepStrictEqual(ShutdownSequence.warningTimes(45), [45, 30, 10, 5, 4, 3, 2, 1]);
+    assert.strictEqual(ShutdownSequence.formatTime(120), "2 minutes");
+    assert.strictEqual(ShutdownSequence.formatTime(60), "1 minute");
+    assert.strictEqual(ShutdownSequence.formatTime(90), "90 seconds");
+    assert.strictEqual(ShutdownSequence.formatTime(1), "1 second");
+});
+
+test("warns during the countdown, saves and stops with the stop command", async t => {
+    t.mock.timers.enable({ apis: ["setTimeout", "Date"] });
+    const server = fakeServer({ exitOn: "stop" });
+    const sequence = new ShutdownSequence(settings({ countdownSeconds: 10, message: "Restart in {time} ({seconds}s)" }), "server", server.hooks);
+
+    assert.deepStrictEqual(await drive(t, sequence.run()), { escalation: null });
+    assert.deepStrictEqual(server.log, [
+        "say Restart in 10 seconds (10s)",
+        "say Restart in 5 seconds (5s)",
+        "say Restart in 4 seconds (4s)",
+        "say Restart in 3 seconds (3s)",
+        "say Restart in 2 seconds (2s)",
+        "say Restart in 1 second (1s)",
+        "save: save-all flush",
+        "stop"
+    ]);
+    assert.deepStrictEqual([...new Set(server.progress.map(p => p.phase))], ["countdown", "saving", "stopping"]);
+});
+
+test("falls back to SIGTERM when the stop command does not end the server in time", async t => {
+    t.mock.timers.enable({ apis: ["setTimeout", "Date"] });
+    const server = fakeServer({ exitOn: "SIGTERM" });
+    const sequence = new ShutdownSequence(settings({ saveWorld: false, stopCommand: "stop now" }), "server", server.hooks);
+
+    const start = Date.now();
+    assert.deepStrictEqual(await drive(t, sequence.run()), { escalation: "SIGTERM" });
+    assert.deepStrictEqual(server.log, ["stop now", "SIGTERM"]);
+    assert.ok(Date.now() - start >= 5000);
+    const waiting = server.progress.filter(p => p.phase === "stopping" && p.waiting).map(p => p.secondsLeft);
+    assert.deepStrictEqual(waiting, [5, 4, 3, 2, 1]);
+});
+
+test("kills a server that ignores SIGTERM, and fails if it survives SIGKILL", async t => {
+    t.mock.timers.enable({ apis: ["setTimeout", "Date"] });
+    const killed = fakeServer({ exitOn: "SIGKILL" });
+    const result = await drive(t, new ShutdownSequence(settings({}), "server", killed.hooks).run());
+    assert.deepStrictEqual(result, { escalation: "SIGKILL" });
+    assert.deepStrictEqual(killed.log, ["save: save-all flush", "stop", "SIGTERM", "SIGKILL"]);
+
+    const stuck = fakeServer({ exitOn: null });
+    await assert.rejects(drive(t, new ShutdownSequence(settings({}), "server", stuck.hooks).run()), /did not exit after SIGKILL/);
+});
+
+test("proxies without a console get neither warnings nor a save, only signals", async t => {
+    t.mock.timers.enable({ apis: ["setTimeout", "Date"] });
+    const server = fakeServer({ exitOn: "SIGTERM", canSend: false });
+    const sequence = new ShutdownSequence(settings({ countdownSeconds: 3 }), "velocity", server.hooks);
+
+    assert.deepStrictEqual(await drive(t, sequence.run()), { escalation: "SIGTERM" });
+    assert.deepStrictEqual(server.log, ["SIGTERM"]);
+    assert.deepStrictEqual(server.progress.filter(p => p.phase === "countdown").map(p => p.secondsLeft), [3, 2, 1]);
+});
+
+test("a server that exits during the countdown ends the sequence", async t => {
+    t.mock.timers.enable({ apis: ["setTimeout", "Date"] });
+    const server = fakeServer({ exitOn: "say Server shutting down in 5 seconds" });
+    const sequence = new ShutdownSequence(settings({ countdownSeconds: 10 }), "server", server.hooks);
+
+    assert.deepStrictEqual(await drive(t, sequence.run()), { escalation: null });
+    assert.deepStrictEqual(server.log, ["say Server shutting down in 10 seconds", "say Server shutting down in 5 seconds"]);
+});
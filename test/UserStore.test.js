@@ -0,0 +1,97 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const UserStore = require("../UserStore");
+
+async function withStore(t, fn) {
+    t.mock.method(console, "log", () => {});
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "users-"));
+    try {
+        await fn(new UserStore(path.join(dir, "users.json")));
+    } finally {
+        await fs.promises.rm(dir, { recursive: true, force: true });
+    }
+}
+
+test("without an access list a role gets its defaults on every instance", t => withStore(t, store => {
+    store.createUser("vera", "password1", "viewer");
+    store.createUser("otto", "password1", "operator");
+
+    assert.deepStrictEqual(store.permissionsFor("vera", "lobby"), ["view"]);
+    assert.deepStrictEqual(store.permissionsFor("otto", "lobby"), ["view", "command", "control", "files"]);
+    assert.deepStrictEqual(store.permissionsFor("admin", "lobby"), UserStore.PERMISSIONS);
+    assert.strictEqual(store.can("nobody", "lobby", "view"), false);
+}));
+
+test("the access list narrows per instance and grants settings to operators", t => withStore(t, store => {
+    store.createUser("otto", "password1", "operator");
+    store.updateUser("otto", { instances: { lobby: ["view", "settings"], "*": ["view"] } });
+
+    assert.strictEqual(store.can("otto", "lobby", "settings"), true);
+    assert.strictEqual(store.can("otto", "lobby", "control"), false);
+    // "*" covers every instance that is not listed, listed ones do not fall back to it
+    assert.deepStrictEqual(store.permissionsFor("otto", "survival"), ["view"]);
+    store.updateUser("otto", { instances: { lobby: ["settings"], "*": ["view"] } });
+    assert.strictEqual(store.can("otto", "lobby", "view"), false);
+
+    store.updateUser("otto", { instances: { lobby: ["view"] } });
+    assert.deepStrictEqual(store.permissionsFor("otto", "survival"), []);
+}));
+
+test("permissions above the role's ceiling are rejected when saved", t => withStore(t, store => {
+    store.createUser("vera", "password1", "viewer");
+    assert.throws(() => store.updateUser("vera", { instances: { lobby: ["view", "control"] } }), /viewer role cannot be granted control/);
+    assert.throws(() => store.updateUser("vera", { instances: { lobby: ["fly"] } }), /Unknown permission/);
+    assert.strictEqual(store.get("vera").instances, null);
+
+    // The new role applies when role and list change together
+    const user = store.updateUser("vera", { role: "operator", instances: { lobby: ["control"] } });
+    assert.deepStrictEqual(user.instances, { lobby: ["control"] });
+}));
+
+test("the role still caps a list saved before a demotion", t => withStore(t, store => {
+    store.createUser("otto", "password1", "operator");
+    store.updateUser("otto", { instances: { "*": ["view", "control"] } });
+    store.updateUser("otto", { role: "viewer" });
+
+    assert.deepStrictEqual(store.permissionsFor("otto", "lobby"), ["view"]);
+}));
+
+test("access lists follow instance renames and removals", t => withStore(t, store => {
+    store.createUser("otto", "password1", "operator");
+    store.updateUser("otto", { instances: { lobby: ["view"], hub: ["control"] } });
+
+    store.renameInstance("lobby", "spawn");
+    store.renameInstance("hub", null);
+    assert.deepStrictEqual(store.get("otto").instances, { spawn: ["view"] });
+}));
+
+test("a users file that cannot be parsed stops the start instead of creating an admin", async t => {
+    t.mock.method(console, "log", () => {});
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "users-"));
+    const file = path.join(dir, "users.json");
+    try {
+        await fs.promises.writeFile(file, '{"admin": {"role": "adm');
+        assert.throws(() => new UserStore(file), /Cannot read users file/);
+        await fs.promises.writeFile(file, "[]");
+        assert.throws(() => new UserStore(file), /does not contain a user object/);
+        assert.strictEqual(await fs.promises.readFile(file, "utf-8"), "[]");
+
+        // An existing file without users is left as it is
+        await fs.promises.writeFile(file, "{}");
+        assert.deepStrictEqual(new UserStore(file).list(), []);
+        assert.strictEqual(console.log.mock.callCount(), 0);
+    } finally {
+        await fs.promises.rm(dir, { recursive: true, force: true });
+    }
+});
+
+test("saving replaces the file without leaving a temporary file behind", t => withStore(t, store => {
+    store.createUser("vera", "password1", "viewer");
+
+    assert.deepStrictEqual(fs.readdirSync(path.dirname(store.filePath)), ["users.json"]);
+    assert.strictEqual(fs.statSync(store.filePath).mode & 0o777, 0o600);
+    assert.deepStrictEqual(new UserStore(store.filePath).list().map(u => u.username), ["admin", "vera"]);
+}));